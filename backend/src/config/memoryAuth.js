@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// In-memory stand-in for Supabase Auth, used when DATA_BACKEND=memory.
+// Mirrors the return shapes of the supabase.auth calls wrapped by authHelpers.
+const accounts = new Map();
+
+const toAuthUser = (account) => ({
+  id: account.id,
+  email: account.email,
+  user_metadata: account.userData
+});
+
+const memoryAuth = {
+  async signUp(email, password, userData = {}) {
+    if (accounts.has(email)) {
+      throw new Error('User already registered');
+    }
+
+    const account = {
+      id: crypto.randomUUID(),
+      email,
+      passwordHash: await bcrypt.hash(password, 10),
+      userData
+    };
+    accounts.set(email, account);
+
+    return { user: toAuthUser(account), session: null };
+  },
+
+  async signIn(email, password) {
+    const account = accounts.get(email);
+    if (!account || !(await bcrypt.compare(password, account.passwordHash))) {
+      throw new Error('Invalid login credentials');
+    }
+
+    return { user: toAuthUser(account), session: null };
+  },
+
+  async signOut() {},
+
+  // There is no server-side session to read the current user from
+  async getCurrentUser() {
+    return null;
+  },
+
+  // Tokens are our own signed JWTs, so their claims identify the user
+  async getUserFromToken(token, claims) {
+    return { id: claims.userId, email: claims.email, user_metadata: { role: claims.role } };
+  },
+
+  // Sessions are not tracked, so there is nothing to refresh
+  async refreshSession() {
+    throw new Error('Refresh tokens are not supported by the memory auth provider');
+  },
+
+  async resetPassword() {},
+
+  async updatePassword(newPassword, userId) {
+    const account = Array.from(accounts.values()).find((item) => item.id === userId);
+    if (!account) {
+      throw new Error('User not found');
+    }
+    account.passwordHash = await bcrypt.hash(newPassword, 10);
+  },
+
+  async deleteUser(userId) {
+    const account = Array.from(accounts.values()).find((item) => item.id === userId);
+    if (account) {
+      accounts.delete(account.email);
+    }
+  },
+
+  reset() {
+    accounts.clear();
+  }
+};
+
+module.exports = { memoryAuth };
@@ -6,22 +6,34 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
+// Data backend: 'supabase' (default) or 'memory' for offline development and tests
+const DATA_BACKEND = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
+const DATA_BACKENDS = ['supabase', 'memory'];
+
+if (!DATA_BACKENDS.includes(DATA_BACKEND)) {
+  throw new Error(`Unknown DATA_BACKEND "${DATA_BACKEND}". Expected one of: ${DATA_BACKENDS.join(', ')}`);
+}
+
+const useSupabase = DATA_BACKEND === 'supabase';
+
 // Validate required environment variables
-if (!supabaseUrl || !supabaseAnonKey) {
+if (useSupabase && (!supabaseUrl || !supabaseAnonKey)) {
   throw new Error('Missing required Supabase environment variables: SUPABASE_URL and SUPABASE_ANON_KEY');
 }
 
 // Create Supabase client for client-side operations (with anon key)
-const supabase = createClient(supabaseUrl, supabaseAnonKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: true,
-    detectSessionInUrl: true
-  }
-});
+const supabase = useSupabase
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+      auth: {
+        autoRefreshToken: true,
+        persistSession: true,
+        detectSessionInUrl: true
+      }
+    })
+  : null;
 
 // Create Supabase admin client for server-side operations (with service role key)
-const supabaseAdmin = supabaseServiceRoleKey 
+const supabaseAdmin = useSupabase && supabaseServiceRoleKey 
   ? createClient(supabaseUrl, supabaseServiceRoleKey, {
       auth: {
         autoRefreshToken: false,
@@ -40,160 +52,115 @@ const TABLES = {
   CLINICS: 'clinics',
   PRESCRIPTIONS: 'prescriptions',
   LAB_RESULTS: 'lab_results',
+  LAB_ORDERS: 'lab_orders',
   MEDICATIONS: 'medications',
-  NOTIFICATIONS: 'notifications'
+  NOTIFICATIONS: 'notifications',
+  DOCTOR_LEAVE: 'doctor_leave',
+  APPOINTMENT_HISTORY: 'appointment_history',
+  APPOINTMENT_SERIES: 'appointment_series',
+  WAITLIST_ENTRIES: 'waitlist_entries',
+  WAITLIST_OFFERS: 'waitlist_offers',
+  RECORD_ATTACHMENTS: 'medical_record_attachments',
+  RECORD_VERSIONS: 'medical_record_versions',
+  RECORD_ADDENDA: 'medical_record_addenda',
+  AUDIT_LOG: 'audit_log',
+  CARE_TEAM_MEMBERS: 'care_team_members',
+  REFERRALS: 'referrals',
+  BREAK_GLASS_GRANTS: 'break_glass_grants',
+  CONSENTS: 'patient_consents',
+  PREGNANCIES: 'pregnancies',
+  ANC_VISITS: 'anc_visits',
+  PARTOGRAPHS: 'partographs',
+  PARTOGRAPH_ENTRIES: 'partograph_entries',
+  DELIVERIES: 'deliveries',
+  NEWBORNS: 'newborns',
+  POSTNATAL_VISITS: 'postnatal_visits',
+  EPDS_SCREENINGS: 'epds_screenings'
 };
 
-// Helper functions for common database operations
+// Repositories and storage are required lazily: they depend on this module for the client and table names
+const repositories = () => require('../repositories').repositories;
+const storage = () => require('../storage');
+
+// Helper functions for common database operations, delegating to the configured repositories
 const dbHelpers = {
   // User operations
   async getUserById(userId) {
-    const { data, error } = await supabase
-      .from(TABLES.USERS)
-      .select('*')
-      .eq('id', userId)
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return repositories().users.findById(userId);
   },
 
   async createUser(userData) {
-    const { data, error } = await supabase
-      .from(TABLES.USERS)
-      .insert(userData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return repositories().users.create(userData);
   },
 
   async updateUser(userId, updates) {
-    const { data, error } = await supabase
-      .from(TABLES.USERS)
-      .update(updates)
-      .eq('id', userId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return repositories().users.update(userId, updates);
   },
 
   // Patient operations
   async getPatients(limit = 50, offset = 0) {
-    const { data, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .select('*')
-      .range(offset, offset + limit - 1)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+    const { rows } = await repositories().patients.findMany({
+      orderBy: { field: 'createdAt', ascending: false },
+      offset,
+      limit
+    });
+    return rows;
   },
 
   async getPatientById(patientId) {
-    const { data, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .select('*')
-      .eq('id', patientId)
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return repositories().patients.findById(patientId);
   },
 
   async createPatient(patientData) {
-    const { data, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .insert(patientData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return repositories().patients.create(patientData);
   },
 
   // Appointment operations
   async getAppointments(doctorId = null, patientId = null, date = null) {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (*),
-        doctors (*)
-      `)
-      .order('appointment_date', { ascending: true });
-
-    if (doctorId) query = query.eq('doctor_id', doctorId);
-    if (patientId) query = query.eq('patient_id', patientId);
-    if (date) query = query.eq('appointment_date', date);
-
-    const { data, error } = await query;
-    if (error) throw error;
-    return data;
+    const { rows } = await repositories().appointments.findMany({
+      filters: {
+        doctorId: doctorId || undefined,
+        patientId: patientId || undefined,
+        appointmentDate: date || undefined
+      },
+      orderBy: { field: 'appointmentDate', ascending: true },
+      include: ['patients', 'doctors']
+    });
+    return rows;
   },
 
   async createAppointment(appointmentData) {
-    const { data, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .insert(appointmentData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return repositories().appointments.create(appointmentData);
   },
 
   // Medical records operations
   async getMedicalRecords(patientId) {
-    const { data, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select('*')
-      .eq('patient_id', patientId)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+    const { rows } = await repositories().medicalRecords.findMany({
+      filters: { patientId },
+      orderBy: { field: 'createdAt', ascending: false }
+    });
+    return rows;
   },
 
-  async createMedicalRecord(recordData) {
-    const { data, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .insert(recordData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+  // Created through the versioning service so the record starts its version history
+  async createMedicalRecord(recordData, actor = { userId: recordData.createdBy }) {
+    return require('../services/recordVersions').createRecord(recordData, actor);
   },
 
-  // File upload helper
-  async uploadFile(bucketName, filePath, file) {
-    const { data, error } = await supabase.storage
-      .from(bucketName)
-      .upload(filePath, file, {
-        cacheControl: '3600',
-        upsert: false
-      });
-    
-    if (error) throw error;
-    return data;
+  // File upload helper, through the configured storage driver (private buckets)
+  async uploadFile(bucketName, filePath, file, options = {}) {
+    return storage().storageDriver().upload(bucketName, filePath, file, options);
   },
 
-  // Get file URL
-  async getFileUrl(bucketName, filePath) {
-    const { data } = supabase.storage
-      .from(bucketName)
-      .getPublicUrl(filePath);
-    
-    return data.publicUrl;
+  // Get a short-lived signed file URL; files are never exposed through public URLs
+  async getFileUrl(bucketName, filePath, expiresIn = storage().SIGNED_URL_TTL_SECONDS) {
+    const { url } = await storage().storageDriver().signedUrl(bucketName, filePath, expiresIn);
+    return url;
   }
 };
 
 // Authentication helpers
-const authHelpers = {
+const supabaseAuthHelpers = {
   async signUp(email, password, userData = {}) {
     const { data, error } = await supabase.auth.signUp({
       email,
@@ -228,6 +195,20 @@ const authHelpers = {
     return user;
   },
 
+  async getUserFromToken(token) {
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error) throw error;
+    return user;
+  },
+
+  async refreshSession(refreshToken) {
+    const { data, error } = await supabase.auth.refreshSession({
+      refresh_token: refreshToken
+    });
+    if (error) throw error;
+    return data;
+  },
+
   async resetPassword(email) {
     const { error } = await supabase.auth.resetPasswordForEmail(email);
     if (error) throw error;
@@ -238,10 +219,18 @@ const authHelpers = {
       password: newPassword
     });
     if (error) throw error;
+  },
+
+  async deleteUser(userId) {
+    const { error } = await (supabaseAdmin || supabase).auth.admin.deleteUser(userId);
+    if (error) throw error;
   }
 };
 
+const authHelpers = useSupabase ? supabaseAuthHelpers : require('./memoryAuth').memoryAuth;
+
 module.exports = {
+  DATA_BACKEND,
   supabase,
   supabaseAdmin,
   TABLES,
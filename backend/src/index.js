@@ -6,17 +6,49 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+// Import config
+const { DATA_BACKEND } = require('./config/supabase');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const patientRoutes = require('./routes/patients');
 const appointmentRoutes = require('./routes/appointments');
+const patientAppointmentRoutes = require('./routes/patientAppointments');
+const appointmentSeriesRoutes = require('./routes/appointmentSeries');
+const waitlistRoutes = require('./routes/waitlist');
 const medicalRecordRoutes = require('./routes/medicalRecords');
+const attachmentRoutes = require('./routes/attachments');
+const prescriptionRoutes = require('./routes/prescriptions');
+const medicationRoutes = require('./routes/medications');
+const labResultRoutes = require('./routes/labResults');
+const labOrderRoutes = require('./routes/labOrders');
 const doctorRoutes = require('./routes/doctors');
 const clinicRoutes = require('./routes/clinics');
+const notificationRoutes = require('./routes/notifications');
+const notificationWebhookRoutes = require('./routes/notificationWebhooks');
+const fileRoutes = require('./routes/files');
+const auditRoutes = require('./routes/audit');
+const patientAccessLogRoutes = require('./routes/patientAccessLog');
+const breakGlassRoutes = require('./routes/breakGlass');
+const consentRoutes = require('./routes/consents');
+const patientConsentRoutes = require('./routes/patientConsents');
+const pregnancyRoutes = require('./routes/pregnancies');
+const ancVisitRoutes = require('./routes/ancVisits');
+const partographRoutes = require('./routes/partographs');
+const deliveryRoutes = require('./routes/deliveries');
+const postnatalRoutes = require('./routes/postnatal');
+const epdsRoutes = require('./routes/epds');
+const patientEpdsRoutes = require('./routes/patientEpds');
+const doctorChatRoutes = require('./routes/doctorChat');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
-const errorHandler = require('./middleware/errorHandler');
+const { errorHandler } = require('./middleware/errorHandler');
+const { assignRequestId, auditTrail } = require('./middleware/audit');
+
+// Import services
+const { expireOffers } = require('./services/waitlist');
+const { processDueNotifications } = require('./services/notifications');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -38,7 +70,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Rate limiting
@@ -57,13 +90,16 @@ app.use(limiter);
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
+// Logging middleware; tests run without request logs
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
-} else {
+} else if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
+// Request ids, used to trace a request through the logs and the audit trail
+app.use(assignRequestId);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -74,17 +110,42 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
+    dataBackend: DATA_BACKEND,
     version: '1.0.0'
   });
 });
 
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/patients', authenticateToken, patientRoutes);
-app.use('/api/appointments', authenticateToken, appointmentRoutes);
-app.use('/api/medical-records', authenticateToken, medicalRecordRoutes);
-app.use('/api/doctors', authenticateToken, doctorRoutes);
-app.use('/api/clinics', authenticateToken, clinicRoutes);
+app.use('/api/patients/:patientId/consents', authenticateToken, auditTrail('consent', 'consentId'), consentRoutes);
+app.use('/api/patients/:patientId/pregnancies/:pregnancyId/anc-visits', authenticateToken, auditTrail('anc-visit', 'visitId'), ancVisitRoutes);
+app.use('/api/patients/:patientId/pregnancies/:pregnancyId/partographs', authenticateToken, auditTrail('partograph', 'partographId'), partographRoutes);
+app.use('/api/patients/:patientId/pregnancies/:pregnancyId/delivery/postnatal', authenticateToken, auditTrail('postnatal-visit', 'visitId'), postnatalRoutes);
+app.use('/api/patients/:patientId/pregnancies/:pregnancyId/delivery', authenticateToken, auditTrail('delivery', 'pregnancyId'), deliveryRoutes);
+app.use('/api/patients/:patientId/pregnancies', authenticateToken, auditTrail('pregnancy', 'pregnancyId'), pregnancyRoutes);
+app.use('/api/patients/:patientId/epds', authenticateToken, auditTrail('epds-screening', 'screeningId'), epdsRoutes);
+app.use('/api/patients', authenticateToken, auditTrail('patient', 'patientId'), patientRoutes);
+app.use('/api/appointments', authenticateToken, auditTrail('appointment', 'appointmentId'), appointmentRoutes);
+app.use('/api/patient/appointments', authenticateToken, auditTrail('appointment', 'appointmentId'), patientAppointmentRoutes);
+app.use('/api/patient/access-log', authenticateToken, patientAccessLogRoutes);
+app.use('/api/patient/consents', authenticateToken, auditTrail('consent', 'consentId'), patientConsentRoutes);
+app.use('/api/patient/epds', authenticateToken, auditTrail('epds-screening', 'screeningId'), patientEpdsRoutes);
+app.use('/api/appointment-series', authenticateToken, auditTrail('appointment-series', 'seriesId'), appointmentSeriesRoutes);
+app.use('/api/waitlist', authenticateToken, auditTrail('waitlist-entry', 'entryId'), waitlistRoutes);
+app.use('/api/medical-records/:recordId/attachments', authenticateToken, auditTrail('attachment', 'attachmentId'), attachmentRoutes);
+app.use('/api/medical-records', authenticateToken, auditTrail('medical-record', 'recordId'), medicalRecordRoutes);
+app.use('/api/prescriptions', authenticateToken, auditTrail('prescription', 'prescriptionId'), prescriptionRoutes);
+app.use('/api/medications', authenticateToken, medicationRoutes);
+app.use('/api/lab-results', authenticateToken, auditTrail('lab-result', 'resultId'), labResultRoutes);
+app.use('/api/lab-orders', authenticateToken, auditTrail('lab-order', 'orderId'), labOrderRoutes);
+app.use('/api/doctors', authenticateToken, auditTrail('doctor', 'doctorId'), doctorRoutes);
+app.use('/api/clinics', authenticateToken, auditTrail('clinic', 'clinicId'), clinicRoutes);
+app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/audit', authenticateToken, auditRoutes);
+app.use('/api/break-glass', authenticateToken, auditTrail('break-glass', 'grantId'), breakGlassRoutes);
+app.use('/api/doctor-chat', authenticateToken, doctorChatRoutes);
+app.use('/api/webhooks/notifications', notificationWebhookRoutes);
+app.use('/api/files', fileRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -108,23 +169,36 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`📚 API Base URL: http://localhost:${PORT}/api`);
-});
+// Start server when run directly; tests import the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV}`);
+    console.log(`💾 Data backend: ${DATA_BACKEND}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`📚 API Base URL: http://localhost:${PORT}/api`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+  // Pass expired waitlist holds on to the next patient
+  setInterval(() => {
+    expireOffers().catch((error) => console.error('Waitlist expiry error:', error));
+  }, 60 * 1000).unref();
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+  // Send due appointment reminders and notification retries
+  setInterval(() => {
+    processDueNotifications().catch((error) => console.error('Notification dispatch error:', error));
+  }, 60 * 1000).unref();
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('SIGINT received, shutting down gracefully');
+    process.exit(0);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { repositories } = require('../repositories');
+const { actionFor, outcomeFor, recordAccess } = require('../services/audit');
+
+// Give every request an id, echoed in the X-Request-Id header. An id set by a proxy is kept.
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && /^[A-Za-z0-9._-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Patients a response is about: patient rows themselves, and anything carrying a patientId
+const patientIdsIn = (data) => {
+  const ids = new Set();
+  if (!data || typeof data !== 'object') return ids;
+
+  Object.entries(data).forEach(([key, value]) => {
+    [].concat(value).forEach((item) => {
+      if (!item || typeof item !== 'object') return;
+
+      if ((key === 'patient' || key === 'patients') && item.id) {
+        ids.add(item.id);
+      } else if (item.patientId) {
+        ids.add(item.patientId);
+      }
+    });
+  });
+  return ids;
+};
+
+// Audit every request to a patient data route once its response is sent. `idParam` names the
+// route parameter holding the resource id. Audit failures are logged and never fail the request.
+const auditTrail = (resource, idParam) => (req, res, next) => {
+  // Parameters of the mount path (such as a patient id) are known now; those of the route
+  // are only set while it runs, so they are added when it responds
+  let params = { ...req.params };
+  let data = null;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    params = { ...params, ...req.params };
+    data = body && body.data;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    try {
+      const patientIds = patientIdsIn(data);
+      if (params.patientId) {
+        patientIds.add(params.patientId);
+      }
+
+      const actorRole = req.userRole
+        || ((await repositories.users.findById(req.userId)) || {}).role
+        || null;
+
+      await recordAccess({
+        actorId: req.userId || null,
+        actorRole,
+        patientIds: [...patientIds],
+        resource,
+        resourceId: params[idParam] || null,
+        action: actionFor(req.method),
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        outcome: outcomeFor(res.statusCode),
+        ip: req.ip,
+        requestId: req.id || null
+      });
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  });
+
+  next();
+};
+
+module.exports = { assignRequestId, auditTrail };
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
-const { supabase, authHelpers } = require('../config/supabase');
+const { authHelpers } = require('../config/supabase');
+const { repositories } = require('../repositories');
+const { patientAccessFor } = require('../services/careTeam');
 
 // Middleware to authenticate JWT tokens
 const authenticateToken = async (req, res, next) => {
@@ -24,10 +26,10 @@ const authenticateToken = async (req, res, next) => {
       }
 
       try {
-        // Get user from Supabase
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        // Get user from the auth provider
+        const user = await authHelpers.getUserFromToken(token, decoded);
         
-        if (error || !user) {
+        if (!user) {
           return res.status(401).json({
             error: 'User not found',
             message: 'User associated with this token not found'
@@ -67,13 +69,9 @@ const requireRole = (roles) => {
       }
 
       // Get user profile from database to check role
-      const { data: userProfile, error } = await supabase
-        .from('users')
-        .select('role')
-        .eq('id', req.user.id)
-        .single();
+      const userProfile = await repositories.users.findById(req.user.id);
 
-      if (error || !userProfile) {
+      if (!userProfile) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'User profile not found'
@@ -107,7 +105,39 @@ const requireDoctor = requireRole(['doctor', 'admin']);
 // Middleware to check if user is an admin
 const requireAdmin = requireRole(['admin']);
 
-// Middleware to check if user can access patient data
+// Middleware for lab work: lab staff, and doctors and admins who also handle samples
+const requireLabStaff = requireRole(['lab', 'doctor', 'admin']);
+
+// Middleware to check if user is a patient
+const requirePatient = requireRole(['patient']);
+
+// Middleware to load the patient record belonging to the authenticated user.
+// Patient records share the user's id, or reference it through `userId`.
+const loadPatientProfile = async (req, res, next) => {
+  try {
+    const patient = await repositories.patients.findById(req.userId)
+      || await repositories.patients.findOne({ userId: req.userId });
+
+    if (!patient) {
+      return res.status(404).json({
+        error: 'Patient profile not found',
+        message: 'No patient record is linked to this account'
+      });
+    }
+
+    req.patient = patient;
+    next();
+  } catch (error) {
+    console.error('Patient profile lookup error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Patient profile lookup failed'
+    });
+  }
+};
+
+// Middleware to check if user can access patient data: admins, the patient themselves, and
+// doctors with a care relationship to the patient (see services/careTeam)
 const canAccessPatient = async (req, res, next) => {
   try {
     const patientId = req.params.patientId || req.body.patientId;
@@ -119,20 +149,25 @@ const canAccessPatient = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin or doctor
-    if (req.userRole === 'admin' || req.userRole === 'doctor') {
-      return next();
+    // The role is only set on routes that went through requireRole
+    if (!req.userRole) {
+      const userProfile = await repositories.users.findById(req.userId);
+      req.userRole = userProfile ? userProfile.role : null;
     }
 
-    // For patients, check if they're accessing their own data
-    if (req.userRole === 'patient' && req.userId === patientId) {
-      return next();
+    const access = await patientAccessFor({ userId: req.userId, role: req.userRole }, patientId);
+
+    if (!access) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: req.userRole === 'patient'
+          ? 'You can only access your own patient data'
+          : 'You are not on this patient\'s care team'
+      });
     }
 
-    return res.status(403).json({
-      error: 'Access denied',
-      message: 'You can only access your own patient data'
-    });
+    req.patientAccess = access;
+    next();
   } catch (error) {
     console.error('Patient access check error:', error);
     return res.status(500).json({
@@ -156,8 +191,8 @@ const optionalAuth = async (req, res, next) => {
     jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
       if (!err) {
         try {
-          const { data: { user }, error } = await supabase.auth.getUser(token);
-          if (!error && user) {
+          const user = await authHelpers.getUserFromToken(token, decoded);
+          if (user) {
             req.user = user;
             req.userId = user.id;
           }
@@ -178,6 +213,9 @@ module.exports = {
   requireRole,
   requireDoctor,
   requireAdmin,
+  requireLabStaff,
+  requirePatient,
+  loadPatientProfile,
   canAccessPatient,
   optionalAuth
 };
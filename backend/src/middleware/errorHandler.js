@@ -36,6 +36,14 @@ const errorHandler = (err, req, res, next) => {
     statusCode = 403;
     message = 'Forbidden';
     error = 'You do not have permission to perform this action';
+  } else if (err.name === 'ConsentRequiredError') {
+    statusCode = 403;
+    message = 'Consent Required';
+    error = err.message;
+  } else if (err.name === 'ConflictError') {
+    statusCode = 409;
+    message = 'Conflict';
+    error = err.message;
   } else if (err.name === 'NotFoundError') {
     statusCode = 404;
     message = 'Not Found';
@@ -80,6 +88,7 @@ const errorHandler = (err, req, res, next) => {
         code: err.code
       })
     },
+    ...(err.data && { data: err.data }),
     timestamp: new Date().toISOString(),
     path: req.originalUrl,
     method: req.method
@@ -119,11 +128,34 @@ class ForbiddenError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor(message = 'Resource conflict', data = null) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.data = data;
+  }
+}
+
+// Refused because the patient has not given (or has withdrawn) the consent the action needs
+class ConsentRequiredError extends Error {
+  constructor(message = 'Patient consent is required', data = null) {
+    super(message);
+    this.name = 'ConsentRequiredError';
+    this.status = 403;
+    this.data = data;
+  }
+}
+
+// Postgres error code of a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
 class SupabaseError extends Error {
-  constructor(message = 'Database operation failed') {
+  constructor(message = 'Database operation failed', code = null) {
     super(message);
     this.name = 'SupabaseError';
     this.status = 500;
+    this.code = code;
   }
 }
 
@@ -140,6 +172,9 @@ module.exports = {
   NotFoundError,
   UnauthorizedError,
   ForbiddenError,
+  ConflictError,
+  ConsentRequiredError,
   SupabaseError,
+  UNIQUE_VIOLATION,
   asyncHandler
 };
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local-run transport: appends each message as a JSON line to a file, or prints it to the console
+const createConsoleTransport = (channel, { logFile } = {}) => ({
+  name: 'console',
+
+  send: async (notification) => {
+    const entry = {
+      channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body,
+      sentAt: new Date().toISOString()
+    };
+
+    if (logFile) {
+      await fs.promises.appendFile(path.resolve(logFile), `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`📨 [${channel}] to ${notification.to}: ${notification.subject ? `${notification.subject} - ` : ''}${notification.body}`);
+    }
+
+    return { status: 'delivered', providerMessageId: null };
+  }
+});
+
+module.exports = { createConsoleTransport };
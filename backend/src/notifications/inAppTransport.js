@@ -0,0 +1,8 @@
+// In-app messages need no delivery: the stored notification is the patient's inbox entry
+const createInAppTransport = () => ({
+  name: 'in-app',
+
+  send: async () => ({ status: 'delivered', providerMessageId: null })
+});
+
+module.exports = { createInAppTransport };
@@ -0,0 +1,70 @@
+const { createConsoleTransport } = require('./consoleTransport');
+const { createInAppTransport } = require('./inAppTransport');
+const { createSmsTransport } = require('./smsTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createUnconfiguredTransport } = require('./unconfiguredTransport');
+const { TEMPLATES, renderTemplate } = require('./templates');
+
+const CHANNELS = ['sms', 'email', 'in-app'];
+
+// Default transport per channel. SMS and email use the real provider once it is configured
+// and fall back to the console/file transport for local runs. In production an unconfigured
+// channel fails its messages instead.
+const defaultTransport = (channel) => {
+  const logFile = process.env.NOTIFICATION_LOG_FILE;
+
+  if (channel === 'sms' && process.env.SMS_API_KEY) {
+    return createSmsTransport({
+      url: process.env.SMS_GATEWAY_URL || 'https://api.africastalking.com/version1/messaging',
+      username: process.env.SMS_USERNAME,
+      apiKey: process.env.SMS_API_KEY,
+      senderId: process.env.SMS_SENDER_ID
+    });
+  }
+
+  if (channel === 'email' && process.env.SMTP_HOST) {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || process.env.SMTP_USER
+    });
+  }
+
+  if (channel === 'in-app') {
+    return createInAppTransport();
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    return createUnconfiguredTransport(channel);
+  }
+
+  return createConsoleTransport(channel, { logFile });
+};
+
+const transports = {};
+
+// Replace the transport for a channel, e.g. with another SMS provider
+const registerTransport = (channel, transport) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel "${channel}"`);
+  }
+  transports[channel] = transport;
+};
+
+const transportFor = (channel) => {
+  if (!transports[channel]) {
+    registerTransport(channel, defaultTransport(channel));
+  }
+  return transports[channel];
+};
+
+module.exports = {
+  CHANNELS,
+  TEMPLATES,
+  renderTemplate,
+  registerTransport,
+  transportFor
+};
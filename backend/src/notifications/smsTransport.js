@@ -0,0 +1,37 @@
+// SMS gateway transport using the Africa's Talking messaging API format. Delivery
+// reports arrive later through the notification webhook.
+const createSmsTransport = ({ url, username, apiKey, senderId }) => ({
+  name: 'sms-gateway',
+
+  send: async (notification) => {
+    const form = new URLSearchParams({ username, to: notification.to, message: notification.body });
+    if (senderId) {
+      form.set('from', senderId);
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form.toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    const result = await response.json();
+    const recipient = result.SMSMessageData && result.SMSMessageData.Recipients && result.SMSMessageData.Recipients[0];
+
+    if (!recipient || !['Success', 'Sent'].includes(recipient.status)) {
+      throw new Error(`SMS gateway rejected the message: ${(recipient && recipient.status) || 'no recipient accepted'}`);
+    }
+
+    return { status: 'sent', providerMessageId: recipient.messageId };
+  }
+});
+
+module.exports = { createSmsTransport };
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+// Email transport over SMTP
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send: async (notification) => {
+      const info = await mailer.sendMail({
+        from,
+        to: notification.to,
+        subject: notification.subject,
+        text: notification.body
+      });
+
+      return { status: 'sent', providerMessageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
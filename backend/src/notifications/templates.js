@@ -0,0 +1,82 @@
+// Message templates. Placeholders are written {{name}} and filled from the notification data;
+// SMS uses the body only, email and in-app messages also use the subject.
+const TEMPLATES = {
+  'appointment-booked': {
+    subject: 'Appointment booked for {{date}}',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} is booked for {{date}} at {{time}}{{clinicSuffix}}.'
+  },
+  'appointment-rescheduled': {
+    subject: 'Appointment moved to {{date}}',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} has moved to {{date}} at {{time}}{{clinicSuffix}}.'
+  },
+  'appointment-cancelled': {
+    subject: 'Appointment on {{date}} cancelled',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} on {{date}} at {{time}} has been cancelled. Please contact the clinic to book again.'
+  },
+  'appointment-reminder': {
+    subject: 'Reminder: appointment {{when}}',
+    body: 'Hello {{patientName}}, this is a reminder of your appointment with {{doctorName}} {{when}} ({{date}} at {{time}}){{clinicSuffix}}.'
+  },
+  'appointment-status-changed': {
+    subject: 'Appointment {{statusLabel}}',
+    body: 'Hello {{patientName}}, your appointment with {{doctorName}} on {{date}} at {{time}} has been {{statusLabel}}.'
+  },
+  'doctor-appointment-booked': {
+    subject: 'New appointment on {{date}}',
+    body: '{{patientName}} has an appointment with you on {{date}} at {{time}}.'
+  },
+  'doctor-appointment-cancelled': {
+    subject: 'Appointment on {{date}} cancelled',
+    body: 'The appointment with {{patientName}} on {{date}} at {{time}} has been cancelled.'
+  },
+  'medical-record-added': {
+    subject: 'New medical record',
+    body: 'Hello {{patientName}}, {{doctorName}} has added a record of your visit on {{visitDate}}.'
+  },
+  'lab-result-critical': {
+    subject: 'Critical lab result: {{testName}}',
+    body: '{{patientName}} has a critical {{testName}} result of {{result}}. Please review it on your worklist.'
+  },
+  'lab-results-ready': {
+    subject: 'Lab results ready for {{patientName}}',
+    body: 'Verified results for {{patientName}} ({{tests}}) are ready. Review them and close the order.'
+  },
+  'note-cosign-requested': {
+    subject: 'Note awaiting your countersignature',
+    body: '{{authorName}} signed a note for {{patientName}} from {{visitDate}} and asked you to countersign it.'
+  },
+  'break-glass-access': {
+    subject: 'Emergency access to {{patientName}}\'s record',
+    body: '{{clinicianName}} used emergency access to {{patientName}}\'s record until {{expiresAt}}. Reason given: {{reason}}'
+  },
+  'partograph-alert': {
+    subject: 'Labour alert for {{patientName}}',
+    body: 'A partograph observation for {{patientName}} at {{time}} needs attention: {{alerts}}.'
+  },
+  'epds-referral': {
+    subject: 'Depression screening follow-up for {{patientName}}',
+    body: 'An EPDS screening completed by {{completedBy}} for {{patientName}} scored {{score}} of 30 ({{risk}}). {{selfHarm}}Please review and consider referral.'
+  },
+  'waitlist-offer': {
+    subject: 'An earlier appointment is available',
+    body: 'Hello {{patientName}}, a slot with {{doctorName}} on {{date}} at {{time}} is available. It is held for you until {{expiresAt}}; accept or decline it in the app.'
+  }
+};
+
+const fill = (text, data) => text.replace(/{{(\w+)}}/g, (match, key) => (data[key] === undefined || data[key] === null ? '' : String(data[key])));
+
+// Render a template into a subject and body
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown notification template "${name}"`);
+  }
+
+  return {
+    subject: fill(template.subject, data),
+    body: fill(template.body, data)
+  };
+};
+
+module.exports = { TEMPLATES, renderTemplate };
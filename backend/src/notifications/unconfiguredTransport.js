@@ -0,0 +1,13 @@
+// Production transport for a channel without a provider. Messages are never printed or logged,
+// since they carry patient details, and fail without retrying.
+const createUnconfiguredTransport = (channel) => ({
+  name: 'unconfigured',
+
+  send: async () => {
+    const error = new Error(`No ${channel} provider is configured`);
+    error.permanent = true;
+    throw error;
+  }
+});
+
+module.exports = { createUnconfiguredTransport };
@@ -0,0 +1,379 @@
+const { TABLES } = require('../config/supabase');
+
+// Entity definitions shared by every data backend.
+//
+// - table:     underlying table (and in-memory collection) name
+// - relations: embeddable related rows, keyed by the name they are embedded under.
+//              `belongsTo` follows `foreignKey` on this row, `hasMany` follows
+//              `foreignKey` on the related rows. `columns` narrows the Supabase select.
+// - unique:    columns with a unique constraint; the memory backend enforces them as
+//              Postgres does, rejecting a duplicate with code UNIQUE_VIOLATION
+const ENTITIES = {
+  users: {
+    table: TABLES.USERS,
+    relations: {}
+  },
+
+  patients: {
+    table: TABLES.PATIENTS,
+    relations: {
+      medical_records: { entity: 'medicalRecords', kind: 'hasMany', foreignKey: 'patientId' },
+      appointments: { entity: 'appointments', kind: 'hasMany', foreignKey: 'patientId' }
+    }
+  },
+
+  appointments: {
+    table: TABLES.APPOINTMENTS,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, email, phone, dateOfBirth, gender'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization, email, phone'
+      },
+      clinics: { entity: 'clinics', kind: 'belongsTo', foreignKey: 'clinicId', columns: 'id, name, address' }
+    }
+  },
+
+  medicalRecords: {
+    table: TABLES.MEDICAL_RECORDS,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, email, phone, dateOfBirth, gender'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization, email, phone'
+      },
+      recordAddenda: { entity: 'recordAddenda', kind: 'hasMany', foreignKey: 'medicalRecordId' }
+    }
+  },
+
+  doctors: {
+    table: TABLES.DOCTORS,
+    relations: {
+      users: {
+        entity: 'users',
+        kind: 'belongsTo',
+        foreignKey: 'userId',
+        columns: 'id, firstName, lastName, email, phone, dateOfBirth, gender'
+      },
+      clinics: {
+        entity: 'clinics',
+        kind: 'belongsTo',
+        foreignKey: 'clinicId',
+        columns: 'id, name, address, phone, email'
+      }
+    }
+  },
+
+  clinics: {
+    table: TABLES.CLINICS,
+    relations: {}
+  },
+
+  doctorLeave: {
+    table: TABLES.DOCTOR_LEAVE,
+    relations: {}
+  },
+
+  appointmentHistory: {
+    table: TABLES.APPOINTMENT_HISTORY,
+    relations: {}
+  },
+
+  appointmentSeries: {
+    table: TABLES.APPOINTMENT_SERIES,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, email, phone'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      appointments: { entity: 'appointments', kind: 'hasMany', foreignKey: 'seriesId' }
+    }
+  },
+
+  medications: {
+    table: TABLES.MEDICATIONS,
+    relations: {}
+  },
+
+  prescriptions: {
+    table: TABLES.PRESCRIPTIONS,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, dateOfBirth'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      medicalRecords: {
+        entity: 'medicalRecords',
+        kind: 'belongsTo',
+        foreignKey: 'medicalRecordId',
+        columns: 'id, visitDate, chiefComplaint, diagnosis'
+      }
+    }
+  },
+
+  labResults: {
+    table: TABLES.LAB_RESULTS,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, dateOfBirth'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      medicalRecords: {
+        entity: 'medicalRecords',
+        kind: 'belongsTo',
+        foreignKey: 'medicalRecordId',
+        columns: 'id, visitDate, chiefComplaint, diagnosis'
+      }
+    }
+  },
+
+  labOrders: {
+    table: TABLES.LAB_ORDERS,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, dateOfBirth'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      medicalRecords: {
+        entity: 'medicalRecords',
+        kind: 'belongsTo',
+        foreignKey: 'medicalRecordId',
+        columns: 'id, visitDate, chiefComplaint, diagnosis'
+      },
+      labResults: { entity: 'labResults', kind: 'hasMany', foreignKey: 'labOrderId' }
+    }
+  },
+
+  recordVersions: {
+    table: TABLES.RECORD_VERSIONS,
+    relations: {}
+  },
+
+  recordAddenda: {
+    table: TABLES.RECORD_ADDENDA,
+    relations: {}
+  },
+
+  careTeamMembers: {
+    table: TABLES.CARE_TEAM_MEMBERS,
+    relations: {
+      patients: { entity: 'patients', kind: 'belongsTo', foreignKey: 'patientId', columns: 'id, firstName, lastName' },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization, email, phone'
+      }
+    }
+  },
+
+  referrals: {
+    table: TABLES.REFERRALS,
+    relations: {
+      patients: { entity: 'patients', kind: 'belongsTo', foreignKey: 'patientId', columns: 'id, firstName, lastName' },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'toDoctorId',
+        columns: 'id, firstName, lastName, specialization, email, phone'
+      }
+    }
+  },
+
+  breakGlassGrants: {
+    table: TABLES.BREAK_GLASS_GRANTS,
+    relations: {
+      patients: { entity: 'patients', kind: 'belongsTo', foreignKey: 'patientId', columns: 'id, firstName, lastName' },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization, email, phone'
+      }
+    }
+  },
+
+  pregnancies: {
+    table: TABLES.PREGNANCIES,
+    relations: {
+      patients: { entity: 'patients', kind: 'belongsTo', foreignKey: 'patientId', columns: 'id, firstName, lastName, dateOfBirth' }
+    }
+  },
+
+  ancVisits: {
+    table: TABLES.ANC_VISITS,
+    relations: {
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      }
+    }
+  },
+
+  partographs: {
+    table: TABLES.PARTOGRAPHS,
+    relations: {
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'responsibleDoctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      partographEntries: { entity: 'partographEntries', kind: 'hasMany', foreignKey: 'partographId' }
+    }
+  },
+
+  partographEntries: {
+    table: TABLES.PARTOGRAPH_ENTRIES,
+    relations: {}
+  },
+
+  deliveries: {
+    table: TABLES.DELIVERIES,
+    relations: {
+      newborns: { entity: 'newborns', kind: 'hasMany', foreignKey: 'deliveryId' }
+    }
+  },
+
+  newborns: {
+    table: TABLES.NEWBORNS,
+    relations: {
+      patients: { entity: 'patients', kind: 'belongsTo', foreignKey: 'patientId', columns: 'id, firstName, lastName, dateOfBirth, gender' }
+    }
+  },
+
+  postnatalVisits: {
+    table: TABLES.POSTNATAL_VISITS,
+    relations: {
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      }
+    }
+  },
+
+  epdsScreenings: {
+    table: TABLES.EPDS_SCREENINGS,
+    relations: {}
+  },
+
+  consents: {
+    table: TABLES.CONSENTS,
+    relations: {
+      patients: { entity: 'patients', kind: 'belongsTo', foreignKey: 'patientId', columns: 'id, firstName, lastName, clinicId' }
+    }
+  },
+
+  auditLog: {
+    table: TABLES.AUDIT_LOG,
+    unique: ['sequence'],
+    relations: {
+      users: { entity: 'users', kind: 'belongsTo', foreignKey: 'actorId', columns: 'id, firstName, lastName, role' }
+    }
+  },
+
+  recordAttachments: {
+    table: TABLES.RECORD_ATTACHMENTS,
+    relations: {}
+  },
+
+  notifications: {
+    table: TABLES.NOTIFICATIONS,
+    relations: {}
+  },
+
+  waitlistEntries: {
+    table: TABLES.WAITLIST_ENTRIES,
+    relations: {
+      patients: {
+        entity: 'patients',
+        kind: 'belongsTo',
+        foreignKey: 'patientId',
+        columns: 'id, firstName, lastName, email, phone'
+      },
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      clinics: {
+        entity: 'clinics',
+        kind: 'belongsTo',
+        foreignKey: 'clinicId',
+        columns: 'id, name, address'
+      },
+      waitlistOffers: { entity: 'waitlistOffers', kind: 'hasMany', foreignKey: 'entryId' }
+    }
+  },
+
+  waitlistOffers: {
+    table: TABLES.WAITLIST_OFFERS,
+    relations: {
+      doctors: {
+        entity: 'doctors',
+        kind: 'belongsTo',
+        foreignKey: 'doctorId',
+        columns: 'id, firstName, lastName, specialization'
+      },
+      clinics: {
+        entity: 'clinics',
+        kind: 'belongsTo',
+        foreignKey: 'clinicId',
+        columns: 'id, name, address'
+      }
+    }
+  }
+};
+
+module.exports = { ENTITIES };
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const { supabase, DATA_BACKEND } = require('../config/supabase');
+const { ENTITIES } = require('./entities');
+const { createSupabaseRepository } = require('./supabaseRepository');
+const { createMemoryStore, createMemoryRepository } = require('./memoryRepository');
+
+// Optional JSON seed for the memory backend, keyed by table name
+const loadMemorySeed = () => {
+  const seedFile = process.env.MEMORY_SEED_FILE;
+  if (!seedFile) return {};
+
+  return JSON.parse(fs.readFileSync(path.resolve(seedFile), 'utf8'));
+};
+
+const memoryStore = DATA_BACKEND === 'memory' ? createMemoryStore(loadMemorySeed()) : null;
+
+// One repository per entity, all backed by the configured data backend
+const repositories = {};
+
+const resolve = (name) => {
+  if (!repositories[name]) {
+    throw new Error(`Unknown repository "${name}"`);
+  }
+  return repositories[name];
+};
+
+Object.entries(ENTITIES).forEach(([name, definition]) => {
+  repositories[name] = DATA_BACKEND === 'memory'
+    ? createMemoryRepository(memoryStore, definition, resolve)
+    : createSupabaseRepository(supabase, definition);
+});
+
+module.exports = {
+  repositories,
+  memoryStore
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { SupabaseError, UNIQUE_VIOLATION } = require('../middleware/errorHandler');
+
+// In-memory store: one Map of rows per table, keyed by row id
+const createMemoryStore = (seed = {}) => {
+  const tables = new Map();
+
+  const tableFor = (name) => {
+    if (!tables.has(name)) {
+      tables.set(name, new Map());
+    }
+    return tables.get(name);
+  };
+
+  const load = (data = {}) => {
+    Object.entries(data).forEach(([name, rows]) => {
+      const table = tableFor(name);
+      rows.forEach((row) => {
+        const id = row.id || crypto.randomUUID();
+        table.set(id, { ...row, id });
+      });
+    });
+  };
+
+  const reset = (data = {}) => {
+    tables.clear();
+    load(data);
+  };
+
+  load(seed);
+
+  return { table: tableFor, load, reset };
+};
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const getPath = (row, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+};
+
+// As in Postgres, no comparison matches a null value; `orNull` adds the rows where it is null
+const matchesCondition = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+
+  if (typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  if (condition.orNull && value == null) return true;
+  if (condition.eq !== undefined && value !== condition.eq) return false;
+  if (condition.neq !== undefined && (value == null || value === condition.neq)) return false;
+  if (condition.gt !== undefined && !(value != null && value > condition.gt)) return false;
+  if (condition.gte !== undefined && !(value != null && value >= condition.gte)) return false;
+  if (condition.lt !== undefined && !(value != null && value < condition.lt)) return false;
+  if (condition.lte !== undefined && !(value != null && value <= condition.lte)) return false;
+  if (condition.in !== undefined && !condition.in.includes(value)) return false;
+  if (condition.notIn !== undefined && condition.notIn.length > 0
+    && (value == null || condition.notIn.includes(value))) return false;
+  return true;
+};
+
+const matchesFilters = (row, filters = {}) =>
+  Object.entries(filters).every(([field, condition]) =>
+    condition === undefined || matchesCondition(getPath(row, field), condition)
+  );
+
+const matchesSearch = (row, search) => {
+  if (!search || !search.term) return true;
+
+  const term = String(search.term).toLowerCase();
+  return search.fields.some((field) => {
+    const value = getPath(row, field);
+    return value != null && String(value).toLowerCase().includes(term);
+  });
+};
+
+// Create a repository over one table of an in-memory store.
+// `resolve` looks up sibling repositories so relations can be embedded.
+const createMemoryRepository = (store, definition, resolve) => {
+  const rows = () => store.table(definition.table);
+
+  // Reject a row repeating another row's value in a unique column, as Postgres does
+  const assertUnique = (row) => {
+    (definition.unique || []).forEach((field) => {
+      if (row[field] == null) return;
+
+      for (const other of rows().values()) {
+        if (other.id !== row.id && other[field] === row[field]) {
+          throw new SupabaseError(`duplicate key value violates unique constraint on ${definition.table}.${field}`, UNIQUE_VIOLATION);
+        }
+      }
+    });
+  };
+
+  // Attach the requested relations to a copy of the row
+  const embed = (row, include = []) => {
+    const result = clone(row);
+
+    include.forEach((name) => {
+      const relation = definition.relations[name];
+      if (!relation) {
+        throw new Error(`Unknown relation "${name}" on ${definition.table}`);
+      }
+
+      const related = resolve(relation.entity);
+      if (relation.kind === 'hasMany') {
+        result[name] = related.rawRows()
+          .filter((other) => other[relation.foreignKey] === row.id)
+          .map(clone);
+      } else {
+        const target = row[relation.foreignKey];
+        result[name] = target ? clone(related.rawRows().find((other) => other.id === target) || null) : null;
+      }
+    });
+
+    return result;
+  };
+
+  // Relations referenced by dotted filter or search paths must be embedded before matching
+  const relationsIn = (paths) =>
+    paths
+      .map((path) => path.split('.')[0])
+      .filter((name, index, names) => definition.relations[name] && names.indexOf(name) === index);
+
+  const select = ({ filters = {}, search, orderBy = [], include = [] } = {}) => {
+    const needed = relationsIn([...Object.keys(filters), ...(search ? search.fields : [])]);
+    const lookup = [...new Set([...include, ...needed])];
+
+    const matched = Array.from(rows().values())
+      .map((row) => embed(row, lookup))
+      .filter((row) => matchesFilters(row, filters) && matchesSearch(row, search));
+
+    [].concat(orderBy).slice().reverse().forEach(({ field, ascending = true }) => {
+      matched.sort((a, b) => (ascending ? 1 : -1) * compare(getPath(a, field), getPath(b, field)));
+    });
+
+    const extra = needed.filter((name) => !include.includes(name));
+    return matched.map((row) => {
+      extra.forEach((name) => delete row[name]);
+      return row;
+    });
+  };
+
+  return {
+    entity: definition,
+
+    rawRows() {
+      return Array.from(rows().values());
+    },
+
+    async findMany({ filters, search, orderBy, offset = 0, limit, include } = {}) {
+      const matched = select({ filters, search, orderBy, include });
+      const page = limit === undefined ? matched.slice(offset) : matched.slice(offset, offset + limit);
+      return { rows: page, count: matched.length };
+    },
+
+    async findOne(filters, { include } = {}) {
+      return select({ filters, include })[0] || null;
+    },
+
+    async findById(id, { include } = {}) {
+      const row = rows().get(id);
+      return row ? embed(row, include) : null;
+    },
+
+    async count(filters) {
+      return select({ filters }).length;
+    },
+
+    async create(data, { include } = {}) {
+      const row = { ...clone(data), id: data.id || crypto.randomUUID() };
+      assertUnique(row);
+      rows().set(row.id, row);
+      return embed(row, include);
+    },
+
+    async createMany(items) {
+      return Promise.all(items.map((item) => this.create(item)));
+    },
+
+    async update(id, updates, { include } = {}) {
+      const existing = rows().get(id);
+      if (!existing) return null;
+
+      const row = { ...existing, ...clone(updates), id };
+      assertUnique(row);
+      rows().set(id, row);
+      return embed(row, include);
+    },
+
+    async updateMany(filters, updates) {
+      const targets = select({ filters });
+      return Promise.all(targets.map((row) => this.update(row.id, updates)));
+    },
+
+    async remove(id) {
+      const existing = rows().get(id);
+      if (!existing) return null;
+
+      rows().delete(id);
+      return clone(existing);
+    }
+  };
+};
+
+module.exports = { createMemoryStore, createMemoryRepository };
@@ -0,0 +1,170 @@
+const { SupabaseError } = require('../middleware/errorHandler');
+
+// Build the select clause for a row plus any requested embedded relations
+const buildSelect = (definition, include = []) => {
+  const embeds = include.map((name) => {
+    const relation = definition.relations[name];
+    if (!relation) {
+      throw new Error(`Unknown relation "${name}" on ${definition.table}`);
+    }
+    return `${name} (${relation.columns || '*'})`;
+  });
+
+  return ['*', ...embeds].join(', ');
+};
+
+// A condition's operators as PostgREST filter strings, for use inside or()
+const conditionTerms = (field, condition) => [
+  ...['eq', 'neq', 'gt', 'gte', 'lt', 'lte']
+    .filter((operator) => condition[operator] !== undefined)
+    .map((operator) => `${field}.${operator}.${condition[operator]}`),
+  ...(condition.in !== undefined ? [`${field}.in.(${condition.in.join(',')})`] : []),
+  ...(condition.notIn !== undefined && condition.notIn.length > 0 ? [`${field}.not.in.(${condition.notIn.join(',')})`] : [])
+];
+
+// Translate a filter object into query builder calls
+const applyFilters = (query, filters = {}) => {
+  Object.entries(filters).forEach(([field, condition]) => {
+    if (condition === undefined) return;
+
+    if (condition === null) {
+      query = query.is(field, null);
+      return;
+    }
+
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+      query = query.eq(field, condition);
+      return;
+    }
+
+    // Comparisons never match null, so `orNull` puts the null rows back in
+    if (condition.orNull) {
+      const terms = conditionTerms(field, condition);
+      query = query.or(terms.length > 0 ? `${field}.is.null,and(${terms.join(',')})` : `${field}.is.null`);
+      return;
+    }
+
+    if (condition.eq !== undefined) query = query.eq(field, condition.eq);
+    if (condition.neq !== undefined) query = query.neq(field, condition.neq);
+    if (condition.gt !== undefined) query = query.gt(field, condition.gt);
+    if (condition.gte !== undefined) query = query.gte(field, condition.gte);
+    if (condition.lt !== undefined) query = query.lt(field, condition.lt);
+    if (condition.lte !== undefined) query = query.lte(field, condition.lte);
+    if (condition.in !== undefined) query = query.in(field, condition.in);
+    if (condition.notIn !== undefined && condition.notIn.length > 0) {
+      query = query.not(field, 'in', `(${condition.notIn.join(',')})`);
+    }
+  });
+
+  return query;
+};
+
+const applySearch = (query, search) => {
+  if (!search || !search.term) return query;
+
+  return query.or(search.fields.map((field) => `${field}.ilike.%${search.term}%`).join(','));
+};
+
+const applyOrder = (query, orderBy = []) => {
+  [].concat(orderBy).forEach(({ field, ascending = true }) => {
+    query = query.order(field, { ascending });
+  });
+
+  return query;
+};
+
+// Create a repository backed by a Supabase table
+const createSupabaseRepository = (client, definition) => {
+  const table = () => client.from(definition.table);
+
+  return {
+    entity: definition,
+
+    async findMany({ filters, search, orderBy, offset, limit, include } = {}) {
+      let query = table().select(buildSelect(definition, include), { count: 'exact' });
+
+      query = applyFilters(query, filters);
+      query = applySearch(query, search);
+      query = applyOrder(query, orderBy);
+
+      if (limit !== undefined) {
+        const start = offset || 0;
+        query = query.range(start, start + limit - 1);
+      }
+
+      const { data, error, count } = await query;
+      if (error) throw new SupabaseError(error.message);
+      return { rows: data || [], count: count || 0 };
+    },
+
+    async findOne(filters, { include } = {}) {
+      const query = applyFilters(table().select(buildSelect(definition, include)), filters);
+
+      const { data, error } = await query.limit(1).maybeSingle();
+      if (error) throw new SupabaseError(error.message);
+      return data;
+    },
+
+    async findById(id, options = {}) {
+      return this.findOne({ id }, options);
+    },
+
+    async count(filters) {
+      const query = applyFilters(table().select('*', { count: 'exact', head: true }), filters);
+
+      const { count, error } = await query;
+      if (error) throw new SupabaseError(error.message);
+      return count || 0;
+    },
+
+    async create(data, { include } = {}) {
+      const { data: row, error } = await table()
+        .insert(data)
+        .select(buildSelect(definition, include))
+        .single();
+
+      if (error) throw new SupabaseError(error.message, error.code);
+      return row;
+    },
+
+    async createMany(rows) {
+      if (rows.length === 0) return [];
+
+      const { data, error } = await table().insert(rows).select();
+      if (error) throw new SupabaseError(error.message, error.code);
+      return data;
+    },
+
+    async update(id, updates, { include } = {}) {
+      const { data: row, error } = await table()
+        .update(updates)
+        .eq('id', id)
+        .select(buildSelect(definition, include))
+        .maybeSingle();
+
+      if (error) throw new SupabaseError(error.message);
+      return row;
+    },
+
+    async updateMany(filters, updates) {
+      const query = applyFilters(table().update(updates), filters);
+
+      const { data, error } = await query.select();
+      if (error) throw new SupabaseError(error.message);
+      return data || [];
+    },
+
+    async remove(id) {
+      const { data: row, error } = await table()
+        .delete()
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) throw new SupabaseError(error.message);
+      return row;
+    }
+  };
+};
+
+module.exports = { createSupabaseRepository };
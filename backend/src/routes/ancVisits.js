@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const { doctorProfileFor } = require('../services/careTeam');
+const {
+  FETAL_PRESENTATIONS,
+  URINE_PROTEIN_LEVELS,
+  COUNSELLING_TOPICS,
+  visitAlerts,
+  placeVisit,
+  contactCoverage
+} = require('../services/ancVisits');
+
+// Mounted under /api/patients/:patientId/pregnancies/:pregnancyId/anc-visits
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Structured findings of an ANC contact
+const VISIT_FIELDS = [
+  'visitDate',
+  'systolicBp',
+  'diastolicBp',
+  'weightKg',
+  'fundalHeightCm',
+  'fetalHeartRate',
+  'presentation',
+  'urineProtein',
+  'hemoglobin',
+  'iptpDose',
+  'tetanusDose',
+  'counselling',
+  'notes'
+];
+
+// Validation middleware; `optional` marks every field optional for corrections
+const visitValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const measurement = (name) => body(name).optional({ values: 'null' });
+
+  return [
+    field('visitDate').isISO8601().withMessage('Valid visit date is required'),
+    field('systolicBp').isInt({ min: 60, max: 260 }).withMessage('Systolic BP must be between 60 and 260 mmHg'),
+    field('diastolicBp').isInt({ min: 30, max: 160 }).withMessage('Diastolic BP must be between 30 and 160 mmHg'),
+    field('weightKg').isFloat({ min: 30, max: 250 }).withMessage('Weight must be between 30 and 250 kg'),
+    measurement('fundalHeightCm').isFloat({ min: 5, max: 50 }).withMessage('Fundal height must be between 5 and 50 cm'),
+    measurement('fetalHeartRate').isInt({ min: 50, max: 240 }).withMessage('Fetal heart rate must be between 50 and 240 bpm'),
+    measurement('presentation').isIn(FETAL_PRESENTATIONS).withMessage(`Presentation must be one of ${FETAL_PRESENTATIONS.join(', ')}`),
+    measurement('urineProtein').isIn(URINE_PROTEIN_LEVELS).withMessage(`Urine protein must be one of ${URINE_PROTEIN_LEVELS.join(', ')}`),
+    measurement('hemoglobin').isFloat({ min: 3, max: 20 }).withMessage('Hb must be between 3 and 20 g/dL'),
+    measurement('iptpDose').isInt({ min: 1, max: 5 }).withMessage('IPTp dose must be between 1 and 5'),
+    measurement('tetanusDose').isInt({ min: 1, max: 5 }).withMessage('Tetanus dose must be between 1 and 5'),
+    body('counselling').optional().isArray().withMessage('Counselling must be a list of topics'),
+    body('counselling.*').isIn(COUNSELLING_TOPICS).withMessage(`Counselling topics must be among ${COUNSELLING_TOPICS.join(', ')}`),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+  ];
+};
+
+const checkBloodPressure = ({ systolicBp, diastolicBp }) => {
+  if (Number(diastolicBp) >= Number(systolicBp)) {
+    throw new ValidationError('Diastolic BP must be lower than systolic BP');
+  }
+};
+
+const findPregnancy = async (req) => {
+  const pregnancy = await repositories.pregnancies.findOne({ id: req.params.pregnancyId, patientId: req.params.patientId });
+
+  if (!pregnancy) {
+    throw new NotFoundError('Pregnancy not found');
+  }
+
+  return pregnancy;
+};
+
+const findVisit = async (req) => {
+  const visit = await repositories.ancVisits.findOne({ id: req.params.visitId, pregnancyId: req.params.pregnancyId });
+
+  if (!visit) {
+    throw new NotFoundError('ANC visit not found');
+  }
+
+  return visit;
+};
+
+const pick = (source) => Object.fromEntries(VISIT_FIELDS
+  .filter((field) => source[field] !== undefined)
+  .map((field) => [field, source[field]]));
+
+// Get the pregnancy's ANC visits in date order
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const pregnancy = await findPregnancy(req);
+
+    const { rows: visits } = await repositories.ancVisits.findMany({
+      filters: { pregnancyId: pregnancy.id },
+      orderBy: { field: 'visitDate', ascending: true }
+    });
+
+    res.json({
+      success: true,
+      data: { visits }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Coverage of the WHO 8-contact schedule: attended, due, upcoming or missed
+router.get('/coverage', asyncHandler(async (req, res) => {
+  try {
+    const pregnancy = await findPregnancy(req);
+    const coverage = await contactCoverage(pregnancy);
+
+    res.json({
+      success: true,
+      data: {
+        pregnancy: { id: pregnancy.id, status: pregnancy.status, edd: pregnancy.edd, outcomeDate: pregnancy.outcomeDate },
+        ...coverage
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get an ANC visit
+router.get('/:visitId', asyncHandler(async (req, res) => {
+  try {
+    await findPregnancy(req);
+    const visit = await findVisit(req);
+
+    res.json({
+      success: true,
+      data: { visit }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record an ANC visit. It is placed against a WHO contact by its gestational age and checked for
+// findings that need attention.
+router.post('/', requireDoctor, visitValidators(), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    checkBloodPressure(req.body);
+
+    const pregnancy = await findPregnancy(req);
+    const findings = pick(req.body);
+    const placement = placeVisit(pregnancy, findings.visitDate);
+    const doctor = await doctorProfileFor(req.userId);
+    const now = new Date().toISOString();
+
+    const visit = await repositories.ancVisits.create({
+      patientId: pregnancy.patientId,
+      pregnancyId: pregnancy.id,
+      doctorId: doctor ? doctor.id : null,
+      counselling: [],
+      ...findings,
+      ...placement,
+      alerts: visitAlerts(findings, placement.gestationalAgeDays),
+      recordedBy: req.userId,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'ANC visit recorded successfully',
+      data: { visit }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Correct an ANC visit; its contact and alerts are worked out again
+router.put('/:visitId', requireDoctor, visitValidators(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const pregnancy = await findPregnancy(req);
+    const existing = await findVisit(req);
+    const findings = { ...pick(existing), ...pick(req.body) };
+
+    checkBloodPressure(findings);
+    const placement = placeVisit(pregnancy, findings.visitDate);
+
+    const visit = await repositories.ancVisits.update(existing.id, {
+      ...pick(req.body),
+      ...placement,
+      alerts: visitAlerts(findings, placement.gestationalAgeDays),
+      updatedBy: req.userId,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'ANC visit updated successfully',
+      data: { visit }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
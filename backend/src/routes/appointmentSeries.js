@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor } = require('../middleware/auth');
+const { ValidationError, asyncHandler } = require('../middleware/errorHandler');
+const { actorFrom } = require('../services/appointmentLifecycle');
+const {
+  isRecurrenceRule,
+  createSeries,
+  getSeriesAppointments,
+  loadSeries,
+  updateOccurrences,
+  cancelOccurrences
+} = require('../services/appointmentSeries');
+const { assertPatientAccess, assertNotBreakGlass, patientScopeFor } = require('../services/careTeam');
+
+const router = express.Router();
+
+// Validation middleware
+const validateSeriesData = [
+  body('patientId').isUUID().withMessage('Valid patient ID is required'),
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('clinicId').optional().isUUID().withMessage('Valid clinic ID is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('appointmentTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)'),
+  body('duration').isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('type').isIn(['consultation', 'follow-up', 'emergency', 'routine', 'surgery']).withMessage('Valid appointment type is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('recurrence').isObject().withMessage('Recurrence rule is required').bail().custom(isRecurrenceRule),
+  body('onConflict').optional().isIn(['reject', 'skip']).withMessage('On conflict must be reject or skip')
+];
+
+const validateOccurrenceUpdate = [
+  body('scope').isIn(['this', 'following']).withMessage('Scope must be this or following'),
+  body('appointmentDate').optional().isISO8601().withMessage('Valid appointment date is required'),
+  body('appointmentTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('doctorId').optional().isUUID().withMessage('Valid doctor ID is required'),
+  body('type').optional().isIn(['consultation', 'follow-up', 'emergency', 'routine', 'surgery']).withMessage('Valid appointment type is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateOccurrenceCancellation = [
+  body('scope').isIn(['this', 'following']).withMessage('Scope must be this or following'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+// Fields an occurrence edit may change
+const EDITABLE_FIELDS = ['appointmentDate', 'appointmentTime', 'duration', 'doctorId', 'type', 'reason', 'notes'];
+
+// Load a series of a patient the user may access
+const findSeries = async (req) => {
+  const series = await loadSeries(req.params.seriesId);
+
+  await assertPatientAccess(actorFrom(req), series.patientId);
+  return series;
+};
+
+// Get appointment series (with filtering)
+router.get('/', requireDoctor, asyncHandler(async (req, res) => {
+  const { patientId, doctorId, status, page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const { rows: series, count } = await repositories.appointmentSeries.findMany({
+      filters: { patientId: await patientScopeFor(actorFrom(req), patientId), doctorId, status },
+      orderBy: { field: 'createdAt', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a series with its appointments
+router.get('/:seriesId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const series = await findSeries(req);
+    const appointments = await getSeriesAppointments(series.id);
+
+    res.json({
+      success: true,
+      data: { series, appointments }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Create a series and generate its appointments
+router.post('/', requireDoctor, validateSeriesData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const {
+    patientId, doctorId, clinicId, startDate, appointmentTime, duration,
+    type, reason, notes, recurrence, onConflict
+  } = req.body;
+
+  try {
+    assertNotBreakGlass(await assertPatientAccess(actorFrom(req), patientId));
+
+    const result = await createSeries({
+      patientId,
+      doctorId,
+      clinicId: clinicId || null,
+      startDate,
+      appointmentTime,
+      duration: parseInt(duration),
+      type,
+      reason: reason || null,
+      notes: notes || null,
+      recurrence,
+      onConflict
+    }, actorFrom(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Appointment series created with ${result.appointments.length} appointments`,
+      data: result
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Edit one occurrence, or it and all following occurrences
+router.put('/:seriesId/appointments/:appointmentId', requireDoctor, validateOccurrenceUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { seriesId, appointmentId } = req.params;
+  const { scope } = req.body;
+
+  const changes = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError('No changes provided');
+  }
+  if (scope === 'following' && changes.appointmentDate) {
+    throw new ValidationError('Appointment date can only be changed for a single occurrence');
+  }
+
+  try {
+    await findSeries(req);
+
+    const appointments = await updateOccurrences(seriesId, appointmentId, scope, changes, actorFrom(req));
+
+    res.json({
+      success: true,
+      message: `${appointments.length} appointments updated successfully`,
+      data: { appointments }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Cancel one occurrence, or it and all following occurrences
+router.post('/:seriesId/appointments/:appointmentId/cancel', requireDoctor, validateOccurrenceCancellation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { seriesId, appointmentId } = req.params;
+  const { scope, reason } = req.body;
+
+  try {
+    await findSeries(req);
+
+    const appointments = await cancelOccurrences(seriesId, appointmentId, scope, reason, actorFrom(req));
+
+    res.json({
+      success: true,
+      message: `${appointments.length} appointments cancelled successfully`,
+      data: { appointments }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase, TABLES } = require('../config/supabase');
-const { authenticateToken, requireDoctor, asyncHandler } = require('../middleware/auth');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { repositories } = require('../repositories');
+const { authenticateToken, requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const { assertNoConflicts, needsConflictCheck } = require('../services/scheduling');
+const {
+  APPOINTMENT_STATUSES,
+  assertTransition,
+  createAppointment,
+  updateAppointment,
+  getHistory,
+  actorFrom
+} = require('../services/appointmentLifecycle');
+const { assertPatientAccess, assertNotBreakGlass, patientScopeFor } = require('../services/careTeam');
 
 const router = express.Router();
 
@@ -22,12 +32,29 @@ const validateAppointmentUpdate = [
   body('appointmentDate').optional().isISO8601().withMessage('Valid appointment date is required'),
   body('appointmentTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)'),
   body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
-  body('status').optional().isIn(['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show']).withMessage('Valid status is required'),
+  body('status').optional().isIn(APPOINTMENT_STATUSES).withMessage('Valid status is required'),
+  body('statusReason').optional().isString().withMessage('Status reason must be a string'),
   body('type').optional().isIn(['consultation', 'follow-up', 'emergency', 'routine', 'surgery']).withMessage('Valid appointment type is required'),
   body('reason').optional().isString().withMessage('Reason must be a string'),
   body('notes').optional().isString().withMessage('Notes must be a string')
 ];
 
+// Fields an update may change. The patient and doctor are fixed: an appointment moved to another
+// patient would count as a care relationship with them (see services/careTeam).
+const UPDATABLE_FIELDS = ['appointmentDate', 'appointmentTime', 'duration', 'status', 'type', 'reason', 'notes'];
+
+// Load an appointment of a patient the user may access
+const findAppointment = async (req, options = {}) => {
+  const appointment = await repositories.appointments.findById(req.params.appointmentId, options);
+
+  if (!appointment) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  await assertPatientAccess(actorFrom(req), appointment.patientId);
+  return appointment;
+};
+
 // Get all appointments (with filtering and pagination)
 router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   const { 
@@ -45,42 +72,19 @@ router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `, { count: 'exact' });
-
-    // Apply filters
-    if (status) {
-      query = query.eq('status', status);
-    }
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-    if (patientId) {
-      query = query.eq('patientId', patientId);
-    }
-    if (date) {
-      query = query.eq('appointmentDate', date);
-    }
-    if (type) {
-      query = query.eq('type', type);
-    }
-
-    // Apply sorting
-    query = query.order(sortBy, { ascending: sortOrder === 'asc' });
-
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
-
-    const { data: appointments, error, count } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch appointments');
-    }
+    const { rows: appointments, count } = await repositories.appointments.findMany({
+      filters: {
+        status,
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req), patientId),
+        appointmentDate: date,
+        type
+      },
+      orderBy: { field: sortBy, ascending: sortOrder === 'asc' },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -105,22 +109,10 @@ router.get('/', requireDoctor, asyncHandler(async (req, res) => {
 
 // Get appointment by ID
 router.get('/:appointmentId', requireDoctor, asyncHandler(async (req, res) => {
-  const { appointmentId } = req.params;
-
   try {
-    const { data: appointment, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone, dateOfBirth, gender),
-        doctors (id, firstName, lastName, specialization, email, phone)
-      `)
-      .eq('id', appointmentId)
-      .single();
-
-    if (error || !appointment) {
-      throw new NotFoundError('Appointment not found');
-    }
+    const appointment = await findAppointment(req, {
+      include: ['patients', 'doctors']
+    });
 
     res.json({
       success: true,
@@ -147,37 +139,14 @@ router.post('/', requireDoctor, validateAppointmentData, asyncHandler(async (req
   };
 
   try {
-    // Check for scheduling conflicts
-    const { data: conflicts, error: conflictError } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .select('id')
-      .eq('doctorId', appointmentData.doctorId)
-      .eq('appointmentDate', appointmentData.appointmentDate)
-      .eq('status', 'scheduled')
-      .or(`status.eq.confirmed,status.eq.in-progress`);
-
-    if (conflictError) {
-      throw new ValidationError('Failed to check for scheduling conflicts');
-    }
+    assertNotBreakGlass(await assertPatientAccess(actorFrom(req), appointmentData.patientId));
 
-    // Simple conflict detection (can be enhanced)
-    if (conflicts && conflicts.length > 0) {
-      throw new ValidationError('Appointment time conflicts with existing appointments');
-    }
+    // Check for overlapping appointments for the doctor and the patient
+    await assertNoConflicts(appointmentData);
 
-    const { data: appointment, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .insert(appointmentData)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .single();
-
-    if (error) {
-      throw new ValidationError('Failed to create appointment');
-    }
+    const appointment = await createAppointment(appointmentData, actorFrom(req), {
+      include: ['patients', 'doctors']
+    });
 
     res.status(201).json({
       success: true,
@@ -196,28 +165,38 @@ router.put('/:appointmentId', requireDoctor, validateAppointmentUpdate, asyncHan
     throw new ValidationError(errors.array()[0].msg);
   }
 
-  const { appointmentId } = req.params;
+  const { statusReason } = req.body;
   const updates = {
-    ...req.body,
+    ...Object.fromEntries(UPDATABLE_FIELDS
+      .filter((field) => req.body[field] !== undefined)
+      .map((field) => [field, req.body[field]])),
     updatedAt: new Date().toISOString()
   };
 
   try {
-    const { data: appointment, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .update(updates)
-      .eq('id', appointmentId)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .single();
-
-    if (error || !appointment) {
-      throw new NotFoundError('Appointment not found');
+    const existing = await findAppointment(req);
+
+    const reassigned = ['patientId', 'doctorId']
+      .filter((field) => req.body[field] !== undefined && req.body[field] !== existing[field]);
+    if (reassigned.length > 0) {
+      throw new ValidationError(`The appointment's ${reassigned.join(' and ')} cannot be changed; cancel it and book a new one`);
     }
 
+    // Reject an invalid status change before looking at the schedule
+    if (updates.status !== undefined && updates.status !== existing.status) {
+      assertTransition(existing.status, updates.status);
+    }
+
+    // Re-check conflicts when the appointment moves slot or becomes active again
+    if (needsConflictCheck(existing, updates)) {
+      await assertNoConflicts({ ...existing, ...updates, excludeId: existing.id });
+    }
+
+    const appointment = await updateAppointment(existing, updates, actorFrom(req), {
+      reason: statusReason,
+      include: ['patients', 'doctors']
+    });
+
     res.json({
       success: true,
       message: 'Appointment updated successfully',
@@ -230,17 +209,11 @@ router.put('/:appointmentId', requireDoctor, validateAppointmentUpdate, asyncHan
 
 // Delete appointment
 router.delete('/:appointmentId', requireDoctor, asyncHandler(async (req, res) => {
-  const { appointmentId } = req.params;
-
   try {
-    const { data: appointment, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .delete()
-      .eq('id', appointmentId)
-      .select()
-      .single();
-
-    if (error || !appointment) {
+    const existing = await findAppointment(req);
+    const appointment = await repositories.appointments.remove(existing.id);
+
+    if (!appointment) {
       throw new NotFoundError('Appointment not found');
     }
 
@@ -259,26 +232,16 @@ router.get('/today/schedule', requireDoctor, asyncHandler(async (req, res) => {
   const today = new Date().toISOString().split('T')[0];
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .eq('appointmentDate', today)
-      .in('status', ['scheduled', 'confirmed', 'in-progress'])
-      .order('appointmentTime', { ascending: true });
-
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-
-    const { data: appointments, error } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch today\'s appointments');
-    }
+    const { rows: appointments } = await repositories.appointments.findMany({
+      filters: {
+        appointmentDate: today,
+        status: { in: ['scheduled', 'confirmed', 'in-progress'] },
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req))
+      },
+      orderBy: { field: 'appointmentTime', ascending: true },
+      include: ['patients', 'doctors']
+    });
 
     res.json({
       success: true,
@@ -297,28 +260,22 @@ router.get('/upcoming/schedule', requireDoctor, asyncHandler(async (req, res) =>
   endDate.setDate(today.getDate() + parseInt(days));
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .gte('appointmentDate', today.toISOString().split('T')[0])
-      .lte('appointmentDate', endDate.toISOString().split('T')[0])
-      .in('status', ['scheduled', 'confirmed'])
-      .order('appointmentDate', { ascending: true })
-      .order('appointmentTime', { ascending: true });
-
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-
-    const { data: appointments, error } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch upcoming appointments');
-    }
+    const { rows: appointments } = await repositories.appointments.findMany({
+      filters: {
+        appointmentDate: {
+          gte: today.toISOString().split('T')[0],
+          lte: endDate.toISOString().split('T')[0]
+        },
+        status: { in: ['scheduled', 'confirmed'] },
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req))
+      },
+      orderBy: [
+        { field: 'appointmentDate', ascending: true },
+        { field: 'appointmentTime', ascending: true }
+      ],
+      include: ['patients', 'doctors']
+    });
 
     res.json({
       success: true,
@@ -331,31 +288,19 @@ router.get('/upcoming/schedule', requireDoctor, asyncHandler(async (req, res) =>
 
 // Update appointment status
 router.patch('/:appointmentId/status', requireDoctor, asyncHandler(async (req, res) => {
-  const { appointmentId } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
-  if (!['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'].includes(status)) {
+  if (!APPOINTMENT_STATUSES.includes(status)) {
     throw new ValidationError('Invalid appointment status');
   }
 
   try {
-    const { data: appointment, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .update({ 
-        status, 
-        updatedAt: new Date().toISOString() 
-      })
-      .eq('id', appointmentId)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .single();
-
-    if (error || !appointment) {
-      throw new NotFoundError('Appointment not found');
-    }
+    const existing = await findAppointment(req);
+
+    const appointment = await updateAppointment(existing, { status }, actorFrom(req), {
+      reason,
+      include: ['patients', 'doctors']
+    });
 
     res.json({
       success: true,
@@ -367,30 +312,36 @@ router.patch('/:appointmentId/status', requireDoctor, asyncHandler(async (req, r
   }
 }));
 
+// Get appointment status history
+router.get('/:appointmentId/history', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findAppointment(req);
+    const history = await getHistory(appointment.id);
+
+    res.json({
+      success: true,
+      data: {
+        status: appointment.status,
+        history
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
 // Get appointment statistics
 router.get('/stats/overview', requireDoctor, asyncHandler(async (req, res) => {
   const { doctorId, startDate, endDate } = req.query;
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select('status, appointmentDate, type');
-
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-    if (startDate) {
-      query = query.gte('appointmentDate', startDate);
-    }
-    if (endDate) {
-      query = query.lte('appointmentDate', endDate);
-    }
-
-    const { data: appointments, error } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch appointment statistics');
-    }
+    const { rows: appointments } = await repositories.appointments.findMany({
+      filters: {
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req)),
+        appointmentDate: { gte: startDate, lte: endDate }
+      }
+    });
 
     // Calculate statistics
     const stats = {
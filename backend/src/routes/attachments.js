@@ -0,0 +1,177 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  ATTACHMENT_CATEGORIES,
+  MAX_ATTACHMENT_BYTES,
+  storeAttachment,
+  signedUrlFor
+} = require('../services/attachments');
+const { statusOf } = require('../services/recordVersions');
+const { signatureStatusOf } = require('../services/recordSigning');
+const { assertPatientAccess } = require('../services/careTeam');
+
+// Mounted under /api/medical-records/:recordId/attachments
+const router = express.Router({ mergeParams: true });
+
+// Attachments are part of the note: once it is signed, files go with an addendum instead
+const assertUnsigned = (record) => {
+  if (signatureStatusOf(record) !== 'unsigned') {
+    throw new ConflictError('The record is signed and locked; add an addendum instead', {
+      signatureStatus: signatureStatusOf(record)
+    });
+  }
+};
+
+// Uploads stay in memory so they are checked and scanned before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+const sizeLimitLabel = MAX_ATTACHMENT_BYTES >= 1024 * 1024
+  ? `${Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`
+  : `${Math.round(MAX_ATTACHMENT_BYTES / 1024)} KB`;
+
+// Single `file` field; multer's own errors (size, field count) become validation errors
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new ValidationError(error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than the ${sizeLimitLabel} limit`
+        : `Invalid upload: ${error.message}`));
+    }
+    next(error);
+  });
+};
+
+// Validation middleware
+const validateAttachmentData = [
+  body('category').isIn(ATTACHMENT_CATEGORIES).withMessage(`Category must be one of ${ATTACHMENT_CATEGORIES.join(', ')}`),
+  body('description').optional().isString().withMessage('Description must be a string')
+];
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+// Load the record in the route, for a patient the user may access
+const findRecord = async (req) => {
+  const record = await repositories.medicalRecords.findById(req.params.recordId);
+
+  if (!record) {
+    throw new NotFoundError('Medical record not found');
+  }
+
+  await assertPatientAccess(actorFrom(req), record.patientId);
+  return record;
+};
+
+// Attachments removed from a record are kept for the record's history but no longer served
+const findAttachment = async (req) => {
+  const attachment = await repositories.recordAttachments.findOne({
+    id: req.params.attachmentId,
+    medicalRecordId: req.params.recordId,
+    removedAt: null
+  });
+
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  await assertPatientAccess(actorFrom(req), attachment.patientId);
+  return attachment;
+};
+
+// List a record's attachments
+router.get('/', requireDoctor, asyncHandler(async (req, res) => {
+  const { category } = req.query;
+
+  try {
+    await findRecord(req);
+
+    const { rows: attachments } = await repositories.recordAttachments.findMany({
+      filters: { medicalRecordId: req.params.recordId, category, removedAt: null },
+      orderBy: { field: 'createdAt', ascending: false }
+    });
+
+    res.json({
+      success: true,
+      data: { attachments }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Upload an attachment (multipart/form-data with `file`, `category` and optional `description`)
+router.post('/', requireDoctor, uploadSingleFile, validateAttachmentData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const record = await findRecord(req);
+
+    if (statusOf(record) !== 'active') {
+      throw new ConflictError('Files cannot be attached to a record entered in error', { currentStatus: statusOf(record) });
+    }
+    assertUnsigned(record);
+
+    const attachment = await storeAttachment({
+      record,
+      file: req.file,
+      category: req.body.category,
+      description: req.body.description,
+      actor: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: { attachment }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get an attachment with a short-lived download URL
+router.get('/:attachmentId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    const { url, expiresAt } = await signedUrlFor(attachment);
+
+    res.json({
+      success: true,
+      data: { attachment, url, expiresAt }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Remove an attachment from the record; the stored file is retained with the record
+router.delete('/:attachmentId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    assertUnsigned(await findRecord(req));
+
+    await repositories.recordAttachments.update(attachment.id, {
+      removedAt: new Date().toISOString(),
+      removedBy: req.userId,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment removed successfully'
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const { repositories } = require('../repositories');
+const { requireAdmin } = require('../middleware/auth');
+const { ValidationError, asyncHandler } = require('../middleware/errorHandler');
+const { AUDIT_ACTIONS, AUDIT_OUTCOMES, verifyChain } = require('../services/audit');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Query the audit trail (with filtering and pagination), newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 50,
+    actorId,
+    patientId,
+    resource,
+    resourceId,
+    action,
+    outcome,
+    requestId,
+    startDate,
+    endDate
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+
+  try {
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      throw new ValidationError(`Action must be one of ${AUDIT_ACTIONS.join(', ')}`);
+    }
+    if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+      throw new ValidationError(`Outcome must be one of ${AUDIT_OUTCOMES.join(', ')}`);
+    }
+
+    const { rows: entries, count } = await repositories.auditLog.findMany({
+      filters: {
+        actorId,
+        patientId,
+        resource,
+        resourceId,
+        action,
+        outcome,
+        requestId,
+        occurredAt: {
+          gte: startDate ? new Date(startDate).toISOString() : undefined,
+          lte: endDate ? new Date(`${endDate}T23:59:59.999`).toISOString() : undefined
+        }
+      },
+      orderBy: { field: 'sequence', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['users']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Recompute the hash chain to show the trail has not been altered
+router.get('/verify', asyncHandler(async (req, res) => {
+  try {
+    const verification = await verifyChain();
+
+    res.json({
+      success: true,
+      message: verification.valid ? 'Audit trail is intact' : 'Audit trail has been altered',
+      data: verification
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
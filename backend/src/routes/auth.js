@@ -2,9 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { supabase, authHelpers, dbHelpers } = require('../config/supabase');
-const { authenticateToken, asyncHandler } = require('../middleware/auth');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { authHelpers } = require('../config/supabase');
+const { repositories } = require('../repositories');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ForbiddenError, asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
@@ -14,7 +15,7 @@ const validateRegistration = [
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
   body('firstName').trim().notEmpty().withMessage('First name is required'),
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
-  body('role').isIn(['patient', 'doctor', 'admin']).withMessage('Valid role is required'),
+  body('role').isIn(['patient', 'doctor', 'lab', 'admin']).withMessage('Valid role is required'),
   body('phone').optional().isMobilePhone().withMessage('Valid phone number is required')
 ];
 
@@ -32,8 +33,8 @@ const validatePasswordUpdate = [
   body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
 ];
 
-// Register new user
-router.post('/register', validateRegistration, asyncHandler(async (req, res) => {
+// Register new user. Anyone may register as a patient; staff accounts are created by an admin.
+router.post('/register', optionalAuth, validateRegistration, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     throw new ValidationError(errors.array()[0].msg);
@@ -42,25 +43,30 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
   const { email, password, firstName, lastName, role, phone, dateOfBirth, gender } = req.body;
 
   try {
+    if (role !== 'patient') {
+      const creator = req.userId ? await repositories.users.findById(req.userId) : null;
+
+      if (!creator || creator.role !== 'admin') {
+        throw new ForbiddenError('Only an admin can create doctor, lab or admin accounts');
+      }
+    }
+
     // Check if user already exists
-    const { data: existingUser } = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', email)
-      .single();
+    const existingUser = await repositories.users.findOne({ email });
 
     if (existingUser) {
       throw new ValidationError('User with this email already exists');
     }
 
-    // Create user in Supabase Auth
-    const { data: authData, error: authError } = await authHelpers.signUp(email, password, {
-      firstName,
-      lastName,
-      role
-    });
-
-    if (authError) {
+    // Create user in the auth provider
+    let authData;
+    try {
+      authData = await authHelpers.signUp(email, password, {
+        firstName,
+        lastName,
+        role
+      });
+    } catch (authError) {
       throw new ValidationError(authError.message);
     }
 
@@ -78,15 +84,12 @@ router.post('/register', validateRegistration, asyncHandler(async (req, res) =>
       createdAt: new Date().toISOString()
     };
 
-    const { data: profileData, error: profileError } = await supabase
-      .from('users')
-      .insert(userProfile)
-      .select()
-      .single();
-
-    if (profileError) {
+    let profileData;
+    try {
+      profileData = await repositories.users.create(userProfile);
+    } catch (profileError) {
       // If profile creation fails, delete the auth user
-      await supabase.auth.admin.deleteUser(authData.user.id);
+      await authHelpers.deleteUser(authData.user.id);
       throw new ValidationError('Failed to create user profile');
     }
 
@@ -128,20 +131,17 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
 
   try {
     // Authenticate with Supabase
-    const { data: authData, error: authError } = await authHelpers.signIn(email, password);
-
-    if (authError) {
+    let authData;
+    try {
+      authData = await authHelpers.signIn(email, password);
+    } catch (authError) {
       throw new ValidationError('Invalid email or password');
     }
 
     // Get user profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', authData.user.id)
-      .single();
+    const userProfile = await repositories.users.findById(authData.user.id);
 
-    if (profileError || !userProfile) {
+    if (!userProfile) {
       throw new NotFoundError('User profile not found');
     }
 
@@ -181,13 +181,9 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
 // Get current user profile
 router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   try {
-    const { data: userProfile, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', req.userId)
-      .single();
+    const userProfile = await repositories.users.findById(req.userId);
 
-    if (error || !userProfile) {
+    if (!userProfile) {
       throw new NotFoundError('User profile not found');
     }
 
@@ -227,14 +223,9 @@ router.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
     if (gender) updates.gender = gender;
     updates.updatedAt = new Date().toISOString();
 
-    const { data: updatedProfile, error } = await supabase
-      .from('users')
-      .update(updates)
-      .eq('id', req.userId)
-      .select()
-      .single();
+    const updatedProfile = await repositories.users.update(req.userId, updates);
 
-    if (error) {
+    if (!updatedProfile) {
       throw new ValidationError('Failed to update profile');
     }
 
@@ -295,14 +286,10 @@ router.put('/change-password', authenticateToken, validatePasswordUpdate, asyncH
 
   try {
     // Verify current password
-    const { data: { user }, error: authError } = await supabase.auth.getUser();
-    
-    if (authError) {
-      throw new ValidationError('Authentication failed');
-    }
+    await authHelpers.signIn(req.user.email, currentPassword);
 
     // Update password
-    await authHelpers.updatePassword(newPassword);
+    await authHelpers.updatePassword(newPassword, req.userId);
 
     res.json({
       success: true,
@@ -341,11 +328,10 @@ router.post('/refresh-token', asyncHandler(async (req, res) => {
 
   try {
     // Verify refresh token and get new access token
-    const { data, error } = await supabase.auth.refreshSession({
-      refresh_token: refreshToken
-    });
-
-    if (error) {
+    let data;
+    try {
+      data = await authHelpers.refreshSession(refreshToken);
+    } catch (refreshError) {
       throw new ValidationError('Invalid refresh token');
     }
 
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, requireAdmin } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { doctorProfileFor, patientAccessFor } = require('../services/careTeam');
+const {
+  BREAK_GLASS_MINUTES,
+  REVIEW_STATUSES,
+  REVIEW_OUTCOMES,
+  declareEmergency,
+  accessesUnder
+} = require('../services/breakGlass');
+
+const router = express.Router();
+
+// Validation middleware
+const validateEmergency = [
+  body('patientId').isUUID().withMessage('Valid patient ID is required'),
+  body('reason').trim().isLength({ min: 10 }).withMessage('Describe the emergency in at least 10 characters')
+];
+
+const validateReview = [
+  body('outcome').isIn(REVIEW_OUTCOMES).withMessage(`Outcome must be one of ${REVIEW_OUTCOMES.join(', ')}`),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+const findGrant = async (grantId, options = {}) => {
+  const grant = await repositories.breakGlassGrants.findById(grantId, options);
+
+  if (!grant) {
+    throw new NotFoundError('Emergency access grant not found');
+  }
+
+  return grant;
+};
+
+// Break the glass: time-limited access to a patient the clinician has no care relationship with
+router.post('/', requireDoctor, validateEmergency, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId, reason } = req.body;
+
+  try {
+    const doctor = await doctorProfileFor(req.userId);
+    if (!doctor) {
+      throw new ForbiddenError('Only clinicians with a doctor profile can use emergency access');
+    }
+
+    const patient = await repositories.patients.findById(patientId);
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    const access = await patientAccessFor(actorFrom(req), patientId);
+    if (access && access.basis !== 'break-glass') {
+      throw new ConflictError('You already have access to this patient', { basis: access.basis });
+    }
+
+    const grant = await declareEmergency({
+      doctor,
+      patient,
+      reason,
+      actor: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Emergency access granted for ${BREAK_GLASS_MINUTES} minutes. This access is logged and will be reviewed.`,
+      data: { grant }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// The signed-in clinician's open grants
+router.get('/mine', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const { rows: grants } = await repositories.breakGlassGrants.findMany({
+      filters: { userId: req.userId, endedAt: null, expiresAt: { gt: new Date().toISOString() } },
+      orderBy: { field: 'grantedAt', ascending: false },
+      include: ['patients']
+    });
+
+    res.json({
+      success: true,
+      data: { grants }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Review report: grants waiting for an admin to acknowledge them (status=pending, the default) or already reviewed
+router.get('/review', requireAdmin, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'pending', patientId, doctorId } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const { rows, count } = await repositories.breakGlassGrants.findMany({
+      filters: { patientId, doctorId, reviewStatus: status },
+      orderBy: { field: 'grantedAt', ascending: status === 'pending' },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
+
+    const grants = [];
+    for (const grant of rows) {
+      grants.push({ ...grant, accessCount: (await accessesUnder(grant)).length });
+    }
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        grants,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// One grant with everything the clinician accessed under it (admins, or the clinician who holds it)
+router.get('/:grantId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const grant = await findGrant(req.params.grantId, { include: ['patients', 'doctors'] });
+
+    if (req.userRole !== 'admin' && grant.userId !== req.userId) {
+      throw new ForbiddenError('You can only view your own emergency access');
+    }
+
+    res.json({
+      success: true,
+      data: { grant, accesses: await accessesUnder(grant) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// End a grant early, once the emergency is over
+router.patch('/:grantId/end', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findGrant(req.params.grantId);
+
+    if (req.userRole !== 'admin' && existing.userId !== req.userId) {
+      throw new ForbiddenError('You can only end your own emergency access');
+    }
+    if (existing.endedAt || new Date(existing.expiresAt) <= new Date()) {
+      throw new ConflictError('Emergency access has already ended');
+    }
+
+    const grant = await repositories.breakGlassGrants.update(existing.id, {
+      endedAt: new Date().toISOString(),
+      endedBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Emergency access ended',
+      data: { grant }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Acknowledge a grant on the review report. Access judged inappropriate is ended at once.
+router.patch('/:grantId/acknowledge', requireAdmin, validateReview, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { outcome, notes } = req.body;
+
+  try {
+    const existing = await findGrant(req.params.grantId);
+
+    if (existing.reviewStatus === 'reviewed') {
+      throw new ConflictError('This emergency access has already been reviewed', { reviewedAt: existing.reviewedAt });
+    }
+
+    const now = new Date().toISOString();
+    const stillOpen = !existing.endedAt && existing.expiresAt > now;
+
+    const grant = await repositories.breakGlassGrants.update(existing.id, {
+      reviewStatus: 'reviewed',
+      reviewOutcome: outcome,
+      reviewNotes: notes || null,
+      reviewedBy: req.userId,
+      reviewedAt: now,
+      ...(outcome === 'inappropriate' && stillOpen && { endedAt: now, endedBy: req.userId })
+    });
+
+    res.json({
+      success: true,
+      message: 'Emergency access reviewed',
+      data: { grant }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -1,11 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase, TABLES } = require('../config/supabase');
-const { authenticateToken, requireAdmin, asyncHandler } = require('../middleware/auth');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { repositories } = require('../repositories');
+const { authenticateToken, requireAdmin, requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const { isWeeklySchedule } = require('../services/availability');
+const { isBookingPolicy } = require('../services/bookingPolicy');
+const { patientScopeFor } = require('../services/careTeam');
 
 const router = express.Router();
 
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
 // Validation middleware
 const validateClinicData = [
   body('name').trim().notEmpty().withMessage('Clinic name is required'),
@@ -15,7 +20,9 @@ const validateClinicData = [
   body('website').optional().isURL().withMessage('Valid website URL is required'),
   body('description').optional().isString().withMessage('Description must be a string'),
   body('services').optional().isArray().withMessage('Services must be an array'),
-  body('operatingHours').optional().isObject().withMessage('Operating hours must be an object'),
+  body('operatingHours').optional().isObject().withMessage('Operating hours must be an object').bail().custom(isWeeklySchedule),
+  body('bookingPolicy').optional().isObject().withMessage('Booking policy must be an object').bail().custom(isBookingPolicy),
+  body('adminUserId').optional().isUUID().withMessage('Valid admin user ID is required'),
   body('isActive').optional().isBoolean().withMessage('Is active must be a boolean')
 ];
 
@@ -27,7 +34,9 @@ const validateClinicUpdate = [
   body('website').optional().isURL().withMessage('Valid website URL is required'),
   body('description').optional().isString().withMessage('Description must be a string'),
   body('services').optional().isArray().withMessage('Services must be an array'),
-  body('operatingHours').optional().isObject().withMessage('Operating hours must be an object'),
+  body('operatingHours').optional().isObject().withMessage('Operating hours must be an object').bail().custom(isWeeklySchedule),
+  body('bookingPolicy').optional().isObject().withMessage('Booking policy must be an object').bail().custom(isBookingPolicy),
+  body('adminUserId').optional().isUUID().withMessage('Valid admin user ID is required'),
   body('isActive').optional().isBoolean().withMessage('Is active must be a boolean')
 ];
 
@@ -45,29 +54,13 @@ router.get('/', asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.CLINICS)
-      .select('*', { count: 'exact' });
-
-    // Apply filters
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,address.ilike.%${search}%,description.ilike.%${search}%`);
-    }
-    if (isActive !== undefined) {
-      query = query.eq('isActive', isActive === 'true');
-    }
-
-    // Apply sorting
-    query = query.order(sortBy, { ascending: sortOrder === 'asc' });
-
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
-
-    const { data: clinics, error, count } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch clinics');
-    }
+    const { rows: clinics, count } = await repositories.clinics.findMany({
+      filters: { isActive: isActive === undefined ? undefined : isActive === 'true' },
+      search: search && { term: search, fields: ['name', 'address', 'description'] },
+      orderBy: { field: sortBy, ascending: sortOrder === 'asc' },
+      offset,
+      limit: parseInt(limit)
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -95,13 +88,9 @@ router.get('/:clinicId', asyncHandler(async (req, res) => {
   const { clinicId } = req.params;
 
   try {
-    const { data: clinic, error } = await supabase
-      .from(TABLES.CLINICS)
-      .select('*')
-      .eq('id', clinicId)
-      .single();
+    const clinic = await repositories.clinics.findById(clinicId);
 
-    if (error || !clinic) {
+    if (!clinic) {
       throw new NotFoundError('Clinic not found');
     }
 
@@ -129,15 +118,7 @@ router.post('/', requireAdmin, validateClinicData, asyncHandler(async (req, res)
   };
 
   try {
-    const { data: clinic, error } = await supabase
-      .from(TABLES.CLINICS)
-      .insert(clinicData)
-      .select()
-      .single();
-
-    if (error) {
-      throw new ValidationError('Failed to create clinic');
-    }
+    const clinic = await repositories.clinics.create(clinicData);
 
     res.status(201).json({
       success: true,
@@ -163,14 +144,9 @@ router.put('/:clinicId', requireAdmin, validateClinicUpdate, asyncHandler(async
   };
 
   try {
-    const { data: clinic, error } = await supabase
-      .from(TABLES.CLINICS)
-      .update(updates)
-      .eq('id', clinicId)
-      .select()
-      .single();
-
-    if (error || !clinic) {
+    const clinic = await repositories.clinics.update(clinicId, updates);
+
+    if (!clinic) {
       throw new NotFoundError('Clinic not found');
     }
 
@@ -189,14 +165,9 @@ router.delete('/:clinicId', requireAdmin, asyncHandler(async (req, res) => {
   const { clinicId } = req.params;
 
   try {
-    const { data: clinic, error } = await supabase
-      .from(TABLES.CLINICS)
-      .delete()
-      .eq('id', clinicId)
-      .select()
-      .single();
-
-    if (error || !clinic) {
+    const clinic = await repositories.clinics.remove(clinicId);
+
+    if (!clinic) {
       throw new NotFoundError('Clinic not found');
     }
 
@@ -216,25 +187,13 @@ router.get('/:clinicId/doctors', asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.DOCTORS)
-      .select(`
-        *,
-        users (id, firstName, lastName, email, phone)
-      `, { count: 'exact' })
-      .eq('clinicId', clinicId);
-
-    if (specialization) {
-      query = query.eq('specialization', specialization);
-    }
-
-    const { data: doctors, error, count } = await query
-      .order('createdAt', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch clinic doctors');
-    }
+    const { rows: doctors, count } = await repositories.doctors.findMany({
+      filters: { clinicId, specialization },
+      orderBy: { field: 'createdAt', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['users']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -255,37 +214,23 @@ router.get('/:clinicId/doctors', asyncHandler(async (req, res) => {
   }
 }));
 
-// Get clinic's appointments
-router.get('/:clinicId/appointments', asyncHandler(async (req, res) => {
+// Get clinic's appointments, with patients the user may access
+router.get('/:clinicId/appointments', requireDoctor, asyncHandler(async (req, res) => {
   const { clinicId } = req.params;
   const { page = 1, limit = 20, date, status } = req.query;
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, specialization, users (id, firstName, lastName))
-      `, { count: 'exact' })
-      .eq('clinicId', clinicId);
-
-    if (date) {
-      query = query.eq('appointmentDate', date);
-    }
-    if (status) {
-      query = query.eq('status', status);
-    }
-
-    const { data: appointments, error, count } = await query
-      .order('appointmentDate', { ascending: true })
-      .order('appointmentTime', { ascending: true })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch clinic appointments');
-    }
+    const { rows: appointments, count } = await repositories.appointments.findMany({
+      filters: { clinicId, patientId: await patientScopeFor(actorFrom(req)), appointmentDate: date, status },
+      orderBy: [
+        { field: 'appointmentDate', ascending: true },
+        { field: 'appointmentTime', ascending: true }
+      ],
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -313,33 +258,15 @@ router.get('/:clinicId/stats', asyncHandler(async (req, res) => {
 
   try {
     // Get doctor count
-    const { count: doctorCount, error: doctorError } = await supabase
-      .from(TABLES.DOCTORS)
-      .select('*', { count: 'exact', head: true })
-      .eq('clinicId', clinicId);
-
-    if (doctorError) {
-      throw new ValidationError('Failed to fetch doctor statistics');
-    }
+    const doctorCount = await repositories.doctors.count({ clinicId });
 
     // Get appointment statistics
-    let appointmentQuery = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select('status, appointmentDate, type')
-      .eq('clinicId', clinicId);
-
-    if (startDate) {
-      appointmentQuery = appointmentQuery.gte('appointmentDate', startDate);
-    }
-    if (endDate) {
-      appointmentQuery = appointmentQuery.lte('appointmentDate', endDate);
-    }
-
-    const { data: appointments, error: appointmentError } = await appointmentQuery;
-
-    if (appointmentError) {
-      throw new ValidationError('Failed to fetch appointment statistics');
-    }
+    const { rows: appointments } = await repositories.appointments.findMany({
+      filters: {
+        clinicId,
+        appointmentDate: { gte: startDate, lte: endDate }
+      }
+    });
 
     // Calculate statistics
     const stats = {
@@ -379,16 +306,11 @@ router.get('/search/clinics', asyncHandler(async (req, res) => {
   }
 
   try {
-    const { data: clinics, error } = await supabase
-      .from(TABLES.CLINICS)
-      .select('id, name, address, phone, email, isActive')
-      .or(`name.ilike.%${q}%,address.ilike.%${q}%,description.ilike.%${q}%`)
-      .limit(parseInt(limit))
-      .order('name', { ascending: true });
-
-    if (error) {
-      throw new ValidationError('Failed to search clinics');
-    }
+    const { rows: clinics } = await repositories.clinics.findMany({
+      search: { term: q, fields: ['name', 'address', 'description'] },
+      orderBy: { field: 'name', ascending: true },
+      limit: parseInt(limit)
+    });
 
     res.json({
       success: true,
@@ -404,13 +326,9 @@ router.get('/:clinicId/services', asyncHandler(async (req, res) => {
   const { clinicId } = req.params;
 
   try {
-    const { data: clinic, error } = await supabase
-      .from(TABLES.CLINICS)
-      .select('services')
-      .eq('id', clinicId)
-      .single();
+    const clinic = await repositories.clinics.findById(clinicId);
 
-    if (error || !clinic) {
+    if (!clinic) {
       throw new NotFoundError('Clinic not found');
     }
 
@@ -428,13 +346,9 @@ router.get('/:clinicId/operating-hours', asyncHandler(async (req, res) => {
   const { clinicId } = req.params;
 
   try {
-    const { data: clinic, error } = await supabase
-      .from(TABLES.CLINICS)
-      .select('operatingHours')
-      .eq('id', clinicId)
-      .single();
+    const clinic = await repositories.clinics.findById(clinicId);
 
-    if (error || !clinic) {
+    if (!clinic) {
       throw new NotFoundError('Clinic not found');
     }
 
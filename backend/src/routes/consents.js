@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { CONSENT_TYPES, CONSENT_STATUSES, grantConsent, revokeConsent } = require('../services/consents');
+
+// Mounted under /api/patients/:patientId/consents
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Validation middleware
+const validateConsent = [
+  body('type').isIn(CONSENT_TYPES).withMessage(`Consent type must be one of ${CONSENT_TYPES.join(', ')}`),
+  body('scope').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('Scope must be a non-empty string'),
+  body('witnessedBy').optional({ values: 'null' }).isUUID().withMessage('Witness must be a valid user ID'),
+  body('witnessName').optional({ values: 'null' }).isString().withMessage('Witness name must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateRevocation = [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+// Get the patient's consents, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+  const { type, status } = req.query;
+
+  try {
+    if (status && !CONSENT_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of ${CONSENT_STATUSES.join(', ')}`);
+    }
+
+    const { rows: consents } = await repositories.consents.findMany({
+      filters: { patientId, type, status },
+      orderBy: { field: 'grantedAt', ascending: false }
+    });
+
+    res.json({
+      success: true,
+      data: { consents }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record a consent the patient has given. Data-sharing consents are scoped to the receiving clinic.
+router.post('/', requireDoctor, validateConsent, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId } = req.params;
+  const { type, scope = null, witnessedBy, witnessName, notes } = req.body;
+
+  try {
+    if (type === 'data-sharing') {
+      if (!scope) {
+        throw new ValidationError('Data-sharing consent must name the clinic in scope');
+      }
+      if (!await repositories.clinics.findById(scope)) {
+        throw new NotFoundError('Clinic not found');
+      }
+    }
+    if (witnessedBy && !await repositories.users.findById(witnessedBy)) {
+      throw new NotFoundError('Witness not found');
+    }
+
+    const existing = await repositories.consents.findOne({ patientId, type, scope, status: 'active' });
+    if (existing) {
+      throw new ConflictError('The patient has already given this consent', { consentId: existing.id });
+    }
+
+    const consent = await grantConsent({
+      patientId,
+      type,
+      scope,
+      witnessedBy,
+      witnessName,
+      notes,
+      grantedBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent recorded successfully',
+      data: { consent }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Revoke a consent on the patient's behalf. It is kept, marked revoked, for the record.
+router.patch('/:consentId/revoke', requireDoctor, validateRevocation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId, consentId } = req.params;
+
+  try {
+    const existing = await repositories.consents.findOne({ id: consentId, patientId });
+
+    if (!existing) {
+      throw new NotFoundError('Consent not found');
+    }
+    if (existing.status === 'revoked') {
+      throw new ConflictError('Consent is already revoked', { revokedAt: existing.revokedAt });
+    }
+
+    const consent = await revokeConsent(existing, { revokedBy: req.userId, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Consent revoked',
+      data: { consent }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const { doctorProfileFor, assertNotBreakGlass } = require('../services/careTeam');
+const { actorFrom } = require('../services/appointmentLifecycle');
+const {
+  DELIVERY_MODES,
+  BIRTH_PLACES,
+  DELIVERY_COMPLICATIONS,
+  NEWBORN_SEXES,
+  NEWBORN_OUTCOMES,
+  RESUSCITATION_LEVELS,
+  checkNewborn,
+  deliveryFor,
+  newbornsOf,
+  recordDelivery,
+  updateDelivery,
+  updateNewborn,
+  bookPostnatalAppointments
+} = require('../services/deliveries');
+
+// Mounted under /api/patients/:patientId/pregnancies/:pregnancyId/delivery
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Fields of the delivery itself and of each newborn
+const DELIVERY_FIELDS = ['deliveredAt', 'mode', 'birthPlace', 'complications', 'bloodLossMl', 'notes'];
+const NEWBORN_FIELDS = [
+  'firstName',
+  'lastName',
+  'sex',
+  'outcome',
+  'birthWeightGrams',
+  'lengthCm',
+  'headCircumferenceCm',
+  'apgar1Min',
+  'apgar5Min',
+  'apgar10Min',
+  'resuscitation',
+  'breastfeedingInitiatedAt',
+  'notes'
+];
+
+// Newborn fields a correction may change; outcome and names are settled at registration
+const NEWBORN_UPDATE_FIELDS = NEWBORN_FIELDS.filter((field) => !['firstName', 'lastName', 'outcome'].includes(field));
+
+// Validation middleware; `prefix` is 'newborns.*.' for newborns inside a delivery
+const newbornValidators = (prefix = '', optional = false) => {
+  const field = (name) => (optional ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`));
+  const measurement = (name) => body(`${prefix}${name}`).optional({ values: 'null' });
+  const apgar = (name, label) => measurement(name).isInt({ min: 0, max: 10 }).withMessage(`${label} Apgar score must be between 0 and 10`);
+
+  return [
+    body(`${prefix}firstName`).optional().trim().notEmpty().withMessage('First name cannot be empty'),
+    body(`${prefix}lastName`).optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+    field('sex').isIn(NEWBORN_SEXES).withMessage(`Sex must be one of ${NEWBORN_SEXES.join(', ')}`),
+    ...(optional ? [] : [
+      body(`${prefix}outcome`).isIn(NEWBORN_OUTCOMES).withMessage(`Outcome must be one of ${NEWBORN_OUTCOMES.join(', ')}`)
+    ]),
+    measurement('birthWeightGrams').isInt({ min: 300, max: 7000 }).withMessage('Birth weight must be between 300 and 7000 g'),
+    measurement('lengthCm').isFloat({ min: 20, max: 70 }).withMessage('Length must be between 20 and 70 cm'),
+    measurement('headCircumferenceCm').isFloat({ min: 15, max: 50 }).withMessage('Head circumference must be between 15 and 50 cm'),
+    apgar('apgar1Min', '1-minute'),
+    apgar('apgar5Min', '5-minute'),
+    apgar('apgar10Min', '10-minute'),
+    measurement('resuscitation').isIn(RESUSCITATION_LEVELS).withMessage(`Resuscitation must be one of ${RESUSCITATION_LEVELS.join(', ')}`),
+    measurement('breastfeedingInitiatedAt').isISO8601().withMessage('Breastfeeding start must be a valid date and time'),
+    body(`${prefix}notes`).optional().isString().withMessage('Notes must be a string')
+  ];
+};
+
+const deliveryValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    ...(optional ? [] : [body('deliveredAt').isISO8601().withMessage('Valid delivery date and time is required')]),
+    field('mode').isIn(DELIVERY_MODES).withMessage(`Mode must be one of ${DELIVERY_MODES.join(', ')}`),
+    body('birthPlace').optional({ values: 'null' }).isIn(BIRTH_PLACES).withMessage(`Birth place must be one of ${BIRTH_PLACES.join(', ')}`),
+    body('complications').optional().isArray().withMessage('Complications must be a list'),
+    body('complications.*').isIn(DELIVERY_COMPLICATIONS).withMessage(`Complications must be among ${DELIVERY_COMPLICATIONS.join(', ')}`),
+    body('bloodLossMl').optional({ values: 'null' }).isInt({ min: 0, max: 10000 }).withMessage('Blood loss must be between 0 and 10000 ml'),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+  ];
+};
+
+const validateDelivery = [
+  ...deliveryValidators(),
+  body('newborns').isArray({ min: 1, max: 8 }).withMessage('Between 1 and 8 newborns are required'),
+  ...newbornValidators('newborns.*.')
+];
+
+const validateAppointments = [
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('clinicId').optional().isUUID().withMessage('Valid clinic ID is required'),
+  body('patientIds').optional().isArray().withMessage('Patient IDs must be a list'),
+  body('patientIds.*').isUUID().withMessage('Valid patient ID is required'),
+  body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
+  body('appointmentTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)'),
+  body('duration').isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('type').optional().isIn(['consultation', 'follow-up', 'emergency', 'routine', 'surgery']).withMessage('Valid appointment type is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const pick = (source, fields) => Object.fromEntries(fields
+  .filter((field) => source[field] !== undefined)
+  .map((field) => [field, source[field]]));
+
+const findPregnancy = async (req) => {
+  const pregnancy = await repositories.pregnancies.findOne({ id: req.params.pregnancyId, patientId: req.params.patientId });
+
+  if (!pregnancy) {
+    throw new NotFoundError('Pregnancy not found');
+  }
+
+  return pregnancy;
+};
+
+const findDelivery = async (req) => {
+  const pregnancy = await findPregnancy(req);
+  const delivery = await deliveryFor(pregnancy.id);
+
+  if (!delivery) {
+    throw new NotFoundError('No delivery is recorded for this pregnancy');
+  }
+
+  return delivery;
+};
+
+// Get the delivery with its newborns
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+
+    res.json({
+      success: true,
+      data: { delivery, newborns: await newbornsOf(delivery.id) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record the birth. Live-born babies are registered as patients linked to the mother, the
+// pregnancy is closed with its outcome and any partograph in progress is completed.
+router.post('/', requireDoctor, validateDelivery, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const newborns = req.body.newborns.map((newborn) => pick(newborn, NEWBORN_FIELDS));
+
+    const pregnancy = await findPregnancy(req);
+    const doctor = await doctorProfileFor(req.userId);
+
+    // A doctor attending under emergency access records the birth but does not join the babies'
+    // care teams; the mother's team does
+    const joinsCareTeam = doctor && req.patientAccess.basis !== 'break-glass';
+
+    const result = await recordDelivery({
+      pregnancy,
+      delivery: pick(req.body, DELIVERY_FIELDS),
+      newborns,
+      actor: { ...actorFrom(req), doctorId: joinsCareTeam ? doctor.id : null }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Correct the delivery. The time of birth is fixed once babies are registered with it.
+router.put('/', requireDoctor, deliveryValidators(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    if (req.body.deliveredAt !== undefined) {
+      throw new ValidationError('The delivery time cannot be changed');
+    }
+
+    const existing = await findDelivery(req);
+    const delivery = await updateDelivery(existing, pick(req.body, DELIVERY_FIELDS));
+
+    res.json({
+      success: true,
+      message: 'Delivery updated successfully',
+      data: { delivery }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Correct a newborn's record
+router.put('/newborns/:newbornId', requireDoctor, newbornValidators('', true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const delivery = await findDelivery(req);
+    const existing = await repositories.newborns.findOne({ id: req.params.newbornId, deliveryId: delivery.id });
+
+    if (!existing) {
+      throw new NotFoundError('Newborn not found');
+    }
+
+    const updates = pick(req.body, NEWBORN_UPDATE_FIELDS);
+    checkNewborn({ ...existing, ...updates }, delivery.deliveredAt);
+
+    const newborn = await updateNewborn(existing, updates, delivery);
+
+    res.json({
+      success: true,
+      message: 'Newborn updated successfully',
+      data: { newborn }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Book postnatal appointments for the mother and her babies, back to back with one doctor
+router.post('/appointments', requireDoctor, validateAppointments, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { doctorId, clinicId, patientIds, appointmentDate, appointmentTime, duration, type = 'follow-up', reason = 'Postnatal check', notes } = req.body;
+
+  try {
+    assertNotBreakGlass(req.patientAccess);
+
+    const delivery = await findDelivery(req);
+
+    if (!await repositories.doctors.findById(doctorId)) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const appointments = await bookPostnatalAppointments(delivery, {
+      doctorId,
+      clinicId,
+      patientIds,
+      appointmentDate,
+      appointmentTime,
+      duration: Number(duration),
+      type,
+      reason,
+      notes
+    }, actorFrom(req));
+
+    res.status(201).json({
+      success: true,
+      message: `${appointments.length} postnatal appointment${appointments.length === 1 ? '' : 's'} booked`,
+      data: { appointments }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
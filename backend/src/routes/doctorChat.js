@@ -1,17 +1,40 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { requireDoctor } = require('../middleware/auth');
+const { ValidationError, asyncHandler } = require('../middleware/errorHandler');
+const { assertPatientAccess } = require('../services/careTeam');
+const { assertConsent } = require('../services/consents');
+
 const router = express.Router();
-const { getAIResponse } = require('../services/doctorAI');
 
-router.post('/doctor-chat', async (req, res) => {
-  const { message } = req.body;
-  if (!message) return res.status(400).json({ error: 'Message required' });
+// Validation middleware
+const validateChat = [
+  body('message').isString().trim().notEmpty().withMessage('Message required'),
+  body('patientId').isUUID().withMessage('Valid patient ID is required')
+];
+
+// Ask the AI assistant about a patient in the doctor's care. The chat uses the patient's data,
+// which needs their `ai-chat` consent.
+router.post('/', requireDoctor, validateChat, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { message, patientId } = req.body;
+
+  await assertPatientAccess({ userId: req.userId, role: req.userRole }, patientId);
+  await assertConsent(patientId, 'ai-chat');
 
   try {
+    // The OpenAI client is only loaded once a chat is made
+    const { getAIResponse } = require('../services/doctorAI');
     const reply = await getAIResponse(message);
     res.json({ reply });
   } catch (err) {
+    console.error('Doctor chat error:', err);
     res.status(500).json({ error: 'AI service error' });
   }
-});
+}));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
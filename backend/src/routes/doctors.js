@@ -1,33 +1,58 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase, TABLES } = require('../config/supabase');
-const { authenticateToken, requireAdmin, asyncHandler } = require('../middleware/auth');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { repositories } = require('../repositories');
+const { authenticateToken, requireAdmin, requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ForbiddenError, asyncHandler } = require('../middleware/errorHandler');
+const { findFreeSlots, isWeeklySchedule, MAX_RANGE_DAYS } = require('../services/availability');
+const { addDays } = require('../services/scheduling');
+const { CLINICIAN_DESIGNATIONS } = require('../services/recordSigning');
+const { patientScopeFor } = require('../services/careTeam');
 
 const router = express.Router();
 
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
 // Validation middleware
 const validateDoctorData = [
   body('userId').isUUID().withMessage('Valid user ID is required'),
   body('specialization').trim().notEmpty().withMessage('Specialization is required'),
   body('licenseNumber').trim().notEmpty().withMessage('License number is required'),
+  body('designation').optional().isIn(CLINICIAN_DESIGNATIONS).withMessage(`Designation must be one of ${CLINICIAN_DESIGNATIONS.join(', ')}`),
+  body('supervisorId').optional({ values: 'null' }).isUUID().withMessage('Valid supervisor doctor ID is required'),
   body('qualifications').optional().isArray().withMessage('Qualifications must be an array'),
   body('experience').optional().isInt({ min: 0 }).withMessage('Experience must be a positive integer'),
   body('clinicId').optional().isUUID().withMessage('Valid clinic ID is required'),
-  body('availability').optional().isObject().withMessage('Availability must be an object'),
+  body('availability').optional().isObject().withMessage('Availability must be an object').bail().custom(isWeeklySchedule),
   body('consultationFee').optional().isFloat({ min: 0 }).withMessage('Consultation fee must be a positive number')
 ];
 
 const validateDoctorUpdate = [
   body('specialization').optional().trim().notEmpty().withMessage('Specialization cannot be empty'),
   body('licenseNumber').optional().trim().notEmpty().withMessage('License number cannot be empty'),
+  body('designation').optional().isIn(CLINICIAN_DESIGNATIONS).withMessage(`Designation must be one of ${CLINICIAN_DESIGNATIONS.join(', ')}`),
+  body('supervisorId').optional({ values: 'null' }).isUUID().withMessage('Valid supervisor doctor ID is required'),
   body('qualifications').optional().isArray().withMessage('Qualifications must be an array'),
   body('experience').optional().isInt({ min: 0 }).withMessage('Experience must be a positive integer'),
   body('clinicId').optional().isUUID().withMessage('Valid clinic ID is required'),
-  body('availability').optional().isObject().withMessage('Availability must be an object'),
+  body('availability').optional().isObject().withMessage('Availability must be an object').bail().custom(isWeeklySchedule),
   body('consultationFee').optional().isFloat({ min: 0 }).withMessage('Consultation fee must be a positive number')
 ];
 
+const validateLeaveData = [
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required (HH:MM)'),
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required (HH:MM)'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+// Admins manage any doctor; doctors only their own profile
+const assertCanManageDoctor = (req, doctor) => {
+  if (req.userRole !== 'admin' && doctor.userId !== req.userId) {
+    throw new ForbiddenError('You can only manage your own doctor profile');
+  }
+};
+
 // Get all doctors (with filtering and pagination)
 router.get('/', asyncHandler(async (req, res) => {
   const { 
@@ -43,36 +68,14 @@ router.get('/', asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.DOCTORS)
-      .select(`
-        *,
-        users (id, firstName, lastName, email, phone),
-        clinics (id, name, address)
-      `, { count: 'exact' });
-
-    // Apply filters
-    if (specialization) {
-      query = query.eq('specialization', specialization);
-    }
-    if (clinicId) {
-      query = query.eq('clinicId', clinicId);
-    }
-    if (search) {
-      query = query.or(`users.firstName.ilike.%${search}%,users.lastName.ilike.%${search}%,specialization.ilike.%${search}%`);
-    }
-
-    // Apply sorting
-    query = query.order(sortBy, { ascending: sortOrder === 'asc' });
-
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
-
-    const { data: doctors, error, count } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch doctors');
-    }
+    const { rows: doctors, count } = await repositories.doctors.findMany({
+      filters: { specialization, clinicId },
+      search: search && { term: search, fields: ['users.firstName', 'users.lastName', 'specialization'] },
+      orderBy: { field: sortBy, ascending: sortOrder === 'asc' },
+      offset,
+      limit: parseInt(limit),
+      include: ['users', 'clinics']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -100,17 +103,11 @@ router.get('/:doctorId', asyncHandler(async (req, res) => {
   const { doctorId } = req.params;
 
   try {
-    const { data: doctor, error } = await supabase
-      .from(TABLES.DOCTORS)
-      .select(`
-        *,
-        users (id, firstName, lastName, email, phone, dateOfBirth, gender),
-        clinics (id, name, address, phone, email)
-      `)
-      .eq('id', doctorId)
-      .single();
-
-    if (error || !doctor) {
+    const doctor = await repositories.doctors.findById(doctorId, {
+      include: ['users', 'clinics']
+    });
+
+    if (!doctor) {
       throw new NotFoundError('Doctor not found');
     }
 
@@ -137,19 +134,9 @@ router.post('/', requireAdmin, validateDoctorData, asyncHandler(async (req, res)
   };
 
   try {
-    const { data: doctor, error } = await supabase
-      .from(TABLES.DOCTORS)
-      .insert(doctorData)
-      .select(`
-        *,
-        users (id, firstName, lastName, email, phone),
-        clinics (id, name, address)
-      `)
-      .single();
-
-    if (error) {
-      throw new ValidationError('Failed to create doctor profile');
-    }
+    const doctor = await repositories.doctors.create(doctorData, {
+      include: ['users', 'clinics']
+    });
 
     res.status(201).json({
       success: true,
@@ -175,18 +162,11 @@ router.put('/:doctorId', requireAdmin, validateDoctorUpdate, asyncHandler(async
   };
 
   try {
-    const { data: doctor, error } = await supabase
-      .from(TABLES.DOCTORS)
-      .update(updates)
-      .eq('id', doctorId)
-      .select(`
-        *,
-        users (id, firstName, lastName, email, phone),
-        clinics (id, name, address)
-      `)
-      .single();
-
-    if (error || !doctor) {
+    const doctor = await repositories.doctors.update(doctorId, updates, {
+      include: ['users', 'clinics']
+    });
+
+    if (!doctor) {
       throw new NotFoundError('Doctor not found');
     }
 
@@ -205,14 +185,9 @@ router.delete('/:doctorId', requireAdmin, asyncHandler(async (req, res) => {
   const { doctorId } = req.params;
 
   try {
-    const { data: doctor, error } = await supabase
-      .from(TABLES.DOCTORS)
-      .delete()
-      .eq('id', doctorId)
-      .select()
-      .single();
-
-    if (error || !doctor) {
+    const doctor = await repositories.doctors.remove(doctorId);
+
+    if (!doctor) {
       throw new NotFoundError('Doctor not found');
     }
 
@@ -225,36 +200,23 @@ router.delete('/:doctorId', requireAdmin, asyncHandler(async (req, res) => {
   }
 }));
 
-// Get doctor's appointments
-router.get('/:doctorId/appointments', asyncHandler(async (req, res) => {
+// Get doctor's appointments, with patients the user may access
+router.get('/:doctorId/appointments', requireDoctor, asyncHandler(async (req, res) => {
   const { doctorId } = req.params;
   const { page = 1, limit = 20, status, date } = req.query;
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone)
-      `, { count: 'exact' })
-      .eq('doctorId', doctorId);
-
-    if (status) {
-      query = query.eq('status', status);
-    }
-    if (date) {
-      query = query.eq('appointmentDate', date);
-    }
-
-    const { data: appointments, error, count } = await query
-      .order('appointmentDate', { ascending: true })
-      .order('appointmentTime', { ascending: true })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch doctor appointments');
-    }
+    const { rows: appointments, count } = await repositories.appointments.findMany({
+      filters: { doctorId, patientId: await patientScopeFor(actorFrom(req)), status, appointmentDate: date },
+      orderBy: [
+        { field: 'appointmentDate', ascending: true },
+        { field: 'appointmentTime', ascending: true }
+      ],
+      offset,
+      limit: parseInt(limit),
+      include: ['patients']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -275,8 +237,8 @@ router.get('/:doctorId/appointments', asyncHandler(async (req, res) => {
   }
 }));
 
-// Get doctor's schedule
-router.get('/:doctorId/schedule', asyncHandler(async (req, res) => {
+// Get doctor's schedule, with patients the user may access
+router.get('/:doctorId/schedule', requireDoctor, asyncHandler(async (req, res) => {
   const { doctorId } = req.params;
   const { startDate, endDate } = req.query;
 
@@ -285,21 +247,18 @@ router.get('/:doctorId/schedule', asyncHandler(async (req, res) => {
   }
 
   try {
-    const { data: appointments, error } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        id, appointmentDate, appointmentTime, duration, status, type,
-        patients (id, firstName, lastName, email, phone)
-      `)
-      .eq('doctorId', doctorId)
-      .gte('appointmentDate', startDate)
-      .lte('appointmentDate', endDate)
-      .order('appointmentDate', { ascending: true })
-      .order('appointmentTime', { ascending: true });
-
-    if (error) {
-      throw new ValidationError('Failed to fetch doctor schedule');
-    }
+    const { rows: appointments } = await repositories.appointments.findMany({
+      filters: {
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req)),
+        appointmentDate: { gte: startDate, lte: endDate }
+      },
+      orderBy: [
+        { field: 'appointmentDate', ascending: true },
+        { field: 'appointmentTime', ascending: true }
+      ],
+      include: ['patients']
+    });
 
     res.json({
       success: true,
@@ -310,35 +269,24 @@ router.get('/:doctorId/schedule', asyncHandler(async (req, res) => {
   }
 }));
 
-// Get doctor's medical records
-router.get('/:doctorId/medical-records', asyncHandler(async (req, res) => {
+// Get doctor's medical records, for patients the user may access
+router.get('/:doctorId/medical-records', requireDoctor, asyncHandler(async (req, res) => {
   const { doctorId } = req.params;
   const { page = 1, limit = 20, startDate, endDate } = req.query;
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone)
-      `, { count: 'exact' })
-      .eq('doctorId', doctorId);
-
-    if (startDate) {
-      query = query.gte('visitDate', startDate);
-    }
-    if (endDate) {
-      query = query.lte('visitDate', endDate);
-    }
-
-    const { data: records, error, count } = await query
-      .order('visitDate', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch doctor medical records');
-    }
+    const { rows: records, count } = await repositories.medicalRecords.findMany({
+      filters: {
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req)),
+        visitDate: { gte: startDate, lte: endDate }
+      },
+      orderBy: { field: 'visitDate', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -366,42 +314,20 @@ router.get('/:doctorId/stats', asyncHandler(async (req, res) => {
 
   try {
     // Get appointment statistics
-    let appointmentQuery = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select('status, appointmentDate, type')
-      .eq('doctorId', doctorId);
-
-    if (startDate) {
-      appointmentQuery = appointmentQuery.gte('appointmentDate', startDate);
-    }
-    if (endDate) {
-      appointmentQuery = appointmentQuery.lte('appointmentDate', endDate);
-    }
-
-    const { data: appointments, error: appointmentError } = await appointmentQuery;
-
-    if (appointmentError) {
-      throw new ValidationError('Failed to fetch appointment statistics');
-    }
+    const { rows: appointments } = await repositories.appointments.findMany({
+      filters: {
+        doctorId,
+        appointmentDate: { gte: startDate, lte: endDate }
+      }
+    });
 
     // Get medical record statistics
-    let recordQuery = supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select('visitDate, diagnosis, patientId')
-      .eq('doctorId', doctorId);
-
-    if (startDate) {
-      recordQuery = recordQuery.gte('visitDate', startDate);
-    }
-    if (endDate) {
-      recordQuery = recordQuery.lte('visitDate', endDate);
-    }
-
-    const { data: records, error: recordError } = await recordQuery;
-
-    if (recordError) {
-      throw new ValidationError('Failed to fetch medical record statistics');
-    }
+    const { rows: records } = await repositories.medicalRecords.findMany({
+      filters: {
+        doctorId,
+        visitDate: { gte: startDate, lte: endDate }
+      }
+    });
 
     // Calculate statistics
     const stats = {
@@ -437,6 +363,152 @@ router.get('/:doctorId/stats', asyncHandler(async (req, res) => {
   }
 }));
 
+// Get doctor's bookable slots
+router.get('/:doctorId/slots', asyncHandler(async (req, res) => {
+  const { doctorId } = req.params;
+  const { from, to, duration = 30 } = req.query;
+
+  if (!from || !to) {
+    throw new ValidationError('From and to dates are required');
+  }
+  if (Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+    throw new ValidationError('From and to must be valid dates');
+  }
+  if (to < from) {
+    throw new ValidationError('To date must not be before from date');
+  }
+  if (addDays(from, MAX_RANGE_DAYS - 1) < to.slice(0, 10)) {
+    throw new ValidationError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  const slotDuration = parseInt(duration);
+  if (Number.isNaN(slotDuration) || slotDuration < 15 || slotDuration > 240) {
+    throw new ValidationError('Duration must be between 15 and 240 minutes');
+  }
+
+  try {
+    const doctor = await repositories.doctors.findById(doctorId);
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const slots = await findFreeSlots({ doctor, from, to, duration: slotDuration });
+
+    res.json({
+      success: true,
+      data: {
+        doctorId,
+        from,
+        to,
+        duration: slotDuration,
+        slots
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get doctor's declared leave
+router.get('/:doctorId/leave', asyncHandler(async (req, res) => {
+  const { doctorId } = req.params;
+  const { startDate, endDate } = req.query;
+
+  try {
+    const { rows: leave } = await repositories.doctorLeave.findMany({
+      filters: {
+        doctorId,
+        endDate: { gte: startDate },
+        startDate: { lte: endDate }
+      },
+      orderBy: { field: 'startDate', ascending: true }
+    });
+
+    res.json({
+      success: true,
+      data: { leave }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Declare leave for a doctor
+router.post('/:doctorId/leave', requireDoctor, validateLeaveData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { doctorId } = req.params;
+  const { startDate, endDate, startTime, endTime, reason } = req.body;
+
+  if (endDate < startDate) {
+    throw new ValidationError('End date must not be before start date');
+  }
+
+  try {
+    const doctor = await repositories.doctors.findById(doctorId);
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    assertCanManageDoctor(req, doctor);
+
+    const leave = await repositories.doctorLeave.create({
+      doctorId,
+      startDate,
+      endDate,
+      startTime: startTime || null,
+      endTime: endTime || null,
+      reason: reason || null,
+      createdBy: req.userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave declared successfully',
+      data: { leave }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Remove declared leave
+router.delete('/:doctorId/leave/:leaveId', requireDoctor, asyncHandler(async (req, res) => {
+  const { doctorId, leaveId } = req.params;
+
+  try {
+    const doctor = await repositories.doctors.findById(doctorId);
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    assertCanManageDoctor(req, doctor);
+
+    const leave = await repositories.doctorLeave.findById(leaveId);
+
+    if (!leave || leave.doctorId !== doctorId) {
+      throw new NotFoundError('Leave not found');
+    }
+
+    await repositories.doctorLeave.remove(leaveId);
+
+    res.json({
+      success: true,
+      message: 'Leave removed successfully'
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
 // Search doctors
 router.get('/search/doctors', asyncHandler(async (req, res) => {
   const { q, limit = 10 } = req.query;
@@ -446,20 +518,12 @@ router.get('/search/doctors', asyncHandler(async (req, res) => {
   }
 
   try {
-    const { data: doctors, error } = await supabase
-      .from(TABLES.DOCTORS)
-      .select(`
-        id, specialization, licenseNumber, experience, consultationFee,
-        users (id, firstName, lastName, email, phone),
-        clinics (id, name, address)
-      `)
-      .or(`users.firstName.ilike.%${q}%,users.lastName.ilike.%${q}%,specialization.ilike.%${q}%`)
-      .limit(parseInt(limit))
-      .order('users.firstName', { ascending: true });
-
-    if (error) {
-      throw new ValidationError('Failed to search doctors');
-    }
+    const { rows: doctors } = await repositories.doctors.findMany({
+      search: { term: q, fields: ['users.firstName', 'users.lastName', 'specialization'] },
+      orderBy: { field: 'users.firstName', ascending: true },
+      limit: parseInt(limit),
+      include: ['users', 'clinics']
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { actorFrom } = require('../services/appointmentLifecycle');
+const { recordScreening, scoreTrend, screeningsOf, questionnaire } = require('../services/epds');
+
+// Mounted under /api/patients/:patientId/epds
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Validation middleware
+const validateScreening = [
+  body('answers').isArray({ min: 10, max: 10 }).withMessage('Answers to all 10 questions are required'),
+  body('answers.*').isInt({ min: 0, max: 3 }).withMessage('Each answer must be an option number from 0 to 3').toInt(),
+  body('completedAt').optional().isISO8601().withMessage('Completion time must be a valid date and time'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateReferral = [
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+// The questionnaire to present
+router.get('/questionnaire', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { questionnaire: questionnaire() }
+  });
+}));
+
+// The patient's screenings, newest first, with the score trend
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const screenings = await screeningsOf(req.params.patientId);
+
+    res.json({
+      success: true,
+      data: { screenings, trend: scoreTrend(screenings) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a screening
+router.get('/:screeningId', asyncHandler(async (req, res) => {
+  try {
+    const screening = await repositories.epdsScreenings.findOne({ id: req.params.screeningId, patientId: req.params.patientId });
+
+    if (!screening) {
+      throw new NotFoundError('Screening not found');
+    }
+
+    res.json({
+      success: true,
+      data: { screening }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record a screening completed with a clinician
+router.post('/', requireDoctor, validateScreening, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { answers, completedAt, notes } = req.body;
+
+  try {
+    const screening = await recordScreening({
+      patientId: req.params.patientId,
+      answers,
+      completedAt,
+      notes,
+      completedBy: 'clinician',
+      actor: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: screening.referralRecommended
+        ? `Screening recorded: score ${screening.totalScore}, referral recommended`
+        : `Screening recorded: score ${screening.totalScore}`,
+      data: { screening }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record that the patient was referred after a screening
+router.patch('/:screeningId/referral', requireDoctor, validateReferral, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await repositories.epdsScreenings.findOne({ id: req.params.screeningId, patientId: req.params.patientId });
+
+    if (!existing) {
+      throw new NotFoundError('Screening not found');
+    }
+    if (existing.referralStatus === 'referred') {
+      throw new ConflictError('The patient is already referred for this screening', { referredAt: existing.referredAt });
+    }
+
+    const screening = await repositories.epdsScreenings.update(existing.id, {
+      referralStatus: 'referred',
+      referredAt: new Date().toISOString(),
+      referredBy: req.userId,
+      referralNotes: req.body.notes || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Referral recorded',
+      data: { screening }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
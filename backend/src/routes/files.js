@@ -0,0 +1,35 @@
+const express = require('express');
+const { storageDriver } = require('../storage');
+const { NotFoundError, ForbiddenError, asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Serve files from the local storage driver. Access is granted by the URL's signature and
+// expiry (issued with attachment details), so this route sits outside token authentication.
+router.get('/:bucket/*', asyncHandler(async (req, res) => {
+  const driver = storageDriver();
+
+  if (driver.name !== 'local') {
+    throw new NotFoundError('File not found');
+  }
+
+  const { bucket } = req.params;
+  const filePath = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!driver.verifySignature(bucket, filePath, expires, signature)) {
+    throw new ForbiddenError('This link is invalid or has expired');
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(driver.resolvePath(bucket, filePath), (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode === 404 ? 404 : 500).json({
+        success: false,
+        error: { message: error.statusCode === 404 ? 'Not Found' : 'Internal Server Error' }
+      });
+    }
+  });
+}));
+
+module.exports = router;
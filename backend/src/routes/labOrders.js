@@ -0,0 +1,456 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, requireLabStaff } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  LAB_ORDER_STATUSES,
+  LAB_WORKLIST_STATUSES,
+  LAB_ORDER_PRIORITIES,
+  SPECIMEN_ID_PATTERN,
+  isLabOrderTests,
+  assertTransition,
+  normaliseOrderResults,
+  generateSpecimenId,
+  assertSpecimenIdFree,
+  turnaroundReport
+} = require('../services/labOrders');
+const { findTest, recordResult } = require('../services/labResults');
+const { statusOf } = require('../services/recordVersions');
+const { assertPatientAccess, patientScopeFor, doctorProfileFor } = require('../services/careTeam');
+const events = require('../services/events');
+
+const router = express.Router();
+
+// Validation middleware
+const validateLabOrderData = [
+  body('medicalRecordId').isUUID().withMessage('Valid medical record ID is required'),
+  body('doctorId').optional().isUUID().withMessage('Valid doctor ID is required'),
+  body('tests').isArray().withMessage('Tests are required').bail().custom(isLabOrderTests),
+  body('priority').optional().isIn(LAB_ORDER_PRIORITIES).withMessage(`Priority must be one of ${LAB_ORDER_PRIORITIES.join(', ')}`),
+  body('clinicalNotes').optional().isString().withMessage('Clinical notes must be a string')
+];
+
+const validateCollection = [
+  body('specimenId').optional().matches(SPECIMEN_ID_PATTERN).withMessage('Specimen ID must be 4 to 40 letters, digits or dashes'),
+  body('collectedAt').optional().isISO8601().withMessage('Valid collection time is required')
+];
+
+const validateResults = [
+  body('results').isArray({ min: 1 }).withMessage('Results are required')
+];
+
+const validateCancellation = [
+  body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+];
+
+const validateTurnaround = [
+  query('startDate').optional().isISO8601({ strict: true }).withMessage('Valid start date is required'),
+  query('endDate').optional().isISO8601({ strict: true }).withMessage('Valid end date is required')
+];
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+// Lab staff work on every order; doctors only on the orders of patients in their care
+const orderScopeFor = (req, patientId) =>
+  (req.userRole === 'lab' ? patientId : patientScopeFor(actorFrom(req), patientId));
+
+const assertOrderAccess = async (req, order) => {
+  if (req.userRole !== 'lab') {
+    await assertPatientAccess(actorFrom(req), order.patientId);
+  }
+};
+
+// Load the lab order in the route, if the user may work on it
+const findLabOrder = async (req, options = {}) => {
+  const order = await repositories.labOrders.findById(req.params.orderId, options);
+
+  if (!order) {
+    throw new NotFoundError('Lab order not found');
+  }
+
+  await assertOrderAccess(req, order);
+  return order;
+};
+
+// Get all lab orders (with filtering and pagination)
+router.get('/', requireLabStaff, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, patientId, doctorId, medicalRecordId, status, priority } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    if (status && !LAB_ORDER_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of ${LAB_ORDER_STATUSES.join(', ')}`);
+    }
+
+    const { rows: labOrders, count } = await repositories.labOrders.findMany({
+      filters: { patientId: await orderScopeFor(req, patientId), doctorId, medicalRecordId, status, priority },
+      orderBy: { field: 'orderedAt', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        labOrders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Lab worklist: open orders, urgent first, then oldest first
+router.get('/worklist', requireLabStaff, asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    if (status && !LAB_WORKLIST_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of ${LAB_WORKLIST_STATUSES.join(', ')}`);
+    }
+
+    const { rows, count } = await repositories.labOrders.findMany({
+      filters: { patientId: await orderScopeFor(req), status: status || { in: LAB_WORKLIST_STATUSES } },
+      orderBy: { field: 'orderedAt', ascending: true },
+      include: ['patients']
+    });
+
+    const labOrders = [
+      ...rows.filter((order) => order.priority === 'urgent'),
+      ...rows.filter((order) => order.priority !== 'urgent')
+    ];
+
+    res.json({
+      success: true,
+      data: { labOrders, totalCount: count }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Turnaround times for orders placed in a date range
+router.get('/turnaround', requireLabStaff, validateTurnaround, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { startDate, endDate, priority, testCode } = req.query;
+
+  try {
+    const { rows } = await repositories.labOrders.findMany({
+      filters: {
+        orderedAt: {
+          gte: startDate ? new Date(startDate).toISOString() : undefined,
+          // A date alone includes the whole of that day
+          lte: endDate ? new Date(endDate.length === 10 ? `${endDate}T23:59:59.999` : endDate).toISOString() : undefined
+        },
+        priority,
+        status: { neq: 'cancelled' }
+      }
+    });
+
+    const code = testCode ? testCode.toUpperCase() : null;
+    const orders = code ? rows.filter((order) => order.tests.includes(code)) : rows;
+
+    res.json({
+      success: true,
+      data: {
+        orderCount: orders.length,
+        turnaround: turnaroundReport(orders)
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Look up an order by the specimen barcode
+router.get('/specimen/:specimenId', requireLabStaff, asyncHandler(async (req, res) => {
+  try {
+    const labOrder = await repositories.labOrders.findOne({ specimenId: req.params.specimenId }, {
+      include: ['patients', 'doctors']
+    });
+
+    if (!labOrder) {
+      throw new NotFoundError('Lab order not found');
+    }
+    await assertOrderAccess(req, labOrder);
+
+    res.json({
+      success: true,
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get lab order by ID, with its verified results
+router.get('/:orderId', requireLabStaff, asyncHandler(async (req, res) => {
+  try {
+    const labOrder = await findLabOrder(req, {
+      include: ['patients', 'doctors', 'medicalRecords', 'labResults']
+    });
+
+    res.json({
+      success: true,
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Order tests from a visit
+router.post('/', requireDoctor, validateLabOrderData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { medicalRecordId, doctorId, tests, priority = 'routine', clinicalNotes } = req.body;
+
+  try {
+    const record = await repositories.medicalRecords.findById(medicalRecordId);
+
+    if (!record) {
+      throw new NotFoundError('Medical record not found');
+    }
+    await assertPatientAccess(actorFrom(req), record.patientId);
+    if (statusOf(record) !== 'active') {
+      throw new ConflictError('Tests cannot be ordered from a record entered in error', { currentStatus: statusOf(record) });
+    }
+
+    const orderingDoctorId = doctorId || record.doctorId;
+    if (!await repositories.doctors.findById(orderingDoctorId)) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const now = new Date().toISOString();
+    const labOrder = await repositories.labOrders.create({
+      patientId: record.patientId,
+      doctorId: orderingDoctorId,
+      medicalRecordId,
+      tests: tests.map((code) => findTest(code).code),
+      priority,
+      clinicalNotes: clinicalNotes || null,
+      status: 'ordered',
+      specimenId: null,
+      results: null,
+      labResultIds: [],
+      orderedBy: req.userId,
+      orderedAt: now,
+      createdAt: now,
+      updatedAt: now
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lab order created successfully',
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record sample collection, labelling it with a specimen id (generated when not scanned)
+router.patch('/:orderId/collect', requireLabStaff, validateCollection, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { specimenId, collectedAt } = req.body;
+
+  try {
+    const existing = await findLabOrder(req);
+    assertTransition(existing.status, 'collected');
+
+    if (collectedAt && new Date(collectedAt) > new Date()) {
+      throw new ValidationError('Collection time cannot be in the future');
+    }
+    if (specimenId) {
+      await assertSpecimenIdFree(specimenId);
+    }
+
+    const now = new Date().toISOString();
+    const labOrder = await repositories.labOrders.update(existing.id, {
+      status: 'collected',
+      specimenId: specimenId || generateSpecimenId(),
+      collectedBy: req.userId,
+      collectedAt: collectedAt ? new Date(collectedAt).toISOString() : now,
+      updatedAt: now
+    });
+
+    res.json({
+      success: true,
+      message: 'Sample collected',
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Enter results for every test on the order; they can be re-entered until verified
+router.patch('/:orderId/results', requireLabStaff, validateResults, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await findLabOrder(req);
+    assertTransition(existing.status, 'resulted');
+
+    const now = new Date().toISOString();
+    const labOrder = await repositories.labOrders.update(existing.id, {
+      status: 'resulted',
+      results: normaliseOrderResults(existing, req.body.results),
+      resultedBy: req.userId,
+      resultedAt: now,
+      updatedAt: now
+    });
+
+    res.json({
+      success: true,
+      message: 'Results entered and awaiting verification',
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Verify entered results. A second user must verify; the results are then filed against the patient and visit.
+router.patch('/:orderId/verify', requireLabStaff, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findLabOrder(req);
+    assertTransition(existing.status, 'verified');
+
+    if (existing.resultedBy === req.userId) {
+      throw new ForbiddenError('Results must be verified by a different user than the one who entered them');
+    }
+
+    const patient = await repositories.patients.findById(existing.patientId);
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    const labResults = [];
+    for (const entry of existing.results) {
+      labResults.push(await recordResult({
+        patient,
+        doctorId: existing.doctorId,
+        medicalRecordId: existing.medicalRecordId,
+        labOrderId: existing.id,
+        test: findTest(entry.testCode),
+        value: entry.value,
+        collectedAt: existing.collectedAt,
+        notes: entry.notes,
+        enteredBy: existing.resultedBy,
+        verifiedBy: req.userId
+      }));
+    }
+
+    const now = new Date().toISOString();
+    const labOrder = await repositories.labOrders.update(existing.id, {
+      status: 'verified',
+      labResultIds: labResults.map((result) => result.id),
+      verifiedBy: req.userId,
+      verifiedAt: now,
+      updatedAt: now
+    });
+
+    await events.emit(events.EVENTS.LAB_ORDER_VERIFIED, { order: labOrder, results: labResults });
+
+    res.json({
+      success: true,
+      message: 'Results verified',
+      data: { labOrder, labResults }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// The ordering doctor (or an admin) closes the order once the verified results are reviewed
+router.patch('/:orderId/close', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findLabOrder(req);
+    assertTransition(existing.status, 'closed');
+
+    if (req.userRole !== 'admin') {
+      const doctor = await doctorProfileFor(req.userId);
+
+      if (existing.orderedBy !== req.userId && (!doctor || doctor.id !== existing.doctorId)) {
+        throw new ForbiddenError('Only the ordering doctor can close this lab order');
+      }
+    }
+
+    const now = new Date().toISOString();
+    const labOrder = await repositories.labOrders.update(existing.id, {
+      status: 'closed',
+      closedBy: req.userId,
+      closedAt: now,
+      updatedAt: now
+    }, {
+      include: ['labResults']
+    });
+
+    res.json({
+      success: true,
+      message: 'Lab order closed',
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Cancel an order before results are entered
+router.patch('/:orderId/cancel', requireLabStaff, validateCancellation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await findLabOrder(req);
+    assertTransition(existing.status, 'cancelled');
+
+    const now = new Date().toISOString();
+    const labOrder = await repositories.labOrders.update(existing.id, {
+      status: 'cancelled',
+      cancelledBy: req.userId,
+      cancelledAt: now,
+      cancellationReason: req.body.reason,
+      updatedAt: now
+    });
+
+    res.json({
+      success: true,
+      message: 'Lab order cancelled',
+      data: { labOrder }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
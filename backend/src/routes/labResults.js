@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  LAB_TESTS,
+  RESULT_FLAGS,
+  findTest,
+  isLabTestCode,
+  assertResultValue,
+  flagResult,
+  valueFields,
+  raiseIfCritical,
+  recordResult,
+  doctorForUser
+} = require('../services/labResults');
+const { assertPatientAccess, patientScopeFor } = require('../services/careTeam');
+
+const router = express.Router();
+
+// Validation middleware
+const validateLabResultData = [
+  body('patientId').isUUID().withMessage('Valid patient ID is required'),
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('medicalRecordId').optional().isUUID().withMessage('Valid medical record ID is required'),
+  body('testCode').isString().withMessage('Test code is required').bail().custom(isLabTestCode),
+  body('value').exists().withMessage('Result value is required'),
+  body('collectedAt').optional().isISO8601().withMessage('Valid collection time is required'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateLabResultUpdate = [
+  body('collectedAt').optional().isISO8601().withMessage('Valid collection time is required'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+// Load the lab result in the route, for a patient the user may access
+const findLabResult = async (req, options = {}) => {
+  const result = await repositories.labResults.findById(req.params.resultId, options);
+
+  if (!result) {
+    throw new NotFoundError('Lab result not found');
+  }
+
+  await assertPatientAccess(actorFrom(req), result.patientId);
+  return result;
+};
+
+const checkValue = (test, value) => {
+  try {
+    assertResultValue(test, value);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+};
+
+// Lab test catalogue with reference ranges
+router.get('/tests', requireDoctor, asyncHandler(async (req, res) => {
+  const { category } = req.query;
+
+  res.json({
+    success: true,
+    data: {
+      tests: category ? LAB_TESTS.filter((test) => test.category === category) : LAB_TESTS
+    }
+  });
+}));
+
+// Get all lab results (with filtering and pagination)
+router.get('/', requireDoctor, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, patientId, doctorId, medicalRecordId, testCode, flag } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    if (flag && !RESULT_FLAGS.includes(flag)) {
+      throw new ValidationError(`Flag must be one of ${RESULT_FLAGS.join(', ')}`);
+    }
+
+    const { rows: labResults, count } = await repositories.labResults.findMany({
+      filters: {
+        patientId: await patientScopeFor(actorFrom(req), patientId),
+        doctorId,
+        medicalRecordId,
+        testCode: testCode ? testCode.toUpperCase() : undefined,
+        flag
+      },
+      orderBy: { field: 'resultedAt', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        labResults,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Unacknowledged critical results for the signed-in doctor (admins pass doctorId)
+router.get('/worklist', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const doctorId = req.userRole === 'admin'
+      ? req.query.doctorId
+      : (await doctorForUser(req.userId)).id;
+
+    if (!doctorId) {
+      throw new ValidationError('Doctor ID is required');
+    }
+
+    const { rows: labResults, count } = await repositories.labResults.findMany({
+      filters: { doctorId, isCritical: true, acknowledgedAt: null },
+      orderBy: { field: 'resultedAt', ascending: true },
+      include: ['patients', 'medicalRecords']
+    });
+
+    res.json({
+      success: true,
+      data: { labResults, totalCount: count }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get lab result by ID
+router.get('/:resultId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const labResult = await findLabResult(req, {
+      include: ['patients', 'doctors', 'medicalRecords']
+    });
+
+    res.json({
+      success: true,
+      data: { labResult }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record a lab result; it is flagged against the patient's reference range
+router.post('/', requireDoctor, validateLabResultData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId, doctorId, medicalRecordId, testCode, value, collectedAt, notes } = req.body;
+  const test = findTest(testCode);
+  checkValue(test, value);
+
+  try {
+    await assertPatientAccess(actorFrom(req), patientId);
+    const patient = await repositories.patients.findById(patientId);
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+    if (!await repositories.doctors.findById(doctorId)) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    if (medicalRecordId) {
+      const record = await repositories.medicalRecords.findById(medicalRecordId);
+
+      if (!record) {
+        throw new NotFoundError('Medical record not found');
+      }
+      if (record.patientId !== patientId) {
+        throw new ValidationError('Medical record belongs to a different patient');
+      }
+    }
+
+    const labResult = await recordResult({
+      patient,
+      doctorId,
+      medicalRecordId,
+      test,
+      value,
+      collectedAt,
+      notes,
+      enteredBy: req.userId
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lab result recorded successfully',
+      data: { labResult }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Correct a lab result; a new value is flagged again against the current reference range.
+// Results filed from a lab order were verified by a second user, so only their notes can change here.
+router.put('/:resultId', requireDoctor, validateLabResultUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { value, collectedAt, notes } = req.body;
+
+  try {
+    const existing = await findLabResult(req);
+
+    if (existing.labOrderId && (value !== undefined || collectedAt !== undefined)) {
+      throw new ValidationError('A verified lab order result cannot be corrected; order the test again');
+    }
+
+    const test = findTest(existing.testCode);
+    const now = new Date().toISOString();
+
+    let reflagged = {};
+    if (value !== undefined) {
+      checkValue(test, value);
+      const patient = await repositories.patients.findById(existing.patientId);
+      const flagged = await flagResult(test, value, patient);
+
+      reflagged = {
+        ...valueFields(test, value),
+        ...flagged,
+        resultedBy: req.userId,
+        resultedAt: now,
+        // A corrected critical value needs acknowledging again
+        ...(flagged.isCritical && { acknowledgedAt: null, acknowledgedBy: null })
+      };
+    }
+
+    const labResult = await repositories.labResults.update(existing.id, {
+      ...reflagged,
+      ...(collectedAt !== undefined && { collectedAt }),
+      ...(notes !== undefined && { notes }),
+      updatedAt: now
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    if (value !== undefined) {
+      await raiseIfCritical(labResult);
+    }
+
+    res.json({
+      success: true,
+      message: 'Lab result updated successfully',
+      data: { labResult }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Acknowledge a critical result, taking it off the ordering doctor's worklist
+router.patch('/:resultId/acknowledge', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findLabResult(req);
+
+    if (!existing.isCritical) {
+      throw new ValidationError('Only critical results need acknowledging');
+    }
+
+    const labResult = existing.acknowledgedAt
+      ? existing
+      : await repositories.labResults.update(existing.id, {
+        acknowledgedAt: new Date().toISOString(),
+        acknowledgedBy: req.userId,
+        updatedAt: new Date().toISOString()
+      });
+
+    res.json({
+      success: true,
+      message: 'Critical result acknowledged',
+      data: { labResult }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -1,8 +1,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase, TABLES } = require('../config/supabase');
-const { authenticateToken, requireDoctor, asyncHandler } = require('../middleware/auth');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { repositories } = require('../repositories');
+const { authenticateToken, requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const events = require('../services/events');
+const { reviewMedicationSafety } = require('../services/medicationSafety');
+const {
+  versionOf,
+  diffSnapshots,
+  pickEditable,
+  createRecord,
+  amendRecord,
+  retractRecord,
+  getVersions,
+  getVersion
+} = require('../services/recordVersions');
+const {
+  clinicianFor,
+  signRecord,
+  cosignRecord,
+  verifySignatures,
+  addAddendum,
+  getAddenda,
+  pendingSignatures
+} = require('../services/recordSigning');
+const { assertPatientAccess, patientScopeFor } = require('../services/careTeam');
 
 const router = express.Router();
 
@@ -17,7 +39,8 @@ const validateMedicalRecordData = [
   body('prescriptions').optional().isArray().withMessage('Prescriptions must be an array'),
   body('vitalSigns').optional().isObject().withMessage('Vital signs must be an object'),
   body('notes').optional().isString().withMessage('Notes must be a string'),
-  body('followUpDate').optional().isISO8601().withMessage('Valid follow-up date is required')
+  body('followUpDate').optional().isISO8601().withMessage('Valid follow-up date is required'),
+  body('overrideReason').optional().trim().notEmpty().withMessage('Override reason cannot be empty')
 ];
 
 const validateMedicalRecordUpdate = [
@@ -28,9 +51,59 @@ const validateMedicalRecordUpdate = [
   body('prescriptions').optional().isArray().withMessage('Prescriptions must be an array'),
   body('vitalSigns').optional().isObject().withMessage('Vital signs must be an object'),
   body('notes').optional().isString().withMessage('Notes must be a string'),
-  body('followUpDate').optional().isISO8601().withMessage('Valid follow-up date is required')
+  body('followUpDate').optional().isISO8601().withMessage('Valid follow-up date is required'),
+  body('overrideReason').optional().trim().notEmpty().withMessage('Override reason cannot be empty'),
+  body('reason').trim().notEmpty().withMessage('Amendment reason is required'),
+  body('expectedVersion').optional().isInt({ min: 1 }).withMessage('Expected version must be a positive integer').toInt()
 ];
 
+const validateRetraction = [
+  body('reason').trim().notEmpty().withMessage('Reason is required to mark a record as entered in error')
+];
+
+const validateSignature = [
+  body('cosignerId').optional().isUUID().withMessage('Valid cosigning doctor ID is required')
+];
+
+const validateAddendum = [
+  body('text').trim().notEmpty().withMessage('Addendum text is required')
+];
+
+// Records entered in error are left out of lists unless asked for. Records with no status
+// are active.
+const currentOnly = (includeEnteredInError) => (includeEnteredInError === 'true'
+  ? undefined
+  : { neq: 'entered-in-error', orNull: true });
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+// Load the record in the route, for a patient the user may access
+const findRecord = async (req, options = {}) => {
+  const record = await repositories.medicalRecords.findById(req.params.recordId, options);
+
+  if (!record) {
+    throw new NotFoundError('Medical record not found');
+  }
+
+  await assertPatientAccess(actorFrom(req), record.patientId);
+  return record;
+};
+
+// Check a record's prescriptions list against the patient's allergies, medications and pregnancy
+const reviewRecordPrescriptions = async (patientId, prescriptions, overrideReason, actor) => {
+  if (!Array.isArray(prescriptions) || prescriptions.length === 0) {
+    return { warnings: [] };
+  }
+
+  const patient = await repositories.patients.findById(patientId);
+
+  if (!patient) {
+    throw new NotFoundError('Patient not found');
+  }
+
+  return reviewMedicationSafety({ patient, items: prescriptions, overrideReason, actor });
+};
+
 // Get all medical records (with filtering and pagination)
 router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   const { 
@@ -40,6 +113,7 @@ router.get('/', requireDoctor, asyncHandler(async (req, res) => {
     doctorId,
     startDate,
     endDate,
+    includeEnteredInError,
     sortBy = 'visitDate',
     sortOrder = 'desc'
   } = req.query;
@@ -47,39 +121,18 @@ router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `, { count: 'exact' });
-
-    // Apply filters
-    if (patientId) {
-      query = query.eq('patientId', patientId);
-    }
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-    if (startDate) {
-      query = query.gte('visitDate', startDate);
-    }
-    if (endDate) {
-      query = query.lte('visitDate', endDate);
-    }
-
-    // Apply sorting
-    query = query.order(sortBy, { ascending: sortOrder === 'asc' });
-
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
-
-    const { data: records, error, count } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch medical records');
-    }
+    const { rows: records, count } = await repositories.medicalRecords.findMany({
+      filters: {
+        patientId: await patientScopeFor(actorFrom(req), patientId),
+        doctorId,
+        visitDate: { gte: startDate, lte: endDate },
+        status: currentOnly(includeEnteredInError)
+      },
+      orderBy: { field: sortBy, ascending: sortOrder === 'asc' },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -102,24 +155,35 @@ router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   }
 }));
 
+// Notes waiting on the signed-in doctor: their own unsigned notes past the signing window and
+// notes they were asked to countersign (admins pass doctorId)
+router.get('/pending-signature', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const doctorId = req.userRole === 'admin'
+      ? req.query.doctorId
+      : (await clinicianFor(req.userId)).id;
+
+    if (!doctorId) {
+      throw new ValidationError('Doctor ID is required');
+    }
+
+    const pending = await pendingSignatures(doctorId);
+
+    res.json({
+      success: true,
+      data: pending
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
 // Get medical record by ID
 router.get('/:recordId', requireDoctor, asyncHandler(async (req, res) => {
-  const { recordId } = req.params;
-
   try {
-    const { data: record, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone, dateOfBirth, gender),
-        doctors (id, firstName, lastName, specialization, email, phone)
-      `)
-      .eq('id', recordId)
-      .single();
-
-    if (error || !record) {
-      throw new NotFoundError('Medical record not found');
-    }
+    const record = await findRecord(req, {
+      include: ['patients', 'doctors', 'recordAddenda']
+    });
 
     res.json({
       success: true,
@@ -137,70 +201,98 @@ router.post('/', requireDoctor, validateMedicalRecordData, asyncHandler(async (r
     throw new ValidationError(errors.array()[0].msg);
   }
 
+  const { overrideReason, ...fields } = req.body;
   const recordData = {
-    ...req.body,
+    ...fields,
     createdBy: req.userId,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 
   try {
-    const { data: record, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .insert(recordData)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .single();
-
-    if (error) {
-      throw new ValidationError('Failed to create medical record');
+    await assertPatientAccess(actorFrom(req), fields.patientId);
+
+    const { warnings, safetyOverride } = await reviewRecordPrescriptions(
+      fields.patientId, fields.prescriptions, overrideReason, req.userId
+    );
+    if (safetyOverride) {
+      recordData.safetyOverride = safetyOverride;
     }
 
+    const record = await createRecord(recordData, actorFrom(req), {
+      include: ['patients', 'doctors']
+    });
+
+    await events.emit(events.EVENTS.MEDICAL_RECORD_CREATED, {
+      record,
+      actor: { userId: req.userId, role: req.userRole }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Medical record created successfully',
-      data: { record }
+      data: { record, warnings }
     });
   } catch (error) {
     throw error;
   }
 }));
 
-// Update medical record
+// Amend a medical record. The change is stored as a new version with its author and reason.
 router.put('/:recordId', requireDoctor, validateMedicalRecordUpdate, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     throw new ValidationError(errors.array()[0].msg);
   }
 
-  const { recordId } = req.params;
-  const updates = {
-    ...req.body,
-    updatedAt: new Date().toISOString()
-  };
+  const { overrideReason, reason, expectedVersion } = req.body;
+  const updates = pickEditable(req.body);
 
   try {
-    const { data: record, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .update(updates)
-      .eq('id', recordId)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .single();
-
-    if (error || !record) {
-      throw new NotFoundError('Medical record not found');
+    const existing = await findRecord(req);
+
+    const { warnings, safetyOverride } = await reviewRecordPrescriptions(
+      existing.patientId, updates.prescriptions, overrideReason, req.userId
+    );
+    if (safetyOverride) {
+      updates.safetyOverride = safetyOverride;
     }
 
+    const record = await amendRecord({
+      existing,
+      updates,
+      reason,
+      actor: actorFrom(req),
+      expectedVersion
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.json({
+      success: true,
+      message: `Medical record amended (version ${record.version})`,
+      data: { record, warnings }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Mark a medical record as entered in error. Records are never deleted; the record and its
+// versions stay readable.
+router.delete('/:recordId', requireDoctor, validateRetraction, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await findRecord(req);
+    const record = await retractRecord({ existing, reason: req.body.reason, actor: actorFrom(req) });
+
     res.json({
       success: true,
-      message: 'Medical record updated successfully',
+      message: 'Medical record marked as entered in error',
       data: { record }
     });
   } catch (error) {
@@ -208,25 +300,149 @@ router.put('/:recordId', requireDoctor, validateMedicalRecordUpdate, asyncHandle
   }
 }));
 
-// Delete medical record
-router.delete('/:recordId', requireDoctor, asyncHandler(async (req, res) => {
-  const { recordId } = req.params;
+// Version history of a medical record
+router.get('/:recordId/versions', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const record = await findRecord(req);
+    const versions = await getVersions(record);
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: versionOf(record),
+        versions
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// One version of a medical record
+router.get('/:recordId/versions/:version', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const record = await findRecord(req);
+    const version = await getVersion(record, parseInt(req.params.version));
+
+    res.json({
+      success: true,
+      data: { version }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
 
+// Differences between two versions (defaults: the current version against the one before it)
+router.get('/:recordId/diff', requireDoctor, asyncHandler(async (req, res) => {
   try {
-    const { data: record, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .delete()
-      .eq('id', recordId)
-      .select()
-      .single();
-
-    if (error || !record) {
-      throw new NotFoundError('Medical record not found');
+    const record = await findRecord(req);
+    const to = req.query.to ? parseInt(req.query.to) : versionOf(record);
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from >= to) {
+      throw new ValidationError('Choose two versions with from lower than to');
     }
 
+    const [fromVersion, toVersion] = [await getVersion(record, from), await getVersion(record, to)];
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        changes: diffSnapshots(fromVersion.snapshot, toVersion.snapshot)
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Sign and lock a medical record. Notes by interns and midwives wait for a supervising doctor's countersignature.
+router.post('/:recordId/sign', requireDoctor, validateSignature, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await findRecord(req);
+    const record = await signRecord({ record: existing, userId: req.userId, cosignerId: req.body.cosignerId }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.json({
+      success: true,
+      message: record.signatureStatus === 'signed' ? 'Medical record signed' : 'Medical record signed and awaiting countersignature',
+      data: { record }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Countersign a note as the supervising doctor
+router.post('/:recordId/cosign', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findRecord(req);
+    const record = await cosignRecord({ record: existing, userId: req.userId }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.json({
+      success: true,
+      message: 'Medical record countersigned',
+      data: { record }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Signatures of a record, checked against its current content
+router.get('/:recordId/signature', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const record = await findRecord(req);
+
     res.json({
       success: true,
-      message: 'Medical record deleted successfully'
+      data: verifySignatures(record)
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Addenda to a signed record
+router.get('/:recordId/addenda', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const record = await findRecord(req);
+    const addenda = await getAddenda(record);
+
+    res.json({
+      success: true,
+      data: { addenda }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+router.post('/:recordId/addenda', requireDoctor, validateAddendum, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const record = await findRecord(req);
+    const addendum = await addAddendum({ record, userId: req.userId, text: req.body.text });
+
+    res.status(201).json({
+      success: true,
+      message: 'Addendum added',
+      data: { addendum }
     });
   } catch (error) {
     throw error;
@@ -236,23 +452,17 @@ router.delete('/:recordId', requireDoctor, asyncHandler(async (req, res) => {
 // Get patient's medical history
 router.get('/patient/:patientId/history', requireDoctor, asyncHandler(async (req, res) => {
   const { patientId } = req.params;
-  const { page = 1, limit = 20 } = req.query;
+  const { page = 1, limit = 20, includeEnteredInError } = req.query;
   const offset = (page - 1) * limit;
 
   try {
-    const { data: records, error, count } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select(`
-        *,
-        doctors (id, firstName, lastName, specialization)
-      `, { count: 'exact' })
-      .eq('patientId', patientId)
-      .order('visitDate', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch medical history');
-    }
+    const { rows: records, count } = await repositories.medicalRecords.findMany({
+      filters: { patientId: await patientScopeFor(actorFrom(req), patientId), status: currentOnly(includeEnteredInError) },
+      orderBy: { field: 'visitDate', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['doctors']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -282,29 +492,16 @@ router.get('/date-range/records', requireDoctor, asyncHandler(async (req, res) =
   }
 
   try {
-    let query = supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select(`
-        *,
-        patients (id, firstName, lastName, email, phone),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .gte('visitDate', startDate)
-      .lte('visitDate', endDate)
-      .order('visitDate', { ascending: false });
-
-    if (patientId) {
-      query = query.eq('patientId', patientId);
-    }
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-
-    const { data: records, error } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch medical records');
-    }
+    const { rows: records } = await repositories.medicalRecords.findMany({
+      filters: {
+        visitDate: { gte: startDate, lte: endDate },
+        patientId: await patientScopeFor(actorFrom(req), patientId),
+        doctorId,
+        status: currentOnly()
+      },
+      orderBy: { field: 'visitDate', ascending: false },
+      include: ['patients', 'doctors']
+    });
 
     res.json({
       success: true,
@@ -320,25 +517,14 @@ router.get('/stats/overview', requireDoctor, asyncHandler(async (req, res) => {
   const { doctorId, startDate, endDate } = req.query;
 
   try {
-    let query = supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select('visitDate, diagnosis, patientId');
-
-    if (doctorId) {
-      query = query.eq('doctorId', doctorId);
-    }
-    if (startDate) {
-      query = query.gte('visitDate', startDate);
-    }
-    if (endDate) {
-      query = query.lte('visitDate', endDate);
-    }
-
-    const { data: records, error } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch medical record statistics');
-    }
+    const { rows: records } = await repositories.medicalRecords.findMany({
+      filters: {
+        doctorId,
+        patientId: await patientScopeFor(actorFrom(req)),
+        visitDate: { gte: startDate, lte: endDate },
+        status: currentOnly()
+      }
+    });
 
     // Calculate statistics
     const stats = {
@@ -374,20 +560,13 @@ router.get('/search/records', requireDoctor, asyncHandler(async (req, res) => {
   }
 
   try {
-    const { data: records, error } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select(`
-        id, visitDate, chiefComplaint, diagnosis, treatment,
-        patients (id, firstName, lastName, email),
-        doctors (id, firstName, lastName, specialization)
-      `)
-      .or(`chiefComplaint.ilike.%${q}%,diagnosis.ilike.%${q}%,treatment.ilike.%${q}%,notes.ilike.%${q}%`)
-      .limit(parseInt(limit))
-      .order('visitDate', { ascending: false });
-
-    if (error) {
-      throw new ValidationError('Failed to search medical records');
-    }
+    const { rows: records } = await repositories.medicalRecords.findMany({
+      filters: { patientId: await patientScopeFor(actorFrom(req)), status: currentOnly() },
+      search: { term: q, fields: ['chiefComplaint', 'diagnosis', 'treatment', 'notes'] },
+      orderBy: { field: 'visitDate', ascending: false },
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, requireAdmin } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { normalise, isFormularyEntry, isFormularyList, normaliseEntry, importFormulary } = require('../services/formulary');
+const { checkMedications } = require('../services/medicationSafety');
+
+const router = express.Router();
+
+// Validation middleware
+const validateImport = [
+  body('medications').optional().isArray().withMessage('Medications must be an array').bail().custom(isFormularyList)
+];
+
+const validateCheck = [
+  body('patientId').isUUID().withMessage('Valid patient ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('excludePrescriptionId').optional().isUUID().withMessage('Valid prescription ID is required')
+];
+
+const findMedication = async (medicationId) => {
+  const medication = await repositories.medications.findById(medicationId);
+
+  if (!medication) {
+    throw new NotFoundError('Medication not found');
+  }
+
+  return medication;
+};
+
+// Reject a generic name already used by another formulary entry
+const assertUniqueName = async (genericName, excludeId) => {
+  const { rows } = await repositories.medications.findMany({});
+  const clash = rows.find((medication) => medication.id !== excludeId && normalise(medication.genericName) === normalise(genericName));
+
+  if (clash) {
+    throw new ConflictError(`${clash.genericName} is already in the formulary`, { medicationId: clash.id });
+  }
+};
+
+// Get formulary (with search and filtering)
+router.get('/', requireDoctor, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, search, drugClass, pregnancyCategory, includeInactive } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const { rows: medications, count } = await repositories.medications.findMany({
+      filters: {
+        drugClass: drugClass ? normalise(drugClass) : undefined,
+        pregnancyCategory,
+        isActive: includeInactive === 'true' ? undefined : true
+      },
+      search: search ? { term: search, fields: ['genericName', 'drugClass'] } : undefined,
+      orderBy: { field: 'genericName', ascending: true },
+      offset,
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        medications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Preview safety warnings for a patient without saving anything
+router.post('/check', requireDoctor, validateCheck, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId, items, excludePrescriptionId } = req.body;
+
+  try {
+    const patient = await repositories.patients.findById(patientId);
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    const warnings = await checkMedications({ patient, items, excludePrescriptionId });
+
+    res.json({
+      success: true,
+      data: { warnings }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Import formulary entries (the bundled seed list when no medications are sent)
+router.post('/import', requireAdmin, validateImport, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const result = await importFormulary(req.body.medications, req.userId);
+
+    res.json({
+      success: true,
+      message: `Formulary imported: ${result.created} created, ${result.updated} updated`,
+      data: result
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get medication by ID
+router.get('/:medicationId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const medication = await findMedication(req.params.medicationId);
+
+    res.json({
+      success: true,
+      data: { medication }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Add a medication to the formulary
+router.post('/', requireAdmin, body().custom((value) => isFormularyEntry(value)), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    await assertUniqueName(req.body.genericName);
+
+    const medication = await repositories.medications.create({
+      ...normaliseEntry(req.body),
+      isActive: true,
+      createdBy: req.userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Medication created successfully',
+      data: { medication }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Update a formulary entry; the body is merged with the current entry and revalidated
+router.put('/:medicationId', requireAdmin, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findMedication(req.params.medicationId);
+    const merged = { ...existing, ...req.body };
+
+    try {
+      isFormularyEntry(merged);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    await assertUniqueName(merged.genericName, existing.id);
+
+    const medication = await repositories.medications.update(existing.id, {
+      ...normaliseEntry(merged),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Medication updated successfully',
+      data: { medication }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Remove a medication from the formulary (soft delete, old prescriptions keep their names)
+router.delete('/:medicationId', requireAdmin, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findMedication(req.params.medicationId);
+
+    await repositories.medications.update(existing.id, {
+      isActive: false,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Medication removed from formulary'
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { ValidationError, UnauthorizedError, asyncHandler } = require('../middleware/errorHandler');
+const { recordDeliveryStatus } = require('../services/notifications');
+
+const router = express.Router();
+
+// Providers call these without a user session; they authenticate with the shared
+// NOTIFICATION_WEBHOOK_SECRET passed as the `token` query parameter of the callback URL.
+const verifyWebhookToken = (req, res, next) => {
+  const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+  const token = String(req.query.token || '');
+
+  if (!secret || token.length !== secret.length || !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret))) {
+    return next(new UnauthorizedError('Invalid webhook token'));
+  }
+
+  next();
+};
+
+// Validation middleware
+const validateDeliveryReport = [
+  body('id').isString().notEmpty().withMessage('Message ID is required'),
+  body('status').isString().notEmpty().withMessage('Delivery status is required'),
+  body('failureReason').optional().isString().withMessage('Failure reason must be a string')
+];
+
+// SMS delivery report
+router.post('/delivery-status', verifyWebhookToken, validateDeliveryReport, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { id, status, failureReason } = req.body;
+
+  try {
+    const notification = await recordDeliveryStatus(id, status, failureReason);
+
+    res.json({
+      success: true,
+      data: { updated: Boolean(notification) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
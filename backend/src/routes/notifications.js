@@ -0,0 +1,142 @@
+const express = require('express');
+const { repositories } = require('../repositories');
+const { NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// The inbox holds the user's in-app notifications once they have been sent;
+// scheduled reminders appear when they fall due
+const inboxFilters = (req) => ({
+  recipientId: req.userId,
+  channel: 'in-app',
+  status: 'delivered'
+});
+
+// Load one of the user's own inbox notifications; anyone else's is reported as missing
+const findOwnNotification = async (req) => {
+  const notification = await repositories.notifications.findById(req.params.notificationId);
+
+  if (!notification || notification.recipientId !== req.userId || notification.channel !== 'in-app') {
+    throw new NotFoundError('Notification not found');
+  }
+
+  return notification;
+};
+
+// Get own notifications
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const { rows: notifications, count } = await repositories.notifications.findMany({
+      filters: {
+        ...inboxFilters(req),
+        readAt: unread === 'true' ? null : undefined
+      },
+      orderBy: { field: 'sentAt', ascending: false },
+      offset,
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get unread notification count
+router.get('/unread-count', asyncHandler(async (req, res) => {
+  try {
+    const unreadCount = await repositories.notifications.count({ ...inboxFilters(req), readAt: null });
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Mark all own notifications as read
+router.patch('/read-all', asyncHandler(async (req, res) => {
+  try {
+    const updated = await repositories.notifications.updateMany(
+      { ...inboxFilters(req), readAt: null },
+      { readAt: new Date().toISOString() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updatedCount: updated.length }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Mark a notification as read
+router.patch('/:notificationId/read', asyncHandler(async (req, res) => {
+  try {
+    const existing = await findOwnNotification(req);
+    const notification = await repositories.notifications.update(existing.id, {
+      readAt: existing.readAt || new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Mark a notification as unread
+router.patch('/:notificationId/unread', asyncHandler(async (req, res) => {
+  try {
+    const existing = await findOwnNotification(req);
+    const notification = await repositories.notifications.update(existing.id, { readAt: null });
+
+    res.json({
+      success: true,
+      message: 'Notification marked as unread',
+      data: { notification }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Delete a notification
+router.delete('/:notificationId', asyncHandler(async (req, res) => {
+  try {
+    const existing = await findOwnNotification(req);
+    await repositories.notifications.remove(existing.id);
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { doctorProfileFor } = require('../services/careTeam');
+const {
+  LIQUOR_STATES,
+  MOULDING_GRADES,
+  entriesOf,
+  openPartograph,
+  recordEntry,
+  chartData
+} = require('../services/partograph');
+const { renderPartographSvg } = require('../services/partographChart');
+
+// Mounted under /api/patients/:patientId/pregnancies/:pregnancyId/partographs
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Validation middleware
+const validatePartograph = [
+  body('responsibleDoctorId').optional().isUUID().withMessage('Valid responsible doctor ID is required'),
+  body('admittedAt').optional().isISO8601().withMessage('Admission time must be a valid date and time'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateEntry = [
+  body('recordedAt').optional().isISO8601().withMessage('Observation time must be a valid date and time'),
+  body('cervicalDilatationCm').optional({ values: 'null' }).isFloat({ min: 0, max: 10 }).withMessage('Cervical dilatation must be between 0 and 10 cm'),
+  body('descentFifths').optional({ values: 'null' }).isInt({ min: 0, max: 5 }).withMessage('Descent must be between 0 and 5 fifths'),
+  body('contractionsPer10Min').optional({ values: 'null' }).isInt({ min: 0, max: 10 }).withMessage('Contractions must be between 0 and 10 per 10 minutes'),
+  body('contractionDurationSeconds').optional({ values: 'null' }).isInt({ min: 0, max: 180 }).withMessage('Contraction duration must be between 0 and 180 seconds'),
+  body('fetalHeartRate').optional({ values: 'null' }).isInt({ min: 50, max: 240 }).withMessage('Fetal heart rate must be between 50 and 240 bpm'),
+  body('maternalPulse').optional({ values: 'null' }).isInt({ min: 30, max: 220 }).withMessage('Maternal pulse must be between 30 and 220 bpm'),
+  body('systolicBp').optional({ values: 'null' }).isInt({ min: 60, max: 260 }).withMessage('Systolic BP must be between 60 and 260 mmHg'),
+  body('diastolicBp').optional({ values: 'null' }).isInt({ min: 30, max: 160 }).withMessage('Diastolic BP must be between 30 and 160 mmHg'),
+  body('temperatureC').optional({ values: 'null' }).isFloat({ min: 30, max: 43 }).withMessage('Temperature must be between 30 and 43 °C'),
+  body('liquor').optional({ values: 'null' }).isIn(LIQUOR_STATES).withMessage(`Liquor must be one of ${LIQUOR_STATES.join(', ')}`),
+  body('moulding').optional({ values: 'null' }).isIn(MOULDING_GRADES).withMessage('Moulding must be 0, 1, 2 or 3'),
+  body('drugs').optional().isArray().withMessage('Drugs must be a list'),
+  body('drugs.*.drug').trim().notEmpty().withMessage('Each drug needs a name'),
+  body('drugs.*.dose').optional().isString().withMessage('Drug dose must be a string'),
+  body('drugs.*.route').optional().isString().withMessage('Drug route must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+// Observations an entry may carry
+const ENTRY_FIELDS = [
+  'recordedAt',
+  'cervicalDilatationCm',
+  'descentFifths',
+  'contractionsPer10Min',
+  'contractionDurationSeconds',
+  'fetalHeartRate',
+  'maternalPulse',
+  'systolicBp',
+  'diastolicBp',
+  'temperatureC',
+  'liquor',
+  'moulding',
+  'drugs',
+  'notes'
+];
+
+const findPregnancy = async (req) => {
+  const pregnancy = await repositories.pregnancies.findOne({ id: req.params.pregnancyId, patientId: req.params.patientId });
+
+  if (!pregnancy) {
+    throw new NotFoundError('Pregnancy not found');
+  }
+
+  return pregnancy;
+};
+
+const findPartograph = async (req) => {
+  const partograph = await repositories.partographs.findOne({ id: req.params.partographId, pregnancyId: req.params.pregnancyId });
+
+  if (!partograph) {
+    throw new NotFoundError('Partograph not found');
+  }
+
+  return partograph;
+};
+
+// Get the pregnancy's partographs, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const pregnancy = await findPregnancy(req);
+
+    const { rows: partographs } = await repositories.partographs.findMany({
+      filters: { pregnancyId: pregnancy.id },
+      orderBy: { field: 'admittedAt', ascending: false },
+      include: ['doctors']
+    });
+
+    res.json({
+      success: true,
+      data: { partographs }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Start charting labour. The responsible clinician, who is told about alerts, defaults to the
+// doctor opening the partograph.
+router.post('/', requireDoctor, validatePartograph, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { responsibleDoctorId, admittedAt, notes } = req.body;
+
+  try {
+    const pregnancy = await findPregnancy(req);
+
+    const responsible = responsibleDoctorId
+      ? await repositories.doctors.findById(responsibleDoctorId)
+      : await doctorProfileFor(req.userId);
+    if (!responsible) {
+      throw responsibleDoctorId
+        ? new NotFoundError('Doctor not found')
+        : new ValidationError('Responsible doctor ID is required');
+    }
+
+    const partograph = await openPartograph({
+      pregnancy,
+      responsibleDoctorId: responsible.id,
+      admittedAt,
+      notes,
+      openedBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Partograph started successfully',
+      data: { partograph }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a partograph with its observations
+router.get('/:partographId', asyncHandler(async (req, res) => {
+  try {
+    const partograph = await findPartograph(req);
+
+    res.json({
+      success: true,
+      data: { partograph, entries: await entriesOf(partograph.id) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record an observation; alerts in the response are also sent to the responsible clinician
+router.post('/:partographId/entries', requireDoctor, validateEntry, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const observed = ENTRY_FIELDS.filter((field) => req.body[field] !== undefined && !['recordedAt', 'notes'].includes(field));
+    if (observed.length === 0) {
+      throw new ValidationError('The entry records no observation');
+    }
+    if ((req.body.systolicBp == null) !== (req.body.diastolicBp == null)) {
+      throw new ValidationError('Blood pressure needs both systolic and diastolic values');
+    }
+
+    const existing = await findPartograph(req);
+    const data = Object.fromEntries(ENTRY_FIELDS
+      .filter((field) => req.body[field] !== undefined)
+      .map((field) => [field, req.body[field]]));
+
+    const { entry, partograph } = await recordEntry(existing, data, { userId: req.userId, role: req.userRole });
+
+    res.status(201).json({
+      success: true,
+      message: entry.alerts.length > 0
+        ? `Observation recorded with ${entry.alerts.length} alert${entry.alerts.length === 1 ? '' : 's'}`
+        : 'Observation recorded',
+      data: { entry, partograph }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// The chart as data series
+router.get('/:partographId/chart', asyncHandler(async (req, res) => {
+  try {
+    const partograph = await findPartograph(req);
+
+    res.json({
+      success: true,
+      data: { chart: chartData(partograph, await entriesOf(partograph.id)) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// The chart rendered as SVG
+router.get('/:partographId/chart.svg', asyncHandler(async (req, res) => {
+  try {
+    const partograph = await findPartograph(req);
+    const patient = await repositories.patients.findById(partograph.patientId);
+    const name = patient ? [patient.firstName, patient.lastName].filter(Boolean).join(' ') : '';
+
+    const svg = renderPartographSvg(chartData(partograph, await entriesOf(partograph.id)), {
+      title: `Partograph${name ? ` - ${name}` : ''} (admitted ${partograph.admittedAt.slice(0, 16).replace('T', ' ')})`
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type('image/svg+xml').send(svg);
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Stop charting, once the baby is born or the patient is transferred
+router.patch('/:partographId/complete', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const existing = await findPartograph(req);
+
+    if (existing.status === 'completed') {
+      throw new ConflictError('The partograph is already completed', { completedAt: existing.completedAt });
+    }
+
+    const now = new Date().toISOString();
+    const partograph = await repositories.partographs.update(existing.id, {
+      status: 'completed',
+      completedAt: now,
+      completedBy: req.userId,
+      ...(req.body.notes !== undefined && { notes: req.body.notes }),
+      updatedAt: now
+    });
+
+    res.json({
+      success: true,
+      message: 'Partograph completed',
+      data: { partograph }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
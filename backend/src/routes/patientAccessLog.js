@@ -0,0 +1,59 @@
+const express = require('express');
+const { repositories } = require('../repositories');
+const { requirePatient, loadPatientProfile } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Every route acts on the authenticated patient's own record
+router.use(requirePatient, loadPatientProfile);
+
+// What a patient is shown of an audit entry: who, when and what, without staff ids or addresses
+const accessView = (entry) => ({
+  occurredAt: entry.occurredAt,
+  action: entry.action,
+  resource: entry.resource,
+  accessedBy: {
+    name: entry.users ? [entry.users.firstName, entry.users.lastName].filter(Boolean).join(' ') : null,
+    role: entry.actorRole
+  }
+});
+
+// Who accessed my record: other people's successful reads and changes of my data, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const { rows, count } = await repositories.auditLog.findMany({
+      filters: {
+        patientId: req.patient.id,
+        actorId: { neq: req.userId },
+        outcome: 'success'
+      },
+      orderBy: { field: 'sequence', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['users']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        accesses: rows.map(accessView),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requirePatient, loadPatientProfile } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const { assertNoConflicts } = require('../services/scheduling');
+const { unavailableReason } = require('../services/availability');
+const { policyFor, bookingViolation, changeViolation } = require('../services/bookingPolicy');
+const { createAppointment, updateAppointment, actorFrom } = require('../services/appointmentLifecycle');
+
+const router = express.Router();
+
+// Every route acts on the authenticated patient's own record
+router.use(requirePatient, loadPatientProfile);
+
+// Statuses a patient may still reschedule or cancel
+const CHANGEABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Validation middleware
+const validateBooking = [
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
+  body('appointmentTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('type').optional().isIn(['consultation', 'follow-up', 'routine']).withMessage('Valid appointment type is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateReschedule = [
+  body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
+  body('appointmentTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)')
+];
+
+const validateCancellation = [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+// Load one of the patient's own appointments; other patients' appointments are reported as missing
+const findOwnAppointment = async (req, options = {}) => {
+  const appointment = await repositories.appointments.findById(req.params.appointmentId, options);
+
+  if (!appointment || appointment.patientId !== req.patient.id) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  return appointment;
+};
+
+// Check a requested slot against the doctor's hours, leave and the clinic's booking policy.
+// Clashes are reported by time only, never with the other appointments themselves.
+const assertBookable = async (doctor, slot, policy) => {
+  const reason = bookingViolation(policy, slot) || await unavailableReason({ doctor, ...slot });
+
+  if (reason) {
+    throw new ValidationError(reason);
+  }
+
+  await assertNoConflicts(slot, { timesOnly: true });
+};
+
+// Get own appointments
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, upcoming } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const { rows: appointments, count } = await repositories.appointments.findMany({
+      filters: {
+        patientId: req.patient.id,
+        status,
+        appointmentDate: upcoming === 'true' ? { gte: new Date().toISOString().split('T')[0] } : undefined
+      },
+      orderBy: [
+        { field: 'appointmentDate', ascending: true },
+        { field: 'appointmentTime', ascending: true }
+      ],
+      offset,
+      limit: parseInt(limit),
+      include: ['doctors', 'clinics']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        appointments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get one own appointment
+router.get('/:appointmentId', asyncHandler(async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req, { include: ['doctors', 'clinics'] });
+
+    res.json({
+      success: true,
+      data: { appointment }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Book an appointment
+router.post('/', validateBooking, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { doctorId, appointmentDate, appointmentTime, duration = 30, type = 'consultation', reason, notes } = req.body;
+
+  try {
+    const doctor = await repositories.doctors.findById(doctorId);
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const slot = {
+      patientId: req.patient.id,
+      doctorId,
+      appointmentDate,
+      appointmentTime,
+      duration: parseInt(duration)
+    };
+
+    await assertBookable(doctor, slot, await policyFor({ doctorId }));
+
+    const appointment = await createAppointment({
+      ...slot,
+      clinicId: doctor.clinicId || null,
+      type,
+      reason: reason || null,
+      notes: notes || null,
+      status: 'scheduled',
+      bookedBy: 'patient',
+      createdBy: req.userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }, actorFrom(req), {
+      include: ['doctors', 'clinics']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Reschedule an own appointment
+router.patch('/:appointmentId/reschedule', validateReschedule, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { appointmentDate, appointmentTime } = req.body;
+
+  try {
+    const existing = await findOwnAppointment(req);
+
+    if (!CHANGEABLE_STATUSES.includes(existing.status)) {
+      throw new ValidationError(`A ${existing.status} appointment cannot be rescheduled`);
+    }
+
+    const policy = await policyFor(existing);
+    const violation = changeViolation(policy, existing, 'reschedule');
+    if (violation) {
+      throw new ValidationError(violation);
+    }
+
+    const doctor = await repositories.doctors.findById(existing.doctorId);
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const slot = {
+      patientId: existing.patientId,
+      doctorId: existing.doctorId,
+      appointmentDate,
+      appointmentTime,
+      duration: existing.duration
+    };
+
+    await assertBookable(doctor, { ...slot, excludeId: existing.id }, policy);
+
+    const appointment = await updateAppointment(existing, {
+      appointmentDate,
+      appointmentTime,
+      status: 'scheduled',
+      rescheduledFrom: { appointmentDate: existing.appointmentDate, appointmentTime: existing.appointmentTime }
+    }, actorFrom(req), {
+      reason: 'rescheduled by patient',
+      include: ['doctors', 'clinics']
+    });
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Cancel an own appointment
+router.patch('/:appointmentId/cancel', validateCancellation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await findOwnAppointment(req);
+
+    if (!CHANGEABLE_STATUSES.includes(existing.status)) {
+      throw new ValidationError(`A ${existing.status} appointment cannot be cancelled`);
+    }
+
+    const violation = changeViolation(await policyFor(existing), existing, 'cancel');
+    if (violation) {
+      throw new ValidationError(violation);
+    }
+
+    const appointment = await updateAppointment(existing, { status: 'cancelled' }, actorFrom(req), {
+      reason: req.body.reason,
+      include: ['doctors', 'clinics']
+    });
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requirePatient, loadPatientProfile } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { CONSENT_STATUSES, revokeConsent } = require('../services/consents');
+
+const router = express.Router();
+
+// Every route acts on the authenticated patient's own record
+router.use(requirePatient, loadPatientProfile);
+
+// Validation middleware
+const validateRevocation = [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+// My consents, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const { type, status } = req.query;
+
+  try {
+    if (status && !CONSENT_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of ${CONSENT_STATUSES.join(', ')}`);
+    }
+
+    const { rows: consents } = await repositories.consents.findMany({
+      filters: { patientId: req.patient.id, type, status },
+      orderBy: { field: 'grantedAt', ascending: false }
+    });
+
+    res.json({
+      success: true,
+      data: { consents }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Withdraw one of my consents; it stops applying at once
+router.patch('/:consentId/revoke', validateRevocation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await repositories.consents.findOne({ id: req.params.consentId, patientId: req.patient.id });
+
+    if (!existing) {
+      throw new NotFoundError('Consent not found');
+    }
+    if (existing.status === 'revoked') {
+      throw new ConflictError('Consent is already revoked', { revokedAt: existing.revokedAt });
+    }
+
+    const consent = await revokeConsent(existing, { revokedBy: req.userId, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Consent revoked',
+      data: { consent }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
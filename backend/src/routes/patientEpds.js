@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { requirePatient, loadPatientProfile } = require('../middleware/auth');
+const { ValidationError, asyncHandler } = require('../middleware/errorHandler');
+const { recordScreening, scoreTrend, screeningsOf, questionnaire } = require('../services/epds');
+
+const router = express.Router();
+
+// Every route acts on the authenticated patient's own record
+router.use(requirePatient, loadPatientProfile);
+
+// Validation middleware
+const validateScreening = [
+  body('answers').isArray({ min: 10, max: 10 }).withMessage('Answers to all 10 questions are required'),
+  body('answers.*').isInt({ min: 0, max: 3 }).withMessage('Each answer must be an option number from 0 to 3').toInt()
+];
+
+// The questionnaire to fill in
+router.get('/questionnaire', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { questionnaire: questionnaire() }
+  });
+}));
+
+// My screenings, newest first, with how my score has changed
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const screenings = await screeningsOf(req.patient.id);
+
+    res.json({
+      success: true,
+      data: { screenings, trend: scoreTrend(screenings) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Complete the questionnaire myself; my care team is told when follow-up is recommended
+router.post('/', validateScreening, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const screening = await recordScreening({
+      patientId: req.patient.id,
+      answers: req.body.answers,
+      completedBy: 'patient',
+      actor: { userId: req.userId, role: req.userRole }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: screening.referralRecommended
+        ? 'Thank you. Your answers suggest you may need some extra support; your care team will be in touch.'
+        : 'Thank you for completing the questionnaire',
+      data: { screening }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { supabase, dbHelpers, TABLES } = require('../config/supabase');
-const { authenticateToken, requireDoctor, canAccessPatient, asyncHandler } = require('../middleware/auth');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { repositories } = require('../repositories');
+const { authenticateToken, requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  CARE_TEAM_ROLES,
+  REFERRAL_STATUSES,
+  doctorProfileFor,
+  patientScopeFor,
+  assertNotBreakGlass,
+  assignCareTeamMember
+} = require('../services/careTeam');
+const { assertCanShareWithClinic } = require('../services/consents');
 
 const router = express.Router();
 
@@ -18,7 +27,9 @@ const validatePatientData = [
   body('emergencyContact').optional().isObject().withMessage('Emergency contact must be an object'),
   body('medicalHistory').optional().isArray().withMessage('Medical history must be an array'),
   body('allergies').optional().isArray().withMessage('Allergies must be an array'),
-  body('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Valid blood type is required')
+  body('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Valid blood type is required'),
+  body('isPregnant').optional().isBoolean().withMessage('Pregnancy status must be true or false'),
+  body('isBreastfeeding').optional().isBoolean().withMessage('Breastfeeding status must be true or false')
 ];
 
 const validatePatientUpdate = [
@@ -27,9 +38,35 @@ const validatePatientUpdate = [
   body('dateOfBirth').optional().isISO8601().withMessage('Valid date of birth is required'),
   body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Valid gender is required'),
   body('phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
-  body('email').optional().isEmail().withMessage('Valid email is required')
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('allergies').optional().isArray().withMessage('Allergies must be an array'),
+  body('isPregnant').optional().isBoolean().withMessage('Pregnancy status must be true or false'),
+  body('isBreastfeeding').optional().isBoolean().withMessage('Breastfeeding status must be true or false')
+];
+
+const validateCareTeamMember = [
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('role').optional().isIn(CARE_TEAM_ROLES).withMessage(`Role must be one of ${CARE_TEAM_ROLES.join(', ')}`),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+const validateReferral = [
+  body('toDoctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('reason').trim().notEmpty().withMessage('Referral reason is required'),
+  body('priority').optional().isIn(['routine', 'urgent']).withMessage('Priority must be routine or urgent')
 ];
 
+const validateReferralStatus = [
+  body('status').isIn(REFERRAL_STATUSES.filter((status) => status !== 'open')).withMessage('Status must be completed or cancelled')
+];
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+// When the breastfeeding flag was last set, so a later postnatal visit can supersede it
+const breastfeedingStamp = (body) => (body.isBreastfeeding !== undefined
+  ? { breastfeedingRecordedAt: new Date().toISOString() }
+  : {});
+
 // Get all patients (with pagination and filtering)
 router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   const { 
@@ -45,32 +82,13 @@ router.get('/', requireDoctor, asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.PATIENTS)
-      .select('*', { count: 'exact' });
-
-    // Apply filters
-    if (search) {
-      query = query.or(`firstName.ilike.%${search}%,lastName.ilike.%${search}%,email.ilike.%${search}%`);
-    }
-    if (gender) {
-      query = query.eq('gender', gender);
-    }
-    if (bloodType) {
-      query = query.eq('bloodType', bloodType);
-    }
-
-    // Apply sorting
-    query = query.order(sortBy, { ascending: sortOrder === 'asc' });
-
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
-
-    const { data: patients, error, count } = await query;
-
-    if (error) {
-      throw new ValidationError('Failed to fetch patients');
-    }
+    const { rows: patients, count } = await repositories.patients.findMany({
+      filters: { id: await patientScopeFor(actorFrom(req)), gender, bloodType },
+      search: search && { term: search, fields: ['firstName', 'lastName', 'email'] },
+      orderBy: { field: sortBy, ascending: sortOrder === 'asc' },
+      offset,
+      limit: parseInt(limit)
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -98,17 +116,11 @@ router.get('/:patientId', canAccessPatient, asyncHandler(async (req, res) => {
   const { patientId } = req.params;
 
   try {
-    const { data: patient, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .select(`
-        *,
-        medical_records (*),
-        appointments (*)
-      `)
-      .eq('id', patientId)
-      .single();
-
-    if (error || !patient) {
+    const patient = await repositories.patients.findById(patientId, {
+      include: ['medical_records', 'appointments']
+    });
+
+    if (!patient) {
       throw new NotFoundError('Patient not found');
     }
 
@@ -130,20 +142,19 @@ router.post('/', requireDoctor, validatePatientData, asyncHandler(async (req, re
 
   const patientData = {
     ...req.body,
+    ...breastfeedingStamp(req.body),
     createdBy: req.userId,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 
   try {
-    const { data: patient, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .insert(patientData)
-      .select()
-      .single();
-
-    if (error) {
-      throw new ValidationError('Failed to create patient');
+    const patient = await repositories.patients.create(patientData);
+
+    // The doctor registering a patient becomes their primary doctor
+    const doctor = req.userRole === 'doctor' ? await doctorProfileFor(req.userId) : null;
+    if (doctor) {
+      await assignCareTeamMember({ patientId: patient.id, doctorId: doctor.id, role: 'primary', assignedBy: req.userId });
     }
 
     res.status(201).json({
@@ -166,18 +177,14 @@ router.put('/:patientId', canAccessPatient, validatePatientUpdate, asyncHandler(
   const { patientId } = req.params;
   const updates = {
     ...req.body,
+    ...breastfeedingStamp(req.body),
     updatedAt: new Date().toISOString()
   };
 
   try {
-    const { data: patient, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .update(updates)
-      .eq('id', patientId)
-      .select()
-      .single();
-
-    if (error || !patient) {
+    const patient = await repositories.patients.update(patientId, updates);
+
+    if (!patient) {
       throw new NotFoundError('Patient not found');
     }
 
@@ -192,22 +199,17 @@ router.put('/:patientId', canAccessPatient, validatePatientUpdate, asyncHandler(
 }));
 
 // Delete patient (soft delete)
-router.delete('/:patientId', requireDoctor, asyncHandler(async (req, res) => {
+router.delete('/:patientId', requireDoctor, canAccessPatient, asyncHandler(async (req, res) => {
   const { patientId } = req.params;
 
   try {
-    const { data: patient, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .update({ 
-        isActive: false, 
-        deletedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      })
-      .eq('id', patientId)
-      .select()
-      .single();
-
-    if (error || !patient) {
+    const patient = await repositories.patients.update(patientId, {
+      isActive: false,
+      deletedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!patient) {
       throw new NotFoundError('Patient not found');
     }
 
@@ -227,16 +229,12 @@ router.get('/:patientId/medical-records', canAccessPatient, asyncHandler(async (
   const offset = (page - 1) * limit;
 
   try {
-    const { data: records, error, count } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select('*', { count: 'exact' })
-      .eq('patientId', patientId)
-      .order('createdAt', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch medical records');
-    }
+    const { rows: records, count } = await repositories.medicalRecords.findMany({
+      filters: { patientId },
+      orderBy: { field: 'createdAt', ascending: false },
+      offset,
+      limit: parseInt(limit)
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -264,25 +262,13 @@ router.get('/:patientId/appointments', canAccessPatient, asyncHandler(async (req
   const offset = (page - 1) * limit;
 
   try {
-    let query = supabase
-      .from(TABLES.APPOINTMENTS)
-      .select(`
-        *,
-        doctors (id, firstName, lastName, specialization)
-      `, { count: 'exact' })
-      .eq('patientId', patientId);
-
-    if (status) {
-      query = query.eq('status', status);
-    }
-
-    const { data: appointments, error, count } = await query
-      .order('appointmentDate', { ascending: true })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      throw new ValidationError('Failed to fetch appointments');
-    }
+    const { rows: appointments, count } = await repositories.appointments.findMany({
+      filters: { patientId, status },
+      orderBy: { field: 'appointmentDate', ascending: true },
+      offset,
+      limit: parseInt(limit),
+      include: ['doctors']
+    });
 
     const totalPages = Math.ceil(count / limit);
 
@@ -312,16 +298,12 @@ router.get('/search/patients', requireDoctor, asyncHandler(async (req, res) => {
   }
 
   try {
-    const { data: patients, error } = await supabase
-      .from(TABLES.PATIENTS)
-      .select('id, firstName, lastName, email, phone, dateOfBirth')
-      .or(`firstName.ilike.%${q}%,lastName.ilike.%${q}%,email.ilike.%${q}%`)
-      .limit(parseInt(limit))
-      .order('firstName', { ascending: true });
-
-    if (error) {
-      throw new ValidationError('Failed to search patients');
-    }
+    const { rows: patients } = await repositories.patients.findMany({
+      filters: { id: await patientScopeFor(actorFrom(req)) },
+      search: { term: q, fields: ['firstName', 'lastName', 'email'] },
+      orderBy: { field: 'firstName', ascending: true },
+      limit: parseInt(limit)
+    });
 
     res.json({
       success: true,
@@ -338,24 +320,12 @@ router.get('/:patientId/stats', canAccessPatient, asyncHandler(async (req, res)
 
   try {
     // Get appointment count by status
-    const { data: appointmentStats, error: appointmentError } = await supabase
-      .from(TABLES.APPOINTMENTS)
-      .select('status')
-      .eq('patientId', patientId);
-
-    if (appointmentError) {
-      throw new ValidationError('Failed to fetch appointment statistics');
-    }
+    const { rows: appointmentStats } = await repositories.appointments.findMany({
+      filters: { patientId }
+    });
 
     // Get medical records count
-    const { count: recordCount, error: recordError } = await supabase
-      .from(TABLES.MEDICAL_RECORDS)
-      .select('*', { count: 'exact', head: true })
-      .eq('patientId', patientId);
-
-    if (recordError) {
-      throw new ValidationError('Failed to fetch medical record statistics');
-    }
+    const recordCount = await repositories.medicalRecords.count({ patientId });
 
     // Calculate appointment statistics
     const appointmentCounts = appointmentStats.reduce((acc, appointment) => {
@@ -380,4 +350,235 @@ router.get('/:patientId/stats', canAccessPatient, asyncHandler(async (req, res)
   }
 }));
 
+// Get a patient's mother and babies, linked when a delivery is recorded
+router.get('/:patientId/family', canAccessPatient, asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+  const summary = ({ id, firstName, lastName, dateOfBirth, gender, deliveryId }) =>
+    ({ id, firstName, lastName, dateOfBirth, gender, deliveryId: deliveryId || null });
+
+  try {
+    const patient = await repositories.patients.findById(patientId);
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    const mother = patient.motherId ? await repositories.patients.findById(patient.motherId) : null;
+    const { rows: babies } = await repositories.patients.findMany({
+      filters: { motherId: patientId },
+      orderBy: { field: 'dateOfBirth', ascending: false }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        mother: mother ? summary(mother) : null,
+        babies: babies.map(summary)
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a patient's care team: current assignments, and doctors with open referrals
+router.get('/:patientId/care-team', canAccessPatient, asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+
+  try {
+    const { rows: members } = await repositories.careTeamMembers.findMany({
+      filters: { patientId, endedAt: null },
+      orderBy: { field: 'assignedAt', ascending: true },
+      include: ['doctors']
+    });
+
+    const { rows: referrals } = await repositories.referrals.findMany({
+      filters: { patientId, status: 'open' },
+      orderBy: { field: 'createdAt', ascending: true },
+      include: ['doctors']
+    });
+
+    res.json({
+      success: true,
+      data: { members, referrals }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Assign a doctor to the patient's care team
+router.post('/:patientId/care-team', requireDoctor, canAccessPatient, validateCareTeamMember, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId } = req.params;
+  const { doctorId, role = 'consultant', reason } = req.body;
+
+  try {
+    assertNotBreakGlass(req.patientAccess);
+
+    const doctor = await repositories.doctors.findById(doctorId);
+    if (!doctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const existing = await repositories.careTeamMembers.findOne({ patientId, doctorId, endedAt: null });
+    if (existing) {
+      throw new ConflictError('The doctor is already on this patient\'s care team', { memberId: existing.id });
+    }
+
+    // A doctor at another clinic would share the record with it
+    await assertCanShareWithClinic(await repositories.patients.findById(patientId), doctor.clinicId);
+
+    const member = await assignCareTeamMember({ patientId, doctorId, role, reason, assignedBy: req.userId }, {
+      include: ['doctors']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Doctor added to the care team',
+      data: { member }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Remove a doctor from the care team. The assignment is ended, not deleted.
+router.delete('/:patientId/care-team/:memberId', requireDoctor, canAccessPatient, asyncHandler(async (req, res) => {
+  const { patientId, memberId } = req.params;
+
+  try {
+    const existing = await repositories.careTeamMembers.findOne({ id: memberId, patientId, endedAt: null });
+
+    if (!existing) {
+      throw new NotFoundError('Care team member not found');
+    }
+
+    const member = await repositories.careTeamMembers.update(existing.id, {
+      endedAt: new Date().toISOString(),
+      endedBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Doctor removed from the care team',
+      data: { member }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a patient's referrals
+router.get('/:patientId/referrals', canAccessPatient, asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+  const { status } = req.query;
+
+  try {
+    const { rows: referrals } = await repositories.referrals.findMany({
+      filters: { patientId, status },
+      orderBy: { field: 'createdAt', ascending: false },
+      include: ['doctors']
+    });
+
+    res.json({
+      success: true,
+      data: { referrals }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Refer the patient to another doctor, who can then access their record
+router.post('/:patientId/referrals', requireDoctor, canAccessPatient, validateReferral, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId } = req.params;
+  const { toDoctorId, reason, priority = 'routine' } = req.body;
+
+  try {
+    assertNotBreakGlass(req.patientAccess);
+
+    const fromDoctor = await doctorProfileFor(req.userId);
+
+    const toDoctor = await repositories.doctors.findById(toDoctorId);
+    if (!toDoctor) {
+      throw new NotFoundError('Doctor not found');
+    }
+    if (fromDoctor && fromDoctor.id === toDoctorId) {
+      throw new ValidationError('You cannot refer a patient to yourself');
+    }
+
+    // Referring to another clinic shares the record with it
+    await assertCanShareWithClinic(await repositories.patients.findById(patientId), toDoctor.clinicId);
+
+    const now = new Date().toISOString();
+    const referral = await repositories.referrals.create({
+      patientId,
+      fromDoctorId: fromDoctor ? fromDoctor.id : null,
+      toDoctorId,
+      reason,
+      priority,
+      status: 'open',
+      referredBy: req.userId,
+      createdAt: now,
+      updatedAt: now
+    }, {
+      include: ['doctors']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral created successfully',
+      data: { referral }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Complete or cancel a referral; a cancelled referral no longer gives access
+router.patch('/:patientId/referrals/:referralId/status', requireDoctor, canAccessPatient, validateReferralStatus, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId, referralId } = req.params;
+
+  try {
+    const existing = await repositories.referrals.findOne({ id: referralId, patientId });
+
+    if (!existing) {
+      throw new NotFoundError('Referral not found');
+    }
+    if (existing.status !== 'open') {
+      throw new ConflictError(`Referral is already ${existing.status}`, { currentStatus: existing.status });
+    }
+
+    const referral = await repositories.referrals.update(existing.id, {
+      status: req.body.status,
+      closedBy: req.userId,
+      closedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: `Referral ${req.body.status}`,
+      data: { referral }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
 module.exports = router;
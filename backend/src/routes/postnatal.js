@@ -0,0 +1,292 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const { doctorProfileFor, assertNotBreakGlass } = require('../services/careTeam');
+const { actorFrom } = require('../services/appointmentLifecycle');
+const { deliveryFor } = require('../services/deliveries');
+const {
+  POSTNATAL_SUBJECTS,
+  UTERUS_STATES,
+  LOCHIA_STATES,
+  WOUND_STATES,
+  BREAST_STATES,
+  BREASTFEEDING_STATES,
+  FEEDING_STATES,
+  JAUNDICE_LEVELS,
+  CORD_STATES,
+  NEWBORN_IMMUNISATIONS,
+  subjectOf,
+  assessVisit,
+  postnatalSchedule,
+  bookPostnatalSchedule
+} = require('../services/postnatal');
+
+// Mounted under /api/patients/:patientId/pregnancies/:pregnancyId/delivery/postnatal
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Findings of a postnatal visit, for either subject and for the mother or the baby only
+const COMMON_FIELDS = ['visitDate', 'temperatureC', 'notes'];
+const MOTHER_FIELDS = ['systolicBp', 'diastolicBp', 'pulse', 'hemoglobin', 'uterus', 'lochia', 'wound', 'breasts', 'breastfeeding', 'contraception'];
+const BABY_FIELDS = ['weightGrams', 'respiratoryRate', 'feeding', 'jaundice', 'umbilicalCord', 'immunisations'];
+
+// Validation middleware; `optional` marks the visit date optional for corrections
+const visitValidators = (optional = false) => {
+  const measurement = (name) => body(name).optional({ values: 'null' });
+  const oneOf = (name, values, label) => measurement(name).isIn(values).withMessage(`${label} must be one of ${values.join(', ')}`);
+
+  return [
+    ...(optional ? [] : [body('patientId').isUUID().withMessage('Valid patient ID is required')]),
+    (optional ? body('visitDate').optional() : body('visitDate')).isISO8601().withMessage('Valid visit date is required'),
+    measurement('temperatureC').isFloat({ min: 30, max: 43 }).withMessage('Temperature must be between 30 and 43 °C'),
+    measurement('systolicBp').isInt({ min: 60, max: 260 }).withMessage('Systolic BP must be between 60 and 260 mmHg'),
+    measurement('diastolicBp').isInt({ min: 30, max: 160 }).withMessage('Diastolic BP must be between 30 and 160 mmHg'),
+    measurement('pulse').isInt({ min: 30, max: 220 }).withMessage('Pulse must be between 30 and 220 bpm'),
+    measurement('hemoglobin').isFloat({ min: 3, max: 20 }).withMessage('Hb must be between 3 and 20 g/dL'),
+    oneOf('uterus', UTERUS_STATES, 'Uterus'),
+    oneOf('lochia', LOCHIA_STATES, 'Lochia'),
+    oneOf('wound', WOUND_STATES, 'Wound'),
+    oneOf('breasts', BREAST_STATES, 'Breasts'),
+    oneOf('breastfeeding', BREASTFEEDING_STATES, 'Breastfeeding'),
+    measurement('contraception').isString().withMessage('Contraception must be a string'),
+    measurement('weightGrams').isInt({ min: 300, max: 10000 }).withMessage('Weight must be between 300 and 10000 g'),
+    measurement('respiratoryRate').isInt({ min: 10, max: 120 }).withMessage('Respiratory rate must be between 10 and 120 a minute'),
+    oneOf('feeding', FEEDING_STATES, 'Feeding'),
+    oneOf('jaundice', JAUNDICE_LEVELS, 'Jaundice'),
+    oneOf('umbilicalCord', CORD_STATES, 'Umbilical cord'),
+    body('immunisations').optional().isArray().withMessage('Immunisations must be a list'),
+    body('immunisations.*').isIn(NEWBORN_IMMUNISATIONS).withMessage(`Immunisations must be among ${NEWBORN_IMMUNISATIONS.join(', ')}`),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+  ];
+};
+
+const validateScheduleBooking = [
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('clinicId').optional().isUUID().withMessage('Valid clinic ID is required'),
+  body('appointmentTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid appointment time is required (HH:MM)'),
+  body('duration').isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('type').optional().isIn(['consultation', 'follow-up', 'emergency', 'routine', 'surgery']).withMessage('Valid appointment type is required'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('onConflict').optional().isIn(['reject', 'skip']).withMessage('On conflict must be reject or skip')
+];
+
+const fieldsFor = (subject) => [...COMMON_FIELDS, ...(subject === 'mother' ? MOTHER_FIELDS : BABY_FIELDS)];
+
+// The visit's findings; findings of the other subject are refused
+const pickFindings = (source, subject) => {
+  const foreign = (subject === 'mother' ? BABY_FIELDS : MOTHER_FIELDS).filter((field) => source[field] !== undefined);
+  if (foreign.length > 0) {
+    throw new ValidationError(`${foreign.join(', ')} ${foreign.length === 1 ? 'is' : 'are'} not recorded for the ${subject}`);
+  }
+
+  return Object.fromEntries(fieldsFor(subject)
+    .filter((field) => source[field] !== undefined)
+    .map((field) => [field, source[field]]));
+};
+
+const checkBloodPressure = ({ systolicBp, diastolicBp }) => {
+  if ((systolicBp == null) !== (diastolicBp == null)) {
+    throw new ValidationError('Blood pressure needs both systolic and diastolic values');
+  }
+  if (systolicBp != null && Number(diastolicBp) >= Number(systolicBp)) {
+    throw new ValidationError('Diastolic BP must be lower than systolic BP');
+  }
+};
+
+const findDelivery = async (req) => {
+  const pregnancy = await repositories.pregnancies.findOne({ id: req.params.pregnancyId, patientId: req.params.patientId });
+
+  if (!pregnancy) {
+    throw new NotFoundError('Pregnancy not found');
+  }
+
+  const delivery = await deliveryFor(pregnancy.id);
+
+  if (!delivery) {
+    throw new NotFoundError('No delivery is recorded for this pregnancy');
+  }
+
+  return delivery;
+};
+
+const findVisit = async (req, delivery) => {
+  const visit = await repositories.postnatalVisits.findOne({ id: req.params.visitId, deliveryId: delivery.id });
+
+  if (!visit) {
+    throw new NotFoundError('Postnatal visit not found');
+  }
+
+  return visit;
+};
+
+// The postnatal schedule of the mother and each baby
+router.get('/schedule', asyncHandler(async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    const schedule = await postnatalSchedule(delivery);
+
+    res.json({
+      success: true,
+      data: {
+        delivery: { id: delivery.id, deliveredAt: delivery.deliveredAt },
+        ...schedule
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Book every postnatal contact still to come, mother and babies back to back with one doctor
+router.post('/schedule/appointments', requireDoctor, validateScheduleBooking, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { doctorId, clinicId, appointmentTime, duration, type = 'follow-up', notes, onConflict } = req.body;
+
+  try {
+    assertNotBreakGlass(req.patientAccess);
+
+    const delivery = await findDelivery(req);
+
+    if (!await repositories.doctors.findById(doctorId)) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    const { appointments, skipped } = await bookPostnatalSchedule(delivery, {
+      doctorId,
+      clinicId,
+      appointmentTime,
+      duration: Number(duration),
+      type,
+      notes,
+      onConflict
+    }, actorFrom(req));
+
+    res.status(201).json({
+      success: true,
+      message: `${appointments.length} postnatal appointment${appointments.length === 1 ? '' : 's'} booked`,
+      data: { appointments, skipped }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get the postnatal visits of the delivery, optionally for one patient or subject
+router.get('/visits', asyncHandler(async (req, res) => {
+  const { patientId, subject } = req.query;
+
+  try {
+    if (subject && !POSTNATAL_SUBJECTS.includes(subject)) {
+      throw new ValidationError(`Subject must be one of ${POSTNATAL_SUBJECTS.join(', ')}`);
+    }
+
+    const delivery = await findDelivery(req);
+    const { rows: visits } = await repositories.postnatalVisits.findMany({
+      filters: { deliveryId: delivery.id, patientId, subject },
+      orderBy: { field: 'visitDate', ascending: true }
+    });
+
+    res.json({
+      success: true,
+      data: { visits }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a postnatal visit
+router.get('/visits/:visitId', asyncHandler(async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    const visit = await findVisit(req, delivery);
+
+    res.json({
+      success: true,
+      data: { visit }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Record a postnatal visit for the mother or a baby. It is placed against a postnatal contact by
+// the days since delivery and checked for findings that need attention.
+router.post('/visits', requireDoctor, visitValidators(), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const delivery = await findDelivery(req);
+    const subject = await subjectOf(delivery, req.body.patientId);
+    const findings = pickFindings(req.body, subject.subject);
+    checkBloodPressure(findings);
+
+    const doctor = await doctorProfileFor(req.userId);
+    const now = new Date().toISOString();
+
+    const visit = await repositories.postnatalVisits.create({
+      patientId: req.body.patientId,
+      deliveryId: delivery.id,
+      subject: subject.subject,
+      doctorId: doctor ? doctor.id : null,
+      ...findings,
+      ...assessVisit(delivery, subject, findings),
+      recordedBy: req.userId,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Postnatal visit recorded successfully',
+      data: { visit }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Correct a postnatal visit; its contact and alerts are worked out again
+router.put('/visits/:visitId', requireDoctor, visitValidators(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const delivery = await findDelivery(req);
+    const existing = await findVisit(req, delivery);
+    const subject = await subjectOf(delivery, existing.patientId);
+
+    const updates = pickFindings(req.body, subject.subject);
+    const findings = { ...pickFindings(existing, subject.subject), ...updates };
+    checkBloodPressure(findings);
+
+    const visit = await repositories.postnatalVisits.update(existing.id, {
+      ...updates,
+      ...assessVisit(delivery, subject, findings),
+      updatedBy: req.userId,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Postnatal visit updated successfully',
+      data: { visit }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor, canAccessPatient } = require('../middleware/auth');
+const { ValidationError, NotFoundError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  EPISODE_STATUSES,
+  PREGNANCY_OUTCOMES,
+  withGestation,
+  activeEpisodeFor,
+  openEpisode,
+  updateEpisode,
+  closeEpisode
+} = require('../services/pregnancy');
+
+// Mounted under /api/patients/:patientId/pregnancies
+const router = express.Router({ mergeParams: true });
+
+router.use(canAccessPatient);
+
+// Validation middleware
+const datingValidators = [
+  body('lmp').optional({ values: 'null' }).isISO8601().withMessage('LMP must be a valid date'),
+  body('cycleLengthDays').optional({ values: 'null' }).isInt({ min: 21, max: 45 }).withMessage('Cycle length must be between 21 and 45 days'),
+  body('ultrasoundDate').optional({ values: 'null' }).isISO8601().withMessage('Ultrasound date must be a valid date'),
+  body('ultrasoundGestationWeeks').optional({ values: 'null' }).isInt({ min: 4, max: 42 }).withMessage('Ultrasound gestation weeks must be between 4 and 42'),
+  body('ultrasoundGestationDays').optional({ values: 'null' }).isInt({ min: 0, max: 6 }).withMessage('Ultrasound gestation days must be between 0 and 6'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validateEpisode = [
+  ...datingValidators,
+  body('gravida').isInt({ min: 1 }).withMessage('Gravida must be at least 1'),
+  body('para').isInt({ min: 0 }).withMessage('Para must be 0 or more')
+];
+
+const validateEpisodeUpdate = [
+  ...datingValidators,
+  body('gravida').optional().isInt({ min: 1 }).withMessage('Gravida must be at least 1'),
+  body('para').optional().isInt({ min: 0 }).withMessage('Para must be 0 or more')
+];
+
+const validateClosure = [
+  body('outcome').isIn(PREGNANCY_OUTCOMES).withMessage(`Outcome must be one of ${PREGNANCY_OUTCOMES.join(', ')}`),
+  body('outcomeDate').optional().isISO8601().withMessage('Outcome date must be a valid date'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+// Dating checks across fields: a scan needs its gestational age, and the current pregnancy
+// counts towards gravida, so para is always lower
+const checkEpisode = (episode) => {
+  if (episode.ultrasoundDate && (episode.ultrasoundGestationWeeks === undefined || episode.ultrasoundGestationWeeks === null)) {
+    throw new ValidationError('A dating ultrasound needs the gestational age it showed');
+  }
+  if (episode.gravida !== undefined && episode.para !== undefined && Number(episode.para) >= Number(episode.gravida)) {
+    throw new ValidationError('Para must be lower than gravida, which counts the current pregnancy');
+  }
+};
+
+const findEpisode = async (req) => {
+  const episode = await repositories.pregnancies.findOne({ id: req.params.pregnancyId, patientId: req.params.patientId });
+
+  if (!episode) {
+    throw new NotFoundError('Pregnancy not found');
+  }
+
+  return episode;
+};
+
+// Get the patient's pregnancies, newest first, with gestational age
+router.get('/', asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    if (status && !EPISODE_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of ${EPISODE_STATUSES.join(', ')}`);
+    }
+
+    const { rows } = await repositories.pregnancies.findMany({
+      filters: { patientId: req.params.patientId, status },
+      orderBy: { field: 'createdAt', ascending: false }
+    });
+
+    res.json({
+      success: true,
+      data: { pregnancies: rows.map(withGestation) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get the open pregnancy with today's gestational age
+router.get('/current', asyncHandler(async (req, res) => {
+  try {
+    const episode = await activeEpisodeFor(req.params.patientId);
+
+    if (!episode) {
+      throw new NotFoundError('The patient has no open pregnancy');
+    }
+
+    res.json({
+      success: true,
+      data: { pregnancy: withGestation(episode) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a pregnancy
+router.get('/:pregnancyId', asyncHandler(async (req, res) => {
+  try {
+    const episode = await findEpisode(req);
+
+    res.json({
+      success: true,
+      data: { pregnancy: withGestation(episode) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Open a pregnancy. The EDD comes from the LMP (Naegele's rule) or a dating ultrasound.
+router.post('/', requireDoctor, validateEpisode, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    checkEpisode(req.body);
+
+    const { lmp, cycleLengthDays, ultrasoundDate, ultrasoundGestationWeeks, ultrasoundGestationDays, gravida, para, notes } = req.body;
+    const episode = await openEpisode({
+      patientId: req.params.patientId,
+      lmp,
+      cycleLengthDays,
+      ultrasoundDate,
+      ultrasoundGestationWeeks,
+      ultrasoundGestationDays,
+      gravida,
+      para,
+      notes,
+      openedBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pregnancy opened successfully',
+      data: { pregnancy: withGestation(episode) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Update an open pregnancy; new dating information recomputes the EDD
+router.put('/:pregnancyId', requireDoctor, validateEpisodeUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  try {
+    const existing = await findEpisode(req);
+    checkEpisode({ ...existing, ...req.body });
+
+    const episode = await updateEpisode(existing, req.body);
+
+    res.json({
+      success: true,
+      message: 'Pregnancy updated successfully',
+      data: { pregnancy: withGestation(episode) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Close a pregnancy with its outcome
+router.patch('/:pregnancyId/close', requireDoctor, validateClosure, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { outcome, outcomeDate, notes } = req.body;
+
+  try {
+    const existing = await findEpisode(req);
+    const episode = await closeEpisode(existing, { outcome, outcomeDate, notes, closedBy: req.userId });
+
+    res.json({
+      success: true,
+      message: 'Pregnancy closed',
+      data: { pregnancy: withGestation(episode) }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
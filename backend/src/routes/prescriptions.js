@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireDoctor } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  PRESCRIPTION_STATUSES,
+  isPrescriptionItems,
+  normaliseItems,
+  assertTransition,
+  activeMedications,
+  renderPrintable
+} = require('../services/prescriptions');
+const { reviewMedicationSafety } = require('../services/medicationSafety');
+const { assertPatientAccess, patientScopeFor } = require('../services/careTeam');
+
+const router = express.Router();
+
+// Validation middleware
+const validatePrescriptionData = [
+  body('patientId').isUUID().withMessage('Valid patient ID is required'),
+  body('doctorId').isUUID().withMessage('Valid doctor ID is required'),
+  body('medicalRecordId').optional().isUUID().withMessage('Valid medical record ID is required'),
+  body('items').isArray().withMessage('Prescription items are required').bail().custom(isPrescriptionItems),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('overrideReason').optional().trim().notEmpty().withMessage('Override reason cannot be empty')
+];
+
+const validatePrescriptionUpdate = [
+  body('items').optional().isArray().withMessage('Prescription items must be an array').bail().custom(isPrescriptionItems),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('overrideReason').optional().trim().notEmpty().withMessage('Override reason cannot be empty')
+];
+
+const validateStatusChange = [
+  body('status').isIn(PRESCRIPTION_STATUSES).withMessage('Valid status is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+// Load the prescription in the route, for a patient the user may access
+const findPrescription = async (req, options = {}) => {
+  const prescription = await repositories.prescriptions.findById(req.params.prescriptionId, options);
+
+  if (!prescription) {
+    throw new NotFoundError('Prescription not found');
+  }
+
+  await assertPatientAccess(actorFrom(req), prescription.patientId);
+  return prescription;
+};
+
+// Get all prescriptions (with filtering and pagination)
+router.get('/', requireDoctor, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, patientId, doctorId, medicalRecordId, status } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const { rows: prescriptions, count } = await repositories.prescriptions.findMany({
+      filters: {
+        patientId: await patientScopeFor(actorFrom(req), patientId),
+        doctorId,
+        medicalRecordId,
+        status
+      },
+      orderBy: { field: 'prescribedAt', ascending: false },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        prescriptions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get a patient's active medications
+router.get('/patient/:patientId/active', requireDoctor, asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+
+  try {
+    await assertPatientAccess(actorFrom(req), patientId);
+    const medications = await activeMedications(patientId);
+
+    res.json({
+      success: true,
+      data: { medications }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get prescription by ID
+router.get('/:prescriptionId', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const prescription = await findPrescription(req, {
+      include: ['patients', 'doctors', 'medicalRecords']
+    });
+
+    res.json({
+      success: true,
+      data: { prescription }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Printable prescription (HTML)
+router.get('/:prescriptionId/print', requireDoctor, asyncHandler(async (req, res) => {
+  try {
+    const prescription = await findPrescription(req);
+    const patient = await repositories.patients.findById(prescription.patientId);
+    const doctor = await repositories.doctors.findById(prescription.doctorId);
+    const clinic = doctor && doctor.clinicId ? await repositories.clinics.findById(doctor.clinicId) : null;
+
+    res.type('html').send(renderPrintable({ prescription, patient, doctor, clinic }));
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Create new prescription
+router.post('/', requireDoctor, validatePrescriptionData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { patientId, doctorId, medicalRecordId, items, notes, overrideReason } = req.body;
+
+  try {
+    await assertPatientAccess(actorFrom(req), patientId);
+    const patient = await repositories.patients.findById(patientId);
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+    if (!await repositories.doctors.findById(doctorId)) {
+      throw new NotFoundError('Doctor not found');
+    }
+
+    if (medicalRecordId) {
+      const record = await repositories.medicalRecords.findById(medicalRecordId);
+
+      if (!record) {
+        throw new NotFoundError('Medical record not found');
+      }
+      if (record.patientId !== patientId) {
+        throw new ValidationError('Medical record belongs to a different patient');
+      }
+    }
+
+    const { warnings, safetyOverride } = await reviewMedicationSafety({
+      patient,
+      items,
+      overrideReason,
+      actor: req.userId
+    });
+
+    const prescription = await repositories.prescriptions.create({
+      patientId,
+      doctorId,
+      medicalRecordId: medicalRecordId || null,
+      items: normaliseItems(items),
+      notes: notes || null,
+      safetyOverride,
+      status: 'active',
+      prescribedAt: new Date().toISOString(),
+      createdBy: req.userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Prescription created successfully',
+      data: { prescription, warnings }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Update prescription items or notes
+router.put('/:prescriptionId', requireDoctor, validatePrescriptionUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { items, notes, overrideReason } = req.body;
+
+  try {
+    const existing = await findPrescription(req);
+
+    if (existing.status !== 'active') {
+      throw new ConflictError(`A ${existing.status} prescription cannot be changed`, { currentStatus: existing.status });
+    }
+
+    const review = items === undefined
+      ? { warnings: [] }
+      : await reviewMedicationSafety({
+        patient: await repositories.patients.findById(existing.patientId),
+        items,
+        overrideReason,
+        actor: req.userId,
+        excludePrescriptionId: existing.id
+      });
+
+    const prescription = await repositories.prescriptions.update(existing.id, {
+      ...(items !== undefined && { items: normaliseItems(items), safetyOverride: review.safetyOverride }),
+      ...(notes !== undefined && { notes }),
+      updatedAt: new Date().toISOString()
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.json({
+      success: true,
+      message: 'Prescription updated successfully',
+      data: { prescription, warnings: review.warnings }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Complete or discontinue a prescription
+router.patch('/:prescriptionId/status', requireDoctor, validateStatusChange, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { status, reason } = req.body;
+
+  try {
+    const existing = await findPrescription(req);
+    assertTransition(existing.status, status);
+
+    const now = new Date().toISOString();
+    const prescription = await repositories.prescriptions.update(existing.id, {
+      status,
+      ...(status === 'completed' && { completedAt: now }),
+      ...(status === 'discontinued' && {
+        discontinuedAt: now,
+        discontinuedBy: req.userId,
+        discontinuationReason: reason || null
+      }),
+      updatedAt: now
+    }, {
+      include: ['patients', 'doctors']
+    });
+
+    res.json({
+      success: true,
+      message: `Prescription ${status}`,
+      data: { prescription }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { repositories } = require('../repositories');
+const { requireRole, requirePatient, loadPatientProfile } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError, asyncHandler } = require('../middleware/errorHandler');
+const { toDateKey } = require('../services/scheduling');
+const { actorFrom } = require('../services/appointmentLifecycle');
+const { OPEN_STATUSES, expireOffers, acceptOffer, declineOffer, leaveWaitlist } = require('../services/waitlist');
+const { assertPatientAccess, assertNotBreakGlass, patientScopeFor } = require('../services/careTeam');
+
+const router = express.Router();
+
+// Patients manage their own entries; doctors manage entries of patients in their care, admins any
+router.use(requireRole(['patient', 'doctor', 'admin']));
+router.use((req, res, next) => (req.userRole === 'patient' ? loadPatientProfile(req, res, next) : next()));
+
+// Validation middleware
+const validateEntryData = [
+  body('patientId').optional().isUUID().withMessage('Valid patient ID is required'),
+  body('doctorId').optional().isUUID().withMessage('Valid doctor ID is required'),
+  body('clinicId').optional().isUUID().withMessage('Valid clinic ID is required'),
+  body('preferredFrom').isISO8601().withMessage('Valid preferred from date is required'),
+  body('preferredTo').isISO8601().withMessage('Valid preferred to date is required'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('type').optional().isIn(['consultation', 'follow-up', 'routine']).withMessage('Valid appointment type is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+// Patients only ever see their own entries and offers, doctors those of patients in their care
+const scopedPatientId = async (req, requested) =>
+  (req.userRole === 'patient' ? req.patient.id : patientScopeFor(actorFrom(req), requested));
+
+// Get waitlist entries (with filtering)
+router.get('/', asyncHandler(async (req, res) => {
+  const { doctorId, clinicId, status, page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    await expireOffers();
+
+    const { rows: entries, count } = await repositories.waitlistEntries.findMany({
+      filters: { patientId: await scopedPatientId(req, req.query.patientId), doctorId, clinicId, status },
+      orderBy: { field: 'createdAt', ascending: true },
+      offset,
+      limit: parseInt(limit),
+      include: ['patients', 'doctors', 'clinics']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Get waitlist offers
+router.get('/offers', asyncHandler(async (req, res) => {
+  const { doctorId, status } = req.query;
+
+  try {
+    await expireOffers();
+
+    const { rows: offers } = await repositories.waitlistOffers.findMany({
+      filters: { patientId: await scopedPatientId(req, req.query.patientId), doctorId, status },
+      orderBy: { field: 'offeredAt', ascending: false },
+      include: ['doctors', 'clinics']
+    });
+
+    res.json({
+      success: true,
+      data: { offers }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Join the waitlist for a doctor, or for any doctor at a clinic
+router.post('/', validateEntryData, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array()[0].msg);
+  }
+
+  const { doctorId, preferredFrom, preferredTo, duration = 30, type = 'consultation', reason } = req.body;
+  let { clinicId } = req.body;
+  const patientId = req.userRole === 'patient' ? req.patient.id : req.body.patientId;
+
+  if (!patientId) {
+    throw new ValidationError('Patient ID is required');
+  }
+  if (!doctorId && !clinicId) {
+    throw new ValidationError('A doctor or clinic is required');
+  }
+  if (toDateKey(preferredTo) < toDateKey(preferredFrom)) {
+    throw new ValidationError('Preferred to date must not be before preferred from date');
+  }
+  if (toDateKey(preferredTo) < new Date().toISOString().split('T')[0]) {
+    throw new ValidationError('Preferred date range is in the past');
+  }
+
+  try {
+    if (req.userRole !== 'patient') {
+      if (!await repositories.patients.findById(patientId)) {
+        throw new NotFoundError('Patient not found');
+      }
+      assertNotBreakGlass(await assertPatientAccess(actorFrom(req), patientId));
+    }
+
+    if (doctorId) {
+      const doctor = await repositories.doctors.findById(doctorId);
+
+      if (!doctor) {
+        throw new NotFoundError('Doctor not found');
+      }
+      clinicId = clinicId || doctor.clinicId || null;
+    } else if (!await repositories.clinics.findById(clinicId)) {
+      throw new NotFoundError('Clinic not found');
+    }
+
+    const { count: open } = await repositories.waitlistEntries.findMany({
+      filters: { patientId, doctorId: doctorId || null, clinicId, status: { in: OPEN_STATUSES } },
+      limit: 1
+    });
+    if (open > 0) {
+      throw new ConflictError('Patient is already on this waitlist');
+    }
+
+    const entry = await repositories.waitlistEntries.create({
+      patientId,
+      doctorId: doctorId || null,
+      clinicId,
+      preferredFrom: toDateKey(preferredFrom),
+      preferredTo: toDateKey(preferredTo),
+      duration: parseInt(duration),
+      type,
+      reason: reason || null,
+      status: 'waiting',
+      appointmentId: null,
+      createdBy: req.userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }, {
+      include: ['doctors', 'clinics']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to waitlist successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Leave the waitlist
+router.delete('/:entryId', asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+
+  try {
+    const entry = await repositories.waitlistEntries.findById(entryId);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found');
+    }
+    if (req.userRole === 'patient' && entry.patientId !== req.patient.id) {
+      throw new ForbiddenError('You can only remove your own waitlist entries');
+    }
+    if (req.userRole !== 'patient') {
+      await assertPatientAccess(actorFrom(req), entry.patientId);
+    }
+
+    const updated = await leaveWaitlist(entry);
+
+    res.json({
+      success: true,
+      message: 'Removed from waitlist successfully',
+      data: { entry: updated }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Accept an offered slot, booking the appointment
+router.post('/offers/:offerId/accept', requirePatient, asyncHandler(async (req, res) => {
+  try {
+    const appointment = await acceptOffer(req.params.offerId, req.patient.id, actorFrom(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer accepted and appointment booked successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Decline an offered slot; it is passed on to the next patient
+router.post('/offers/:offerId/decline', requirePatient, asyncHandler(async (req, res) => {
+  try {
+    const offer = await declineOffer(req.params.offerId, req.patient.id);
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+      data: { offer }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
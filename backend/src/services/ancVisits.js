@@ -0,0 +1,181 @@
+const { repositories } = require('../repositories');
+const { ValidationError } = require('../middleware/errorHandler');
+const { addDays, toDateKey } = require('./scheduling');
+const { WHO_ANC_CONTACT_WEEKS, dateForGestationalWeek } = require('./appointmentSeries');
+const { TERM_DAYS, gestationDaysOn, formatGestation } = require('./pregnancy');
+
+const FETAL_PRESENTATIONS = ['cephalic', 'breech', 'transverse', 'oblique', 'not-assessed'];
+
+const URINE_PROTEIN_LEVELS = ['negative', 'trace', '1+', '2+', '3+', '4+'];
+
+// WHO 2016 counselling topics for antenatal contacts
+const COUNSELLING_TOPICS = [
+  'nutrition',
+  'birth-preparedness',
+  'danger-signs',
+  'breastfeeding',
+  'family-planning',
+  'hiv-prevention',
+  'malaria-prevention',
+  'tobacco-and-alcohol',
+  'physical-activity',
+  'intimate-partner-violence'
+];
+
+// Contact coverage statuses; contacts after a pregnancy ended no longer apply
+const CONTACT_STATUSES = ['attended', 'due', 'upcoming', 'missed', 'not-applicable'];
+
+// IPTp with sulfadoxine-pyrimethamine starts in the second trimester
+const IPTP_FROM_WEEK = 13;
+
+// Fundal height in cm should match the gestational age in weeks within 2 cm from 24 weeks
+const FUNDAL_HEIGHT_FROM_WEEK = 24;
+const FUNDAL_HEIGHT_TOLERANCE_CM = 2;
+
+// Which of the 8 contacts a visit at this gestational age counts for: the first whose
+// target week it has not passed
+const contactNumberFor = (gestationDays) => {
+  const weeks = Math.floor(gestationDays / 7);
+  const index = WHO_ANC_CONTACT_WEEKS.findIndex((week) => weeks <= week);
+  return (index === -1 ? WHO_ANC_CONTACT_WEEKS.length - 1 : index) + 1;
+};
+
+const proteinLevel = (value) => URINE_PROTEIN_LEVELS.indexOf(value);
+
+// Findings that need attention, in the shape of medication safety warnings
+const visitAlerts = (visit, gestationDays) => {
+  const weeks = Math.floor(gestationDays / 7);
+  const alerts = [];
+  const alert = (type, severity, message) => alerts.push({ type, severity, message });
+
+  const { systolicBp, diastolicBp } = visit;
+  const severeHypertension = systolicBp >= 160 || diastolicBp >= 110;
+  const hypertension = severeHypertension || systolicBp >= 140 || diastolicBp >= 90;
+
+  if (severeHypertension) {
+    alert('severe-hypertension', 'high', `Blood pressure ${systolicBp}/${diastolicBp} is in the severe range`);
+  } else if (hypertension) {
+    alert('hypertension', 'moderate', `Blood pressure ${systolicBp}/${diastolicBp} is raised`);
+  }
+  if (hypertension && proteinLevel(visit.urineProtein) >= proteinLevel('1+')) {
+    alert('possible-pre-eclampsia', 'high', `Raised blood pressure with ${visit.urineProtein} proteinuria`);
+  }
+
+  if (visit.hemoglobin != null && visit.hemoglobin < 7) {
+    alert('severe-anaemia', 'high', `Hb ${visit.hemoglobin} g/dL is below 7`);
+  } else if (visit.hemoglobin != null && visit.hemoglobin < 11) {
+    alert('anaemia', 'moderate', `Hb ${visit.hemoglobin} g/dL is below 11`);
+  }
+
+  if (visit.fetalHeartRate != null && (visit.fetalHeartRate < 110 || visit.fetalHeartRate > 160)) {
+    alert('abnormal-fetal-heart-rate', 'high', `Fetal heart rate ${visit.fetalHeartRate} bpm is outside 110-160`);
+  }
+
+  if (visit.fundalHeightCm != null && weeks >= FUNDAL_HEIGHT_FROM_WEEK
+    && Math.abs(visit.fundalHeightCm - weeks) > FUNDAL_HEIGHT_TOLERANCE_CM) {
+    alert('fundal-height-discrepancy', 'moderate', `Fundal height ${visit.fundalHeightCm} cm at ${weeks} weeks`);
+  }
+
+  if (weeks >= 36 && visit.presentation && !['cephalic', 'not-assessed'].includes(visit.presentation)) {
+    alert('malpresentation', 'moderate', `${visit.presentation} presentation at ${weeks} weeks`);
+  }
+
+  if (visit.iptpDose && weeks < IPTP_FROM_WEEK) {
+    alert('iptp-too-early', 'moderate', `IPTp given at ${weeks} weeks; it is not recommended before ${IPTP_FROM_WEEK} weeks`);
+  }
+
+  return alerts;
+};
+
+// Gestation and contact of a visit on `visitDate` in `episode`. The visit must fall within the pregnancy.
+const placeVisit = (episode, visitDate) => {
+  const days = gestationDaysOn(episode.edd, visitDate);
+
+  if (days < 0) {
+    throw new ValidationError('The visit date is before the start of the pregnancy');
+  }
+  if (episode.status === 'closed' && episode.outcomeDate && toDateKey(visitDate) > toDateKey(episode.outcomeDate)) {
+    throw new ValidationError('The visit date is after the end of the pregnancy');
+  }
+
+  return {
+    gestationalAgeDays: days,
+    gestationalAge: formatGestation(days),
+    contactNumber: contactNumberFor(days)
+  };
+};
+
+// Window of each WHO contact: from the day after the previous contact's target week to the
+// end of its own, with the first contact starting at the beginning of the pregnancy
+const contactWindows = (episode) => WHO_ANC_CONTACT_WEEKS.map((week, index) => ({
+  contactNumber: index + 1,
+  targetWeek: week,
+  targetDate: dateForGestationalWeek(episode.edd, week),
+  windowStart: index === 0
+    ? addDays(episode.edd, -TERM_DAYS)
+    : addDays(dateForGestationalWeek(episode.edd, WHO_ANC_CONTACT_WEEKS[index - 1]), 7),
+  windowEnd: addDays(dateForGestationalWeek(episode.edd, week), 6)
+}));
+
+// Which of the 8 contacts were attended, are due now, are still to come or were missed.
+// For a closed pregnancy, coverage is judged at its outcome.
+const contactCoverage = async (episode, today = new Date().toISOString().split('T')[0]) => {
+  const asOf = episode.status === 'closed' && episode.outcomeDate ? toDateKey(episode.outcomeDate) : today;
+
+  const { rows: visits } = await repositories.ancVisits.findMany({
+    filters: { pregnancyId: episode.id },
+    orderBy: { field: 'visitDate', ascending: true }
+  });
+  const { rows: appointments } = await repositories.appointments.findMany({
+    filters: { pregnancyId: episode.id, status: { in: ['scheduled', 'confirmed'] } },
+    orderBy: { field: 'appointmentDate', ascending: true }
+  });
+
+  const contacts = contactWindows(episode).map((window) => {
+    const attended = visits.filter((visit) => visit.contactNumber === window.contactNumber);
+    const booked = appointments.find((appointment) => toDateKey(appointment.appointmentDate) >= window.windowStart
+      && toDateKey(appointment.appointmentDate) <= window.windowEnd);
+
+    let status = 'upcoming';
+    if (attended.length > 0) status = 'attended';
+    else if (episode.status === 'closed' && window.windowStart > asOf) status = 'not-applicable';
+    else if (asOf > window.windowEnd) status = 'missed';
+    else if (asOf >= window.windowStart) status = 'due';
+
+    return {
+      ...window,
+      status,
+      visits: attended.map(({ id, visitDate, gestationalAge }) => ({ id, visitDate, gestationalAge })),
+      appointment: ['due', 'upcoming'].includes(status) && booked
+        ? { id: booked.id, appointmentDate: booked.appointmentDate, appointmentTime: booked.appointmentTime }
+        : null
+    };
+  });
+
+  const count = (status) => contacts.filter((contact) => contact.status === status).length;
+  const latest = (field) => visits.reduce((value, visit) => Math.max(value, visit[field] || 0), 0) || null;
+
+  return {
+    contacts,
+    summary: {
+      attended: count('attended'),
+      missed: count('missed'),
+      due: count('due'),
+      upcoming: count('upcoming'),
+      totalVisits: visits.length,
+      iptpDoses: latest('iptpDose'),
+      tetanusDoses: latest('tetanusDose')
+    }
+  };
+};
+
+module.exports = {
+  FETAL_PRESENTATIONS,
+  URINE_PROTEIN_LEVELS,
+  COUNSELLING_TOPICS,
+  CONTACT_STATUSES,
+  contactNumberFor,
+  visitAlerts,
+  placeVisit,
+  contactCoverage
+};
@@ -0,0 +1,136 @@
+const { repositories } = require('../repositories');
+const { ConflictError } = require('../middleware/errorHandler');
+const events = require('./events');
+const { gestationStampFor } = require('./pregnancy');
+
+// Fields whose change moves an appointment to a different time
+const TIME_FIELDS = ['appointmentDate', 'appointmentTime', 'duration'];
+
+const APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'];
+
+// Allowed status transitions. Rescheduling returns a confirmed appointment to
+// scheduled so it is confirmed again; completed, cancelled and no-show are final.
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'cancelled', 'no-show'],
+  confirmed: ['scheduled', 'in-progress', 'cancelled', 'no-show'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new ConflictError(`Appointment cannot move from ${from} to ${to}`, {
+      currentStatus: from,
+      allowedStatuses: TRANSITIONS[from] || []
+    });
+  }
+};
+
+// Append a status change to the appointment's history; `fromStatus` is null on creation
+const recordTransition = ({ appointmentId, fromStatus, toStatus, actor, reason }) =>
+  repositories.appointmentHistory.create({
+    appointmentId,
+    fromStatus,
+    toStatus,
+    changedBy: actor.userId,
+    changedByRole: actor.role || null,
+    reason: reason || null,
+    changedAt: new Date().toISOString()
+  });
+
+// Create an appointment and record its initial status. Appointments during a pregnancy carry
+// the gestational age on their date.
+const createAppointment = async (data, actor, options = {}) => {
+  const appointment = await repositories.appointments.create({
+    ...data,
+    ...await gestationStampFor(data.patientId, data.appointmentDate)
+  }, options);
+
+  await recordTransition({
+    appointmentId: appointment.id,
+    fromStatus: null,
+    toStatus: appointment.status,
+    actor,
+    reason: 'created'
+  });
+
+  await events.emit(events.EVENTS.APPOINTMENT_CREATED, { appointment, actor });
+
+  return appointment;
+};
+
+// Apply updates to an appointment, enforcing and recording any status change
+const updateAppointment = async (existing, updates, actor, { reason, include } = {}) => {
+  const statusChanged = updates.status !== undefined && updates.status !== existing.status;
+  const moved = TIME_FIELDS.some((field) => updates[field] !== undefined && String(updates[field]) !== String(existing[field]));
+
+  if (statusChanged) {
+    assertTransition(existing.status, updates.status);
+  }
+
+  const cancellation = statusChanged && updates.status === 'cancelled'
+    ? { cancelledAt: new Date().toISOString(), cancelledBy: actor.userId, cancellationReason: reason || null }
+    : {};
+
+  const appointment = await repositories.appointments.update(existing.id, {
+    ...updates,
+    ...cancellation,
+    ...(moved && await gestationStampFor(existing.patientId, updates.appointmentDate || existing.appointmentDate)),
+    updatedAt: new Date().toISOString()
+  }, { include });
+
+  if (statusChanged) {
+    await recordTransition({
+      appointmentId: existing.id,
+      fromStatus: existing.status,
+      toStatus: updates.status,
+      actor,
+      reason
+    });
+
+    await events.emit(events.EVENTS.APPOINTMENT_STATUS_CHANGED, {
+      appointment: { ...existing, ...updates, ...cancellation },
+      fromStatus: existing.status,
+      toStatus: updates.status,
+      actor,
+      reason
+    });
+  }
+
+  if (moved) {
+    await events.emit(events.EVENTS.APPOINTMENT_RESCHEDULED, {
+      appointment: { ...existing, ...updates, ...cancellation },
+      previous: existing,
+      actor
+    });
+  }
+
+  return appointment;
+};
+
+const getHistory = async (appointmentId) => {
+  const { rows } = await repositories.appointmentHistory.findMany({
+    filters: { appointmentId },
+    orderBy: { field: 'changedAt', ascending: true }
+  });
+  return rows;
+};
+
+// Actor details for history entries, taken from an authenticated request
+const actorFrom = (req) => ({ userId: req.userId, role: req.userRole });
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  recordTransition,
+  createAppointment,
+  updateAppointment,
+  getHistory,
+  actorFrom
+};
@@ -0,0 +1,261 @@
+const { repositories } = require('../repositories');
+const { ConflictError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { addDays, toDateKey, findConflicts, needsConflictCheck } = require('./scheduling');
+const { createAppointment, updateAppointment } = require('./appointmentLifecycle');
+const { unavailableReason } = require('./availability');
+
+// Hard cap on occurrences generated for one series
+const MAX_OCCURRENCES = 52;
+
+// WHO 2016 antenatal care model: eight contacts, by gestational week
+const WHO_ANC_CONTACT_WEEKS = [12, 20, 26, 30, 34, 36, 38, 40];
+
+const RECURRENCE_PATTERNS = ['interval', 'who-anc'];
+
+// Statuses of occurrences that edits and cancellations still apply to
+const EDITABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Date of a gestational week, counting back from the estimated due date (40 weeks)
+const dateForGestationalWeek = (dueDate, week) => addDays(dueDate, -(40 - week) * 7);
+
+// Expand a recurrence rule into occurrence dates, each with an optional label
+const expandRecurrence = (recurrence, startDate) => {
+  if (recurrence.pattern === 'interval') {
+    const step = recurrence.intervalWeeks * 7;
+    const limit = Math.min(recurrence.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const occurrences = [];
+
+    for (let date = toDateKey(startDate); occurrences.length < limit; date = addDays(date, step)) {
+      if (recurrence.until && date > toDateKey(recurrence.until)) break;
+      occurrences.push({ date, label: null });
+    }
+    return occurrences;
+  }
+
+  if (recurrence.pattern === 'who-anc') {
+    return WHO_ANC_CONTACT_WEEKS
+      .map((week, index) => ({
+        date: dateForGestationalWeek(toDateKey(recurrence.dueDate), week),
+        label: `ANC contact ${index + 1} (${week} weeks)`,
+        gestationalWeek: week
+      }))
+      .filter((occurrence) => occurrence.date >= toDateKey(startDate));
+  }
+
+  throw new ValidationError(`Unknown recurrence pattern "${recurrence.pattern}"`);
+};
+
+// express-validator custom check for a recurrence rule
+const isRecurrenceRule = (value) => {
+  if (!RECURRENCE_PATTERNS.includes(value.pattern)) {
+    throw new Error(`Recurrence pattern must be one of: ${RECURRENCE_PATTERNS.join(', ')}`);
+  }
+
+  if (value.pattern === 'interval') {
+    if (!Number.isInteger(value.intervalWeeks) || value.intervalWeeks < 1 || value.intervalWeeks > 52) {
+      throw new Error('Recurrence intervalWeeks must be an integer between 1 and 52');
+    }
+    if (!value.until && !value.count) {
+      throw new Error('Interval recurrence needs an until date or a count');
+    }
+    if (value.count !== undefined && (!Number.isInteger(value.count) || value.count < 1 || value.count > MAX_OCCURRENCES)) {
+      throw new Error(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+    if (value.until !== undefined && Number.isNaN(Date.parse(value.until))) {
+      throw new Error('Recurrence until must be a valid date');
+    }
+  }
+
+  if (value.pattern === 'who-anc' && (!value.dueDate || Number.isNaN(Date.parse(value.dueDate)))) {
+    throw new Error('Antenatal recurrence needs a valid dueDate');
+  }
+
+  return true;
+};
+
+// Create a series and its appointments. Each occurrence gets the checks of a single booking:
+// not in the past, inside the doctor's hours, not on leave and free of conflicts. With onConflict
+// 'reject' nothing is created if any occurrence fails them; with 'skip' those occurrences are left
+// out. Either way the rejected dates are reported with the reason.
+const createSeries = async (input, actor) => {
+  const { recurrence, startDate, onConflict = 'reject', ...template } = input;
+  const occurrences = expandRecurrence(recurrence, startDate);
+
+  if (occurrences.length === 0) {
+    throw new ValidationError('The recurrence rule produces no appointments');
+  }
+
+  const doctor = await repositories.doctors.findById(template.doctorId);
+  if (!doctor) {
+    throw new NotFoundError('Doctor not found');
+  }
+
+  const checked = [];
+  for (const occurrence of occurrences) {
+    const slot = { ...template, appointmentDate: occurrence.date };
+    const unavailable = await unavailableReason({ doctor, ...slot });
+    const conflicts = unavailable ? [] : await findConflicts(slot);
+
+    checked.push({
+      ...occurrence,
+      reason: unavailable || (conflicts.length > 0 ? 'Appointment time conflicts with existing appointments' : null),
+      conflicts
+    });
+  }
+
+  const rejected = checked
+    .filter((occurrence) => occurrence.reason)
+    .map(({ date, label, reason, conflicts }) => ({ date, label, reason, conflicts }));
+  if (rejected.length > 0 && onConflict === 'reject') {
+    throw new ConflictError('Some occurrences cannot be booked', { rejected });
+  }
+
+  const now = new Date().toISOString();
+  const series = await repositories.appointmentSeries.create({
+    ...template,
+    startDate: toDateKey(startDate),
+    recurrence,
+    status: 'active',
+    createdBy: actor.userId,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const appointments = [];
+  for (const [index, occurrence] of checked.entries()) {
+    if (occurrence.reason) continue;
+
+    appointments.push(await createAppointment({
+      ...template,
+      appointmentDate: occurrence.date,
+      seriesId: series.id,
+      seriesIndex: index + 1,
+      seriesLabel: occurrence.label,
+      gestationalWeek: occurrence.gestationalWeek,
+      status: 'scheduled',
+      createdBy: actor.userId,
+      createdAt: now,
+      updatedAt: now
+    }, actor));
+  }
+
+  return { series, appointments, skipped: rejected };
+};
+
+const getSeriesAppointments = async (seriesId) => {
+  const { rows } = await repositories.appointments.findMany({
+    filters: { seriesId },
+    orderBy: { field: 'seriesIndex', ascending: true }
+  });
+  return rows;
+};
+
+const loadSeries = async (seriesId) => {
+  const series = await repositories.appointmentSeries.findById(seriesId);
+
+  if (!series) {
+    throw new NotFoundError('Appointment series not found');
+  }
+
+  return series;
+};
+
+// The chosen occurrence alone ('this'), or it and every later editable occurrence ('following')
+const selectOccurrences = async (seriesId, appointmentId, scope) => {
+  const appointments = await getSeriesAppointments(seriesId);
+  const anchor = appointments.find((appointment) => appointment.id === appointmentId);
+
+  if (!anchor) {
+    throw new NotFoundError('Appointment is not part of this series');
+  }
+
+  const selected = scope === 'following'
+    ? appointments.filter((appointment) => appointment.seriesIndex >= anchor.seriesIndex)
+    : [anchor];
+
+  return selected.filter((appointment) => EDITABLE_STATUSES.includes(appointment.status));
+};
+
+// Apply the same changes to the selected occurrences, rejecting the whole edit on any clash
+const updateOccurrences = async (seriesId, appointmentId, scope, changes, actor) => {
+  await loadSeries(seriesId);
+  const selected = await selectOccurrences(seriesId, appointmentId, scope);
+
+  const newDoctor = changes.doctorId ? await repositories.doctors.findById(changes.doctorId) : null;
+  if (changes.doctorId && !newDoctor) {
+    throw new NotFoundError('Doctor not found');
+  }
+
+  // Moved occurrences get the same checks as a new series; nothing changes if any fails
+  const rejected = [];
+  for (const appointment of selected) {
+    if (!needsConflictCheck(appointment, changes)) continue;
+
+    const slot = { ...appointment, ...changes };
+    const doctor = newDoctor || await repositories.doctors.findById(appointment.doctorId);
+    const unavailable = await unavailableReason({ doctor, ...slot });
+    const conflicts = unavailable ? [] : await findConflicts({ ...slot, excludeId: appointment.id });
+
+    if (unavailable || conflicts.length > 0) {
+      rejected.push({
+        appointmentId: appointment.id,
+        date: toDateKey(slot.appointmentDate),
+        label: appointment.seriesLabel || null,
+        reason: unavailable || 'Appointment time conflicts with existing appointments',
+        conflicts
+      });
+    }
+  }
+
+  if (rejected.length > 0) {
+    throw new ConflictError('Some occurrences cannot be moved', { rejected });
+  }
+
+  const updated = await Promise.all(selected.map((appointment) => updateAppointment(appointment, changes, actor)));
+
+  // Later occurrences follow the new template too
+  if (scope === 'following') {
+    await repositories.appointmentSeries.update(seriesId, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  return updated;
+};
+
+// Cancel the selected occurrences; the series ends once no upcoming occurrence is left
+const cancelOccurrences = async (seriesId, appointmentId, scope, reason, actor) => {
+  await loadSeries(seriesId);
+  const selected = await selectOccurrences(seriesId, appointmentId, scope);
+
+  const cancelled = [];
+  for (const appointment of selected) {
+    cancelled.push(await updateAppointment(appointment, { status: 'cancelled' }, actor, { reason }));
+  }
+
+  const remaining = (await getSeriesAppointments(seriesId))
+    .filter((appointment) => EDITABLE_STATUSES.includes(appointment.status));
+  if (remaining.length === 0) {
+    await repositories.appointmentSeries.update(seriesId, {
+      status: 'cancelled',
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  WHO_ANC_CONTACT_WEEKS,
+  RECURRENCE_PATTERNS,
+  dateForGestationalWeek,
+  expandRecurrence,
+  isRecurrenceRule,
+  createSeries,
+  getSeriesAppointments,
+  loadSeries,
+  updateOccurrences,
+  cancelOccurrences
+};
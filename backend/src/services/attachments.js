@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { repositories } = require('../repositories');
+const { ValidationError } = require('../middleware/errorHandler');
+const { ATTACHMENTS_BUCKET, SIGNED_URL_TTL_SECONDS, storageDriver, scanFile } = require('../storage');
+
+const ATTACHMENT_CATEGORIES = ['scan', 'ultrasound', 'referral-letter', 'consent-form', 'lab-report', 'other'];
+
+// Largest accepted upload, in bytes (default 10 MB)
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Accepted file types, recognised by their leading bytes rather than the name or declared type
+const FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  'image/jpeg': { extension: '.jpg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  'image/png': { extension: '.png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  // DICOM files (ultrasound exports) carry "DICM" after a 128-byte preamble
+  'application/dicom': { extension: '.dcm', matches: (buffer) => buffer.length > 132 && buffer.subarray(128, 132).toString('latin1') === 'DICM' }
+};
+
+// Types browsers send when they do not know the file; the content decides instead
+const GENERIC_TYPES = ['application/octet-stream', ''];
+
+const detectMimeType = (buffer) => Object.keys(FILE_TYPES).find((type) => FILE_TYPES[type].matches(buffer)) || null;
+
+// Check an uploaded file (multer memory storage) and return its actual MIME type
+const assertAcceptedFile = (file) => {
+  if (!file || !file.buffer || file.size === 0) {
+    throw new ValidationError('A non-empty file is required');
+  }
+
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType) {
+    throw new ValidationError(`Unsupported file type. Accepted types: ${Object.keys(FILE_TYPES).join(', ')}`);
+  }
+  if (!GENERIC_TYPES.includes(file.mimetype || '') && file.mimetype !== mimeType) {
+    throw new ValidationError(`File content (${mimeType}) does not match its declared type (${file.mimetype})`);
+  }
+
+  return mimeType;
+};
+
+// Original file name without any directory part, for display and downloads
+const cleanFileName = (name) => String(name || 'attachment').split(/[\\/]/).pop().slice(0, 200);
+
+// Scan, store and register an attachment for a medical record
+const storeAttachment = async ({ record, file, category, description, actor }) => {
+  const mimeType = assertAcceptedFile(file);
+  const fileName = cleanFileName(file.originalname);
+
+  const scan = await scanFile({ buffer: file.buffer, fileName, mimeType });
+  if (scan.status === 'infected') {
+    throw new ValidationError(`File rejected by virus scan (${scan.threat})`);
+  }
+
+  // Stored under random names so paths reveal nothing about the patient or the file
+  const storagePath = `${record.patientId}/${record.id}/${crypto.randomUUID()}${FILE_TYPES[mimeType].extension}`;
+  await storageDriver().upload(ATTACHMENTS_BUCKET, storagePath, file.buffer, { contentType: mimeType });
+
+  const now = new Date().toISOString();
+  try {
+    return await repositories.recordAttachments.create({
+      medicalRecordId: record.id,
+      patientId: record.patientId,
+      category,
+      description: description || null,
+      fileName,
+      mimeType,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      bucket: ATTACHMENTS_BUCKET,
+      storagePath,
+      scan,
+      uploadedBy: actor,
+      removedAt: null,
+      removedBy: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  } catch (error) {
+    // Do not leave an unregistered file behind
+    await storageDriver().remove(ATTACHMENTS_BUCKET, storagePath).catch(() => {});
+    throw error;
+  }
+};
+
+// Short-lived download link for an attachment
+const signedUrlFor = (attachment) => storageDriver().signedUrl(attachment.bucket, attachment.storagePath, SIGNED_URL_TTL_SECONDS);
+
+module.exports = {
+  ATTACHMENT_CATEGORIES,
+  MAX_ATTACHMENT_BYTES,
+  FILE_TYPES,
+  detectMimeType,
+  assertAcceptedFile,
+  storeAttachment,
+  signedUrlFor
+};
@@ -0,0 +1,130 @@
+const { repositories } = require('../repositories');
+const { UNIQUE_VIOLATION } = require('../middleware/errorHandler');
+const { hashOf } = require('./hashing');
+
+const AUDIT_ACTIONS = ['read', 'create', 'update', 'delete'];
+const AUDIT_OUTCOMES = ['success', 'denied', 'failed'];
+
+// Fields covered by each entry's hash, in addition to its place in the chain
+const AUDITED_FIELDS = [
+  'actorId', 'actorRole', 'patientId', 'resource', 'resourceId', 'action',
+  'method', 'path', 'statusCode', 'outcome', 'ip', 'requestId', 'occurredAt'
+];
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries are checked in pages of this size
+const VERIFY_BATCH_SIZE = 500;
+
+const ACTION_BY_METHOD = { GET: 'read', HEAD: 'read', POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+const actionFor = (method) => ACTION_BY_METHOD[method] || 'read';
+
+const outcomeFor = (statusCode) => {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return statusCode >= 400 ? 'failed' : 'success';
+};
+
+const hashedFields = (entry) => ['sequence', 'previousHash', ...AUDITED_FIELDS].reduce((fields, field) => {
+  fields[field] = entry[field] === undefined ? null : entry[field];
+  return fields;
+}, {});
+
+// Attempts at appending one entry while other API processes are appending theirs
+const APPEND_ATTEMPTS = 10;
+
+// Append an entry after the stored tail of the chain: it stores the hash of the entry before it,
+// so a changed, removed or reordered entry breaks every hash after it. `sequence` is unique in
+// storage, so when another process appends first the insert is refused and is retried on the new tail.
+const appendAfterTail = async (entry) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const { rows: [last] } = await repositories.auditLog.findMany({
+      orderBy: { field: 'sequence', ascending: false },
+      limit: 1
+    });
+
+    const fields = hashedFields({
+      ...entry,
+      sequence: last ? last.sequence + 1 : 1,
+      previousHash: last ? last.hash : GENESIS_HASH
+    });
+
+    try {
+      return await repositories.auditLog.create({ ...fields, hash: hashOf(fields) });
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION || attempt >= APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Within this process entries are appended one at a time, so only other processes contend for the tail
+let pendingAppend = Promise.resolve();
+
+const appendEntry = (entry) => {
+  const write = pendingAppend.then(() => appendAfterTail(entry));
+
+  pendingAppend = write.catch(() => {});
+  return write;
+};
+
+// Log one access; a request touching several patients is logged once per patient
+const recordAccess = async ({ patientIds = [], ...access }) => {
+  const occurredAt = access.occurredAt || new Date().toISOString();
+  const targets = patientIds.length > 0 ? patientIds : [null];
+
+  const entries = [];
+  for (const patientId of targets) {
+    entries.push(await appendEntry({ ...access, patientId, occurredAt }));
+  }
+  return entries;
+};
+
+// Walk the chain from the first entry, reporting the first entry whose hash or link does not match
+const verifyChain = async () => {
+  let previous = null;
+  let checked = 0;
+
+  for (let offset = 0; ; offset += VERIFY_BATCH_SIZE) {
+    const { rows } = await repositories.auditLog.findMany({
+      orderBy: { field: 'sequence', ascending: true },
+      offset,
+      limit: VERIFY_BATCH_SIZE
+    });
+
+    for (const entry of rows) {
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+      const expectedPreviousHash = previous ? previous.hash : GENESIS_HASH;
+
+      let problem = null;
+      if (entry.sequence !== expectedSequence) {
+        problem = `Expected entry ${expectedSequence}, found ${entry.sequence}`;
+      } else if (entry.previousHash !== expectedPreviousHash) {
+        problem = 'Link to the previous entry does not match';
+      } else if (entry.hash !== hashOf(hashedFields(entry))) {
+        problem = 'Entry content does not match its hash';
+      }
+
+      if (problem) {
+        return { valid: false, checked, brokenAt: { id: entry.id, sequence: entry.sequence, problem } };
+      }
+
+      previous = entry;
+      checked += 1;
+    }
+
+    if (rows.length < VERIFY_BATCH_SIZE) {
+      return { valid: true, checked, lastHash: previous ? previous.hash : GENESIS_HASH };
+    }
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_OUTCOMES,
+  GENESIS_HASH,
+  actionFor,
+  outcomeFor,
+  recordAccess,
+  verifyChain
+};
@@ -0,0 +1,184 @@
+const { repositories } = require('../repositories');
+const {
+  RELEASED_STATUSES,
+  toDateKey,
+  addDays,
+  timeToMinutes,
+  minutesToTime,
+  toInterval,
+  intervalsOverlap,
+  nowInMinutes
+} = require('./scheduling');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const RANGE_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]-([01]?[0-9]|2[0-4]):[0-5][0-9]$/;
+
+// Longest period a single slot lookup may cover
+const MAX_RANGE_DAYS = 31;
+
+const weekdayOf = (dateKey) => WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+// '08:00-12:00' -> { start: 480, end: 720 }
+const parseRange = (range) => {
+  const [start, end] = range.split('-').map(timeToMinutes);
+  return { start, end };
+};
+
+// A day entry may be a single 'HH:MM-HH:MM' range or an array of them; missing means closed
+const windowsFor = (schedule, weekday) => {
+  if (!schedule || !schedule[weekday]) return [];
+
+  return [].concat(schedule[weekday])
+    .map(parseRange)
+    .filter((window) => window.end > window.start);
+};
+
+// Intersect two sorted lists of windows
+const intersectWindows = (left, right) => {
+  const result = [];
+  left.forEach((a) => {
+    right.forEach((b) => {
+      const start = Math.max(a.start, b.start);
+      const end = Math.min(a.end, b.end);
+      if (end > start) result.push({ start, end });
+    });
+  });
+  return result.sort((a, b) => a.start - b.start);
+};
+
+// express-validator custom check for availability / operating hours objects
+const isWeeklySchedule = (value) => {
+  Object.entries(value).forEach(([day, ranges]) => {
+    if (!WEEKDAYS.includes(day)) {
+      throw new Error(`Unknown weekday "${day}"`);
+    }
+    [].concat(ranges).forEach((range) => {
+      if (typeof range !== 'string' || !RANGE_PATTERN.test(range)) {
+        throw new Error(`Hours for ${day} must be "HH:MM-HH:MM" or an array of such ranges`);
+      }
+      const { start, end } = parseRange(range);
+      if (end <= start) {
+        throw new Error(`Hours for ${day} must end after they start`);
+      }
+    });
+  });
+  return true;
+};
+
+// Leave as an absolute interval: whole days unless start/end times are given
+const leaveInterval = (leave) => ({
+  start: toInterval({ appointmentDate: leave.startDate, appointmentTime: leave.startTime || '00:00', duration: 0 }).start,
+  end: toInterval({ appointmentDate: leave.endDate, appointmentTime: leave.endTime || '24:00', duration: 0 }).start
+});
+
+// Working windows for a doctor on a date, limited by the clinic's operating hours
+const bookableWindows = (doctor, clinic, date) => {
+  const weekday = weekdayOf(date);
+  const operatingHours = clinic && clinic.operatingHours;
+  const windows = windowsFor(doctor.availability || operatingHours, weekday);
+
+  return operatingHours ? intersectWindows(windows, windowsFor(operatingHours, weekday)) : windows;
+};
+
+const loadClinic = (doctor) => (doctor.clinicId ? repositories.clinics.findById(doctor.clinicId) : null);
+
+const findLeave = async (doctorId, from, to) => {
+  const { rows } = await repositories.doctorLeave.findMany({
+    filters: {
+      doctorId,
+      startDate: { lte: to },
+      endDate: { gte: from }
+    }
+  });
+  return rows;
+};
+
+// Why a specific slot cannot be booked, or null when it is within hours and not on leave.
+// Overlaps with other appointments are left to the scheduling conflict check.
+const unavailableReason = async ({ doctor, appointmentDate, appointmentTime, duration }) => {
+  const date = toDateKey(appointmentDate);
+  const slot = toInterval({ appointmentDate: date, appointmentTime, duration });
+  const start = timeToMinutes(appointmentTime);
+
+  if (slot.start < nowInMinutes()) {
+    return 'Appointments cannot be booked in the past';
+  }
+
+  const clinic = await loadClinic(doctor);
+  const windows = bookableWindows(doctor, clinic, date);
+  if (!windows.some((window) => window.start <= start && start + Number(duration) <= window.end)) {
+    return 'Selected time is outside the doctor\'s available hours';
+  }
+
+  const leave = await findLeave(doctor.id, date, date);
+  if (leave.map(leaveInterval).some((interval) => intervalsOverlap(slot, interval))) {
+    return 'Doctor is on leave at the selected time';
+  }
+
+  return null;
+};
+
+// Free slots for a doctor between two dates (inclusive), `duration` minutes long.
+// A slot must fall inside the doctor's weekly availability and, when the doctor
+// belongs to a clinic, inside the clinic's operating hours. Slots overlapping an
+// active appointment, an unexpired waitlist hold or declared leave, or starting in the
+// past, are dropped.
+const findFreeSlots = async ({ doctor, from, to, duration }) => {
+  const clinic = await loadClinic(doctor);
+  const dates = { gte: addDays(from, -1), lte: addDays(to, 1) };
+
+  const [{ rows: appointments }, { rows: holds }, leave] = await Promise.all([
+    repositories.appointments.findMany({
+      filters: {
+        doctorId: doctor.id,
+        appointmentDate: dates,
+        status: { notIn: RELEASED_STATUSES }
+      }
+    }),
+    repositories.waitlistOffers.findMany({
+      filters: {
+        doctorId: doctor.id,
+        appointmentDate: dates,
+        status: 'pending',
+        expiresAt: { gt: new Date().toISOString() }
+      }
+    }),
+    findLeave(doctor.id, from, to)
+  ]);
+
+  const busy = [...appointments.map(toInterval), ...holds.map(toInterval), ...leave.map(leaveInterval)];
+  const earliest = nowInMinutes();
+  const slots = [];
+
+  for (let date = toDateKey(from); date <= toDateKey(to); date = addDays(date, 1)) {
+    bookableWindows(doctor, clinic, date).forEach((window) => {
+      for (let start = window.start; start + duration <= window.end; start += duration) {
+        const slot = toInterval({ appointmentDate: date, appointmentTime: minutesToTime(start), duration });
+        if (slot.start < earliest || busy.some((interval) => intervalsOverlap(slot, interval))) continue;
+
+        slots.push({
+          date,
+          startTime: minutesToTime(start),
+          endTime: minutesToTime(start + duration),
+          duration
+        });
+      }
+    });
+  }
+
+  return slots;
+};
+
+module.exports = {
+  WEEKDAYS,
+  MAX_RANGE_DAYS,
+  weekdayOf,
+  windowsFor,
+  intersectWindows,
+  isWeeklySchedule,
+  leaveInterval,
+  bookableWindows,
+  unavailableReason,
+  findFreeSlots
+};
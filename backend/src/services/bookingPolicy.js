@@ -0,0 +1,78 @@
+const { repositories } = require('../repositories');
+const { toInterval, nowInMinutes } = require('./scheduling');
+
+// A non-negative whole number from the environment. 0 is a real setting (no notice required),
+// so only a missing or invalid value falls back.
+const envSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Platform defaults; a clinic can override any of them with its `bookingPolicy` object
+const DEFAULT_POLICY = {
+  minBookingNoticeHours: envSetting('MIN_BOOKING_NOTICE_HOURS', 2),
+  maxAdvanceBookingDays: envSetting('MAX_ADVANCE_BOOKING_DAYS', 90),
+  rescheduleNoticeHours: envSetting('RESCHEDULE_NOTICE_HOURS', 24),
+  cancellationNoticeHours: envSetting('CANCELLATION_NOTICE_HOURS', 24)
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+// express-validator custom check for a clinic's bookingPolicy object
+const isBookingPolicy = (value) => {
+  Object.entries(value).forEach(([field, hours]) => {
+    if (!POLICY_FIELDS.includes(field)) {
+      throw new Error(`Unknown booking policy setting "${field}"`);
+    }
+    if (!Number.isInteger(hours) || hours < 0) {
+      throw new Error(`Booking policy setting "${field}" must be a non-negative integer`);
+    }
+  });
+  return true;
+};
+
+// Effective policy for an appointment's clinic, falling back to the doctor's clinic
+const policyFor = async ({ clinicId, doctorId }) => {
+  let clinic = clinicId ? await repositories.clinics.findById(clinicId) : null;
+
+  if (!clinic && doctorId) {
+    const doctor = await repositories.doctors.findById(doctorId);
+    clinic = doctor && doctor.clinicId ? await repositories.clinics.findById(doctor.clinicId) : null;
+  }
+
+  return { ...DEFAULT_POLICY, ...((clinic && clinic.bookingPolicy) || {}) };
+};
+
+const hoursUntil = (slot) => (toInterval(slot).start - nowInMinutes()) / 60;
+
+// Reasons a patient may not book the slot under the policy, or null
+const bookingViolation = (policy, slot) => {
+  const hours = hoursUntil(slot);
+
+  if (hours < policy.minBookingNoticeHours) {
+    return `Appointments must be booked at least ${policy.minBookingNoticeHours} hours in advance`;
+  }
+  if (hours > policy.maxAdvanceBookingDays * 24) {
+    return `Appointments cannot be booked more than ${policy.maxAdvanceBookingDays} days in advance`;
+  }
+  return null;
+};
+
+// Reasons a patient may not change an existing appointment under the policy, or null
+const changeViolation = (policy, appointment, action) => {
+  const notice = action === 'cancel' ? policy.cancellationNoticeHours : policy.rescheduleNoticeHours;
+
+  if (hoursUntil(appointment) < notice) {
+    const verb = action === 'cancel' ? 'cancelled' : 'rescheduled';
+    return `Appointments must be ${verb} at least ${notice} hours in advance; please contact the clinic`;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  isBookingPolicy,
+  policyFor,
+  bookingViolation,
+  changeViolation
+};
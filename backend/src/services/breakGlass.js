@@ -0,0 +1,83 @@
+const { repositories } = require('../repositories');
+const { ConflictError } = require('../middleware/errorHandler');
+const events = require('./events');
+
+// How long one emergency access grant lasts
+const BREAK_GLASS_MINUTES = parseInt(process.env.BREAK_GLASS_MINUTES) || 60;
+
+// Every grant waits on the review report until an admin acknowledges it
+const REVIEW_STATUSES = ['pending', 'reviewed'];
+const REVIEW_OUTCOMES = ['appropriate', 'inappropriate'];
+
+// The doctor's unexpired, unended grant for a patient, if any
+const activeGrant = (doctorId, patientId, now = new Date()) => repositories.breakGlassGrants.findOne({
+  doctorId,
+  patientId,
+  endedAt: null,
+  expiresAt: { gt: now.toISOString() }
+});
+
+// Patients a doctor currently reaches through break-glass
+const activeGrantPatientIds = async (doctorId, now = new Date()) => {
+  const { rows } = await repositories.breakGlassGrants.findMany({
+    filters: { doctorId, endedAt: null, expiresAt: { gt: now.toISOString() } }
+  });
+  return rows.map((grant) => grant.patientId);
+};
+
+// Grant a clinician time-limited access to a patient they have no care relationship with.
+// The grant is raised so the primary doctor and admin are told; the request declaring it is on
+// the audit trail with every other request to /api/break-glass.
+const declareEmergency = async ({ doctor, patient, reason, actor }) => {
+  const existing = await activeGrant(doctor.id, patient.id);
+  if (existing) {
+    throw new ConflictError('You already have emergency access to this patient', {
+      grantId: existing.id,
+      expiresAt: existing.expiresAt
+    });
+  }
+
+  const grantedAt = new Date();
+  const grant = await repositories.breakGlassGrants.create({
+    patientId: patient.id,
+    doctorId: doctor.id,
+    userId: actor.userId,
+    reason,
+    grantedAt: grantedAt.toISOString(),
+    expiresAt: new Date(grantedAt.getTime() + BREAK_GLASS_MINUTES * 60 * 1000).toISOString(),
+    endedAt: null,
+    reviewStatus: 'pending',
+    reviewedAt: null,
+    reviewedBy: null,
+    reviewOutcome: null,
+    reviewNotes: null
+  });
+
+  console.warn(`BREAK-GLASS: user ${actor.userId} opened emergency access to patient ${patient.id} until ${grant.expiresAt}: ${reason}`);
+
+  await events.emit(events.EVENTS.BREAK_GLASS_ACCESS_GRANTED, { grant, doctor, patient });
+  return grant;
+};
+
+// Audit entries of the clinician on the patient while the grant was open
+const accessesUnder = async (grant) => {
+  const { rows } = await repositories.auditLog.findMany({
+    filters: {
+      actorId: grant.userId,
+      patientId: grant.patientId,
+      occurredAt: { gte: grant.grantedAt, lte: grant.endedAt || grant.expiresAt }
+    },
+    orderBy: { field: 'sequence', ascending: true }
+  });
+  return rows;
+};
+
+module.exports = {
+  BREAK_GLASS_MINUTES,
+  REVIEW_STATUSES,
+  REVIEW_OUTCOMES,
+  activeGrant,
+  activeGrantPatientIds,
+  declareEmergency,
+  accessesUnder
+};
@@ -0,0 +1,169 @@
+const { repositories } = require('../repositories');
+const { ForbiddenError } = require('../middleware/errorHandler');
+const { activeGrant, activeGrantPatientIds } = require('./breakGlass');
+const { canShareWithClinic } = require('./consents');
+
+const CARE_TEAM_ROLES = ['primary', 'consultant', 'midwife', 'nurse', 'other'];
+
+// Open and completed referrals give the receiving doctor access; cancelled ones do not
+const REFERRAL_STATUSES = ['open', 'completed', 'cancelled'];
+
+// When set, doctors also reach every patient seen at their own clinic
+const CLINIC_WIDE_ACCESS = process.env.CLINIC_WIDE_PATIENT_ACCESS === 'true';
+
+const doctorProfileFor = (userId) => repositories.doctors.findOne({ userId });
+
+const sharesClinic = async (doctor, patientId) => {
+  const patient = await repositories.patients.findById(patientId);
+  if (patient && patient.clinicId === doctor.clinicId) {
+    return true;
+  }
+  return await repositories.appointments.count({ patientId, clinicId: doctor.clinicId }) > 0;
+};
+
+// A referral to a doctor at another clinic shares the record with that clinic, so it only
+// gives access while the patient consents to sharing with it
+const referralAllowsAccess = async (doctor, patientId) =>
+  canShareWithClinic(await repositories.patients.findById(patientId), doctor.clinicId);
+
+// Why a doctor may see a patient: an active care-team assignment, an appointment, a referral,
+// (when enabled) a shared clinic, or else an open break-glass grant. Null when there is none.
+const careRelationship = async (doctor, patientId) => {
+  if (await repositories.careTeamMembers.count({ patientId, doctorId: doctor.id, endedAt: null }) > 0) {
+    return 'care-team';
+  }
+  if (await repositories.appointments.count({ patientId, doctorId: doctor.id, status: { neq: 'cancelled' } }) > 0) {
+    return 'appointment';
+  }
+  if (await repositories.referrals.count({ patientId, toDoctorId: doctor.id, status: { neq: 'cancelled' } }) > 0
+    && await referralAllowsAccess(doctor, patientId)) {
+    return 'referral';
+  }
+  if (CLINIC_WIDE_ACCESS && doctor.clinicId && await sharesClinic(doctor, patientId)) {
+    return 'clinic';
+  }
+  if (await activeGrant(doctor.id, patientId)) {
+    return 'break-glass';
+  }
+  return null;
+};
+
+const isPatientUser = (patient, userId) => Boolean(patient) && (patient.id === userId || patient.userId === userId);
+
+// How a user reaches a patient's data ({ basis }), or null when they may not.
+// Admins always may; patients only reach their own record and those of their babies.
+const patientAccessFor = async ({ userId, role }, patientId) => {
+  if (role === 'admin') {
+    return { basis: 'admin' };
+  }
+
+  if (role === 'patient') {
+    const patient = await repositories.patients.findById(patientId);
+    if (isPatientUser(patient, userId)) {
+      return { basis: 'self' };
+    }
+    const mother = patient && patient.motherId ? await repositories.patients.findById(patient.motherId) : null;
+    return isPatientUser(mother, userId) ? { basis: 'mother' } : null;
+  }
+
+  if (role === 'doctor') {
+    const doctor = await doctorProfileFor(userId);
+    const basis = doctor && await careRelationship(doctor, patientId);
+    return basis ? { basis, doctorId: doctor.id } : null;
+  }
+
+  return null;
+};
+
+const assertPatientAccess = async (actor, patientId) => {
+  const access = await patientAccessFor(actor, patientId);
+
+  if (!access) {
+    throw new ForbiddenError('You are not on this patient\'s care team');
+  }
+
+  return access;
+};
+
+// Access that rests only on a break-glass grant is for the emergency at hand. It cannot be used
+// to add care-team members, book appointments or refer the patient: those would keep the
+// doctor's access (or hand it on) after the grant has ended.
+const assertNotBreakGlass = (access) => {
+  if (access && access.basis === 'break-glass') {
+    throw new ForbiddenError('Emergency access cannot be used to create a care relationship with this patient');
+  }
+
+  return access;
+};
+
+// Every patient a doctor has a relationship with
+const accessiblePatientIds = async (doctor) => {
+  const ids = new Set();
+  const collect = async (repository, filters, field = 'patientId') => {
+    const { rows } = await repository.findMany({ filters });
+    rows.forEach((row) => ids.add(row[field]));
+  };
+
+  await collect(repositories.careTeamMembers, { doctorId: doctor.id, endedAt: null });
+  await collect(repositories.appointments, { doctorId: doctor.id, status: { neq: 'cancelled' } });
+
+  const { rows: referrals } = await repositories.referrals.findMany({
+    filters: { toDoctorId: doctor.id, status: { neq: 'cancelled' } }
+  });
+  for (const { patientId } of referrals) {
+    if (!ids.has(patientId) && await referralAllowsAccess(doctor, patientId)) {
+      ids.add(patientId);
+    }
+  }
+
+  if (CLINIC_WIDE_ACCESS && doctor.clinicId) {
+    await collect(repositories.appointments, { clinicId: doctor.clinicId });
+    await collect(repositories.patients, { clinicId: doctor.clinicId }, 'id');
+  }
+
+  (await activeGrantPatientIds(doctor.id)).forEach((patientId) => ids.add(patientId));
+
+  return [...ids];
+};
+
+// Patient filter for list queries. Admins see everyone (or the patient asked for); other users
+// only patients they can access, and asking for a patient outside that set is refused.
+const patientScopeFor = async (actor, patientId) => {
+  if (patientId) {
+    await assertPatientAccess(actor, patientId);
+    return patientId;
+  }
+  if (actor.role === 'admin') {
+    return undefined;
+  }
+
+  const doctor = actor.role === 'doctor' ? await doctorProfileFor(actor.userId) : null;
+  return { in: doctor ? await accessiblePatientIds(doctor) : [] };
+};
+
+// Add a doctor to a patient's care team
+const assignCareTeamMember = async ({ patientId, doctorId, role, reason, assignedBy }, options = {}) =>
+  repositories.careTeamMembers.create({
+    patientId,
+    doctorId,
+    role,
+    reason: reason || null,
+    assignedBy,
+    assignedAt: new Date().toISOString(),
+    endedAt: null,
+    endedBy: null
+  }, options);
+
+module.exports = {
+  CARE_TEAM_ROLES,
+  REFERRAL_STATUSES,
+  CLINIC_WIDE_ACCESS,
+  doctorProfileFor,
+  careRelationship,
+  patientAccessFor,
+  assertPatientAccess,
+  assertNotBreakGlass,
+  accessiblePatientIds,
+  patientScopeFor,
+  assignCareTeamMember
+};
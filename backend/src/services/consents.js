@@ -0,0 +1,93 @@
+const { repositories } = require('../repositories');
+const { ConsentRequiredError } = require('../middleware/errorHandler');
+
+// What a patient can consent to. `data-sharing` is scoped to the clinic the data goes to.
+const CONSENT_TYPES = ['treatment', 'data-sharing', 'ai-chat', 'research', 'sms-contact'];
+
+const CONSENT_LABELS = {
+  treatment: 'treatment',
+  'data-sharing': 'sharing their record with another clinic',
+  'ai-chat': 'use of their data in AI chat',
+  research: 'use of their data in research',
+  'sms-contact': 'contact by SMS'
+};
+
+// A consent is active from when it is granted until it is revoked
+const CONSENT_STATUSES = ['active', 'revoked'];
+
+// The patient's active consents of a type, newest first
+const activeConsents = async (patientId, type) => {
+  const { rows } = await repositories.consents.findMany({
+    filters: { patientId, type, status: 'active' },
+    orderBy: { field: 'grantedAt', ascending: false }
+  });
+  return rows;
+};
+
+// The active consent covering `scope`, if any. A consent without a scope covers every scope.
+const consentFor = async (patientId, type, scope = null) => {
+  const consents = await activeConsents(patientId, type);
+  return consents.find((consent) => !consent.scope || consent.scope === scope) || null;
+};
+
+const hasConsent = async (patientId, type, scope = null) => Boolean(await consentFor(patientId, type, scope));
+
+const assertConsent = async (patientId, type, scope = null) => {
+  if (!await hasConsent(patientId, type, scope)) {
+    throw new ConsentRequiredError(`The patient has not consented to ${CONSENT_LABELS[type]}`, { type, scope });
+  }
+};
+
+// Sharing within the patient's own clinic needs no consent; any other clinic needs a
+// data-sharing consent for it. Care-team membership does not stand in for consent: members are
+// only added once the patient has consented to sharing with their clinic.
+const canShareWithClinic = async (patient, clinicId) => {
+  if (!clinicId || !patient || patient.clinicId === clinicId) {
+    return true;
+  }
+  return hasConsent(patient.id, 'data-sharing', clinicId);
+};
+
+const assertCanShareWithClinic = async (patient, clinicId) => {
+  if (!await canShareWithClinic(patient, clinicId)) {
+    throw new ConsentRequiredError(`The patient has not consented to ${CONSENT_LABELS['data-sharing']}`, {
+      type: 'data-sharing',
+      scope: clinicId
+    });
+  }
+};
+
+const grantConsent = ({ patientId, type, scope, witnessedBy, witnessName, notes, grantedBy }) =>
+  repositories.consents.create({
+    patientId,
+    type,
+    scope: scope || null,
+    grantedAt: new Date().toISOString(),
+    grantedBy,
+    witnessedBy: witnessedBy || null,
+    witnessName: witnessName || null,
+    notes: notes || null,
+    status: 'active',
+    revokedAt: null,
+    revokedBy: null,
+    revocationReason: null
+  });
+
+const revokeConsent = (consent, { revokedBy, reason }) => repositories.consents.update(consent.id, {
+  status: 'revoked',
+  revokedAt: new Date().toISOString(),
+  revokedBy,
+  revocationReason: reason || null
+});
+
+module.exports = {
+  CONSENT_TYPES,
+  CONSENT_STATUSES,
+  consentFor,
+  hasConsent,
+  assertConsent,
+  canShareWithClinic,
+  assertCanShareWithClinic,
+  grantConsent,
+  revokeConsent
+};
@@ -0,0 +1,413 @@
+const { repositories } = require('../repositories');
+const { ConflictError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { toDateKey, timeToMinutes, minutesToTime, findConflicts } = require('./scheduling');
+const { createAppointment } = require('./appointmentLifecycle');
+const { assignCareTeamMember } = require('./careTeam');
+const { gestationDaysOn, formatGestation, closeEpisode } = require('./pregnancy');
+const { activePartographFor } = require('./partograph');
+const { unavailableReason } = require('./availability');
+
+const DELIVERY_MODES = [
+  'spontaneous-vaginal',
+  'assisted-vaginal',
+  'vaginal-breech',
+  'elective-caesarean',
+  'emergency-caesarean'
+];
+
+const BIRTH_PLACES = ['facility', 'home', 'in-transit'];
+
+const DELIVERY_COMPLICATIONS = [
+  'postpartum-haemorrhage',
+  'retained-placenta',
+  'perineal-tear',
+  'obstructed-labour',
+  'shoulder-dystocia',
+  'cord-prolapse',
+  'uterine-rupture',
+  'eclampsia',
+  'sepsis',
+  'other'
+];
+
+const NEWBORN_SEXES = ['male', 'female', 'indeterminate'];
+
+const NEWBORN_OUTCOMES = ['live-birth', 'fresh-stillbirth', 'macerated-stillbirth'];
+
+const RESUSCITATION_LEVELS = ['none', 'stimulation', 'bag-and-mask', 'advanced'];
+
+// Newborn sex -> patient gender
+const GENDER_FOR_SEX = { male: 'male', female: 'female', indeterminate: 'other' };
+
+// Blood loss counted as postpartum haemorrhage, by mode of delivery
+const PPH_THRESHOLD_ML = { vaginal: 500, caesarean: 1000 };
+const SEVERE_PPH_ML = 1000;
+
+const PRETERM_BEFORE_DAYS = 37 * 7;
+
+const isCaesarean = (mode) => String(mode).endsWith('caesarean');
+
+// Findings of a delivery that need attention, in the shape of medication safety warnings
+const deliveryAlerts = (delivery) => {
+  const alerts = [];
+  const alert = (type, severity, message) => alerts.push({ type, severity, message });
+
+  const threshold = isCaesarean(delivery.mode) ? PPH_THRESHOLD_ML.caesarean : PPH_THRESHOLD_ML.vaginal;
+  if (delivery.bloodLossMl != null && delivery.bloodLossMl >= Math.max(threshold, SEVERE_PPH_ML)) {
+    alert('severe-postpartum-haemorrhage', 'high', `Blood loss of ${delivery.bloodLossMl} ml`);
+  } else if (delivery.bloodLossMl != null && delivery.bloodLossMl >= threshold) {
+    alert('postpartum-haemorrhage', 'moderate', `Blood loss of ${delivery.bloodLossMl} ml`);
+  }
+
+  if (delivery.gestationalAgeDays != null && delivery.gestationalAgeDays < PRETERM_BEFORE_DAYS) {
+    alert('preterm-birth', 'moderate', `Born at ${delivery.gestationalAge} weeks`);
+  }
+
+  return alerts;
+};
+
+// Findings of a newborn that need attention
+const newbornAlerts = (newborn, deliveredAt) => {
+  const alerts = [];
+  const alert = (type, severity, message) => alerts.push({ type, severity, message });
+
+  if (newborn.outcome !== 'live-birth') {
+    return alerts;
+  }
+
+  if (newborn.birthWeightGrams != null && newborn.birthWeightGrams < 1500) {
+    alert('very-low-birth-weight', 'high', `Birth weight ${newborn.birthWeightGrams} g is below 1500 g`);
+  } else if (newborn.birthWeightGrams != null && newborn.birthWeightGrams < 2500) {
+    alert('low-birth-weight', 'moderate', `Birth weight ${newborn.birthWeightGrams} g is below 2500 g`);
+  } else if (newborn.birthWeightGrams != null && newborn.birthWeightGrams > 4000) {
+    alert('macrosomia', 'moderate', `Birth weight ${newborn.birthWeightGrams} g is above 4000 g`);
+  }
+
+  if (newborn.apgar5Min != null && newborn.apgar5Min < 7) {
+    alert('low-apgar', 'high', `Apgar score ${newborn.apgar5Min} at 5 minutes`);
+  }
+
+  if (newborn.resuscitation && newborn.resuscitation !== 'none') {
+    alert('resuscitated', 'moderate', `Resuscitation: ${newborn.resuscitation}`);
+  }
+
+  // WHO: breastfeeding should start within the first hour
+  if (newborn.breastfeedingInitiatedAt
+    && Date.parse(newborn.breastfeedingInitiatedAt) - Date.parse(deliveredAt) > 3600000) {
+    alert('delayed-breastfeeding', 'moderate', 'Breastfeeding started more than an hour after birth');
+  }
+
+  return alerts;
+};
+
+// Check a newborn before anything about the birth is written
+const checkNewborn = (newborn, deliveredAt) => {
+  if (!NEWBORN_SEXES.includes(newborn.sex)) {
+    throw new ValidationError(`Sex must be one of ${NEWBORN_SEXES.join(', ')}`);
+  }
+  if (!NEWBORN_OUTCOMES.includes(newborn.outcome)) {
+    throw new ValidationError(`Outcome must be one of ${NEWBORN_OUTCOMES.join(', ')}`);
+  }
+  if (newborn.breastfeedingInitiatedAt && newborn.outcome !== 'live-birth') {
+    throw new ValidationError('Breastfeeding can only be recorded for a live-born baby');
+  }
+  if (newborn.breastfeedingInitiatedAt && Date.parse(newborn.breastfeedingInitiatedAt) < Date.parse(deliveredAt)) {
+    throw new ValidationError('Breastfeeding cannot start before the birth');
+  }
+};
+
+const deliveryFor = (pregnancyId) => repositories.deliveries.findOne({ pregnancyId });
+
+const newbornsOf = async (deliveryId) => {
+  const { rows } = await repositories.newborns.findMany({
+    filters: { deliveryId },
+    orderBy: { field: 'birthOrder', ascending: true }
+  });
+  return rows;
+};
+
+// Register a live-born baby as a patient linked to its mother. The baby starts with the mother's
+// care team and the doctor who recorded the delivery.
+const registerBaby = async ({ mother, delivery, newborn, actor }) => {
+  const now = new Date().toISOString();
+  const baby = await repositories.patients.create({
+    firstName: newborn.firstName || 'Baby',
+    lastName: newborn.lastName || mother.lastName,
+    dateOfBirth: toDateKey(delivery.deliveredAt),
+    gender: GENDER_FOR_SEX[newborn.sex],
+    clinicId: mother.clinicId || null,
+    motherId: mother.id,
+    deliveryId: delivery.id,
+    createdBy: actor.userId,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const { rows: team } = await repositories.careTeamMembers.findMany({ filters: { patientId: mother.id, endedAt: null } });
+  const doctorIds = new Set();
+  for (const member of team) {
+    if (doctorIds.has(member.doctorId)) continue;
+    doctorIds.add(member.doctorId);
+    await assignCareTeamMember({
+      patientId: baby.id,
+      doctorId: member.doctorId,
+      role: member.role,
+      reason: 'Mother\'s care team',
+      assignedBy: actor.userId
+    });
+  }
+  if (actor.doctorId && !doctorIds.has(actor.doctorId)) {
+    await assignCareTeamMember({
+      patientId: baby.id,
+      doctorId: actor.doctorId,
+      role: 'other',
+      reason: 'Recorded the delivery',
+      assignedBy: actor.userId
+    });
+  }
+
+  return baby;
+};
+
+// Remove a delivery that could not be recorded in full, with its newborns, the babies registered
+// from it and their care teams
+const discardDelivery = async (delivery) => {
+  const { rows: babies } = await repositories.patients.findMany({ filters: { deliveryId: delivery.id } });
+  const { rows: team } = babies.length > 0
+    ? await repositories.careTeamMembers.findMany({ filters: { patientId: { in: babies.map((baby) => baby.id) } } })
+    : { rows: [] };
+  const { rows: records } = await repositories.newborns.findMany({ filters: { deliveryId: delivery.id } });
+
+  for (const member of team) await repositories.careTeamMembers.remove(member.id);
+  for (const record of records) await repositories.newborns.remove(record.id);
+  for (const baby of babies) await repositories.patients.remove(baby.id);
+  await repositories.deliveries.remove(delivery.id);
+};
+
+// Record the birth of a pregnancy: the delivery, its newborns (live-born babies become patients
+// linked to the mother), the pregnancy's outcome, and the end of any partograph in progress.
+// `actor.doctorId` is the recording doctor's profile when they join the babies' care teams.
+const recordDelivery = async ({ pregnancy, delivery: data, newborns, actor }) => {
+  if (pregnancy.status !== 'active') {
+    throw new ConflictError('The pregnancy is closed', { outcome: pregnancy.outcome });
+  }
+
+  const existing = await deliveryFor(pregnancy.id);
+  if (existing) {
+    throw new ConflictError('A delivery is already recorded for this pregnancy', { deliveryId: existing.id });
+  }
+
+  const deliveredAt = new Date(data.deliveredAt).toISOString();
+  if (Date.parse(deliveredAt) > Date.now() + 5 * 60000) {
+    throw new ValidationError('The delivery time is in the future');
+  }
+
+  newborns.forEach((newborn) => checkNewborn(newborn, deliveredAt));
+
+  const mother = await repositories.patients.findById(pregnancy.patientId);
+  if (!mother) {
+    throw new NotFoundError('Patient not found');
+  }
+
+  const gestationalAgeDays = gestationDaysOn(pregnancy.edd, deliveredAt);
+  const now = new Date().toISOString();
+  const fields = {
+    ...data,
+    deliveredAt,
+    complications: data.complications || [],
+    gestationalAgeDays,
+    gestationalAge: formatGestation(gestationalAgeDays)
+  };
+
+  const delivery = await repositories.deliveries.create({
+    patientId: pregnancy.patientId,
+    pregnancyId: pregnancy.id,
+    ...fields,
+    alerts: deliveryAlerts(fields),
+    recordedBy: actor.userId,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  let records;
+  let episode;
+  try {
+    records = [];
+    for (const [index, newborn] of newborns.entries()) {
+      const baby = newborn.outcome === 'live-birth'
+        ? await registerBaby({ mother, delivery, newborn, actor })
+        : null;
+
+      records.push(await repositories.newborns.create({
+        deliveryId: delivery.id,
+        motherId: mother.id,
+        patientId: baby ? baby.id : null,
+        birthOrder: index + 1,
+        ...newborn,
+        alerts: newbornAlerts(newborn, deliveredAt),
+        createdAt: now,
+        updatedAt: now
+      }));
+    }
+
+    episode = await closeEpisode(pregnancy, {
+      outcome: records.some((newborn) => newborn.outcome === 'live-birth') ? 'live-birth' : 'stillbirth',
+      outcomeDate: toDateKey(deliveredAt),
+      closedBy: actor.userId
+    });
+  } catch (error) {
+    // Do not leave half a birth behind; the pregnancy stays open for another attempt
+    await discardDelivery(delivery).catch(() => {});
+    throw error;
+  }
+
+  const partograph = await activePartographFor(pregnancy.id);
+  if (partograph) {
+    await repositories.partographs.update(partograph.id, {
+      status: 'completed',
+      completedAt: now,
+      completedBy: actor.userId,
+      updatedAt: now
+    });
+  }
+
+  return { delivery, newborns: records, pregnancy: episode };
+};
+
+// Correct a delivery record; its alerts are worked out again
+const updateDelivery = async (existing, updates) => {
+  const fields = { ...existing, ...updates };
+
+  return repositories.deliveries.update(existing.id, {
+    ...updates,
+    alerts: deliveryAlerts(fields),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Correct a newborn record. A corrected sex is carried over to the baby's patient record.
+const updateNewborn = async (existing, updates, delivery) => {
+  const now = new Date().toISOString();
+  const newborn = await repositories.newborns.update(existing.id, {
+    ...updates,
+    alerts: newbornAlerts({ ...existing, ...updates }, delivery.deliveredAt),
+    updatedAt: now
+  });
+
+  if (existing.patientId && updates.sex !== undefined && updates.sex !== existing.sex) {
+    await repositories.patients.update(existing.patientId, { gender: GENDER_FOR_SEX[updates.sex], updatedAt: now });
+  }
+
+  return newborn;
+};
+
+// Patient ids of the mother and her live-born babies
+const familyOf = async (delivery) => [
+  delivery.patientId,
+  ...(await newbornsOf(delivery.id)).filter((newborn) => newborn.patientId).map((newborn) => newborn.patientId)
+];
+
+// Back-to-back slots with the same doctor, one per patient, from `appointmentTime`
+const planSlots = (patientIds, { appointmentDate, appointmentTime, duration, ...template }) => {
+  const start = timeToMinutes(appointmentTime);
+  if (start + patientIds.length * duration > 24 * 60) {
+    throw new ValidationError('The appointments do not fit in the day');
+  }
+
+  return patientIds.map((patientId, index) => ({
+    ...template,
+    patientId,
+    appointmentDate: toDateKey(appointmentDate),
+    appointmentTime: minutesToTime(start + index * duration),
+    duration
+  }));
+};
+
+// Slots outside the doctor's hours, in the past or during leave, with the reason
+const unavailableSlots = async (doctor, slots) => {
+  const unavailable = [];
+  for (const slot of slots) {
+    const reason = await unavailableReason({ doctor, ...slot });
+    if (reason) {
+      unavailable.push({ patientId: slot.patientId, appointmentDate: slot.appointmentDate, appointmentTime: slot.appointmentTime, reason });
+    }
+  }
+  return unavailable;
+};
+
+// Slots that overlap other active appointments, with their conflicts
+const clashingSlots = async (slots) => {
+  const clashing = [];
+  for (const slot of slots) {
+    const conflicts = await findConflicts(slot);
+    if (conflicts.length > 0) {
+      clashing.push({ patientId: slot.patientId, appointmentDate: slot.appointmentDate, appointmentTime: slot.appointmentTime, conflicts });
+    }
+  }
+  return clashing;
+};
+
+const bookSlots = async (delivery, slots, actor) => {
+  const now = new Date().toISOString();
+  const appointments = [];
+  for (const slot of slots) {
+    appointments.push(await createAppointment({
+      ...slot,
+      deliveryId: delivery.id,
+      status: 'scheduled',
+      createdBy: actor.userId,
+      createdAt: now,
+      updatedAt: now
+    }, actor));
+  }
+  return appointments;
+};
+
+// Book postnatal appointments from a delivery, for the mother and her babies (or the patients
+// chosen among them), back to back with the same doctor. Nothing is booked if any slot falls
+// outside the doctor's availability or clashes.
+const bookPostnatalAppointments = async (delivery, { patientIds, ...template }, actor) => {
+  const family = await familyOf(delivery);
+  const chosen = patientIds && patientIds.length > 0 ? patientIds : family;
+
+  if (chosen.some((patientId) => !family.includes(patientId))) {
+    throw new ValidationError('Postnatal appointments can only be booked for the mother and her babies');
+  }
+
+  const slots = planSlots(chosen, template);
+  const doctor = await repositories.doctors.findById(template.doctorId);
+  const unavailable = await unavailableSlots(doctor, slots);
+  if (unavailable.length > 0) {
+    throw new ConflictError('Some appointments fall outside the doctor\'s availability', { unavailable });
+  }
+
+  const clashing = await clashingSlots(slots);
+  if (clashing.length > 0) {
+    throw new ConflictError('Some appointments conflict with existing appointments', { conflicts: clashing });
+  }
+
+  return bookSlots(delivery, slots, actor);
+};
+
+module.exports = {
+  DELIVERY_MODES,
+  BIRTH_PLACES,
+  DELIVERY_COMPLICATIONS,
+  NEWBORN_SEXES,
+  NEWBORN_OUTCOMES,
+  RESUSCITATION_LEVELS,
+  deliveryAlerts,
+  newbornAlerts,
+  checkNewborn,
+  deliveryFor,
+  newbornsOf,
+  recordDelivery,
+  updateDelivery,
+  updateNewborn,
+  familyOf,
+  planSlots,
+  unavailableSlots,
+  clashingSlots,
+  bookSlots,
+  bookPostnatalAppointments
+};
@@ -0,0 +1,220 @@
+const { repositories } = require('../repositories');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toDateKey } = require('./scheduling');
+const events = require('./events');
+
+// Edinburgh Postnatal Depression Scale (Cox, Holden & Sagovsky, 1987). Answers are the index of
+// the option chosen, in the order shown; items marked `reversed` score 3 for the first option.
+const EPDS_ITEMS = [
+  {
+    number: 1,
+    text: 'I have been able to laugh and see the funny side of things',
+    options: ['As much as I always could', 'Not quite so much now', 'Definitely not so much now', 'Not at all'],
+    reversed: false
+  },
+  {
+    number: 2,
+    text: 'I have looked forward with enjoyment to things',
+    options: ['As much as I ever did', 'Rather less than I used to', 'Definitely less than I used to', 'Hardly at all'],
+    reversed: false
+  },
+  {
+    number: 3,
+    text: 'I have blamed myself unnecessarily when things went wrong',
+    options: ['Yes, most of the time', 'Yes, some of the time', 'Not very often', 'No, never'],
+    reversed: true
+  },
+  {
+    number: 4,
+    text: 'I have been anxious or worried for no good reason',
+    options: ['No, not at all', 'Hardly ever', 'Yes, sometimes', 'Yes, very often'],
+    reversed: false
+  },
+  {
+    number: 5,
+    text: 'I have felt scared or panicky for no very good reason',
+    options: ['Yes, quite a lot', 'Yes, sometimes', 'No, not much', 'No, not at all'],
+    reversed: true
+  },
+  {
+    number: 6,
+    text: 'Things have been getting on top of me',
+    options: [
+      'Yes, most of the time I haven\'t been able to cope at all',
+      'Yes, sometimes I haven\'t been coping as well as usual',
+      'No, most of the time I have coped quite well',
+      'No, I have been coping as well as ever'
+    ],
+    reversed: true
+  },
+  {
+    number: 7,
+    text: 'I have been so unhappy that I have had difficulty sleeping',
+    options: ['Yes, most of the time', 'Yes, sometimes', 'Not very often', 'No, not at all'],
+    reversed: true
+  },
+  {
+    number: 8,
+    text: 'I have felt sad or miserable',
+    options: ['Yes, most of the time', 'Yes, quite often', 'Not very often', 'No, not at all'],
+    reversed: true
+  },
+  {
+    number: 9,
+    text: 'I have been so unhappy that I have been crying',
+    options: ['Yes, most of the time', 'Yes, quite often', 'Only occasionally', 'No, never'],
+    reversed: true
+  },
+  {
+    number: 10,
+    text: 'The thought of harming myself has occurred to me',
+    options: ['Yes, quite often', 'Sometimes', 'Hardly ever', 'Never'],
+    reversed: true
+  }
+];
+
+const EPDS_INSTRUCTIONS = 'Please choose the answer that comes closest to how you have felt in the past 7 days, not just how you feel today.';
+
+const RISK_LEVELS = ['low', 'possible-depression', 'probable-depression'];
+
+// Usual cut-offs: 10 or more for possible depression, 13 or more for probable depression
+const POSSIBLE_DEPRESSION_SCORE = 10;
+const PROBABLE_DEPRESSION_SCORE = 13;
+
+const SELF_HARM_ITEM = 10;
+
+const REFERRAL_STATUSES = ['not-needed', 'recommended', 'referred'];
+
+// A change in total score smaller than this is reported as stable
+const TREND_TOLERANCE = 2;
+
+const itemScore = (item, answer) => (item.reversed ? 3 - answer : answer);
+
+const riskFor = (totalScore) => {
+  if (totalScore >= PROBABLE_DEPRESSION_SCORE) return 'probable-depression';
+  if (totalScore >= POSSIBLE_DEPRESSION_SCORE) return 'possible-depression';
+  return 'low';
+};
+
+// Score a completed questionnaire. Any answer other than "Never" to the self-harm item, or a
+// score in the probable depression range, recommends referral.
+const scoreEpds = (answers) => {
+  if (!Array.isArray(answers) || answers.length !== EPDS_ITEMS.length
+    || answers.some((answer) => !Number.isInteger(answer) || answer < 0 || answer > 3)) {
+    throw new ValidationError(`Answers must be ${EPDS_ITEMS.length} option numbers from 0 to 3`);
+  }
+
+  const itemScores = EPDS_ITEMS.map((item, index) => itemScore(item, answers[index]));
+  const totalScore = itemScores.reduce((sum, score) => sum + score, 0);
+  const selfHarmRisk = itemScores[SELF_HARM_ITEM - 1] > 0;
+  const risk = riskFor(totalScore);
+
+  return {
+    itemScores,
+    totalScore,
+    risk,
+    selfHarmRisk,
+    referralRecommended: selfHarmRisk || risk === 'probable-depression'
+  };
+};
+
+// The patient's latest delivery on or before `date`, and the days since it
+const postpartumContext = async (patientId, date) => {
+  const { rows } = await repositories.deliveries.findMany({
+    filters: { patientId, deliveredAt: { lte: new Date(date).toISOString() } },
+    orderBy: { field: 'deliveredAt', ascending: false },
+    limit: 1
+  });
+  const delivery = rows[0];
+  if (!delivery) return { deliveryId: null, daysSinceDelivery: null };
+
+  const days = Math.round((Date.parse(`${toDateKey(date)}T00:00:00Z`)
+    - Date.parse(`${toDateKey(delivery.deliveredAt)}T00:00:00Z`)) / 86400000);
+  return { deliveryId: delivery.id, daysSinceDelivery: days };
+};
+
+// Record a completed screening. A screening that recommends referral is raised for the patient's
+// care team.
+const recordScreening = async ({ patientId, answers, completedAt, notes, completedBy, actor }) => {
+  const score = scoreEpds(answers);
+  const when = new Date(completedAt || Date.now()).toISOString();
+  if (Date.parse(when) > Date.now() + 5 * 60000) {
+    throw new ValidationError('The completion time is in the future');
+  }
+
+  const screening = await repositories.epdsScreenings.create({
+    patientId,
+    answers,
+    ...score,
+    referralStatus: score.referralRecommended ? 'recommended' : 'not-needed',
+    ...await postpartumContext(patientId, when),
+    completedBy,
+    completedByUserId: actor.userId,
+    completedAt: when,
+    notes: notes || null,
+    referredAt: null,
+    referredBy: null,
+    referralNotes: null,
+    createdAt: new Date().toISOString()
+  });
+
+  if (screening.referralRecommended) {
+    await events.emit(events.EVENTS.EPDS_REFERRAL_RECOMMENDED, { screening, actor });
+  }
+
+  return screening;
+};
+
+// Total scores over time, oldest first, with the latest change
+const scoreTrend = (screenings) => {
+  const points = [...screenings]
+    .sort((a, b) => Date.parse(a.completedAt) - Date.parse(b.completedAt))
+    .map(({ id, completedAt, totalScore, risk, selfHarmRisk, daysSinceDelivery }) =>
+      ({ id, completedAt, totalScore, risk, selfHarmRisk, daysSinceDelivery }));
+
+  const latest = points[points.length - 1] || null;
+  const previous = points[points.length - 2] || null;
+  const change = latest && previous ? latest.totalScore - previous.totalScore : null;
+
+  let direction = null;
+  if (change !== null) {
+    if (change >= TREND_TOLERANCE) direction = 'worsening';
+    else if (change <= -TREND_TOLERANCE) direction = 'improving';
+    else direction = 'stable';
+  }
+
+  return {
+    points,
+    latest,
+    change,
+    direction,
+    highestScore: latest ? Math.max(...points.map((point) => point.totalScore)) : null
+  };
+};
+
+const screeningsOf = async (patientId) => {
+  const { rows } = await repositories.epdsScreenings.findMany({
+    filters: { patientId },
+    orderBy: { field: 'completedAt', ascending: false }
+  });
+  return rows;
+};
+
+// The questionnaire as shown to whoever completes it
+const questionnaire = () => ({
+  instructions: EPDS_INSTRUCTIONS,
+  items: EPDS_ITEMS.map(({ number, text, options }) => ({ number, text, options }))
+});
+
+module.exports = {
+  EPDS_ITEMS,
+  RISK_LEVELS,
+  POSSIBLE_DEPRESSION_SCORE,
+  PROBABLE_DEPRESSION_SCORE,
+  REFERRAL_STATUSES,
+  scoreEpds,
+  recordScreening,
+  scoreTrend,
+  screeningsOf,
+  questionnaire
+};
@@ -0,0 +1,38 @@
+// In-process domain events. Handlers run in registration order and are awaited, so
+// follow-up work (waitlist offers, notifications) is done before the request responds.
+// A failing handler is logged and never fails the change that raised the event.
+const handlers = new Map();
+
+const on = (event, handler) => {
+  if (!handlers.has(event)) {
+    handlers.set(event, []);
+  }
+  handlers.get(event).push(handler);
+};
+
+const emit = async (event, payload) => {
+  for (const handler of handlers.get(event) || []) {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Event handler error (${event}):`, error);
+    }
+  }
+};
+
+// Event names
+const EVENTS = {
+  APPOINTMENT_CREATED: 'appointment.created',
+  APPOINTMENT_STATUS_CHANGED: 'appointment.statusChanged',
+  APPOINTMENT_RESCHEDULED: 'appointment.rescheduled',
+  MEDICAL_RECORD_CREATED: 'medicalRecord.created',
+  MEDICAL_RECORD_COSIGN_REQUESTED: 'medicalRecord.cosignRequested',
+  LAB_RESULT_CRITICAL: 'labResult.critical',
+  BREAK_GLASS_ACCESS_GRANTED: 'breakGlass.granted',
+  PARTOGRAPH_ALERT: 'partograph.alert',
+  EPDS_REFERRAL_RECOMMENDED: 'epds.referralRecommended',
+  LAB_ORDER_VERIFIED: 'labOrder.verified',
+  WAITLIST_OFFER_CREATED: 'waitlist.offerCreated'
+};
+
+module.exports = { on, emit, EVENTS };
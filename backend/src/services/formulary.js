@@ -0,0 +1,111 @@
+const { repositories } = require('../repositories');
+const SEED_FORMULARY = require('../data/formulary.json');
+
+// FDA letter categories, still the most common labelling in our clinics
+const PREGNANCY_CATEGORIES = ['A', 'B', 'C', 'D', 'X'];
+
+const LACTATION_CATEGORIES = ['compatible', 'caution', 'avoid'];
+
+const LIST_FIELDS = ['brandNames', 'forms', 'strengths', 'contraindications', 'interactingClasses'];
+
+const normalise = (text) => String(text || '').trim().toLowerCase();
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim());
+
+// express-validator custom check for one formulary entry, so imports are validated like single creates
+const isFormularyEntry = (entry, label = 'Medication') => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof entry.genericName !== 'string' || !entry.genericName.trim()) {
+    throw new Error(`${label}: genericName is required`);
+  }
+  if (typeof entry.drugClass !== 'string' || !entry.drugClass.trim()) {
+    throw new Error(`${label}: drugClass is required`);
+  }
+  if (!PREGNANCY_CATEGORIES.includes(entry.pregnancyCategory)) {
+    throw new Error(`${label}: pregnancyCategory must be one of ${PREGNANCY_CATEGORIES.join(', ')}`);
+  }
+  if (entry.lactationCategory !== undefined && entry.lactationCategory !== null && !LACTATION_CATEGORIES.includes(entry.lactationCategory)) {
+    throw new Error(`${label}: lactationCategory must be one of ${LACTATION_CATEGORIES.join(', ')}`);
+  }
+  LIST_FIELDS.forEach((field) => {
+    if (entry[field] !== undefined && !isStringList(entry[field])) {
+      throw new Error(`${label}: ${field} must be an array of strings`);
+    }
+  });
+  return true;
+};
+
+const isFormularyList = (entries) => {
+  entries.forEach((entry, index) => isFormularyEntry(entry, `Medication ${index + 1}`));
+  return true;
+};
+
+// Keep only known fields; class names are stored lower-case so interaction lookups match
+const normaliseEntry = (entry) => ({
+  genericName: entry.genericName.trim(),
+  brandNames: entry.brandNames || [],
+  drugClass: normalise(entry.drugClass),
+  forms: entry.forms || [],
+  strengths: entry.strengths || [],
+  pregnancyCategory: entry.pregnancyCategory,
+  lactationCategory: entry.lactationCategory || null,
+  contraindications: entry.contraindications || [],
+  interactingClasses: (entry.interactingClasses || []).map(normalise)
+});
+
+const loadFormulary = async () => {
+  const { rows } = await repositories.medications.findMany({ filters: { isActive: true } });
+  return rows;
+};
+
+// Formulary entry for a drug name, matched on generic or brand name
+const findEntry = (formulary, name) => {
+  const wanted = normalise(name);
+  return formulary.find((medication) => normalise(medication.genericName) === wanted
+    || (medication.brandNames || []).some((brand) => normalise(brand) === wanted)) || null;
+};
+
+// Create or update entries by generic name; defaults to the bundled seed list
+const importFormulary = async (entries = SEED_FORMULARY, actor) => {
+  const { rows: existing } = await repositories.medications.findMany({});
+  const byName = new Map(existing.map((medication) => [normalise(medication.genericName), medication]));
+  const now = new Date().toISOString();
+
+  let created = 0;
+  let updated = 0;
+  for (const entry of entries.map(normaliseEntry)) {
+    const current = byName.get(normalise(entry.genericName));
+
+    if (current) {
+      await repositories.medications.update(current.id, { ...entry, isActive: true, updatedAt: now });
+      updated += 1;
+    } else {
+      const medication = await repositories.medications.create({
+        ...entry,
+        isActive: true,
+        createdBy: actor,
+        createdAt: now,
+        updatedAt: now
+      });
+      byName.set(normalise(medication.genericName), medication);
+      created += 1;
+    }
+  }
+
+  return { created, updated };
+};
+
+module.exports = {
+  PREGNANCY_CATEGORIES,
+  LACTATION_CATEGORIES,
+  SEED_FORMULARY,
+  normalise,
+  isFormularyEntry,
+  isFormularyList,
+  normaliseEntry,
+  loadFormulary,
+  findEntry,
+  importFormulary
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// JSON with object keys sorted at every level, so equal content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// SHA-256 of a value's canonical JSON
+const hashOf = (value) => sha256(canonicalJson(value));
+
+module.exports = { canonicalJson, sha256, hashOf };
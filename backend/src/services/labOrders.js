@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { repositories } = require('../repositories');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { findTest, assertResultValue } = require('./labResults');
+
+const LAB_ORDER_STATUSES = ['ordered', 'collected', 'resulted', 'verified', 'closed', 'cancelled'];
+
+// Orders still waiting on the lab, shown on the lab worklist
+const LAB_WORKLIST_STATUSES = ['ordered', 'collected', 'resulted'];
+
+const LAB_ORDER_PRIORITIES = ['routine', 'urgent'];
+
+// Results may be re-entered until they are verified; orders can be cancelled until results exist
+const TRANSITIONS = {
+  ordered: ['collected', 'cancelled'],
+  collected: ['resulted', 'cancelled'],
+  resulted: ['resulted', 'verified'],
+  verified: ['closed'],
+  closed: [],
+  cancelled: []
+};
+
+// Most tests one order may carry
+const MAX_TESTS = 30;
+
+// Barcode labels: letters, digits and dashes
+const SPECIMEN_ID_PATTERN = /^[A-Za-z0-9-]{4,40}$/;
+
+// Turnaround intervals reported, as [name, from step, to step]
+const TURNAROUND_INTERVALS = [
+  ['orderToCollection', 'orderedAt', 'collectedAt'],
+  ['collectionToResult', 'collectedAt', 'resultedAt'],
+  ['resultToVerification', 'resultedAt', 'verifiedAt'],
+  ['verificationToClose', 'verifiedAt', 'closedAt'],
+  ['orderToVerification', 'orderedAt', 'verifiedAt'],
+  ['orderToClose', 'orderedAt', 'closedAt']
+];
+
+// express-validator custom check for the test codes of an order
+const isLabOrderTests = (codes) => {
+  if (codes.length === 0 || codes.length > MAX_TESTS) {
+    throw new Error(`An order needs between 1 and ${MAX_TESTS} tests`);
+  }
+
+  codes.forEach((code) => {
+    if (!findTest(code)) {
+      throw new Error(`Unknown lab test: ${code}`);
+    }
+  });
+
+  if (new Set(codes.map((code) => String(code).toUpperCase())).size !== codes.length) {
+    throw new Error('Each test can only be ordered once per order');
+  }
+
+  return true;
+};
+
+const assertTransition = (from, to) => {
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    throw new ConflictError(`Lab order cannot move from ${from} to ${to}`, {
+      currentStatus: from,
+      allowedStatuses: TRANSITIONS[from] || []
+    });
+  }
+};
+
+// Results entered for an order: exactly one valid value for each ordered test
+const normaliseOrderResults = (order, results) => {
+  const entries = results.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ValidationError(`Result ${index + 1} must be an object`);
+    }
+
+    const test = findTest(entry.testCode);
+    if (!test || !order.tests.includes(test.code)) {
+      throw new ValidationError(`Result ${index + 1}: ${entry.testCode} is not on this order`);
+    }
+    try {
+      assertResultValue(test, entry.value);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+    if (entry.notes !== undefined && typeof entry.notes !== 'string') {
+      throw new ValidationError(`Result ${index + 1}: notes must be a string`);
+    }
+
+    return { testCode: test.code, value: entry.value, notes: entry.notes || null };
+  });
+
+  const entered = new Set(entries.map((entry) => entry.testCode));
+  if (entered.size !== entries.length) {
+    throw new ValidationError('Each test can only have one result');
+  }
+
+  const missing = order.tests.filter((code) => !entered.has(code));
+  if (missing.length > 0) {
+    throw new ValidationError(`Results are missing for ${missing.join(', ')}`);
+  }
+
+  return entries;
+};
+
+// Random specimen id for orders collected without a pre-printed barcode
+const generateSpecimenId = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `LAB-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// A specimen id labels one sample only
+const assertSpecimenIdFree = async (specimenId) => {
+  const existing = await repositories.labOrders.findOne({ specimenId });
+
+  if (existing) {
+    throw new ConflictError(`Specimen ${specimenId} is already in use`, { labOrderId: existing.id });
+  }
+};
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Turnaround in minutes per interval (count, average, median, longest) over orders that reached both steps
+const turnaroundReport = (orders) => TURNAROUND_INTERVALS.reduce((report, [name, from, to]) => {
+  const minutes = orders
+    .filter((order) => order[from] && order[to])
+    .map((order) => minutesBetween(order[from], order[to]));
+
+  report[name] = minutes.length === 0
+    ? { count: 0, averageMinutes: null, medianMinutes: null, maxMinutes: null }
+    : {
+      count: minutes.length,
+      averageMinutes: Math.round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length),
+      medianMinutes: median(minutes),
+      maxMinutes: Math.max(...minutes)
+    };
+  return report;
+}, {});
+
+module.exports = {
+  LAB_ORDER_STATUSES,
+  LAB_WORKLIST_STATUSES,
+  LAB_ORDER_PRIORITIES,
+  TRANSITIONS,
+  MAX_TESTS,
+  SPECIMEN_ID_PATTERN,
+  isLabOrderTests,
+  assertTransition,
+  normaliseOrderResults,
+  generateSpecimenId,
+  assertSpecimenIdFree,
+  turnaroundReport
+};
@@ -0,0 +1,125 @@
+const { repositories } = require('../repositories');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { isCurrentlyPregnant } = require('./pregnancy');
+const events = require('./events');
+const LAB_TESTS = require('../data/labTests.json');
+
+// Flags in increasing order of concern; `critical` results go on the ordering doctor's worklist
+const RESULT_FLAGS = ['normal', 'low', 'high', 'abnormal', 'critical'];
+
+const findTest = (code) => LAB_TESTS.find((test) => test.code === String(code || '').toUpperCase()) || null;
+
+// express-validator custom check for a test code from the catalogue
+const isLabTestCode = (code) => {
+  if (!findTest(code)) {
+    throw new Error(`Unknown lab test: ${code}`);
+  }
+  return true;
+};
+
+// Check a result value against its test: numbers for numeric tests, one of the listed values for coded tests
+const assertResultValue = (test, value) => {
+  if (test.resultType === 'numeric') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`${test.name} needs a numeric result in ${test.unit}`);
+    }
+  } else if (!test.values.includes(value)) {
+    throw new Error(`${test.name} result must be one of ${test.values.join(', ')}`);
+  }
+};
+
+// Reference range that applies to the patient: the pregnancy range when one exists and she is pregnant
+const referenceRangeFor = (test, pregnant) => (pregnant && test.reference.pregnancy
+  ? { ...test.reference.pregnancy, population: 'pregnancy' }
+  : { ...test.reference.default, population: 'default' });
+
+const flagNumeric = (value, range) => {
+  if ((range.criticalLow !== undefined && value < range.criticalLow)
+    || (range.criticalHigh !== undefined && value > range.criticalHigh)) {
+    return 'critical';
+  }
+  if (value < range.low) return 'low';
+  if (value > range.high) return 'high';
+  return 'normal';
+};
+
+const flagCoded = (value, range) => {
+  if (range.critical.includes(value)) return 'critical';
+  return range.normal.includes(value) ? 'normal' : 'abnormal';
+};
+
+// Flag a result value for a patient, returning the range it was judged against so it is kept with the result
+const flagResult = async (test, value, patient) => {
+  const referenceRange = referenceRangeFor(test, await isCurrentlyPregnant(patient));
+  const flag = test.resultType === 'numeric' ? flagNumeric(value, referenceRange) : flagCoded(value, referenceRange);
+
+  return { flag, isCritical: flag === 'critical', referenceRange };
+};
+
+// Value columns for a result: numeric tests fill numericValue, coded tests codedValue
+const valueFields = (test, value) => ({
+  numericValue: test.resultType === 'numeric' ? value : null,
+  codedValue: test.resultType === 'coded' ? value : null
+});
+
+// Critical results wait on the ordering doctor's worklist; the event also notifies them
+const raiseIfCritical = async (result) => {
+  if (result.isCritical) {
+    await events.emit(events.EVENTS.LAB_RESULT_CRITICAL, { result });
+  }
+};
+
+// Store a flagged result. Entered directly, or on verification of a lab order (labOrderId).
+const recordResult = async ({ patient, doctorId, medicalRecordId, labOrderId, test, value, collectedAt, notes, enteredBy, verifiedBy }, options = {}) => {
+  const now = new Date().toISOString();
+  const result = await repositories.labResults.create({
+    patientId: patient.id,
+    doctorId,
+    medicalRecordId: medicalRecordId || null,
+    labOrderId: labOrderId || null,
+    testCode: test.code,
+    testName: test.name,
+    category: test.category,
+    resultType: test.resultType,
+    unit: test.unit || null,
+    ...valueFields(test, value),
+    ...await flagResult(test, value, patient),
+    collectedAt: collectedAt || null,
+    notes: notes || null,
+    resultedBy: enteredBy,
+    resultedAt: now,
+    verifiedBy: verifiedBy || null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    createdAt: now,
+    updatedAt: now
+  }, options);
+
+  await raiseIfCritical(result);
+  return result;
+};
+
+// Ordering doctor profile of the signed-in user
+const doctorForUser = async (userId) => {
+  const doctor = await repositories.doctors.findOne({ userId });
+
+  if (!doctor) {
+    throw new NotFoundError('Doctor profile not found');
+  }
+
+  return doctor;
+};
+
+module.exports = {
+  LAB_TESTS,
+  RESULT_FLAGS,
+  findTest,
+  isLabTestCode,
+  assertResultValue,
+  referenceRangeFor,
+  flagResult,
+  valueFields,
+  raiseIfCritical,
+  recordResult,
+  doctorForUser
+};
@@ -0,0 +1,174 @@
+const { ConflictError } = require('../middleware/errorHandler');
+const { normalise, loadFormulary, findEntry } = require('./formulary');
+const { activeMedications } = require('./prescriptions');
+const { isCurrentlyPregnant } = require('./pregnancy');
+const { isCurrentlyBreastfeeding } = require('./postnatal');
+
+// Pregnancy categories that warn for a pregnant patient, with the warning severity
+const PREGNANCY_SEVERITY = { D: 'moderate', X: 'high' };
+
+// Lactation categories that warn for a breastfeeding patient, with the warning severity
+const LACTATION_SEVERITY = { avoid: 'moderate' };
+
+// Drug name of a line item: prescriptions use `drug`; the free-form medical record
+// list may hold plain strings or objects with `name` or `medication`
+const drugNameOf = (item) => (typeof item === 'string' ? item : item && (item.drug || item.name || item.medication));
+
+// Allergies are recorded as plain strings or as objects naming the substance
+const allergyTermOf = (allergy) => (typeof allergy === 'string' ? allergy : allergy && (allergy.substance || allergy.allergen || allergy.name));
+
+// Whether `a` lists `b`'s class or generic name among its interactions
+const interactsWith = (a, b) => (a.interactingClasses || [])
+  .some((name) => name === normalise(b.drugClass) || name === normalise(b.genericName));
+
+// An allergy matches a drug by its generic name, a brand name or its class, each compared whole:
+// an allergy to "penicillin" matches the penicillin class, but not a class merely containing the word
+const allergyWarnings = (drugName, medication, allergies) => allergies.flatMap((allergy) => {
+  const term = normalise(allergyTermOf(allergy));
+  if (!term) return [];
+
+  const names = medication
+    ? [medication.genericName, ...(medication.brandNames || []), medication.drugClass].map(normalise)
+    : [normalise(drugName)];
+
+  if (names.includes(term)) {
+    return [{
+      type: 'allergy',
+      severity: 'high',
+      drug: drugName,
+      allergy: allergyTermOf(allergy),
+      message: `${drugName} matches the patient's recorded allergy to ${allergyTermOf(allergy)}`
+    }];
+  }
+
+  // Cross-reactivity noted in the formulary, e.g. "severe penicillin allergy" for cephalosporins
+  const crossReaction = `${term} allergy`;
+  if (medication && medication.contraindications.map(normalise)
+    .some((text) => text === crossReaction || text.endsWith(` ${crossReaction}`))) {
+    return [{
+      type: 'allergy',
+      severity: 'moderate',
+      drug: drugName,
+      allergy: allergyTermOf(allergy),
+      message: `${drugName} may cross-react with the patient's recorded allergy to ${allergyTermOf(allergy)}`
+    }];
+  }
+
+  return [];
+});
+
+const pregnancyWarning = (drugName, medication) => {
+  const severity = PREGNANCY_SEVERITY[medication.pregnancyCategory];
+  if (!severity) return [];
+
+  return [{
+    type: 'pregnancy',
+    severity,
+    drug: drugName,
+    pregnancyCategory: medication.pregnancyCategory,
+    message: `${drugName} is pregnancy category ${medication.pregnancyCategory} and the patient is pregnant`
+  }];
+};
+
+const lactationWarning = (drugName, medication) => {
+  const severity = LACTATION_SEVERITY[medication.lactationCategory];
+  if (!severity) return [];
+
+  return [{
+    type: 'lactation',
+    severity,
+    drug: drugName,
+    lactationCategory: medication.lactationCategory,
+    message: `${drugName} should be avoided while breastfeeding and the patient is breastfeeding`
+  }];
+};
+
+// Interactions between the new items, and between each new item and the patient's current medications
+const interactionWarnings = (prescribed, current) => {
+  const warnings = [];
+  const seen = new Set();
+
+  prescribed.forEach((entry, index) => {
+    const others = [
+      ...prescribed.slice(index + 1).map((other) => ({ ...other, current: false })),
+      ...current.map((other) => ({ ...other, current: true }))
+    ];
+
+    others.forEach((other) => {
+      if (entry.medication.id === other.medication.id) return;
+      if (!interactsWith(entry.medication, other.medication) && !interactsWith(other.medication, entry.medication)) return;
+
+      // The same pair is reported once, however many prescriptions repeat it
+      const pair = `${entry.medication.id}:${other.medication.id}:${other.current}`;
+      if (seen.has(pair)) return;
+      seen.add(pair);
+
+      warnings.push({
+        type: 'interaction',
+        severity: 'moderate',
+        drug: entry.name,
+        interactsWith: other.name,
+        withCurrentMedication: other.current,
+        message: `${entry.name} interacts with ${other.name}${other.current ? ' (current medication)' : ''}`
+      });
+    });
+  });
+
+  return warnings;
+};
+
+// Safety warnings for prescribing `items` to `patient`. When an existing prescription is being
+// edited, pass its id so its own items are not counted among the current medications.
+const checkMedications = async ({ patient, items, excludePrescriptionId }) => {
+  const formulary = await loadFormulary();
+  const allergies = Array.isArray(patient.allergies) ? patient.allergies : [];
+  const pregnant = await isCurrentlyPregnant(patient);
+  const breastfeeding = await isCurrentlyBreastfeeding(patient);
+
+  const resolve = (name) => ({ name, medication: findEntry(formulary, name) });
+  const prescribed = items.map(drugNameOf).filter(Boolean).map(resolve);
+  const current = (await activeMedications(patient.id))
+    .filter((item) => item.prescriptionId !== excludePrescriptionId)
+    .map((item) => resolve(item.drug))
+    .filter((entry) => entry.medication);
+
+  const warnings = prescribed.flatMap(({ name, medication }) => [
+    ...allergyWarnings(name, medication, allergies),
+    ...(pregnant && medication ? pregnancyWarning(name, medication) : []),
+    ...(breastfeeding && medication ? lactationWarning(name, medication) : [])
+  ]);
+
+  return [
+    ...warnings,
+    ...interactionWarnings(prescribed.filter((entry) => entry.medication), current)
+  ];
+};
+
+// Run the safety check before saving. Warnings block the save unless the prescriber gives an
+// override reason; the override is returned for storing alongside the prescription or record.
+const reviewMedicationSafety = async ({ patient, items, overrideReason, actor, excludePrescriptionId }) => {
+  const warnings = await checkMedications({ patient, items, excludePrescriptionId });
+
+  if (warnings.length === 0) {
+    return { warnings, safetyOverride: null };
+  }
+
+  if (!overrideReason) {
+    throw new ConflictError('Medication safety warnings need an override reason', { warnings });
+  }
+
+  return {
+    warnings,
+    safetyOverride: {
+      reason: overrideReason,
+      warnings,
+      overriddenBy: actor,
+      overriddenAt: new Date().toISOString()
+    }
+  };
+};
+
+module.exports = {
+  checkMedications,
+  reviewMedicationSafety
+};
@@ -0,0 +1,535 @@
+const { repositories } = require('../repositories');
+const { renderTemplate, transportFor } = require('../notifications');
+const { toDateKey, timeToMinutes, minutesToTime } = require('./scheduling');
+const { hasConsent } = require('./consents');
+const events = require('./events');
+
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'delivered', 'failed', 'cancelled'];
+
+// Minutes after which a notification still claimed for sending is taken to be abandoned
+const CLAIM_TIMEOUT_MINUTES = 10;
+
+// Attempts per notification before it is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3;
+
+// Hours before an appointment that reminders go out
+const REMINDER_LEAD_HOURS = (process.env.APPOINTMENT_REMINDER_HOURS || '24,2')
+  .split(',')
+  .map((hours) => parseInt(hours))
+  .filter((hours) => hours > 0);
+
+// Appointment statuses that still get reminders
+const REMINDABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Status changes patients see in their inbox; cancellations have their own message
+const STATUS_LABELS = {
+  confirmed: 'confirmed',
+  completed: 'completed',
+  'no-show': 'marked as missed'
+};
+
+// Provider delivery report statuses (Africa's Talking) mapped to ours
+const DELIVERY_STATUSES = {
+  Success: 'delivered',
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Failed: 'failed',
+  Rejected: 'failed'
+};
+
+// Minutes to wait before retry n: 5, 10, 20... capped at an hour
+const retryDelayMinutes = (attempts) => Math.min(5 * 2 ** (attempts - 1), 60);
+
+// Appointment start as an absolute time; appointment times are server-local wall-clock times
+const appointmentStart = ({ appointmentDate, appointmentTime }) =>
+  new Date(`${toDateKey(appointmentDate)}T${minutesToTime(timeToMinutes(appointmentTime))}:00`);
+
+const fullName = (person) => (person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : '');
+
+const doctorTitle = (doctor) => (fullName(doctor) ? `Dr ${fullName(doctor)}` : 'your doctor');
+
+// Contact details for a patient; in-app notifications go to the patient's user account
+const recipientForPatient = async (patientId) => {
+  const patient = await repositories.patients.findById(patientId);
+  if (!patient) return null;
+
+  return {
+    userId: patient.userId || patient.id,
+    patientId: patient.id,
+    name: fullName(patient),
+    phone: patient.phone || null,
+    email: patient.email || null
+  };
+};
+
+// A doctor's user account, reached in-app only
+const recipientForDoctor = async (doctorId) => {
+  const doctor = await repositories.doctors.findById(doctorId);
+  if (!doctor || !doctor.userId) return null;
+
+  return {
+    userId: doctor.userId,
+    name: fullName(doctor),
+    phone: null,
+    email: null
+  };
+};
+
+// A staff user account, reached in-app only
+const recipientForUser = async (userId) => {
+  const user = await repositories.users.findById(userId);
+  if (!user) return null;
+
+  return {
+    userId: user.id,
+    name: fullName(user),
+    phone: null,
+    email: null
+  };
+};
+
+// Channels a recipient can be reached on
+const channelsFor = (recipient) => [
+  'in-app',
+  recipient.phone && 'sms',
+  recipient.email && 'email'
+].filter(Boolean);
+
+const addressFor = (recipient, channel) => {
+  if (channel === 'sms') return recipient.phone;
+  if (channel === 'email') return recipient.email;
+  return recipient.userId;
+};
+
+// Try to send one notification, recording the outcome and scheduling a retry on failure.
+// SMS to a patient needs their consent at the time of sending, so a withdrawn consent also
+// stops reminders already queued.
+const dispatch = async (notification) => {
+  const now = new Date().toISOString();
+  const attempts = (notification.attempts || 0) + 1;
+
+  if (notification.channel === 'sms' && notification.patientId && !await hasConsent(notification.patientId, 'sms-contact')) {
+    return repositories.notifications.update(notification.id, {
+      status: 'cancelled',
+      lastError: 'The patient has not consented to contact by SMS',
+      nextAttemptAt: null,
+      updatedAt: now
+    });
+  }
+
+  try {
+    const result = await transportFor(notification.channel).send(notification);
+
+    return repositories.notifications.update(notification.id, {
+      status: result.status,
+      attempts,
+      providerMessageId: result.providerMessageId || null,
+      lastError: null,
+      sentAt: now,
+      deliveredAt: result.status === 'delivered' ? now : null,
+      updatedAt: now
+    });
+  } catch (error) {
+    // Permanent errors, such as a channel with no provider, are not retried
+    const exhausted = error.permanent || attempts >= (notification.maxAttempts || MAX_ATTEMPTS);
+
+    return repositories.notifications.update(notification.id, {
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + retryDelayMinutes(attempts) * 60000).toISOString(),
+      updatedAt: now
+    });
+  }
+};
+
+// Record a notification on each channel and send those that are due now. `scheduledFor`
+// delays sending; `appointmentId` links it to an appointment for later cancellation.
+const notify = async ({ template, recipient, data = {}, channels, scheduledFor, appointmentId, kind }) => {
+  const { subject, body } = renderTemplate(template, { patientName: recipient.name, ...data });
+  const now = new Date().toISOString();
+  const sendAt = scheduledFor ? new Date(scheduledFor).toISOString() : now;
+
+  const notifications = [];
+  for (const channel of channels || channelsFor(recipient)) {
+    const notification = await repositories.notifications.create({
+      recipientId: recipient.userId,
+      patientId: recipient.patientId || null,
+      appointmentId: appointmentId || null,
+      channel,
+      to: addressFor(recipient, channel),
+      template,
+      kind: kind || template,
+      subject,
+      body,
+      data,
+      // One due now is claimed at once, so the background job does not send it too
+      status: sendAt <= now ? 'sending' : 'pending',
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      lastError: null,
+      scheduledFor: sendAt,
+      nextAttemptAt: sendAt,
+      sentAt: null,
+      deliveredAt: null,
+      providerMessageId: null,
+      readAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    notifications.push(sendAt <= now ? await dispatch(notification) : notification);
+  }
+
+  return notifications;
+};
+
+// Claim a pending notification for sending. The update only applies while it is still pending, so
+// a notification is sent once even when several runs overlap. Returns null if another run has it.
+const claim = async (notification) => {
+  const [claimed] = await repositories.notifications.updateMany(
+    { id: notification.id, status: 'pending' },
+    { status: 'sending', updatedAt: new Date().toISOString() }
+  );
+  return claimed || null;
+};
+
+// Send scheduled notifications and retries that are due. Runs on a timer. Notifications left
+// claimed by a run that died are released first.
+const processDueNotifications = async () => {
+  const now = new Date().toISOString();
+  await repositories.notifications.updateMany(
+    { status: 'sending', updatedAt: { lt: new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60000).toISOString() } },
+    { status: 'pending', updatedAt: now }
+  );
+
+  const { rows: due } = await repositories.notifications.findMany({
+    filters: { status: 'pending', nextAttemptAt: { lte: now } },
+    orderBy: { field: 'nextAttemptAt', ascending: true }
+  });
+
+  let sent = 0;
+  for (const notification of due) {
+    const claimed = await claim(notification);
+    if (!claimed) continue;
+
+    await dispatch(claimed);
+    sent += 1;
+  }
+
+  return sent;
+};
+
+// Apply a delivery report from a provider. Returns the notification, or null if unknown.
+const recordDeliveryStatus = async (providerMessageId, providerStatus, failureReason) => {
+  const notification = await repositories.notifications.findOne({ providerMessageId });
+  const status = DELIVERY_STATUSES[providerStatus];
+  if (!notification || !status) return null;
+
+  const now = new Date().toISOString();
+  return repositories.notifications.update(notification.id, {
+    status,
+    deliveredAt: status === 'delivered' ? now : notification.deliveredAt,
+    lastError: status === 'failed' ? failureReason || providerStatus : notification.lastError,
+    updatedAt: now
+  });
+};
+
+// Template data describing an appointment
+const appointmentData = async (appointment) => {
+  const doctor = appointment.doctorId ? await repositories.doctors.findById(appointment.doctorId) : null;
+  const clinic = appointment.clinicId ? await repositories.clinics.findById(appointment.clinicId) : null;
+
+  return {
+    doctorName: doctorTitle(doctor),
+    clinicName: clinic ? clinic.name : null,
+    clinicSuffix: clinic ? ` at ${clinic.name}` : '',
+    date: toDateKey(appointment.appointmentDate),
+    time: minutesToTime(timeToMinutes(appointment.appointmentTime))
+  };
+};
+
+const describeLead = (hours) => {
+  if (hours === 24) return 'tomorrow';
+  if (hours % 24 === 0) return `in ${hours / 24} days`;
+  return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// Queue reminders for an upcoming appointment; lead times already passed are skipped
+const scheduleReminders = async (appointment) => {
+  if (!REMINDABLE_STATUSES.includes(appointment.status)) return [];
+
+  const recipient = await recipientForPatient(appointment.patientId);
+  if (!recipient) return [];
+
+  const start = appointmentStart(appointment).getTime();
+  const data = await appointmentData(appointment);
+
+  const reminders = [];
+  for (const hours of REMINDER_LEAD_HOURS) {
+    const sendAt = start - hours * 3600000;
+    if (sendAt <= Date.now()) continue;
+
+    reminders.push(...await notify({
+      template: 'appointment-reminder',
+      kind: `appointment-reminder-${hours}h`,
+      recipient,
+      data: { ...data, when: describeLead(hours), leadHours: hours },
+      scheduledFor: new Date(sendAt),
+      appointmentId: appointment.id
+    }));
+  }
+
+  return reminders;
+};
+
+// Cancel reminders that have not gone out yet
+const cancelReminders = async (appointmentId) => {
+  const { rows: pending } = await repositories.notifications.findMany({
+    filters: { appointmentId, template: 'appointment-reminder', status: 'pending' }
+  });
+
+  for (const notification of pending) {
+    await repositories.notifications.update(notification.id, {
+      status: 'cancelled',
+      nextAttemptAt: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  return pending.length;
+};
+
+// Notify the patient about one of their appointments
+const notifyAppointment = async (template, appointment) => {
+  const recipient = await recipientForPatient(appointment.patientId);
+  if (!recipient) return [];
+
+  return notify({
+    template,
+    recipient,
+    data: await appointmentData(appointment),
+    appointmentId: appointment.id
+  });
+};
+
+// Tell the doctor about a change to their schedule, unless they made it themselves
+const notifyDoctor = async (template, appointment, actor) => {
+  const recipient = await recipientForDoctor(appointment.doctorId);
+  if (!recipient || recipient.userId === actor.userId) return [];
+
+  const patient = await repositories.patients.findById(appointment.patientId);
+  return notify({
+    template,
+    recipient,
+    data: { ...await appointmentData(appointment), patientName: fullName(patient) || 'A patient' },
+    channels: ['in-app'],
+    appointmentId: appointment.id
+  });
+};
+
+// Series occurrences are booked in bulk, so they only get reminders, not one confirmation each
+events.on(events.EVENTS.APPOINTMENT_CREATED, async ({ appointment, actor }) => {
+  if (!appointment.seriesId) {
+    await notifyAppointment('appointment-booked', appointment);
+    await notifyDoctor('doctor-appointment-booked', appointment, actor);
+  }
+  await scheduleReminders(appointment);
+});
+
+events.on(events.EVENTS.APPOINTMENT_STATUS_CHANGED, async ({ appointment, toStatus, actor }) => {
+  if (!REMINDABLE_STATUSES.includes(toStatus)) {
+    await cancelReminders(appointment.id);
+  }
+
+  if (toStatus === 'cancelled') {
+    await notifyAppointment('appointment-cancelled', appointment);
+    await notifyDoctor('doctor-appointment-cancelled', appointment, actor);
+  } else if (STATUS_LABELS[toStatus]) {
+    const recipient = await recipientForPatient(appointment.patientId);
+    if (!recipient) return;
+
+    await notify({
+      template: 'appointment-status-changed',
+      recipient,
+      data: { ...await appointmentData(appointment), statusLabel: STATUS_LABELS[toStatus] },
+      channels: ['in-app'],
+      appointmentId: appointment.id
+    });
+  }
+});
+
+events.on(events.EVENTS.APPOINTMENT_RESCHEDULED, async ({ appointment }) => {
+  await cancelReminders(appointment.id);
+  if (REMINDABLE_STATUSES.includes(appointment.status)) {
+    await notifyAppointment('appointment-rescheduled', appointment);
+    await scheduleReminders(appointment);
+  }
+});
+
+events.on(events.EVENTS.WAITLIST_OFFER_CREATED, async ({ offer }) => {
+  const recipient = await recipientForPatient(offer.patientId);
+  if (!recipient) return;
+
+  await notify({
+    template: 'waitlist-offer',
+    recipient,
+    data: { ...await appointmentData(offer), expiresAt: new Date(offer.expiresAt).toLocaleString() }
+  });
+});
+
+events.on(events.EVENTS.MEDICAL_RECORD_CREATED, async ({ record }) => {
+  const recipient = await recipientForPatient(record.patientId);
+  if (!recipient) return;
+
+  const doctor = record.doctorId ? await repositories.doctors.findById(record.doctorId) : null;
+  await notify({
+    template: 'medical-record-added',
+    recipient,
+    data: {
+      doctorName: doctorTitle(doctor),
+      visitDate: toDateKey(record.visitDate)
+    },
+    channels: ['in-app']
+  });
+});
+
+// Critical results are also pushed to the ordering doctor, not only left on the worklist
+events.on(events.EVENTS.LAB_RESULT_CRITICAL, async ({ result }) => {
+  const recipient = await recipientForDoctor(result.doctorId);
+  if (!recipient) return;
+
+  const patient = await repositories.patients.findById(result.patientId);
+  await notify({
+    template: 'lab-result-critical',
+    recipient,
+    data: {
+      patientName: fullName(patient) || 'A patient',
+      testName: result.testName,
+      result: result.resultType === 'numeric' ? `${result.numericValue} ${result.unit}` : result.codedValue
+    },
+    channels: ['in-app']
+  });
+});
+
+events.on(events.EVENTS.LAB_ORDER_VERIFIED, async ({ order }) => {
+  const recipient = await recipientForDoctor(order.doctorId);
+  if (!recipient) return;
+
+  const patient = await repositories.patients.findById(order.patientId);
+  await notify({
+    template: 'lab-results-ready',
+    recipient,
+    data: { patientName: fullName(patient) || 'a patient', tests: order.tests.join(', ') },
+    channels: ['in-app']
+  });
+});
+
+// Supervising doctors are told when a note waits on their countersignature
+events.on(events.EVENTS.MEDICAL_RECORD_COSIGN_REQUESTED, async ({ record, author, cosigner }) => {
+  const recipient = await recipientForDoctor(cosigner.id);
+  if (!recipient) return;
+
+  const patient = await repositories.patients.findById(record.patientId);
+  await notify({
+    template: 'note-cosign-requested',
+    recipient,
+    data: {
+      authorName: fullName(author) || 'A clinician',
+      patientName: fullName(patient) || 'a patient',
+      visitDate: String(record.visitDate).slice(0, 10)
+    },
+    channels: ['in-app']
+  });
+});
+
+// Emergency access is reported to the patient's primary doctors and to the clinician's clinic
+// admin, or every admin when the clinic has none
+events.on(events.EVENTS.BREAK_GLASS_ACCESS_GRANTED, async ({ grant, doctor, patient }) => {
+  const { rows: primaries } = await repositories.careTeamMembers.findMany({
+    filters: { patientId: patient.id, role: 'primary', endedAt: null }
+  });
+
+  const clinic = doctor.clinicId ? await repositories.clinics.findById(doctor.clinicId) : null;
+  const adminUserIds = clinic && clinic.adminUserId
+    ? [clinic.adminUserId]
+    : (await repositories.users.findMany({ filters: { role: 'admin', isActive: true } })).rows.map((user) => user.id);
+
+  const recipients = [
+    ...await Promise.all(primaries.map((member) => recipientForDoctor(member.doctorId))),
+    ...await Promise.all(adminUserIds.map(recipientForUser))
+  ].filter((recipient, index, all) => recipient
+    && recipient.userId !== grant.userId
+    && all.findIndex((other) => other && other.userId === recipient.userId) === index);
+
+  const data = {
+    clinicianName: fullName(doctor) || 'A clinician',
+    patientName: fullName(patient) || 'a patient',
+    expiresAt: grant.expiresAt,
+    reason: grant.reason
+  };
+
+  for (const recipient of recipients) {
+    await notify({ template: 'break-glass-access', recipient, data, channels: ['in-app'] });
+  }
+});
+
+// The clinician responsible for a labour is told about partograph alerts they did not record
+events.on(events.EVENTS.PARTOGRAPH_ALERT, async ({ partograph, entry, alerts, actor }) => {
+  const recipient = await recipientForDoctor(partograph.responsibleDoctorId);
+  if (!recipient || recipient.userId === actor.userId) return;
+
+  const patient = await repositories.patients.findById(partograph.patientId);
+  await notify({
+    template: 'partograph-alert',
+    recipient,
+    data: {
+      patientName: fullName(patient) || 'a patient',
+      time: `${entry.recordedAt.slice(11, 16)} UTC`,
+      alerts: alerts.map((alert) => alert.message).join('; ')
+    },
+    channels: ['in-app']
+  });
+});
+
+// A screening recommending referral is raised with the patient's care team, except whoever recorded it
+events.on(events.EVENTS.EPDS_REFERRAL_RECOMMENDED, async ({ screening, actor }) => {
+  const { rows: members } = await repositories.careTeamMembers.findMany({
+    filters: { patientId: screening.patientId, endedAt: null }
+  });
+
+  const recipients = (await Promise.all(members.map((member) => recipientForDoctor(member.doctorId))))
+    .filter((recipient, index, all) => recipient
+      && recipient.userId !== actor.userId
+      && all.findIndex((other) => other && other.userId === recipient.userId) === index);
+
+  const patient = await repositories.patients.findById(screening.patientId);
+  const data = {
+    patientName: fullName(patient) || 'a patient',
+    completedBy: screening.completedBy === 'patient' ? 'the patient' : 'a clinician',
+    score: screening.totalScore,
+    risk: screening.risk.replace(/-/g, ' '),
+    selfHarm: screening.selfHarmRisk ? 'The answer on thoughts of self-harm was positive. ' : ''
+  };
+
+  for (const recipient of recipients) {
+    await notify({ template: 'epds-referral', recipient, data, channels: ['in-app'] });
+  }
+});
+
+module.exports = {
+  NOTIFICATION_STATUSES,
+  MAX_ATTEMPTS,
+  REMINDER_LEAD_HOURS,
+  recipientForPatient,
+  recipientForDoctor,
+  recipientForUser,
+  channelsFor,
+  dispatch,
+  notify,
+  processDueNotifications,
+  recordDeliveryStatus,
+  scheduleReminders,
+  cancelReminders
+};
@@ -0,0 +1,262 @@
+const { repositories } = require('../repositories');
+const { ConflictError, ValidationError } = require('../middleware/errorHandler');
+const events = require('./events');
+
+const PARTOGRAPH_STATUSES = ['active', 'completed'];
+
+const LIQUOR_STATES = ['intact', 'clear', 'meconium', 'blood-stained', 'absent'];
+
+// Moulding of the fetal skull bones: none, touching, overlapping but reducible, not reducible
+const MOULDING_GRADES = [0, 1, 2, 3];
+
+// WHO partograph: the alert line starts at the first active-phase dilatation (4 cm or more) and rises
+// 1 cm an hour; the action line runs parallel, 4 hours to its right
+const ACTIVE_PHASE_CM = 4;
+const FULL_DILATATION_CM = 10;
+const EXPECTED_CM_PER_HOUR = 1;
+const ACTION_LINE_OFFSET_HOURS = 4;
+
+const HOUR_MS = 3600000;
+
+const hoursBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / HOUR_MS;
+
+const byTime = (a, b) => Date.parse(a.recordedAt) - Date.parse(b.recordedAt);
+
+// Where the alert line starts: the first entry in the active phase
+const alertLineStart = (entries) => {
+  const first = [...entries].sort(byTime)
+    .find((entry) => entry.cervicalDilatationCm != null && entry.cervicalDilatationCm >= ACTIVE_PHASE_CM);
+  return first ? { recordedAt: first.recordedAt, cervicalDilatationCm: first.cervicalDilatationCm } : null;
+};
+
+// Expected dilatation on the alert and action lines at a time
+const alertLineAt = (start, time) =>
+  Math.min(FULL_DILATATION_CM, start.cervicalDilatationCm + hoursBetween(start.recordedAt, time) * EXPECTED_CM_PER_HOUR);
+
+const actionLineAt = (start, time) =>
+  Math.min(FULL_DILATATION_CM, start.cervicalDilatationCm
+    + (hoursBetween(start.recordedAt, time) - ACTION_LINE_OFFSET_HOURS) * EXPECTED_CM_PER_HOUR);
+
+// The alert and action lines as chart points, from their start to full dilatation
+const referenceLines = (start) => {
+  if (!start) return { alertLine: [], actionLine: [] };
+
+  const hoursToFull = (FULL_DILATATION_CM - start.cervicalDilatationCm) / EXPECTED_CM_PER_HOUR;
+  const at = (hours) => new Date(Date.parse(start.recordedAt) + hours * HOUR_MS).toISOString();
+
+  return {
+    alertLine: [
+      { time: start.recordedAt, cervicalDilatationCm: start.cervicalDilatationCm },
+      { time: at(hoursToFull), cervicalDilatationCm: FULL_DILATATION_CM }
+    ],
+    actionLine: [
+      { time: at(ACTION_LINE_OFFSET_HOURS), cervicalDilatationCm: start.cervicalDilatationCm },
+      { time: at(ACTION_LINE_OFFSET_HOURS + hoursToFull), cervicalDilatationCm: FULL_DILATATION_CM }
+    ]
+  };
+};
+
+// Which line a dilatation reading has crossed: 'action', 'alert' or null
+const lineCrossed = (start, entry) => {
+  if (!start || entry.cervicalDilatationCm == null || Date.parse(entry.recordedAt) <= Date.parse(start.recordedAt)) {
+    return null;
+  }
+  if (entry.cervicalDilatationCm < actionLineAt(start, entry.recordedAt)) return 'action';
+  if (entry.cervicalDilatationCm < alertLineAt(start, entry.recordedAt)) return 'alert';
+  return null;
+};
+
+// Findings of one entry that need attention, in the shape of medication safety warnings
+const entryAlerts = (entry, crossed) => {
+  const alerts = [];
+  const alert = (type, severity, message) => alerts.push({ type, severity, message });
+
+  if (crossed === 'action') {
+    alert('action-line-crossed', 'high', `Dilatation of ${entry.cervicalDilatationCm} cm is to the right of the action line`);
+  } else if (crossed === 'alert') {
+    alert('alert-line-crossed', 'moderate', `Dilatation of ${entry.cervicalDilatationCm} cm is to the right of the alert line`);
+  }
+
+  if (entry.fetalHeartRate != null && (entry.fetalHeartRate < 110 || entry.fetalHeartRate > 160)) {
+    alert('abnormal-fetal-heart-rate', 'high', `Fetal heart rate ${entry.fetalHeartRate} bpm is outside 110-160`);
+  }
+  if (['meconium', 'blood-stained'].includes(entry.liquor)) {
+    alert('abnormal-liquor', 'high', `Liquor is ${entry.liquor}`);
+  }
+  if (entry.moulding === 3) {
+    alert('severe-moulding', 'high', 'Moulding is +3');
+  }
+  if (entry.contractionsPer10Min != null && entry.contractionsPer10Min > 5) {
+    alert('tachysystole', 'high', `${entry.contractionsPer10Min} contractions in 10 minutes`);
+  }
+  if (entry.maternalPulse != null && (entry.maternalPulse > 120 || entry.maternalPulse < 60)) {
+    alert('abnormal-maternal-pulse', 'moderate', `Maternal pulse ${entry.maternalPulse} bpm`);
+  }
+  if (entry.systolicBp >= 160 || entry.diastolicBp >= 110) {
+    alert('severe-hypertension', 'high', `Blood pressure ${entry.systolicBp}/${entry.diastolicBp} is in the severe range`);
+  } else if (entry.systolicBp >= 140 || entry.diastolicBp >= 90) {
+    alert('hypertension', 'moderate', `Blood pressure ${entry.systolicBp}/${entry.diastolicBp} is raised`);
+  }
+  if (entry.temperatureC != null && entry.temperatureC >= 38) {
+    alert('fever', 'moderate', `Temperature ${entry.temperatureC} °C`);
+  }
+
+  return alerts;
+};
+
+const entriesOf = async (partographId) => {
+  const { rows } = await repositories.partographEntries.findMany({
+    filters: { partographId },
+    orderBy: { field: 'recordedAt', ascending: true }
+  });
+  return rows;
+};
+
+const activePartographFor = (pregnancyId) => repositories.partographs.findOne({ pregnancyId, status: 'active' });
+
+// Start a partograph for a pregnancy in labour
+const openPartograph = async ({ pregnancy, responsibleDoctorId, admittedAt, notes, openedBy }) => {
+  if (pregnancy.status !== 'active') {
+    throw new ConflictError('The pregnancy is closed', { outcome: pregnancy.outcome });
+  }
+
+  const existing = await activePartographFor(pregnancy.id);
+  if (existing) {
+    throw new ConflictError('Labour is already being charted for this pregnancy', { partographId: existing.id });
+  }
+
+  const now = new Date().toISOString();
+  return repositories.partographs.create({
+    patientId: pregnancy.patientId,
+    pregnancyId: pregnancy.id,
+    responsibleDoctorId,
+    admittedAt: admittedAt ? new Date(admittedAt).toISOString() : now,
+    activePhaseStartedAt: null,
+    alertLineCrossedAt: null,
+    actionLineCrossedAt: null,
+    status: 'active',
+    notes: notes || null,
+    openedBy,
+    completedAt: null,
+    completedBy: null,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+// Record an observation. Cervical dilatation may not fall between readings, even when an entry is
+// backdated. When the alert or action line was first crossed is stamped on the partograph; the
+// entry's alerts are raised for the responsible clinician.
+const recordEntry = async (partograph, data, actor) => {
+  if (partograph.status !== 'active') {
+    throw new ConflictError('The partograph is completed');
+  }
+
+  const recordedAt = new Date(data.recordedAt || Date.now()).toISOString();
+  if (recordedAt < partograph.admittedAt) {
+    throw new ValidationError('The observation is before admission in labour');
+  }
+  if (Date.parse(recordedAt) > Date.now() + 5 * 60000) {
+    throw new ValidationError('The observation time is in the future');
+  }
+
+  const entries = await entriesOf(partograph.id);
+  const readings = entries.filter((entry) => entry.cervicalDilatationCm != null);
+  const previous = readings.filter((entry) => entry.recordedAt <= recordedAt).pop();
+  const next = readings.find((entry) => entry.recordedAt > recordedAt);
+  if (data.cervicalDilatationCm != null && previous && data.cervicalDilatationCm < previous.cervicalDilatationCm) {
+    throw new ValidationError(`Cervical dilatation cannot fall below the ${previous.cervicalDilatationCm} cm recorded earlier`);
+  }
+  if (data.cervicalDilatationCm != null && next && data.cervicalDilatationCm > next.cervicalDilatationCm) {
+    throw new ValidationError(`Cervical dilatation cannot be above the ${next.cervicalDilatationCm} cm recorded later`);
+  }
+
+  const candidate = { ...data, recordedAt };
+  const start = alertLineStart([...entries, candidate]);
+  const crossed = lineCrossed(start, candidate);
+  const alerts = entryAlerts(candidate, crossed);
+
+  const entry = await repositories.partographEntries.create({
+    partographId: partograph.id,
+    patientId: partograph.patientId,
+    ...candidate,
+    drugs: data.drugs || [],
+    alerts,
+    recordedBy: actor.userId,
+    createdAt: new Date().toISOString()
+  });
+
+  // A backdated entry can move the alert line, so the later entries are judged against it again
+  const later = entries.filter((other) => other.recordedAt > recordedAt);
+  for (const other of later) {
+    const otherAlerts = entryAlerts(other, lineCrossed(start, other));
+    if (JSON.stringify(otherAlerts) !== JSON.stringify(other.alerts)) {
+      await repositories.partographEntries.update(other.id, { alerts: otherAlerts });
+    }
+  }
+
+  const now = new Date().toISOString();
+  const crossings = [...entries, candidate].sort(byTime).map((other) => ({ at: other.recordedAt, line: lineCrossed(start, other) }));
+  const firstCrossing = (lines) => (crossings.find((crossing) => lines.includes(crossing.line)) || { at: null }).at;
+  const stamps = {
+    activePhaseStartedAt: start ? start.recordedAt : null,
+    alertLineCrossedAt: firstCrossing(['alert', 'action']),
+    actionLineCrossedAt: firstCrossing(['action'])
+  };
+  const updates = Object.fromEntries(Object.entries(stamps).filter(([field, value]) => partograph[field] !== value));
+  const updated = Object.keys(updates).length > 0
+    ? await repositories.partographs.update(partograph.id, { ...updates, updatedAt: now })
+    : partograph;
+
+  if (alerts.length > 0) {
+    await events.emit(events.EVENTS.PARTOGRAPH_ALERT, { partograph: updated, entry, alerts, actor });
+  }
+
+  return { entry, partograph: updated };
+};
+
+// The partograph as chart series: the cervicograph with its reference lines, fetal and maternal
+// observations, contractions and drugs, each against time
+const chartData = (partograph, entries) => {
+  const sorted = [...entries].sort(byTime);
+  const start = alertLineStart(sorted);
+  const series = (field) => sorted
+    .filter((entry) => entry[field] != null)
+    .map((entry) => ({ time: entry.recordedAt, value: entry[field] }));
+
+  return {
+    startedAt: partograph.admittedAt,
+    ...referenceLines(start),
+    cervicalDilatation: series('cervicalDilatationCm'),
+    descent: series('descentFifths'),
+    fetalHeartRate: series('fetalHeartRate'),
+    contractions: sorted
+      .filter((entry) => entry.contractionsPer10Min != null)
+      .map((entry) => ({ time: entry.recordedAt, per10Min: entry.contractionsPer10Min, durationSeconds: entry.contractionDurationSeconds ?? null })),
+    liquor: series('liquor'),
+    moulding: series('moulding'),
+    maternalPulse: series('maternalPulse'),
+    bloodPressure: sorted
+      .filter((entry) => entry.systolicBp != null)
+      .map((entry) => ({ time: entry.recordedAt, systolic: entry.systolicBp, diastolic: entry.diastolicBp })),
+    temperature: series('temperatureC'),
+    drugs: sorted.flatMap((entry) => (entry.drugs || []).map((drug) => ({ time: entry.recordedAt, ...drug }))),
+    alerts: sorted.flatMap((entry) => (entry.alerts || []).map((item) => ({ time: entry.recordedAt, ...item })))
+  };
+};
+
+module.exports = {
+  PARTOGRAPH_STATUSES,
+  LIQUOR_STATES,
+  MOULDING_GRADES,
+  ACTIVE_PHASE_CM,
+  ACTION_LINE_OFFSET_HOURS,
+  alertLineStart,
+  lineCrossed,
+  entryAlerts,
+  entriesOf,
+  activePartographFor,
+  openPartograph,
+  recordEntry,
+  chartData
+};
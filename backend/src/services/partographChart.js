@@ -0,0 +1,187 @@
+// Render partograph chart data (services/partograph chartData) as a standalone SVG, laid out like
+// the WHO partograph: fetal heart rate, liquor and moulding, the cervicograph with its alert and
+// action lines, contractions, drugs, and maternal pulse, blood pressure and temperature.
+
+const HOUR_MS = 3600000;
+
+// Charts show at least 12 hours, and stretch to fit longer labours
+const MIN_HOURS = 12;
+
+const WIDTH = 960;
+const LEFT = 90;
+const RIGHT = 20;
+
+const PANELS = {
+  fetalHeartRate: { top: 50, height: 140, min: 80, max: 200, ticks: [80, 100, 120, 140, 160, 180, 200] },
+  liquor: { top: 200, height: 20 },
+  moulding: { top: 220, height: 20 },
+  cervicograph: { top: 260, height: 260, min: 0, max: 10, ticks: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10] },
+  contractions: { top: 550, height: 75, min: 0, max: 5, ticks: [1, 2, 3, 4, 5] },
+  drugs: { top: 635, height: 30 },
+  maternal: { top: 685, height: 140, min: 60, max: 180, ticks: [60, 80, 100, 120, 140, 160, 180] },
+  temperature: { top: 835, height: 20 }
+};
+
+const HEIGHT = 880;
+
+const LIQUOR_CODES = { intact: 'I', clear: 'C', meconium: 'M', 'blood-stained': 'B', absent: 'A' };
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const attributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+  .join(' ');
+
+const element = (name, attrs, content) => (content === undefined
+  ? `<${name} ${attributes(attrs)}/>`
+  : `<${name} ${attributes(attrs)}>${content}</${name}>`);
+
+const text = (x, y, content, attrs = {}) =>
+  element('text', { x: round(x), y: round(y), 'font-size': 11, 'font-family': 'sans-serif', ...attrs }, escapeXml(content));
+
+const line = (x1, y1, x2, y2, attrs = {}) =>
+  element('line', { x1: round(x1), y1: round(y1), x2: round(x2), y2: round(y2), stroke: '#000', ...attrs });
+
+const renderPartographSvg = (chart, { title = 'Partograph' } = {}) => {
+  const origin = Date.parse(chart.startedAt);
+  const lastTime = [
+    ...chart.cervicalDilatation,
+    ...chart.fetalHeartRate,
+    ...chart.contractions,
+    ...chart.maternalPulse,
+    ...chart.actionLine
+  ].reduce((latest, point) => Math.max(latest, Date.parse(point.time)), origin);
+  const hours = Math.max(MIN_HOURS, Math.ceil((lastTime - origin) / HOUR_MS));
+
+  const plotWidth = WIDTH - LEFT - RIGHT;
+  const x = (time) => LEFT + ((Date.parse(time) - origin) / HOUR_MS / hours) * plotWidth;
+  const y = (panel, value) => panel.top + panel.height - ((value - panel.min) / (panel.max - panel.min)) * panel.height;
+
+  const parts = [];
+
+  // Panel frames, hour grid and value ticks
+  const frame = (panel, label) => {
+    parts.push(element('rect', { x: LEFT, y: panel.top, width: plotWidth, height: panel.height, fill: 'none', stroke: '#888' }));
+    parts.push(text(8, panel.top + 14, label, { 'font-weight': 'bold' }));
+    for (let hour = 1; hour < hours; hour += 1) {
+      const hx = LEFT + (hour / hours) * plotWidth;
+      parts.push(line(hx, panel.top, hx, panel.top + panel.height, { stroke: '#ddd' }));
+    }
+    (panel.ticks || []).forEach((tick) => {
+      const ty = y(panel, tick);
+      parts.push(line(LEFT, ty, LEFT + plotWidth, ty, { stroke: '#eee' }));
+      parts.push(text(LEFT - 6, ty + 4, tick, { 'text-anchor': 'end', 'font-size': 9 }));
+    });
+  };
+
+  frame(PANELS.fetalHeartRate, 'FHR');
+  frame(PANELS.liquor, 'Liquor');
+  frame(PANELS.moulding, 'Moulding');
+  frame(PANELS.cervicograph, 'Cervix (cm)');
+  frame(PANELS.contractions, 'Contractions');
+  frame(PANELS.drugs, 'Drugs');
+  frame(PANELS.maternal, 'Pulse / BP');
+  frame(PANELS.temperature, 'Temp (°C)');
+
+  for (let hour = 0; hour <= hours; hour += 1) {
+    parts.push(text(LEFT + (hour / hours) * plotWidth, HEIGHT - 6, hour, { 'text-anchor': 'middle', 'font-size': 9 }));
+  }
+  parts.push(text(WIDTH / 2, 24, title, { 'text-anchor': 'middle', 'font-size': 15, 'font-weight': 'bold' }));
+
+  // Normal fetal heart rate band and the plotted rate
+  const fhr = PANELS.fetalHeartRate;
+  parts.push(element('rect', {
+    x: LEFT, y: y(fhr, 160), width: plotWidth, height: y(fhr, 110) - y(fhr, 160), fill: '#e8f5e9'
+  }));
+  if (chart.fetalHeartRate.length > 0) {
+    parts.push(element('polyline', {
+      points: chart.fetalHeartRate.map((point) => `${round(x(point.time))},${round(y(fhr, point.value))}`).join(' '),
+      fill: 'none',
+      stroke: '#1565c0'
+    }));
+    chart.fetalHeartRate.forEach((point) => parts.push(element('circle', {
+      cx: round(x(point.time)), cy: round(y(fhr, point.value)), r: 2.5, fill: '#1565c0'
+    })));
+  }
+
+  chart.liquor.forEach((point) => parts.push(text(x(point.time), PANELS.liquor.top + 14, LIQUOR_CODES[point.value] || '?', { 'text-anchor': 'middle' })));
+  chart.moulding.forEach((point) => parts.push(text(x(point.time), PANELS.moulding.top + 14, point.value === 0 ? '0' : `+${point.value}`, { 'text-anchor': 'middle' })));
+
+  // Cervicograph: alert and action lines, dilatation as X and descent (fifths, 5/5 level with 10 cm) as O
+  const cervix = PANELS.cervicograph;
+  const referenceLine = (points, label, colour) => {
+    if (points.length < 2) return;
+    const [from, to] = points;
+    parts.push(line(x(from.time), y(cervix, from.cervicalDilatationCm), x(to.time), y(cervix, to.cervicalDilatationCm), {
+      stroke: colour, 'stroke-width': 2
+    }));
+    parts.push(text(x(to.time) + 4, y(cervix, to.cervicalDilatationCm) + 12, label, { fill: colour, 'font-size': 10 }));
+  };
+  referenceLine(chart.alertLine, 'Alert', '#f9a825');
+  referenceLine(chart.actionLine, 'Action', '#c62828');
+
+  chart.cervicalDilatation.forEach((point) => {
+    const px = x(point.time);
+    const py = y(cervix, point.value);
+    parts.push(line(px - 4, py - 4, px + 4, py + 4, { 'stroke-width': 2 }));
+    parts.push(line(px - 4, py + 4, px + 4, py - 4, { 'stroke-width': 2 }));
+  });
+  chart.descent.forEach((point) => parts.push(element('circle', {
+    cx: round(x(point.time)), cy: round(y(cervix, point.value * 2)), r: 4, fill: 'none', stroke: '#000', 'stroke-width': 1.5
+  })));
+
+  // Contractions per 10 minutes as bars, shaded by duration: under 20, 20-40 and over 40 seconds
+  const contractions = PANELS.contractions;
+  const barWidth = Math.max(4, plotWidth / hours / 3);
+  chart.contractions.forEach((point) => {
+    const count = Math.min(point.per10Min, contractions.max);
+    const shade = point.durationSeconds == null || point.durationSeconds < 20
+      ? '#cfd8dc'
+      : point.durationSeconds <= 40 ? '#78909c' : '#263238';
+    parts.push(element('rect', {
+      x: round(x(point.time) - barWidth / 2),
+      y: round(y(contractions, count)),
+      width: round(barWidth),
+      height: round(contractions.top + contractions.height - y(contractions, count)),
+      fill: shade
+    }));
+  });
+
+  chart.drugs.forEach((drug) => parts.push(text(x(drug.time), PANELS.drugs.top + 18, [drug.drug, drug.dose].filter(Boolean).join(' '), {
+    'font-size': 9, 'text-anchor': 'middle'
+  })));
+
+  // Maternal pulse as dots and blood pressure as a bar from diastolic to systolic
+  const maternal = PANELS.maternal;
+  const clamp = (value) => Math.min(maternal.max, Math.max(maternal.min, value));
+  chart.bloodPressure.forEach((point) => {
+    const px = x(point.time);
+    parts.push(line(px, y(maternal, clamp(point.systolic)), px, y(maternal, clamp(point.diastolic)), { stroke: '#6a1b9a', 'stroke-width': 2 }));
+    parts.push(line(px - 4, y(maternal, clamp(point.systolic)), px + 4, y(maternal, clamp(point.systolic)), { stroke: '#6a1b9a' }));
+    parts.push(line(px - 4, y(maternal, clamp(point.diastolic)), px + 4, y(maternal, clamp(point.diastolic)), { stroke: '#6a1b9a' }));
+  });
+  chart.maternalPulse.forEach((point) => parts.push(element('circle', {
+    cx: round(x(point.time)), cy: round(y(maternal, clamp(point.value))), r: 3, fill: '#c62828'
+  })));
+
+  chart.temperature.forEach((point) => parts.push(text(x(point.time), PANELS.temperature.top + 14, point.value, {
+    'font-size': 9, 'text-anchor': 'middle'
+  })));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+    element('rect', { x: 0, y: 0, width: WIDTH, height: HEIGHT, fill: '#fff' }),
+    ...parts,
+    '</svg>'
+  ].join('\n');
+};
+
+module.exports = { renderPartographSvg };
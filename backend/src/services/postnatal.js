@@ -0,0 +1,320 @@
+const { repositories } = require('../repositories');
+const { ConflictError, ValidationError } = require('../middleware/errorHandler');
+const { addDays, toDateKey } = require('./scheduling');
+const { newbornsOf, planSlots, unavailableSlots, clashingSlots, bookSlots } = require('./deliveries');
+
+// WHO postnatal contacts, in days after the delivery date (day 0)
+const POSTNATAL_CONTACTS = [
+  { contactNumber: 1, label: 'Within 24 hours', fromDay: 0, toDay: 1, targetDay: 1 },
+  { contactNumber: 2, label: 'Day 3', fromDay: 2, toDay: 3, targetDay: 3 },
+  { contactNumber: 3, label: 'Week 1-2', fromDay: 7, toDay: 14, targetDay: 7 },
+  { contactNumber: 4, label: 'Week 6', fromDay: 42, toDay: 48, targetDay: 42 }
+];
+
+const POSTNATAL_SUBJECTS = ['mother', 'baby'];
+
+const UTERUS_STATES = ['well-contracted', 'soft', 'tender'];
+const LOCHIA_STATES = ['normal', 'heavy', 'foul-smelling'];
+const WOUND_STATES = ['healing', 'infected', 'breakdown', 'not-applicable'];
+const BREAST_STATES = ['normal', 'engorged', 'cracked-nipples', 'mastitis'];
+const BREASTFEEDING_STATES = ['exclusive', 'mixed', 'not-breastfeeding'];
+
+const FEEDING_STATES = ['exclusive-breastfeeding', 'mixed', 'replacement', 'poor-feeding'];
+const JAUNDICE_LEVELS = ['none', 'mild', 'severe'];
+const CORD_STATES = ['clean-dry', 'red', 'discharging'];
+const NEWBORN_IMMUNISATIONS = ['bcg', 'opv-0', 'hep-b-birth'];
+
+// Statuses in the postnatal schedule; a contact counts as attended once any visit is placed on it
+const CONTACT_STATUSES = ['attended', 'due', 'upcoming', 'missed'];
+
+// A postnatal visit's breastfeeding note is taken as current for about six months, the
+// recommended span of exclusive breastfeeding
+const BREASTFEEDING_LOOKBACK_DAYS = 183;
+
+// Newborns may lose up to a tenth of their birth weight in the first days
+const MAX_WEIGHT_LOSS = 0.1;
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+const daysSince = (deliveredAt, date) =>
+  Math.round((Date.parse(`${toDateKey(date)}T00:00:00Z`) - Date.parse(`${toDateKey(deliveredAt)}T00:00:00Z`)) / 86400000);
+
+// Which contact a visit this many days after delivery counts for: the first whose window it
+// has not passed. Null after the postnatal period.
+const contactNumberFor = (days) => {
+  const contact = POSTNATAL_CONTACTS.find((candidate) => days <= candidate.toDay);
+  return contact ? contact.contactNumber : null;
+};
+
+const contactWindows = (delivery) => POSTNATAL_CONTACTS.map(({ fromDay, toDay, targetDay, ...contact }) => ({
+  ...contact,
+  targetDate: addDays(delivery.deliveredAt, targetDay),
+  windowStart: addDays(delivery.deliveredAt, fromDay),
+  windowEnd: addDays(delivery.deliveredAt, toDay)
+}));
+
+// Findings of a mother's visit that need attention, in the shape of medication safety warnings
+const motherAlerts = (visit) => {
+  const alerts = [];
+  const alert = (type, severity, message) => alerts.push({ type, severity, message });
+
+  const { systolicBp, diastolicBp } = visit;
+  if (systolicBp >= 160 || diastolicBp >= 110) {
+    alert('severe-hypertension', 'high', `Blood pressure ${systolicBp}/${diastolicBp} is in the severe range`);
+  } else if (systolicBp >= 140 || diastolicBp >= 90) {
+    alert('hypertension', 'moderate', `Blood pressure ${systolicBp}/${diastolicBp} is raised`);
+  }
+
+  if (visit.temperatureC != null && visit.temperatureC >= 38) {
+    alert('fever', 'high', `Temperature ${visit.temperatureC} °C`);
+  }
+  if (visit.pulse != null && visit.pulse > 100) {
+    alert('tachycardia', 'moderate', `Pulse ${visit.pulse} bpm`);
+  }
+
+  if (visit.hemoglobin != null && visit.hemoglobin < 7) {
+    alert('severe-anaemia', 'high', `Hb ${visit.hemoglobin} g/dL is below 7`);
+  } else if (visit.hemoglobin != null && visit.hemoglobin < 10) {
+    alert('anaemia', 'moderate', `Hb ${visit.hemoglobin} g/dL is below 10`);
+  }
+
+  if (visit.uterus === 'soft') {
+    alert('uterine-atony', 'high', 'The uterus is not well contracted');
+  } else if (visit.uterus === 'tender') {
+    alert('uterine-tenderness', 'moderate', 'The uterus is tender');
+  }
+  if (visit.lochia === 'heavy') {
+    alert('heavy-lochia', 'high', 'Heavy lochia');
+  } else if (visit.lochia === 'foul-smelling') {
+    alert('foul-smelling-lochia', 'high', 'Foul-smelling lochia');
+  }
+  if (['infected', 'breakdown'].includes(visit.wound)) {
+    alert('wound-problem', 'moderate', `Wound ${visit.wound}`);
+  }
+  if (visit.breasts === 'mastitis') {
+    alert('mastitis', 'moderate', 'Signs of mastitis');
+  }
+
+  return alerts;
+};
+
+// Findings of a baby's visit that need attention; `birthWeightGrams` is from the newborn record
+const babyAlerts = (visit, birthWeightGrams) => {
+  const alerts = [];
+  const alert = (type, severity, message) => alerts.push({ type, severity, message });
+
+  if (visit.temperatureC != null && visit.temperatureC < 35.5) {
+    alert('hypothermia', 'high', `Temperature ${visit.temperatureC} °C`);
+  } else if (visit.temperatureC != null && visit.temperatureC >= 37.5) {
+    alert('fever', 'high', `Temperature ${visit.temperatureC} °C`);
+  }
+  if (visit.respiratoryRate != null && visit.respiratoryRate >= 60) {
+    alert('fast-breathing', 'high', `Respiratory rate ${visit.respiratoryRate} a minute`);
+  }
+  if (visit.feeding === 'poor-feeding') {
+    alert('poor-feeding', 'high', 'Not feeding well');
+  }
+  if (visit.jaundice === 'severe') {
+    alert('severe-jaundice', 'high', 'Severe jaundice');
+  }
+  if (['red', 'discharging'].includes(visit.umbilicalCord)) {
+    alert('umbilical-infection', 'moderate', `Umbilical cord ${visit.umbilicalCord}`);
+  }
+  if (visit.weightGrams != null && birthWeightGrams
+    && visit.weightGrams < birthWeightGrams * (1 - MAX_WEIGHT_LOSS)) {
+    alert('excess-weight-loss', 'moderate', `Weight ${visit.weightGrams} g is more than 10% below the birth weight of ${birthWeightGrams} g`);
+  }
+
+  return alerts;
+};
+
+// Who a postnatal visit is for: the mother, or one of her live-born babies (with its newborn record)
+const subjectOf = async (delivery, patientId) => {
+  if (patientId === delivery.patientId) {
+    return { subject: 'mother', newborn: null };
+  }
+
+  const newborn = (await newbornsOf(delivery.id)).find((candidate) => candidate.patientId === patientId);
+  if (!newborn) {
+    throw new ValidationError('Postnatal visits can only be recorded for the mother and her babies');
+  }
+  return { subject: 'baby', newborn };
+};
+
+// Days after delivery, contact and alerts of a visit on `visitDate`
+const assessVisit = (delivery, { subject, newborn }, findings) => {
+  const days = daysSince(delivery.deliveredAt, findings.visitDate);
+  if (days < 0) {
+    throw new ValidationError('The visit date is before the delivery');
+  }
+
+  return {
+    daysSinceDelivery: days,
+    contactNumber: contactNumberFor(days),
+    alerts: subject === 'mother' ? motherAlerts(findings) : babyAlerts(findings, newborn.birthWeightGrams)
+  };
+};
+
+// The postnatal schedule of the mother and each live-born baby: which contacts were attended,
+// are due now, are still to come or were missed, with any appointment booked in the window
+const postnatalSchedule = async (delivery, today = todayKey()) => {
+  const newborns = await newbornsOf(delivery.id);
+  const family = [
+    { patientId: delivery.patientId, subject: 'mother', newbornId: null },
+    ...newborns.filter((newborn) => newborn.patientId)
+      .map((newborn) => ({ patientId: newborn.patientId, subject: 'baby', newbornId: newborn.id }))
+  ];
+
+  const { rows: visits } = await repositories.postnatalVisits.findMany({
+    filters: { deliveryId: delivery.id },
+    orderBy: { field: 'visitDate', ascending: true }
+  });
+  const { rows: appointments } = await repositories.appointments.findMany({
+    filters: { patientId: { in: family.map((member) => member.patientId) }, status: { in: ['scheduled', 'confirmed'] } },
+    orderBy: { field: 'appointmentDate', ascending: true }
+  });
+
+  const windows = contactWindows(delivery);
+  const patients = family.map((member) => {
+    const contacts = windows.map((window) => {
+      const attended = visits.filter((visit) => visit.patientId === member.patientId && visit.contactNumber === window.contactNumber);
+      const booked = appointments.find((appointment) => appointment.patientId === member.patientId
+        && toDateKey(appointment.appointmentDate) >= window.windowStart
+        && toDateKey(appointment.appointmentDate) <= window.windowEnd);
+
+      let status = 'upcoming';
+      if (attended.length > 0) status = 'attended';
+      else if (today > window.windowEnd) status = 'missed';
+      else if (today >= window.windowStart) status = 'due';
+
+      return {
+        ...window,
+        status,
+        visits: attended.map(({ id, visitDate, daysSinceDelivery }) => ({ id, visitDate, daysSinceDelivery })),
+        appointment: ['due', 'upcoming'].includes(status) && booked
+          ? { id: booked.id, appointmentDate: booked.appointmentDate, appointmentTime: booked.appointmentTime }
+          : null
+      };
+    });
+
+    return { ...member, contacts };
+  });
+
+  const count = (status) => patients.reduce((total, member) =>
+    total + member.contacts.filter((contact) => contact.status === status).length, 0);
+
+  return {
+    patients,
+    summary: { attended: count('attended'), due: count('due'), upcoming: count('upcoming'), missed: count('missed') }
+  };
+};
+
+// Book the rest of the postnatal schedule: one day per contact still to come (on its target date,
+// or today for a contact due now), with the mother and babies who have neither attended it nor an
+// appointment for it seen back to back. With onConflict 'reject' nothing is booked if any slot
+// falls outside the doctor's availability or clashes; with 'skip' those slots are left out and
+// reported.
+const bookPostnatalSchedule = async (delivery, { onConflict = 'reject', ...template }, actor, today = todayKey()) => {
+  const { patients } = await postnatalSchedule(delivery, today);
+
+  const days = contactWindows(delivery)
+    .filter((window) => window.windowEnd >= today)
+    .map((window) => {
+      const patientIds = patients
+        .filter((member) => {
+          const contact = member.contacts.find((candidate) => candidate.contactNumber === window.contactNumber);
+          return ['due', 'upcoming'].includes(contact.status) && !contact.appointment;
+        })
+        .map((member) => member.patientId);
+
+      const appointmentDate = window.targetDate >= today ? window.targetDate : today;
+      return {
+        window,
+        slots: patientIds.length > 0
+          ? planSlots(patientIds, {
+            ...template,
+            appointmentDate,
+            postnatalContact: window.contactNumber,
+            reason: template.reason || `Postnatal contact ${window.contactNumber} (${window.label.toLowerCase()})`
+          })
+          : []
+      };
+    })
+    .filter((day) => day.slots.length > 0);
+
+  if (days.length === 0) {
+    throw new ConflictError('No postnatal contacts are left to book');
+  }
+
+  const doctor = await repositories.doctors.findById(template.doctorId);
+  const unavailable = [];
+  const clashing = [];
+  for (const day of days) {
+    const tag = (slot) => ({ ...slot, contactNumber: day.window.contactNumber });
+    unavailable.push(...(await unavailableSlots(doctor, day.slots)).map(tag));
+    clashing.push(...(await clashingSlots(day.slots)).map(tag));
+  }
+  if (unavailable.length > 0 && onConflict === 'reject') {
+    throw new ConflictError('Some appointments fall outside the doctor\'s availability', { unavailable });
+  }
+  if (clashing.length > 0 && onConflict === 'reject') {
+    throw new ConflictError('Some appointments conflict with existing appointments', { conflicts: clashing });
+  }
+
+  const skipped = [...unavailable, ...clashing];
+  const free = days.flatMap((day) => day.slots).filter((slot) => !skipped.some((skip) =>
+    skip.patientId === slot.patientId && skip.appointmentDate === slot.appointmentDate));
+
+  return {
+    appointments: await bookSlots(delivery, free, actor),
+    skipped
+  };
+};
+
+// Whether a mother is breastfeeding, by whichever was recorded last: her latest postnatal visit
+// noting it within BREASTFEEDING_LOOKBACK_DAYS, or the flag on her patient record. The flag wins
+// a tie, and counts from its last update when its own date was never stamped.
+const isCurrentlyBreastfeeding = async (patient, now = new Date()) => {
+  const { rows: visits } = await repositories.postnatalVisits.findMany({
+    filters: {
+      patientId: patient.id,
+      subject: 'mother',
+      visitDate: { gte: addDays(now.toISOString(), -BREASTFEEDING_LOOKBACK_DAYS) }
+    },
+    orderBy: { field: 'visitDate', ascending: false }
+  });
+  const visit = visits.find((candidate) => candidate.breastfeeding);
+
+  const hasFlag = typeof patient.isBreastfeeding === 'boolean';
+  const flaggedAt = patient.breastfeedingRecordedAt || patient.updatedAt || patient.createdAt;
+  const flaggedOn = flaggedAt ? toDateKey(flaggedAt) : '';
+
+  if (visit && (!hasFlag || toDateKey(visit.visitDate) > flaggedOn)) {
+    return visit.breastfeeding !== 'not-breastfeeding';
+  }
+  return hasFlag && patient.isBreastfeeding;
+};
+
+module.exports = {
+  POSTNATAL_CONTACTS,
+  POSTNATAL_SUBJECTS,
+  UTERUS_STATES,
+  LOCHIA_STATES,
+  WOUND_STATES,
+  BREAST_STATES,
+  BREASTFEEDING_STATES,
+  FEEDING_STATES,
+  JAUNDICE_LEVELS,
+  CORD_STATES,
+  NEWBORN_IMMUNISATIONS,
+  CONTACT_STATUSES,
+  BREASTFEEDING_LOOKBACK_DAYS,
+  contactNumberFor,
+  motherAlerts,
+  babyAlerts,
+  subjectOf,
+  assessVisit,
+  postnatalSchedule,
+  bookPostnatalSchedule,
+  isCurrentlyBreastfeeding
+};
@@ -0,0 +1,218 @@
+const { repositories } = require('../repositories');
+const { ConflictError, ValidationError } = require('../middleware/errorHandler');
+const { addDays, toDateKey } = require('./scheduling');
+
+const EPISODE_STATUSES = ['active', 'closed'];
+
+const PREGNANCY_OUTCOMES = [
+  'live-birth',
+  'stillbirth',
+  'miscarriage',
+  'termination',
+  'ectopic',
+  'molar',
+  'transferred-out',
+  'lost-to-follow-up'
+];
+
+// A pregnancy lasts 280 days (40 weeks) from the first day of a 28-day cycle's LMP
+const TERM_DAYS = 280;
+const STANDARD_CYCLE_DAYS = 28;
+
+// ACOG redating thresholds: the ultrasound date replaces the LMP date when the two differ by more
+// than `maxDifferenceDays` at the scan's gestational age (up to `untilDays`)
+const ULTRASOUND_REDATING = [
+  { untilDays: 62, maxDifferenceDays: 5 },
+  { untilDays: 111, maxDifferenceDays: 7 },
+  { untilDays: 153, maxDifferenceDays: 10 },
+  { untilDays: 195, maxDifferenceDays: 14 },
+  { untilDays: Infinity, maxDifferenceDays: 21 }
+];
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${toDateKey(to)}T00:00:00Z`) - Date.parse(`${toDateKey(from)}T00:00:00Z`)) / 86400000);
+
+// Naegele's rule: LMP + 1 year - 3 months + 7 days, moved by however much the cycle is longer than 28 days
+const naegeleDueDate = (lmp, cycleLengthDays = STANDARD_CYCLE_DAYS) => {
+  const date = new Date(`${toDateKey(lmp)}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + 9);
+  return addDays(date.toISOString(), 7 + (cycleLengthDays - STANDARD_CYCLE_DAYS));
+};
+
+// Due date from a dating scan showing `gestationDays` on `scanDate`
+const ultrasoundDueDate = (scanDate, gestationDays) => addDays(scanDate, TERM_DAYS - gestationDays);
+
+// Gestational age in days on `date`, for a pregnancy due on `edd`
+const gestationDaysOn = (edd, date) => TERM_DAYS - daysBetween(date, edd);
+
+// 230 days -> '32+6'
+const formatGestation = (days) => `${Math.floor(days / 7)}+${days % 7}`;
+
+const trimesterOf = (days) => {
+  if (days < 14 * 7) return 1;
+  if (days < 28 * 7) return 2;
+  return 3;
+};
+
+// Date a pregnancy from the LMP, a dating scan, or both. With both, the scan's date is used
+// when it differs from the LMP date by more than the redating threshold for its gestational age.
+const datePregnancy = ({ lmp, cycleLengthDays, ultrasoundDate, ultrasoundGestationWeeks, ultrasoundGestationDays }) => {
+  const lmpEdd = lmp ? naegeleDueDate(lmp, cycleLengthDays || STANDARD_CYCLE_DAYS) : null;
+  const scanDays = ultrasoundDate ? ultrasoundGestationWeeks * 7 + (ultrasoundGestationDays || 0) : null;
+  const ultrasoundEdd = ultrasoundDate ? ultrasoundDueDate(ultrasoundDate, scanDays) : null;
+
+  if (!lmpEdd && !ultrasoundEdd) {
+    throw new ValidationError('An LMP or a dating ultrasound is needed to date the pregnancy');
+  }
+  if (!ultrasoundEdd) {
+    return { edd: lmpEdd, eddMethod: 'lmp', lmpEdd, ultrasoundEdd, datingDifferenceDays: null };
+  }
+  if (!lmpEdd) {
+    return { edd: ultrasoundEdd, eddMethod: 'ultrasound', lmpEdd, ultrasoundEdd, datingDifferenceDays: null };
+  }
+
+  const difference = Math.abs(daysBetween(lmpEdd, ultrasoundEdd));
+  const { maxDifferenceDays } = ULTRASOUND_REDATING.find((rule) => scanDays <= rule.untilDays);
+  const redated = difference > maxDifferenceDays;
+
+  return {
+    edd: redated ? ultrasoundEdd : lmpEdd,
+    eddMethod: redated ? 'ultrasound' : 'lmp',
+    lmpEdd,
+    ultrasoundEdd,
+    datingDifferenceDays: difference
+  };
+};
+
+// Dating fields of an episode, recomputed from its inputs
+const DATING_INPUTS = ['lmp', 'cycleLengthDays', 'ultrasoundDate', 'ultrasoundGestationWeeks', 'ultrasoundGestationDays'];
+
+const datingFieldsFor = (inputs) => {
+  const values = Object.fromEntries(DATING_INPUTS.map((field) => [field, inputs[field] ?? null]));
+  return { ...values, ...datePregnancy(values) };
+};
+
+// Gestational age of an episode on a date; null before the pregnancy began or once it has ended
+const gestationOn = (episode, date) => {
+  if (episode.status === 'closed' && episode.outcomeDate && toDateKey(date) > toDateKey(episode.outcomeDate)) {
+    return null;
+  }
+
+  const days = gestationDaysOn(episode.edd, date);
+  if (days < 0) return null;
+
+  return { gestationalAgeDays: days, gestationalAge: formatGestation(days), trimester: trimesterOf(days) };
+};
+
+// An episode as returned by the API: with its gestational age today, or at its outcome once closed
+const withGestation = (episode) => ({
+  ...episode,
+  ...(gestationOn(episode, episode.status === 'closed' ? episode.outcomeDate || todayKey() : todayKey())
+    || { gestationalAgeDays: null, gestationalAge: null, trimester: null })
+});
+
+const activeEpisodeFor = (patientId) => repositories.pregnancies.findOne({ patientId, status: 'active' });
+
+// Whether a patient is currently pregnant: an open pregnancy episode, or the flag recorded on
+// patients registered before episodes were kept
+const isCurrentlyPregnant = async (patient) =>
+  Boolean(await activeEpisodeFor(patient.id)) || patient.isPregnant === true;
+
+// Pregnancy fields stamped on a medical record or appointment dated during an open episode
+const gestationStampFor = async (patientId, date) => {
+  const episode = patientId ? await activeEpisodeFor(patientId) : null;
+  const gestation = episode && date ? gestationOn(episode, date) : null;
+
+  return gestation
+    ? { pregnancyId: episode.id, gestationalAgeDays: gestation.gestationalAgeDays, gestationalAge: gestation.gestationalAge }
+    : {};
+};
+
+// Open a pregnancy episode; a patient has at most one open at a time
+const openEpisode = async ({ patientId, gravida, para, notes, openedBy, ...dating }) => {
+  const existing = await activeEpisodeFor(patientId);
+  if (existing) {
+    throw new ConflictError('The patient already has an open pregnancy', { pregnancyId: existing.id });
+  }
+
+  const now = new Date().toISOString();
+  const episode = await repositories.pregnancies.create({
+    patientId,
+    status: 'active',
+    ...datingFieldsFor(dating),
+    gravida,
+    para,
+    notes: notes || null,
+    outcome: null,
+    outcomeDate: null,
+    openedBy,
+    closedBy: null,
+    closedAt: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  await repositories.patients.update(patientId, { isPregnant: true, updatedAt: now });
+  return episode;
+};
+
+// Update an open episode. Changing any dating input recomputes the due date.
+const updateEpisode = async (existing, updates) => {
+  if (existing.status !== 'active') {
+    throw new ConflictError('The pregnancy is closed', { outcome: existing.outcome });
+  }
+
+  const redating = DATING_INPUTS.some((field) => updates[field] !== undefined);
+  const dating = redating
+    ? datingFieldsFor({ ...Object.fromEntries(DATING_INPUTS.map((field) => [field, existing[field]])), ...updates })
+    : {};
+
+  return repositories.pregnancies.update(existing.id, {
+    ...(updates.gravida !== undefined && { gravida: updates.gravida }),
+    ...(updates.para !== undefined && { para: updates.para }),
+    ...(updates.notes !== undefined && { notes: updates.notes }),
+    ...dating,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Close an episode with its outcome
+const closeEpisode = async (existing, { outcome, outcomeDate, notes, closedBy }) => {
+  if (existing.status !== 'active') {
+    throw new ConflictError('The pregnancy is already closed', { outcome: existing.outcome });
+  }
+
+  const now = new Date().toISOString();
+  const episode = await repositories.pregnancies.update(existing.id, {
+    status: 'closed',
+    outcome,
+    outcomeDate: outcomeDate || todayKey(),
+    ...(notes !== undefined && { notes }),
+    closedBy,
+    closedAt: now,
+    updatedAt: now
+  });
+
+  await repositories.patients.update(existing.patientId, { isPregnant: false, updatedAt: now });
+  return episode;
+};
+
+module.exports = {
+  EPISODE_STATUSES,
+  PREGNANCY_OUTCOMES,
+  TERM_DAYS,
+  naegeleDueDate,
+  datePregnancy,
+  gestationDaysOn,
+  formatGestation,
+  gestationOn,
+  withGestation,
+  activeEpisodeFor,
+  isCurrentlyPregnant,
+  gestationStampFor,
+  openEpisode,
+  updateEpisode,
+  closeEpisode
+};
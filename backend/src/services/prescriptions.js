@@ -0,0 +1,164 @@
+const { repositories } = require('../repositories');
+const { ConflictError } = require('../middleware/errorHandler');
+
+const PRESCRIPTION_STATUSES = ['active', 'completed', 'discontinued'];
+
+// Only active prescriptions change status; completed and discontinued are final
+const TRANSITIONS = {
+  active: ['completed', 'discontinued'],
+  completed: [],
+  discontinued: []
+};
+
+const ADMINISTRATION_ROUTES = ['oral', 'sublingual', 'intravenous', 'intramuscular', 'subcutaneous', 'topical', 'vaginal', 'rectal', 'inhaled'];
+
+// Most line items one prescription may carry
+const MAX_ITEMS = 20;
+
+const ITEM_TEXT_FIELDS = ['drug', 'strength', 'dose', 'frequency'];
+
+// express-validator custom check for prescription line items
+const isPrescriptionItems = (items) => {
+  if (items.length === 0 || items.length > MAX_ITEMS) {
+    throw new Error(`A prescription needs between 1 and ${MAX_ITEMS} items`);
+  }
+
+  items.forEach((item, index) => {
+    const label = `Item ${index + 1}`;
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${label} must be an object`);
+    }
+    ITEM_TEXT_FIELDS.forEach((field) => {
+      if (typeof item[field] !== 'string' || !item[field].trim()) {
+        throw new Error(`${label}: ${field} is required`);
+      }
+    });
+    if (!ADMINISTRATION_ROUTES.includes(item.route)) {
+      throw new Error(`${label}: route must be one of ${ADMINISTRATION_ROUTES.join(', ')}`);
+    }
+    if (!Number.isInteger(item.durationDays) || item.durationDays < 1 || item.durationDays > 365) {
+      throw new Error(`${label}: durationDays must be between 1 and 365`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw new Error(`${label}: quantity must be a positive integer`);
+    }
+    if (item.refills !== undefined && (!Number.isInteger(item.refills) || item.refills < 0 || item.refills > 12)) {
+      throw new Error(`${label}: refills must be between 0 and 12`);
+    }
+    if (item.instructions !== undefined && typeof item.instructions !== 'string') {
+      throw new Error(`${label}: instructions must be a string`);
+    }
+  });
+
+  return true;
+};
+
+// Keep only the known line item fields
+const normaliseItems = (items) => items.map((item) => ({
+  drug: item.drug.trim(),
+  strength: item.strength.trim(),
+  dose: item.dose.trim(),
+  route: item.route,
+  frequency: item.frequency.trim(),
+  durationDays: item.durationDays,
+  quantity: item.quantity,
+  refills: item.refills || 0,
+  instructions: item.instructions || null
+}));
+
+const assertTransition = (from, to) => {
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    throw new ConflictError(`Prescription cannot move from ${from} to ${to}`, {
+      currentStatus: from,
+      allowedStatuses: TRANSITIONS[from] || []
+    });
+  }
+};
+
+// A patient's current medications: the line items of their active prescriptions
+const activeMedications = async (patientId) => {
+  const { rows: prescriptions } = await repositories.prescriptions.findMany({
+    filters: { patientId, status: 'active' },
+    orderBy: { field: 'prescribedAt', ascending: false },
+    include: ['doctors']
+  });
+
+  return prescriptions.flatMap((prescription) => prescription.items.map((item) => ({
+    ...item,
+    prescriptionId: prescription.id,
+    prescribedAt: prescription.prescribedAt,
+    doctor: prescription.doctors || null
+  })));
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fullName = (person) => (person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : '');
+
+// Printable HTML for a prescription, with its patient, doctor and clinic
+const renderPrintable = ({ prescription, patient, doctor, clinic }) => {
+  const rows = prescription.items.map((item, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td><strong>${escapeHtml(item.drug)}</strong> ${escapeHtml(item.strength)}</td>
+        <td>${escapeHtml(item.dose)}, ${escapeHtml(item.route)}, ${escapeHtml(item.frequency)}</td>
+        <td>${escapeHtml(item.durationDays)} days</td>
+        <td>${escapeHtml(item.quantity)}</td>
+        <td>${escapeHtml(item.refills)}</td>
+        <td>${escapeHtml(item.instructions)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Prescription ${escapeHtml(prescription.id)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 2rem; color: #111; }
+    header { border-bottom: 2px solid #111; margin-bottom: 1rem; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; }
+    th, td { border: 1px solid #999; padding: 0.4rem; text-align: left; vertical-align: top; }
+    .status { text-transform: uppercase; font-weight: bold; }
+    .signature { margin-top: 3rem; border-top: 1px solid #111; width: 16rem; padding-top: 0.3rem; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(clinic ? clinic.name : 'Prescription')}</h1>
+    ${clinic ? `<p>${escapeHtml(clinic.address)}${clinic.phone ? ` &middot; ${escapeHtml(clinic.phone)}` : ''}</p>` : ''}
+  </header>
+  <p><strong>Patient:</strong> ${escapeHtml(fullName(patient))}${patient && patient.dateOfBirth ? ` (born ${escapeHtml(patient.dateOfBirth)})` : ''}</p>
+  <p><strong>Date:</strong> ${escapeHtml(String(prescription.prescribedAt).slice(0, 10))}
+    &middot; <span class="status">${escapeHtml(prescription.status)}</span></p>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Drug</th><th>Dose, route, frequency</th><th>Duration</th><th>Quantity</th><th>Refills</th><th>Instructions</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  ${prescription.notes ? `<p><strong>Notes:</strong> ${escapeHtml(prescription.notes)}</p>` : ''}
+  <p class="signature">Dr ${escapeHtml(fullName(doctor))}${doctor && doctor.licenseNumber ? `<br>Licence ${escapeHtml(doctor.licenseNumber)}` : ''}</p>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  PRESCRIPTION_STATUSES,
+  TRANSITIONS,
+  ADMINISTRATION_ROUTES,
+  MAX_ITEMS,
+  isPrescriptionItems,
+  normaliseItems,
+  assertTransition,
+  activeMedications,
+  renderPrintable
+};
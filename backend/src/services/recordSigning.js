@@ -0,0 +1,212 @@
+const { repositories } = require('../repositories');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../middleware/errorHandler');
+const { versionOf, statusOf, snapshotOf } = require('./recordVersions');
+const { hashOf } = require('./hashing');
+const events = require('./events');
+
+const SIGNATURE_STATUSES = ['unsigned', 'pending-cosign', 'signed'];
+
+// Clinician designations on a doctor profile; notes by interns and midwives need a countersignature
+const CLINICIAN_DESIGNATIONS = ['doctor', 'intern', 'midwife'];
+const COSIGN_DESIGNATIONS = ['intern', 'midwife'];
+
+// Notes still unsigned this long after they were written show on the author's pending list
+const UNSIGNED_NOTE_WINDOW_HOURS = parseInt(process.env.UNSIGNED_NOTE_WINDOW_HOURS) || 24;
+
+// Records and profiles created before signing have neither field set
+const signatureStatusOf = (record) => record.signatureStatus || 'unsigned';
+const designationOf = (doctor) => doctor.designation || 'doctor';
+const needsCosignature = (doctor) => COSIGN_DESIGNATIONS.includes(designationOf(doctor));
+
+// SHA-256 of the record's clinical content at its current version. The status is left out
+// so a signed note entered in error still verifies against its signature.
+const contentHashOf = (record) => {
+  const { status, ...content } = snapshotOf(record);
+  return hashOf({ recordId: record.id, version: versionOf(record), content });
+};
+
+// Doctor profile of the signed-in clinician
+const clinicianFor = async (userId) => {
+  const doctor = await repositories.doctors.findOne({ userId });
+
+  if (!doctor) {
+    throw new ForbiddenError('Only clinicians with a doctor profile can sign notes');
+  }
+
+  return doctor;
+};
+
+const assertSignable = (record) => {
+  if (statusOf(record) !== 'active') {
+    throw new ConflictError('A record entered in error cannot be signed', { currentStatus: statusOf(record) });
+  }
+};
+
+const signatureBy = (userId, doctor, record) => ({
+  userId,
+  doctorId: doctor.id,
+  designation: designationOf(doctor),
+  signedAt: new Date().toISOString(),
+  version: versionOf(record),
+  contentHash: contentHashOf(record)
+});
+
+// Supervising doctor who countersigns: the one asked for, else the author's supervisor
+const cosignerFor = async (author, cosignerId) => {
+  const supervisorId = cosignerId || author.supervisorId;
+  if (!supervisorId) {
+    throw new ValidationError('A supervising doctor is required to countersign this note');
+  }
+
+  const cosigner = await repositories.doctors.findById(supervisorId);
+  if (!cosigner) {
+    throw new NotFoundError('Supervising doctor not found');
+  }
+  if (cosigner.id === author.id || needsCosignature(cosigner)) {
+    throw new ValidationError('Notes must be countersigned by a different, fully qualified doctor');
+  }
+
+  return cosigner;
+};
+
+// Sign and lock a record. Only its author signs; notes by interns and midwives wait for a countersignature.
+const signRecord = async ({ record, userId, cosignerId }, options = {}) => {
+  assertSignable(record);
+
+  if (signatureStatusOf(record) !== 'unsigned') {
+    throw new ConflictError('The record is already signed', { signatureStatus: signatureStatusOf(record) });
+  }
+
+  const author = await clinicianFor(userId);
+  if (author.id !== record.doctorId) {
+    throw new ForbiddenError('Only the doctor who wrote the note can sign it');
+  }
+
+  const cosigner = needsCosignature(author) ? await cosignerFor(author, cosignerId) : null;
+  const signature = signatureBy(userId, author, record);
+
+  const signed = await repositories.medicalRecords.update(record.id, {
+    signatureStatus: cosigner ? 'pending-cosign' : 'signed',
+    signature,
+    pendingCosignerId: cosigner ? cosigner.id : null,
+    cosignature: null,
+    lockedAt: signature.signedAt,
+    updatedAt: signature.signedAt
+  }, options);
+
+  if (cosigner) {
+    await events.emit(events.EVENTS.MEDICAL_RECORD_COSIGN_REQUESTED, { record: signed, author, cosigner });
+  }
+  return signed;
+};
+
+// Countersign a note, by the supervising doctor it is waiting on
+const cosignRecord = async ({ record, userId }, options = {}) => {
+  assertSignable(record);
+
+  if (signatureStatusOf(record) !== 'pending-cosign') {
+    throw new ConflictError('The record is not awaiting a countersignature', { signatureStatus: signatureStatusOf(record) });
+  }
+
+  const cosigner = await clinicianFor(userId);
+  if (cosigner.id !== record.pendingCosignerId) {
+    throw new ForbiddenError('Only the requested supervising doctor can countersign this note');
+  }
+  if (contentHashOf(record) !== record.signature.contentHash) {
+    throw new ConflictError('The record has changed since it was signed and cannot be countersigned');
+  }
+
+  const cosignature = signatureBy(userId, cosigner, record);
+  return repositories.medicalRecords.update(record.id, {
+    signatureStatus: 'signed',
+    cosignature,
+    pendingCosignerId: null,
+    updatedAt: cosignature.signedAt
+  }, options);
+};
+
+// Check the stored signatures against the record's current content
+const verifySignatures = (record) => {
+  const contentHash = contentHashOf(record);
+  const check = (signature) => (signature ? { ...signature, valid: signature.contentHash === contentHash } : null);
+
+  return {
+    signatureStatus: signatureStatusOf(record),
+    contentHash,
+    signature: check(record.signature),
+    cosignature: check(record.cosignature)
+  };
+};
+
+// Addenda are the only additions to a signed note. They are append-only and hashed as written.
+const addAddendum = async ({ record, userId, text }) => {
+  if (signatureStatusOf(record) === 'unsigned') {
+    throw new ConflictError('Unsigned notes are amended directly; addenda are only added to signed notes');
+  }
+
+  const author = await clinicianFor(userId);
+  const now = new Date().toISOString();
+
+  return repositories.recordAddenda.create({
+    medicalRecordId: record.id,
+    text,
+    contentHash: hashOf({ recordId: record.id, text }),
+    authorId: userId,
+    doctorId: author.id,
+    designation: designationOf(author),
+    createdAt: now
+  });
+};
+
+const getAddenda = async (record) => {
+  const { rows } = await repositories.recordAddenda.findMany({
+    filters: { medicalRecordId: record.id },
+    orderBy: { field: 'createdAt', ascending: true }
+  });
+  return rows;
+};
+
+// A doctor's own notes left unsigned past the window, and notes waiting on their countersignature
+// Notes written before retraction and signing existed have neither status; they are active and unsigned.
+const pendingSignatures = async (doctorId, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - UNSIGNED_NOTE_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { rows: unsigned } = await repositories.medicalRecords.findMany({
+    filters: {
+      doctorId,
+      status: { neq: 'entered-in-error', orNull: true },
+      signatureStatus: { eq: 'unsigned', orNull: true },
+      createdAt: { lte: cutoff }
+    },
+    orderBy: { field: 'createdAt', ascending: true },
+    include: ['patients']
+  });
+
+  const { rows: awaitingCosignature } = await repositories.medicalRecords.findMany({
+    filters: {
+      pendingCosignerId: doctorId,
+      status: { neq: 'entered-in-error', orNull: true },
+      signatureStatus: 'pending-cosign'
+    },
+    orderBy: { field: 'updatedAt', ascending: true },
+    include: ['patients', 'doctors']
+  });
+
+  return { windowHours: UNSIGNED_NOTE_WINDOW_HOURS, unsigned, awaitingCosignature };
+};
+
+module.exports = {
+  SIGNATURE_STATUSES,
+  CLINICIAN_DESIGNATIONS,
+  COSIGN_DESIGNATIONS,
+  UNSIGNED_NOTE_WINDOW_HOURS,
+  signatureStatusOf,
+  contentHashOf,
+  clinicianFor,
+  signRecord,
+  cosignRecord,
+  verifySignatures,
+  addAddendum,
+  getAddenda,
+  pendingSignatures
+};
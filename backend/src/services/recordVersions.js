@@ -0,0 +1,180 @@
+const { repositories } = require('../repositories');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { gestationStampFor } = require('./pregnancy');
+
+const RECORD_STATUSES = ['active', 'entered-in-error'];
+
+// Clinical fields a doctor may amend
+const EDITABLE_FIELDS = ['visitDate', 'chiefComplaint', 'diagnosis', 'treatment', 'prescriptions', 'vitalSigns', 'notes', 'followUpDate'];
+
+// Fields kept in every version snapshot
+const VERSIONED_FIELDS = ['patientId', 'doctorId', ...EDITABLE_FIELDS, 'safetyOverride', 'status'];
+
+// Records created before versioning have neither field set
+const versionOf = (record) => record.version || 1;
+const statusOf = (record) => record.status || 'active';
+
+const snapshotOf = (record) => VERSIONED_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = field === 'status' ? statusOf(record) : (record[field] === undefined ? null : record[field]);
+  return snapshot;
+}, {});
+
+// Field-by-field differences between two snapshots; objects and lists are compared by value
+const diffSnapshots = (from, to) => VERSIONED_FIELDS
+  .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+  .map((field) => ({ field, from: from[field], to: to[field] }));
+
+// Versions are only ever created, never changed or removed
+const appendVersion = ({ record, version, reason, actor, changedFields }) =>
+  repositories.recordVersions.create({
+    medicalRecordId: record.id,
+    version,
+    snapshot: snapshotOf(record),
+    changedFields,
+    reason,
+    authorId: actor.userId,
+    authorRole: actor.role || null,
+    createdAt: new Date().toISOString()
+  });
+
+// Records that predate versioning get their current state stored as version 1 before the first change
+const ensureBaseline = async (record) => {
+  const existing = await repositories.recordVersions.count({ medicalRecordId: record.id });
+
+  if (existing === 0) {
+    await repositories.recordVersions.create({
+      medicalRecordId: record.id,
+      version: versionOf(record),
+      snapshot: snapshotOf(record),
+      changedFields: [],
+      reason: 'original',
+      authorId: record.createdBy || null,
+      authorRole: null,
+      createdAt: record.updatedAt || record.createdAt || new Date().toISOString()
+    });
+  }
+};
+
+const assertActive = (record) => {
+  if (statusOf(record) !== 'active') {
+    throw new ConflictError('A record entered in error cannot be changed', { currentStatus: statusOf(record) });
+  }
+};
+
+// Signed notes are locked; later information goes in an addendum
+const assertUnsigned = (record) => {
+  if (record.signatureStatus && record.signatureStatus !== 'unsigned') {
+    throw new ConflictError('The record is signed and locked; add an addendum instead', {
+      signatureStatus: record.signatureStatus
+    });
+  }
+};
+
+// Only the editable clinical fields of a request body
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// Create a record as version 1, stamped with the gestational age on its visit date during a pregnancy
+const createRecord = async (data, actor, options = {}) => {
+  const record = await repositories.medicalRecords.create({
+    ...data,
+    ...await gestationStampFor(data.patientId, data.visitDate),
+    version: 1,
+    status: 'active',
+    signatureStatus: 'unsigned'
+  }, options);
+
+  await appendVersion({ record, version: 1, reason: 'created', actor, changedFields: [] });
+  return record;
+};
+
+// Amend a record: the current row is updated and the new state appended as the next version.
+// Pass expectedVersion to refuse the change when someone else amended the record first.
+const amendRecord = async ({ existing, updates, reason, actor, expectedVersion }, options = {}) => {
+  assertActive(existing);
+  assertUnsigned(existing);
+
+  if (expectedVersion !== undefined && expectedVersion !== versionOf(existing)) {
+    throw new ConflictError('The record has changed since you opened it', { currentVersion: versionOf(existing) });
+  }
+
+  const changedFields = diffSnapshots(snapshotOf(existing), snapshotOf({ ...existing, ...updates }))
+    .map((change) => change.field);
+
+  if (changedFields.length === 0) {
+    throw new ValidationError('The amendment does not change the record');
+  }
+
+  await ensureBaseline(existing);
+
+  const version = versionOf(existing) + 1;
+  const record = await repositories.medicalRecords.update(existing.id, {
+    ...updates,
+    ...(updates.visitDate !== undefined && await gestationStampFor(existing.patientId, updates.visitDate)),
+    version,
+    updatedAt: new Date().toISOString()
+  }, options);
+
+  await appendVersion({ record, version, reason, actor, changedFields });
+  return record;
+};
+
+// Retract a record entered in error. It stays readable, with its history, but is no longer current.
+const retractRecord = async ({ existing, reason, actor }, options = {}) => {
+  assertActive(existing);
+  await ensureBaseline(existing);
+
+  const now = new Date().toISOString();
+  const version = versionOf(existing) + 1;
+  const record = await repositories.medicalRecords.update(existing.id, {
+    status: 'entered-in-error',
+    enteredInErrorAt: now,
+    enteredInErrorBy: actor.userId,
+    enteredInErrorReason: reason,
+    version,
+    updatedAt: now
+  }, options);
+
+  await appendVersion({ record, version, reason, actor, changedFields: ['status'] });
+  return record;
+};
+
+const getVersions = async (record) => {
+  await ensureBaseline(record);
+
+  const { rows } = await repositories.recordVersions.findMany({
+    filters: { medicalRecordId: record.id },
+    orderBy: { field: 'version', ascending: true }
+  });
+  return rows;
+};
+
+const getVersion = async (record, version) => {
+  await ensureBaseline(record);
+
+  const found = await repositories.recordVersions.findOne({ medicalRecordId: record.id, version });
+  if (!found) {
+    throw new NotFoundError(`Version ${version} not found`);
+  }
+  return found;
+};
+
+module.exports = {
+  RECORD_STATUSES,
+  EDITABLE_FIELDS,
+  VERSIONED_FIELDS,
+  versionOf,
+  statusOf,
+  snapshotOf,
+  diffSnapshots,
+  pickEditable,
+  createRecord,
+  amendRecord,
+  retractRecord,
+  getVersions,
+  getVersion
+};
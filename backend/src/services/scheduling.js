@@ -0,0 +1,132 @@
+const { repositories } = require('../repositories');
+const { ConflictError } = require('../middleware/errorHandler');
+
+// Statuses that no longer occupy a slot
+const RELEASED_STATUSES = ['cancelled', 'no-show'];
+
+// Normalise an ISO date or timestamp to YYYY-MM-DD
+const toDateKey = (date) => String(date).slice(0, 10);
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${toDateKey(dateKey)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// 'HH:MM' -> minutes since midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight -> 'HH:MM'
+const minutesToTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Absolute [start, end) interval in minutes, so slots crossing midnight compare correctly
+const toInterval = ({ appointmentDate, appointmentTime, duration }) => {
+  const day = Date.parse(`${toDateKey(appointmentDate)}T00:00:00Z`) / 60000;
+  const start = day + timeToMinutes(appointmentTime);
+  return { start, end: start + Number(duration) };
+};
+
+// Current local wall-clock time on the same absolute scale as toInterval
+const nowInMinutes = () => {
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return toInterval({ appointmentDate: today, appointmentTime: minutesToTime(now.getHours() * 60 + now.getMinutes()), duration: 0 }).start;
+};
+
+const intervalsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+const isActiveAppointment = (appointment) => !RELEASED_STATUSES.includes(appointment.status);
+
+// Find active appointments overlapping the proposed slot for the same doctor or the same patient,
+// and unexpired waitlist holds on the doctor's time. Each conflict is returned with `conflictsWith`
+// set to 'doctor', 'patient' or 'hold'; `excludeHoldId` lets a hold's own patient book through it.
+const findConflicts = async ({ doctorId, patientId, appointmentDate, appointmentTime, duration, excludeId, excludeHoldId }) => {
+  const proposed = toInterval({ appointmentDate, appointmentTime, duration });
+  const date = toDateKey(appointmentDate);
+
+  // Appointments are at most a few hours long, so only neighbouring days can overlap
+  const window = {
+    appointmentDate: { gte: addDays(date, -1), lte: addDays(date, 1) },
+    status: { notIn: RELEASED_STATUSES }
+  };
+
+  const lookups = [];
+  if (doctorId) {
+    lookups.push(['doctor', repositories.appointments.findMany({ filters: { ...window, doctorId } })]);
+  }
+  if (patientId) {
+    lookups.push(['patient', repositories.appointments.findMany({ filters: { ...window, patientId } })]);
+  }
+  if (doctorId) {
+    lookups.push(['hold', repositories.waitlistOffers.findMany({
+      filters: {
+        doctorId,
+        appointmentDate: window.appointmentDate,
+        status: 'pending',
+        expiresAt: { gt: new Date().toISOString() }
+      }
+    })]);
+  }
+
+  const conflicts = [];
+  for (const [party, lookup] of lookups) {
+    const { rows } = await lookup;
+    rows
+      .filter((appointment) => appointment.id !== (party === 'hold' ? excludeHoldId : excludeId))
+      .filter((appointment) => intervalsOverlap(proposed, toInterval(appointment)))
+      .forEach((appointment) => conflicts.push({ ...appointment, conflictsWith: party }));
+  }
+
+  return conflicts;
+};
+
+// Only the times a set of conflicts blocks, for responses to patients: other patients'
+// appointments must not leak through a clash with them
+const blockedTimes = (conflicts) => conflicts.map(({ appointmentDate, appointmentTime, duration, conflictsWith }) =>
+  ({ appointmentDate, appointmentTime, duration, conflictsWith }));
+
+// Reject a slot that overlaps another active appointment, listing the conflicts in the 409 response.
+// With `timesOnly` the response carries only the blocked times.
+const assertNoConflicts = async (slot, { timesOnly = false } = {}) => {
+  const conflicts = await findConflicts(slot);
+
+  if (conflicts.length > 0) {
+    throw new ConflictError('Appointment time conflicts with existing appointments', timesOnly
+      ? { blockedTimes: blockedTimes(conflicts) }
+      : { conflicts });
+  }
+};
+
+// Fields whose change moves an appointment to a different slot
+const SLOT_FIELDS = ['appointmentDate', 'appointmentTime', 'duration', 'doctorId', 'patientId'];
+
+// Whether applying `updates` to `existing` needs a fresh conflict check
+const needsConflictCheck = (existing, updates) => {
+  const proposed = { ...existing, ...updates };
+  if (!isActiveAppointment(proposed)) return false;
+
+  const moved = SLOT_FIELDS.some((field) => updates[field] !== undefined && updates[field] !== existing[field]);
+  return moved || !isActiveAppointment(existing);
+};
+
+module.exports = {
+  RELEASED_STATUSES,
+  toDateKey,
+  addDays,
+  timeToMinutes,
+  minutesToTime,
+  toInterval,
+  nowInMinutes,
+  intervalsOverlap,
+  isActiveAppointment,
+  findConflicts,
+  blockedTimes,
+  assertNoConflicts,
+  needsConflictCheck
+};
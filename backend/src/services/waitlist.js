@@ -0,0 +1,245 @@
+const { repositories } = require('../repositories');
+const { ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const { toDateKey, toInterval, nowInMinutes, findConflicts, assertNoConflicts } = require('./scheduling');
+const { createAppointment } = require('./appointmentLifecycle');
+const events = require('./events');
+
+// How long an offered slot is held for the patient before it moves on
+const OFFER_HOLD_MINUTES = parseInt(process.env.WAITLIST_OFFER_HOLD_MINUTES) || 120;
+
+// Entries still waiting for, or holding, an offer
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Expiry time of a new offer: the hold length, but never past the start of the slot
+const holdExpiry = (slot) => {
+  const minutesToStart = toInterval(slot).start - nowInMinutes();
+  const holdMinutes = Math.max(Math.min(OFFER_HOLD_MINUTES, minutesToStart), 0);
+  return new Date(Date.now() + holdMinutes * 60000).toISOString();
+};
+
+// Whether a waitlist entry would take the freed slot
+const isEligible = (entry, slot) => {
+  const date = toDateKey(slot.appointmentDate);
+  const sameDoctor = entry.doctorId
+    ? entry.doctorId === slot.doctorId
+    : Boolean(entry.clinicId) && entry.clinicId === slot.clinicId;
+
+  return sameDoctor
+    && entry.patientId !== slot.releasedBy
+    && toDateKey(entry.preferredFrom) <= date
+    && date <= toDateKey(entry.preferredTo)
+    && entry.duration <= slot.duration;
+};
+
+// Offer a freed slot to the longest-waiting eligible patient, skipping anyone already
+// offered this slot. Returns the offer, or null when nobody on the waitlist can take it.
+const offerSlot = async (freed) => {
+  if (toInterval(freed).start <= nowInMinutes()) return null;
+
+  // Clinic-wide entries match through the doctor's clinic when the appointment has none
+  const doctor = freed.clinicId ? null : await repositories.doctors.findById(freed.doctorId);
+  const slot = { ...freed, clinicId: freed.clinicId || (doctor && doctor.clinicId) || null };
+
+  const { rows: entries } = await repositories.waitlistEntries.findMany({
+    filters: { status: 'waiting' },
+    orderBy: { field: 'createdAt', ascending: true }
+  });
+
+  const { rows: previousOffers } = await repositories.waitlistOffers.findMany({
+    filters: { sourceAppointmentId: slot.sourceAppointmentId }
+  });
+  const alreadyOffered = new Set(previousOffers.map((offer) => offer.patientId));
+
+  for (const entry of entries) {
+    if (!isEligible(entry, slot) || alreadyOffered.has(entry.patientId)) continue;
+
+    const offered = {
+      doctorId: slot.doctorId,
+      clinicId: slot.clinicId || null,
+      appointmentDate: toDateKey(slot.appointmentDate),
+      appointmentTime: slot.appointmentTime,
+      duration: entry.duration
+    };
+
+    const conflicts = await findConflicts({ ...offered, patientId: entry.patientId });
+    if (conflicts.length > 0) continue;
+
+    const now = new Date().toISOString();
+    const offer = await repositories.waitlistOffers.create({
+      ...offered,
+      entryId: entry.id,
+      patientId: entry.patientId,
+      sourceAppointmentId: slot.sourceAppointmentId,
+      slotDuration: slot.duration,
+      status: 'pending',
+      offeredAt: now,
+      expiresAt: holdExpiry(offered),
+      respondedAt: null,
+      appointmentId: null
+    });
+
+    await repositories.waitlistEntries.update(entry.id, { status: 'offered', updatedAt: now });
+    await events.emit(events.EVENTS.WAITLIST_OFFER_CREATED, { offer });
+    return offer;
+  }
+
+  return null;
+};
+
+// The freed slot behind an offer, so it can be passed on to the next patient
+const slotOf = (offer) => ({
+  doctorId: offer.doctorId,
+  clinicId: offer.clinicId,
+  appointmentDate: offer.appointmentDate,
+  appointmentTime: offer.appointmentTime,
+  duration: offer.slotDuration,
+  sourceAppointmentId: offer.sourceAppointmentId
+});
+
+// Close an offer without booking it, return the entry to the queue and pass the slot on
+const releaseOffer = async (offer, status) => {
+  const now = new Date().toISOString();
+  await repositories.waitlistOffers.update(offer.id, { status, respondedAt: now });
+
+  const entry = await repositories.waitlistEntries.findById(offer.entryId);
+  if (entry && entry.status === 'offered') {
+    await repositories.waitlistEntries.update(entry.id, { status: 'waiting', updatedAt: now });
+  }
+
+  return offerSlot(slotOf(offer));
+};
+
+// Expire pending offers whose hold has run out. Runs on a timer and before offers are read.
+const expireOffers = async () => {
+  const { rows: stale } = await repositories.waitlistOffers.findMany({
+    filters: { status: 'pending', expiresAt: { lte: new Date().toISOString() } }
+  });
+
+  for (const offer of stale) {
+    await releaseOffer(offer, 'expired');
+  }
+
+  return stale.length;
+};
+
+// Load a patient's own offer; other patients' offers are reported as missing
+const findOwnOffer = async (offerId, patientId) => {
+  const offer = await repositories.waitlistOffers.findById(offerId);
+
+  if (!offer || offer.patientId !== patientId) {
+    throw new NotFoundError('Waitlist offer not found');
+  }
+
+  return offer;
+};
+
+const assertPending = (offer) => {
+  if (offer.status === 'accepted' || offer.status === 'declined') {
+    throw new ConflictError(`This offer has already been ${offer.status}`, { status: offer.status });
+  }
+  if (offer.status === 'expired' || offer.expiresAt <= new Date().toISOString()) {
+    throw new ConflictError('This offer has expired', { status: 'expired' });
+  }
+};
+
+// Book the held slot for the patient
+const acceptOffer = async (offerId, patientId, actor) => {
+  await expireOffers();
+  const offer = await findOwnOffer(offerId, patientId);
+  assertPending(offer);
+
+  const entry = await repositories.waitlistEntries.findById(offer.entryId);
+  const slot = {
+    patientId,
+    doctorId: offer.doctorId,
+    appointmentDate: offer.appointmentDate,
+    appointmentTime: offer.appointmentTime,
+    duration: offer.duration
+  };
+
+  await assertNoConflicts({ ...slot, excludeHoldId: offer.id }, { timesOnly: true });
+
+  const now = new Date().toISOString();
+  const appointment = await createAppointment({
+    ...slot,
+    clinicId: offer.clinicId,
+    type: entry.type,
+    reason: entry.reason,
+    notes: null,
+    status: 'scheduled',
+    bookedBy: 'waitlist',
+    waitlistOfferId: offer.id,
+    createdBy: actor.userId,
+    createdAt: now,
+    updatedAt: now
+  }, actor, {
+    include: ['doctors', 'clinics']
+  });
+
+  await repositories.waitlistOffers.update(offer.id, {
+    status: 'accepted',
+    respondedAt: now,
+    appointmentId: appointment.id
+  });
+  await repositories.waitlistEntries.update(entry.id, {
+    status: 'booked',
+    appointmentId: appointment.id,
+    updatedAt: now
+  });
+
+  return appointment;
+};
+
+// Turn down an offer; the patient stays on the waitlist for later slots
+const declineOffer = async (offerId, patientId) => {
+  await expireOffers();
+  const offer = await findOwnOffer(offerId, patientId);
+  assertPending(offer);
+
+  await releaseOffer(offer, 'declined');
+  return repositories.waitlistOffers.findById(offer.id);
+};
+
+// Take an entry off the waitlist, releasing any slot held for it
+const leaveWaitlist = async (entry) => {
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new ConflictError(`A ${entry.status} waitlist entry cannot be cancelled`, { status: entry.status });
+  }
+
+  const updated = await repositories.waitlistEntries.update(entry.id, {
+    status: 'cancelled',
+    updatedAt: new Date().toISOString()
+  });
+
+  const pending = await repositories.waitlistOffers.findOne({ entryId: entry.id, status: 'pending' });
+  if (pending) {
+    await releaseOffer(pending, 'declined');
+  }
+
+  return updated;
+};
+
+// A cancelled appointment frees its slot for the waitlist
+events.on(events.EVENTS.APPOINTMENT_STATUS_CHANGED, async ({ appointment, toStatus }) => {
+  if (toStatus !== 'cancelled') return;
+
+  await offerSlot({
+    doctorId: appointment.doctorId,
+    clinicId: appointment.clinicId,
+    appointmentDate: appointment.appointmentDate,
+    appointmentTime: appointment.appointmentTime,
+    duration: Number(appointment.duration),
+    sourceAppointmentId: appointment.id,
+    releasedBy: appointment.patientId
+  });
+});
+
+module.exports = {
+  OFFER_HOLD_MINUTES,
+  OPEN_STATUSES,
+  offerSlot,
+  expireOffers,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+};
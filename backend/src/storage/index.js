@@ -0,0 +1,55 @@
+const { DATA_BACKEND, supabase, supabaseAdmin } = require('../config/supabase');
+const { createLocalStorage } = require('./localStorage');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { registerVirusScanner, scanFile } = require('./virusScan');
+
+// Storage driver: 'supabase' or 'local'; defaults to local storage when running on the memory backend
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || (DATA_BACKEND === 'memory' ? 'local' : 'supabase')).toLowerCase();
+const STORAGE_DRIVERS = ['supabase', 'local'];
+
+if (!STORAGE_DRIVERS.includes(STORAGE_DRIVER)) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+// Private bucket for medical record attachments
+const ATTACHMENTS_BUCKET = process.env.ATTACHMENTS_BUCKET || 'medical-attachments';
+
+// Lifetime of signed download URLs, in seconds
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 300;
+
+const defaultDriver = () => {
+  if (STORAGE_DRIVER === 'local') {
+    return createLocalStorage({
+      rootDir: process.env.STORAGE_LOCAL_DIR || './uploads',
+      secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+      baseUrl: process.env.API_BASE_URL || ''
+    });
+  }
+
+  // The service role client bypasses storage policies so private buckets stay private to clients
+  return createSupabaseStorage({ client: supabaseAdmin || supabase });
+};
+
+let driver = null;
+
+// Replace the storage driver, e.g. with S3-compatible storage
+const registerStorageDriver = (custom) => {
+  driver = custom;
+};
+
+const storageDriver = () => {
+  if (!driver) {
+    registerStorageDriver(defaultDriver());
+  }
+  return driver;
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  ATTACHMENTS_BUCKET,
+  SIGNED_URL_TTL_SECONDS,
+  registerStorageDriver,
+  storageDriver,
+  registerVirusScanner,
+  scanFile
+};
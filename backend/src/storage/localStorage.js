@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Filesystem storage for offline development. Files are kept under `rootDir/<bucket>/` and
+// served only through HMAC-signed, expiring URLs (see routes/files.js), like private buckets.
+const createLocalStorage = ({ rootDir, secret, baseUrl = '' }) => {
+  const root = path.resolve(rootDir);
+
+  // Absolute path of a stored file; refuses paths that would escape the bucket directory
+  const resolvePath = (bucket, filePath) => {
+    const bucketDir = path.join(root, bucket);
+    const resolved = path.resolve(bucketDir, filePath);
+
+    if (!resolved.startsWith(`${bucketDir}${path.sep}`)) {
+      throw new Error(`Invalid storage path "${filePath}"`);
+    }
+    return resolved;
+  };
+
+  const sign = (bucket, filePath, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${bucket}/${filePath}:${expires}`)
+    .digest('hex');
+
+  return {
+    name: 'local',
+
+    upload: async (bucket, filePath, buffer) => {
+      const target = resolvePath(bucket, filePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // `wx` fails on an existing file, matching the Supabase driver's upsert: false
+      await fs.promises.writeFile(target, buffer, { flag: 'wx' });
+      return { path: filePath };
+    },
+
+    signedUrl: async (bucket, filePath, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+
+      return {
+        url: `${baseUrl}/api/files/${encodeURIComponent(bucket)}/${encodedPath}?expires=${expires}&signature=${sign(bucket, filePath, expires)}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+      };
+    },
+
+    remove: async (bucket, filePath) => {
+      await fs.promises.rm(resolvePath(bucket, filePath), { force: true });
+    },
+
+    // Whether a signed URL is genuine and unexpired
+    verifySignature: (bucket, filePath, expires, signature) => {
+      if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(bucket, filePath, expires));
+      const given = Buffer.from(String(signature || ''));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    resolvePath
+  };
+};
+
+module.exports = { createLocalStorage };
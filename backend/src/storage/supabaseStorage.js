@@ -0,0 +1,37 @@
+// Supabase Storage driver. Buckets must be private: files are only handed out as
+// short-lived signed URLs, never through getPublicUrl.
+const createSupabaseStorage = ({ client }) => ({
+  name: 'supabase',
+
+  upload: async (bucket, filePath, buffer, { contentType } = {}) => {
+    const { data, error } = await client.storage
+      .from(bucket)
+      .upload(filePath, buffer, {
+        contentType,
+        cacheControl: '0',
+        upsert: false
+      });
+
+    if (error) throw error;
+    return data;
+  },
+
+  signedUrl: async (bucket, filePath, expiresIn) => {
+    const { data, error } = await client.storage
+      .from(bucket)
+      .createSignedUrl(filePath, expiresIn);
+
+    if (error) throw error;
+    return {
+      url: data.signedUrl,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  },
+
+  remove: async (bucket, filePath) => {
+    const { error } = await client.storage.from(bucket).remove([filePath]);
+    if (error) throw error;
+  }
+});
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,60 @@
+const {
+  app,
+  request,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('ANC visits', () => {
+  let doctor;
+  let base;
+
+  const findings = (fields = {}) => ({ visitDate: '2026-03-21', systolicBp: 118, diastolicBp: 76, weightKg: 64, ...fields });
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+    const { pregnancy } = (await request(app)
+      .post(`/api/patients/${patient.id}/pregnancies`)
+      .set(doctor.auth)
+      .send({ lmp: '2026-01-10', gravida: 1, para: 0 })).body.data;
+
+    base = `/api/patients/${patient.id}/pregnancies/${pregnancy.id}/anc-visits`;
+  });
+
+  test('places a visit against its WHO contact and flags findings', async () => {
+    const res = await request(app).post(base).set(doctor.auth).send(findings({ hemoglobin: 9.8 }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.visit).toMatchObject({ gestationalAge: '10+0', contactNumber: 1, doctorId: doctor.doctor.id });
+    expect(res.body.data.visit.alerts).toEqual([expect.objectContaining({ type: 'anaemia', severity: 'moderate' })]);
+
+    const coverage = (await request(app).get(`${base}/coverage`).set(doctor.auth)).body.data;
+    expect(coverage.contacts[0]).toMatchObject({ contactNumber: 1, status: 'attended' });
+  });
+
+  test('works the alerts out again when a visit is corrected', async () => {
+    const { visit } = (await request(app).post(base).set(doctor.auth).send(findings())).body.data;
+    expect(visit.alerts).toEqual([]);
+
+    const corrected = await request(app).put(`${base}/${visit.id}`).set(doctor.auth).send({ systolicBp: 165, diastolicBp: 112 });
+
+    expect(corrected.status).toBe(200);
+    expect(corrected.body.data.visit.alerts).toEqual([expect.objectContaining({ type: 'severe-hypertension' })]);
+  });
+
+  test('rejects implausible findings and dates', async () => {
+    expect((await request(app).post(base).set(doctor.auth).send(findings({ diastolicBp: 130, systolicBp: 120 }))).status).toBe(400);
+    expect((await request(app).post(base).set(doctor.auth).send(findings({ visitDate: '2025-12-01' }))).status).toBe(400);
+  });
+
+  test("refuses doctors outside the patient's care team", async () => {
+    const outsider = await createDoctor();
+
+    expect((await request(app).post(base).set(outsider.auth).send(findings())).status).toBe(403);
+    expect((await request(app).get(base).set(outsider.auth)).status).toBe(403);
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  app,
+  request,
+  createUser,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('API on the memory backend', () => {
+  test('reports the data backend in the health check', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'OK', dataBackend: 'memory' });
+  });
+
+  test('registers and logs in through the memory auth provider', async () => {
+    const account = { email: 'amina@example.com', password: 'secret-pass', firstName: 'Amina', lastName: 'Okoro', role: 'patient' };
+
+    const registered = await request(app).post('/api/auth/register').send(account);
+    expect(registered.status).toBe(201);
+
+    const login = await request(app).post('/api/auth/login').send({ email: account.email, password: account.password });
+    expect(login.status).toBe(200);
+    expect(login.body.data.token).toEqual(expect.any(String));
+
+    const wrong = await request(app).post('/api/auth/login').send({ email: account.email, password: 'not-the-password' });
+    expect(wrong.status).toBe(400);
+  });
+
+  test('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/patients');
+    expect(res.status).toBe(401);
+  });
+
+  test('creates a patient and reads it back', async () => {
+    const doctor = await createDoctor();
+
+    const created = await request(app)
+      .post('/api/patients')
+      .set(doctor.auth)
+      .send({ firstName: 'Amina', lastName: 'Okoro', dateOfBirth: '1995-04-02', gender: 'female' });
+    expect(created.status).toBe(201);
+
+    const { id } = created.body.data.patient;
+    const found = await request(app).get(`/api/patients/${id}`).set(doctor.auth);
+    expect(found.status).toBe(200);
+    expect(found.body.data.patient).toMatchObject({ id, firstName: 'Amina' });
+
+    const list = await request(app).get('/api/patients').set(doctor.auth);
+    expect(list.body.data.patients.map((patient) => patient.id)).toEqual([id]);
+  });
+
+  test('keeps patients to their own record', async () => {
+    const account = await createUser('patient');
+    const own = await createPatient({ account });
+    const other = await createPatient();
+
+    expect((await request(app).get(`/api/patients/${own.id}`).set(account.auth)).status).toBe(200);
+    expect((await request(app).get(`/api/patients/${other.id}`).set(account.auth)).status).toBe(403);
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  app,
+  request,
+  repositories,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('POST /api/appointment-series', () => {
+  let doctor;
+  let patient;
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    patient = await createPatient({ doctor });
+  });
+
+  const createSeries = (fields) => request(app)
+    .post('/api/appointment-series')
+    .set(doctor.auth)
+    .send({
+      patientId: patient.id,
+      doctorId: doctor.doctor.id,
+      appointmentTime: '09:00',
+      duration: 30,
+      type: 'follow-up',
+      recurrence: { pattern: 'interval', intervalWeeks: 1, count: 3 },
+      ...fields
+    });
+
+  test('rejects dates in the past or during leave, like a single booking', async () => {
+    const leaveDay = dayFromToday(8);
+    await repositories.doctorLeave.create({ doctorId: doctor.doctor.id, startDate: leaveDay, endDate: leaveDay, reason: 'Conference' });
+
+    const res = await createSeries({ startDate: dayFromToday(-6) });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data.rejected).toEqual([
+      expect.objectContaining({ date: dayFromToday(-6), reason: 'Appointments cannot be booked in the past' }),
+      expect.objectContaining({ date: leaveDay, reason: 'Doctor is on leave at the selected time' })
+    ]);
+    expect((await repositories.appointments.findMany({})).rows).toHaveLength(0);
+  });
+
+  test('skips and reports dates outside the doctor\'s hours', async () => {
+    const { doctor: mornings } = await createDoctor({ availability: { monday: '08:00-12:00' } });
+
+    const res = await createSeries({ doctorId: mornings.id, startDate: dayFromToday(1), onConflict: 'skip' });
+
+    expect(res.status).toBe(201);
+    const booked = res.body.data.appointments.map((appointment) => appointment.appointmentDate);
+    const skipped = res.body.data.skipped.map((occurrence) => occurrence.date);
+    expect([...booked, ...skipped].sort()).toEqual([dayFromToday(1), dayFromToday(8), dayFromToday(15)]);
+    booked.forEach((date) => expect(new Date(`${date}T00:00:00Z`).getUTCDay()).toBe(1));
+    res.body.data.skipped.forEach((occurrence) => expect(occurrence.reason).toMatch(/outside the doctor's available hours/));
+  });
+});
+
+describe('PUT /api/appointment-series/:seriesId/appointments/:appointmentId', () => {
+  test('refuses to move occurrences into the doctor\'s leave', async () => {
+    const doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+    const { series, appointments } = (await request(app)
+      .post('/api/appointment-series')
+      .set(doctor.auth)
+      .send({
+        patientId: patient.id,
+        doctorId: doctor.doctor.id,
+        startDate: dayFromToday(1),
+        appointmentTime: '09:00',
+        duration: 30,
+        type: 'follow-up',
+        recurrence: { pattern: 'interval', intervalWeeks: 1, count: 3 }
+      })).body.data;
+
+    const leaveDay = dayFromToday(8);
+    await repositories.doctorLeave.create({
+      doctorId: doctor.doctor.id,
+      startDate: leaveDay,
+      endDate: leaveDay,
+      startTime: '12:00',
+      endTime: '17:00',
+      reason: 'Conference'
+    });
+
+    const res = await request(app)
+      .put(`/api/appointment-series/${series.id}/appointments/${appointments[0].id}`)
+      .set(doctor.auth)
+      .send({ scope: 'following', appointmentTime: '14:00' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data.rejected).toEqual([
+      expect.objectContaining({ appointmentId: appointments[1].id, date: leaveDay, reason: 'Doctor is on leave at the selected time' })
+    ]);
+    const { rows } = await repositories.appointments.findMany({ filters: { seriesId: series.id } });
+    rows.forEach((appointment) => expect(appointment.appointmentTime).toBe('09:00'));
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  app,
+  request,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('appointment status lifecycle', () => {
+  let doctor;
+  let appointment;
+
+  const setStatus = (status, reason) => request(app)
+    .patch(`/api/appointments/${appointment.id}/status`)
+    .set(doctor.auth)
+    .send({ status, reason });
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+
+    appointment = (await request(app)
+      .post('/api/appointments')
+      .set(doctor.auth)
+      .send({
+        patientId: patient.id,
+        doctorId: doctor.doctor.id,
+        appointmentDate: dayFromToday(2),
+        appointmentTime: '10:00',
+        duration: 30,
+        type: 'consultation'
+      })).body.data.appointment;
+  });
+
+  test('moves through allowed transitions', async () => {
+    const confirmed = await setStatus('confirmed');
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data.appointment.status).toBe('confirmed');
+
+    const started = await request(app)
+      .put(`/api/appointments/${appointment.id}`)
+      .set(doctor.auth)
+      .send({ status: 'in-progress' });
+    expect(started.status).toBe(200);
+    expect((await setStatus('completed')).body.data.appointment.status).toBe('completed');
+  });
+
+  test('rejects a transition the lifecycle does not allow', async () => {
+    const res = await setStatus('completed');
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual({ currentStatus: 'scheduled', allowedStatuses: ['confirmed', 'cancelled', 'no-show'] });
+
+    await setStatus('cancelled', 'Patient travelled');
+    expect((await setStatus('scheduled')).status).toBe(409);
+  });
+
+  test('writes each change to the history', async () => {
+    await setStatus('confirmed');
+    await setStatus('cancelled', 'Patient travelled');
+    await setStatus('completed');
+
+    const res = await request(app).get(`/api/appointments/${appointment.id}/history`).set(doctor.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect(res.body.data.history.map(({ fromStatus, toStatus, reason, changedBy, changedByRole }) => ({
+      fromStatus, toStatus, reason, changedBy, changedByRole
+    }))).toEqual([
+      { fromStatus: null, toStatus: 'scheduled', reason: 'created', changedBy: doctor.user.id, changedByRole: 'doctor' },
+      { fromStatus: 'scheduled', toStatus: 'confirmed', reason: null, changedBy: doctor.user.id, changedByRole: 'doctor' },
+      { fromStatus: 'confirmed', toStatus: 'cancelled', reason: 'Patient travelled', changedBy: doctor.user.id, changedByRole: 'doctor' }
+    ]);
+  });
+});
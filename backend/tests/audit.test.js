@@ -0,0 +1,88 @@
+const {
+  app,
+  request,
+  repositories,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const { recordAccess, verifyChain } = require('../src/services/audit');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  resetStore();
+});
+
+// Entries are written once the response has been sent; waits for at least `expected` of them
+const auditEntries = async (filters, expected = 1) => {
+  for (let tries = 0; tries < 50; tries += 1) {
+    const { rows } = await repositories.auditLog.findMany({ filters, orderBy: { field: 'sequence', ascending: true } });
+    if (rows.length >= expected) return rows;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return [];
+};
+
+describe('audit trail', () => {
+  test('logs reads of prescriptions, lab results, appointments and doctor listings', async () => {
+    const doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+    const appointment = await repositories.appointments.create({
+      patientId: patient.id,
+      doctorId: doctor.doctor.id,
+      appointmentDate: '2026-05-01',
+      appointmentTime: '09:00',
+      duration: 30,
+      status: 'completed'
+    });
+
+    await request(app).get(`/api/appointments/${appointment.id}`).set(doctor.auth).expect(200);
+    const [read] = await auditEntries({ resource: 'appointment' });
+    expect(read).toMatchObject({ patientId: patient.id, resourceId: appointment.id, action: 'read', outcome: 'success', actorRole: 'doctor' });
+
+    await request(app).get(`/api/doctors/${doctor.doctor.id}/appointments`).set(doctor.auth).expect(200);
+    expect(await auditEntries({ resource: 'doctor', patientId: patient.id })).toHaveLength(1);
+
+    for (const [path, resource] of [['/api/prescriptions', 'prescription'], ['/api/lab-results', 'lab-result'], ['/api/lab-orders', 'lab-order'], ['/api/clinics', 'clinic']]) {
+      await request(app).get(path).set(doctor.auth).expect(200);
+      expect(await auditEntries({ resource })).toHaveLength(1);
+    }
+  });
+
+  test('chains emergency access and the reads made under it', async () => {
+    const outsider = await createDoctor();
+    const patient = await createPatient({ doctor: await createDoctor() });
+
+    const { grant } = (await request(app)
+      .post('/api/break-glass')
+      .set(outsider.auth)
+      .send({ patientId: patient.id, reason: 'Unconscious on arrival, heavy bleeding' })
+      .expect(201)).body.data;
+    await auditEntries({ resource: 'break-glass' });
+
+    await request(app).get(`/api/break-glass/${grant.id}`).set(outsider.auth).expect(200);
+    await request(app).get(`/api/patients/${patient.id}`).set(outsider.auth).expect(200);
+
+    const entries = await auditEntries({ actorId: outsider.user.id, patientId: patient.id }, 3);
+    expect(entries.map(({ resource, resourceId, action }) => ({ resource, resourceId, action }))).toEqual([
+      { resource: 'break-glass', resourceId: null, action: 'create' },
+      { resource: 'break-glass', resourceId: grant.id, action: 'read' },
+      { resource: 'patient', resourceId: patient.id, action: 'read' }
+    ]);
+    expect(await verifyChain()).toMatchObject({ valid: true, checked: 3 });
+  });
+
+  test('chains after an entry appended by another process', async () => {
+    await recordAccess({ resource: 'patient', action: 'read', statusCode: 200, outcome: 'success' });
+
+    // This process read the tail before the other process appended to it
+    const findMany = repositories.auditLog.findMany.bind(repositories.auditLog);
+    jest.spyOn(repositories.auditLog, 'findMany').mockImplementationOnce(async () => ({ rows: [], count: 0 }))
+      .mockImplementation(findMany);
+
+    const [entry] = await recordAccess({ resource: 'patient', action: 'read', statusCode: 200, outcome: 'success' });
+
+    expect(entry.sequence).toBe(2);
+    expect(await verifyChain()).toMatchObject({ valid: true, checked: 2 });
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('break-glass emergency access', () => {
+  let primary;
+  let outsider;
+  let patient;
+
+  const declare = () => request(app)
+    .post('/api/break-glass')
+    .set(outsider.auth)
+    .send({ patientId: patient.id, reason: 'Unconscious on arrival, heavy bleeding' });
+
+  beforeEach(async () => {
+    primary = await createDoctor();
+    outsider = await createDoctor();
+    patient = await createPatient({ doctor: primary });
+  });
+
+  test('grants time-limited access to a doctor with no care relationship', async () => {
+    expect((await request(app).get(`/api/patients/${patient.id}`).set(outsider.auth)).status).toBe(403);
+
+    const res = await declare();
+    expect(res.status).toBe(201);
+    expect(res.body.data.grant).toMatchObject({ patientId: patient.id, doctorId: outsider.doctor.id, reviewStatus: 'pending' });
+
+    expect((await request(app).get(`/api/patients/${patient.id}`).set(outsider.auth)).status).toBe(200);
+    expect((await request(app).get('/api/break-glass/mine').set(outsider.auth)).body.data.grants).toHaveLength(1);
+  });
+
+  test('refuses doctors who already have access', async () => {
+    const res = await request(app)
+      .post('/api/break-glass')
+      .set(primary.auth)
+      .send({ patientId: patient.id, reason: 'Unconscious on arrival, heavy bleeding' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual({ basis: 'care-team' });
+  });
+
+  test('access ends when the grant expires', async () => {
+    const { grant } = (await declare()).body.data;
+    await repositories.breakGlassGrants.update(grant.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect((await request(app).get(`/api/patients/${patient.id}`).set(outsider.auth)).status).toBe(403);
+    expect((await request(app).get('/api/break-glass/mine').set(outsider.auth)).body.data.grants).toEqual([]);
+  });
+
+  test('an admin reviews the grant, and access judged inappropriate ends at once', async () => {
+    const admin = await createUser('admin');
+    const { grant } = (await declare()).body.data;
+
+    const pending = (await request(app).get('/api/break-glass/review').set(admin.auth)).body.data.grants;
+    expect(pending.map(({ id }) => id)).toEqual([grant.id]);
+
+    const res = await request(app)
+      .patch(`/api/break-glass/${grant.id}/acknowledge`)
+      .set(admin.auth)
+      .send({ outcome: 'inappropriate', notes: 'Not an emergency' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.grant).toMatchObject({ reviewStatus: 'reviewed', reviewOutcome: 'inappropriate', endedBy: admin.user.id });
+
+    expect((await request(app).get('/api/break-glass/review').set(admin.auth)).body.data.grants).toEqual([]);
+    expect((await request(app).get(`/api/patients/${patient.id}`).set(outsider.auth)).status).toBe(403);
+  });
+
+  test('cannot be turned into a lasting care relationship', async () => {
+    const { grant } = (await declare()).body.data;
+    const colleague = await createDoctor();
+
+    const attempts = [
+      request(app)
+        .post(`/api/patients/${patient.id}/care-team`)
+        .set(outsider.auth)
+        .send({ doctorId: outsider.doctor.id, role: 'consultant' }),
+      request(app)
+        .post(`/api/patients/${patient.id}/referrals`)
+        .set(outsider.auth)
+        .send({ toDoctorId: colleague.doctor.id, reason: 'Needs a specialist' }),
+      request(app)
+        .post('/api/appointments')
+        .set(outsider.auth)
+        .send({
+          patientId: patient.id,
+          doctorId: outsider.doctor.id,
+          appointmentDate: dayFromToday(3),
+          appointmentTime: '10:00',
+          duration: 30,
+          type: 'follow-up'
+        })
+    ];
+    for (const res of await Promise.all(attempts)) {
+      expect(res.status).toBe(403);
+    }
+
+    expect((await repositories.careTeamMembers.count({ patientId: patient.id, doctorId: outsider.doctor.id }))).toBe(0);
+    expect((await repositories.appointments.count({ patientId: patient.id }))).toBe(0);
+    expect((await repositories.referrals.count({ patientId: patient.id }))).toBe(0);
+
+    await request(app).patch(`/api/break-glass/${grant.id}/end`).set(outsider.auth);
+    expect((await request(app).get(`/api/patients/${patient.id}`).set(outsider.auth)).status).toBe(403);
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  app,
+  request,
+  repositories,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  resetStore();
+});
+
+describe('deliveries', () => {
+  let doctor;
+  let mother;
+  let pregnancy;
+  let base;
+
+  const deliveredAt = () => new Date(Date.now() - 3600000).toISOString();
+  const newborn = (fields = {}) => ({ sex: 'female', outcome: 'live-birth', birthWeightGrams: 3200, apgar5Min: 9, ...fields });
+
+  const recordDelivery = (author, fields = {}) => request(app)
+    .post(base)
+    .set(author.auth)
+    .send({ deliveredAt: deliveredAt(), mode: 'spontaneous-vaginal', newborns: [newborn()], ...fields });
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    mother = await createPatient({ doctor, lastName: 'Mensah', isPregnant: true });
+    pregnancy = (await request(app)
+      .post(`/api/patients/${mother.id}/pregnancies`)
+      .set(doctor.auth)
+      .send({ lmp: '2026-01-10', gravida: 1, para: 0 })).body.data.pregnancy;
+
+    base = `/api/patients/${mother.id}/pregnancies/${pregnancy.id}/delivery`;
+  });
+
+  test('registers live-born babies as patients and closes the pregnancy', async () => {
+    const res = await recordDelivery(doctor, { newborns: [newborn(), newborn({ sex: 'male', outcome: 'fresh-stillbirth' })] });
+
+    expect(res.status).toBe(201);
+    const { delivery, newborns } = res.body.data;
+    expect(newborns.map(({ birthOrder, patientId }) => ({ birthOrder, registered: Boolean(patientId) })))
+      .toEqual([{ birthOrder: 1, registered: true }, { birthOrder: 2, registered: false }]);
+
+    const baby = await repositories.patients.findById(newborns[0].patientId);
+    expect(baby).toMatchObject({ firstName: 'Baby', lastName: 'Mensah', gender: 'female', motherId: mother.id, deliveryId: delivery.id });
+    expect(await repositories.careTeamMembers.findOne({ patientId: baby.id, doctorId: doctor.doctor.id })).toBeTruthy();
+
+    expect(res.body.data.pregnancy).toMatchObject({ status: 'closed', outcome: 'live-birth' });
+    expect(await repositories.patients.findById(mother.id)).toMatchObject({ isPregnant: false });
+    expect((await recordDelivery(doctor)).status).toBe(409);
+  });
+
+  test('checks every newborn before writing anything', async () => {
+    const res = await recordDelivery(doctor, {
+      newborns: [newborn(), newborn({ outcome: 'fresh-stillbirth', breastfeedingInitiatedAt: new Date().toISOString() })]
+    });
+
+    expect(res.status).toBe(400);
+    expect(await repositories.deliveries.count({ pregnancyId: pregnancy.id })).toBe(0);
+    expect(await repositories.patients.count({ motherId: mother.id })).toBe(0);
+  });
+
+  test('removes a delivery that fails part way and leaves the pregnancy open', async () => {
+    const create = repositories.newborns.create.bind(repositories.newborns);
+    jest.spyOn(repositories.newborns, 'create')
+      .mockImplementationOnce(create)
+      .mockImplementationOnce(async () => { throw new Error('Connection lost'); });
+
+    const res = await recordDelivery(doctor, { newborns: [newborn(), newborn({ sex: 'male' })] });
+
+    expect(res.status).toBe(500);
+    expect(await repositories.deliveries.count({ pregnancyId: pregnancy.id })).toBe(0);
+    expect(await repositories.newborns.count({ motherId: mother.id })).toBe(0);
+    expect(await repositories.patients.count({ motherId: mother.id })).toBe(0);
+    expect(await repositories.pregnancies.findById(pregnancy.id)).toMatchObject({ status: 'active' });
+  });
+
+  test('rejects an unknown mode of delivery', async () => {
+    const res = await recordDelivery(doctor, { mode: 'water-birth' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toMatch(/Mode must be one of/);
+  });
+
+  test("books postnatal appointments only within the doctor's hours", async () => {
+    await recordDelivery(doctor).expect(201);
+    const book = (appointmentTime) => request(app)
+      .post(`${base}/appointments`)
+      .set(doctor.auth)
+      .send({ doctorId: doctor.doctor.id, appointmentDate: dayFromToday(3), appointmentTime, duration: 30 });
+
+    const late = await book('16:30');
+    expect(late.status).toBe(409);
+    expect(late.body.data.unavailable).toEqual([expect.objectContaining({
+      appointmentTime: '17:00',
+      reason: 'Selected time is outside the doctor\'s available hours'
+    })]);
+    expect(await repositories.appointments.count({ doctorId: doctor.doctor.id })).toBe(0);
+
+    const booked = await book('10:00');
+    expect(booked.status).toBe(201);
+    expect(booked.body.data.appointments.map(({ appointmentTime }) => appointmentTime)).toEqual(['10:00', '10:30']);
+  });
+
+  test("refuses doctors outside the patient's care team", async () => {
+    const outsider = await createDoctor();
+
+    expect((await recordDelivery(outsider)).status).toBe(403);
+    expect((await request(app).get(base).set(outsider.auth)).status).toBe(403);
+  });
+});
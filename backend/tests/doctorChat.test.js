@@ -0,0 +1,45 @@
+const {
+  app,
+  request,
+  createUser,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('doctor AI chat', () => {
+  let doctor;
+  let patient;
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    patient = await createPatient({ doctor });
+  });
+
+  const chat = (user, body) => request(app).post('/api/doctor-chat').set(user ? user.auth : {}).send(body);
+
+  test('is mounted behind authentication and the doctor role', async () => {
+    expect((await chat(null, { message: 'Hello', patientId: patient.id })).status).toBe(401);
+
+    const account = await createUser('patient');
+    expect((await chat(account, { message: 'Hello', patientId: patient.id })).status).toBe(403);
+  });
+
+  test('needs a patient in the doctor\'s care', async () => {
+    expect((await chat(doctor, { message: 'Hello' })).status).toBe(400);
+
+    const outsider = await createDoctor();
+    const res = await chat(outsider, { message: 'Hello', patientId: patient.id });
+    expect(res.status).toBe(403);
+    expect(res.body.error.message).not.toBe('Consent Required');
+  });
+
+  test('needs the patient\'s ai-chat consent', async () => {
+    const res = await chat(doctor, { message: 'Hello', patientId: patient.id });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.message).toBe('Consent Required');
+  });
+});
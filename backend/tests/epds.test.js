@@ -0,0 +1,89 @@
+const {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const { scoreEpds, scoreTrend } = require('../src/services/epds');
+
+afterEach(() => resetStore());
+
+// Answers are option indexes; 3 on every reversed item (3, 5-10) is the best answer there
+const NO_SYMPTOMS = [0, 0, 3, 0, 3, 3, 3, 3, 3, 3];
+
+describe('EPDS scoring', () => {
+  test('scores reversed items from the last option', () => {
+    expect(scoreEpds(NO_SYMPTOMS)).toEqual({
+      itemScores: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+      totalScore: 0,
+      risk: 'low',
+      selfHarmRisk: false,
+      referralRecommended: false
+    });
+    expect(scoreEpds([3, 3, 0, 3, 0, 0, 0, 0, 0, 0]).totalScore).toBe(30);
+  });
+
+  test('grades risk at 10 and 13', () => {
+    expect(scoreEpds([3, 3, 2, 3, 3, 3, 3, 3, 3, 3])).toMatchObject({ totalScore: 10, risk: 'possible-depression', referralRecommended: false });
+    expect(scoreEpds([3, 3, 0, 3, 3, 3, 3, 3, 3, 3])).toMatchObject({ totalScore: 12, risk: 'possible-depression' });
+    expect(scoreEpds([3, 3, 0, 3, 2, 3, 3, 3, 3, 3])).toMatchObject({ totalScore: 13, risk: 'probable-depression', referralRecommended: true });
+  });
+
+  test('recommends referral for any thought of self-harm, whatever the total', () => {
+    expect(scoreEpds([0, 0, 3, 0, 3, 3, 3, 3, 3, 2])).toMatchObject({
+      totalScore: 1,
+      risk: 'low',
+      selfHarmRisk: true,
+      referralRecommended: true
+    });
+  });
+
+  test('rejects incomplete or out-of-range answers', () => {
+    expect(() => scoreEpds([1, 1, 1])).toThrow('Answers must be 10 option numbers');
+    expect(() => scoreEpds([...NO_SYMPTOMS.slice(0, 9), 4])).toThrow();
+    expect(() => scoreEpds([...NO_SYMPTOMS.slice(0, 9), 1.5])).toThrow();
+  });
+});
+
+describe('EPDS trend', () => {
+  test('compares the latest two screenings', () => {
+    const trend = scoreTrend([
+      { id: 'b', completedAt: '2026-03-10T09:00:00.000Z', totalScore: 14 },
+      { id: 'a', completedAt: '2026-02-10T09:00:00.000Z', totalScore: 8 },
+      { id: 'c', completedAt: '2026-04-10T09:00:00.000Z', totalScore: 13 }
+    ]);
+
+    expect(trend.points.map((point) => point.id)).toEqual(['a', 'b', 'c']);
+    expect(trend).toMatchObject({ change: -1, direction: 'stable', highestScore: 14 });
+    expect(scoreTrend([]).direction).toBeNull();
+  });
+});
+
+describe('EPDS API', () => {
+  test('raises a recommended referral with the care team', async () => {
+    const doctor = await createDoctor();
+    const account = await createUser('patient');
+    const patient = await createPatient({ doctor, account });
+
+    const res = await request(app)
+      .post('/api/patient/epds')
+      .set(account.auth)
+      .send({ answers: [0, 0, 3, 0, 3, 3, 3, 3, 3, 1] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.screening).toMatchObject({
+      patientId: patient.id,
+      completedBy: 'patient',
+      referralStatus: 'recommended'
+    });
+
+    const { rows } = await repositories.notifications.findMany({ filters: { template: 'epds-referral' } });
+    expect(rows.map((notification) => notification.recipientId)).toEqual([doctor.user.id]);
+
+    const outsider = await createDoctor();
+    expect((await request(app).get(`/api/patients/${patient.id}/epds`).set(outsider.auth)).status).toBe(403);
+  });
+});
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/index');
+const { repositories, memoryStore } = require('../src/repositories');
+const { memoryAuth } = require('../src/config/memoryAuth');
+const { assignCareTeamMember } = require('../src/services/careTeam');
+
+// A user with a signed token, as returned by /api/auth/login
+const createUser = async (role, fields = {}) => {
+  const user = await repositories.users.create({
+    id: crypto.randomUUID(),
+    email: `${role}-${crypto.randomUUID().slice(0, 8)}@example.com`,
+    firstName: 'Test',
+    lastName: role,
+    role,
+    isActive: true,
+    ...fields
+  });
+  const token = jwt.sign({ userId: user.id, email: user.email, role }, process.env.JWT_SECRET);
+
+  return { user, token, auth: { Authorization: `Bearer ${token}` } };
+};
+
+// A doctor account with its doctor profile, working every day from 08:00 to 17:00
+const createDoctor = async (fields = {}) => {
+  const account = await createUser('doctor');
+  const hours = '08:00-17:00';
+  const doctor = await repositories.doctors.create({
+    userId: account.user.id,
+    firstName: 'Test',
+    lastName: 'Doctor',
+    specialization: 'Obstetrics',
+    licenseNumber: crypto.randomUUID().slice(0, 8),
+    availability: Object.fromEntries(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+      .map((day) => [day, hours])),
+    ...fields
+  });
+
+  return { ...account, doctor };
+};
+
+// A patient record; `doctor` joins its care team and `account` links a patient login to it
+const createPatient = async ({ doctor, account, ...fields } = {}) => {
+  const patient = await repositories.patients.create({
+    firstName: 'Test',
+    lastName: 'Patient',
+    dateOfBirth: '1995-01-01',
+    gender: 'female',
+    userId: account ? account.user.id : null,
+    ...fields
+  });
+
+  if (doctor) {
+    await assignCareTeamMember({ patientId: patient.id, doctorId: doctor.doctor.id, role: 'primary', assignedBy: doctor.user.id });
+  }
+
+  return patient;
+};
+
+// YYYY-MM-DD `days` from today
+const dayFromToday = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+// Clear every table and registered login between tests
+const resetStore = () => {
+  memoryStore.reset();
+  memoryAuth.reset();
+};
+
+module.exports = {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+};
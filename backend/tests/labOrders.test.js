@@ -0,0 +1,113 @@
+const {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const { assignCareTeamMember } = require('../src/services/careTeam');
+
+afterEach(() => resetStore());
+
+describe('lab order workflow', () => {
+  let doctor;
+  let colleague;
+  let patient;
+  let order;
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    colleague = await createDoctor();
+    patient = await createPatient({ doctor });
+    await assignCareTeamMember({ patientId: patient.id, doctorId: colleague.doctor.id, role: 'consulting', assignedBy: doctor.user.id });
+
+    const record = (await request(app)
+      .post('/api/medical-records')
+      .set(doctor.auth)
+      .send({ patientId: patient.id, doctorId: doctor.doctor.id, visitDate: '2026-10-01', chiefComplaint: 'Booking visit' })).body.data.record;
+    order = (await request(app)
+      .post('/api/lab-orders')
+      .set(doctor.auth)
+      .send({ medicalRecordId: record.id, tests: ['HB'] })).body.data.labOrder;
+  });
+
+  // Collect, result and verify the order with two lab users
+  const verify = async () => {
+    const entering = await createUser('lab');
+    const verifying = await createUser('lab');
+
+    expect((await request(app).patch(`/api/lab-orders/${order.id}/collect`).set(entering.auth).send({})).status).toBe(200);
+    expect((await request(app)
+      .patch(`/api/lab-orders/${order.id}/results`)
+      .set(entering.auth)
+      .send({ results: [{ testCode: 'HB', value: 10.8 }] })).status).toBe(200);
+
+    const res = await request(app).patch(`/api/lab-orders/${order.id}/verify`).set(verifying.auth);
+    expect(res.status).toBe(200);
+    return res.body.data.labResults;
+  };
+
+  test('is closed by the ordering doctor only', async () => {
+    await verify();
+
+    const byColleague = await request(app).patch(`/api/lab-orders/${order.id}/close`).set(colleague.auth);
+    expect(byColleague.status).toBe(403);
+
+    const byOrderingDoctor = await request(app).patch(`/api/lab-orders/${order.id}/close`).set(doctor.auth);
+    expect(byOrderingDoctor.status).toBe(200);
+    expect(byOrderingDoctor.body.data.labOrder.status).toBe('closed');
+  });
+
+  test('keeps verified results from being corrected directly', async () => {
+    const [result] = await verify();
+
+    const corrected = await request(app).put(`/api/lab-results/${result.id}`).set(doctor.auth).send({ value: 13.2 });
+    expect(corrected.status).toBe(400);
+    expect((await repositories.labResults.findById(result.id)).numericValue).toBe(10.8);
+
+    const noted = await request(app).put(`/api/lab-results/${result.id}`).set(doctor.auth).send({ notes: 'Repeat in 4 weeks' });
+    expect(noted.status).toBe(200);
+  });
+
+  test('rejects turnaround ranges that are not dates', async () => {
+    const lab = await createUser('lab');
+
+    const bad = await request(app).get('/api/lab-orders/turnaround?startDate=yesterday').set(lab.auth);
+    expect(bad.status).toBe(400);
+
+    const impossible = await request(app).get('/api/lab-orders/turnaround?endDate=2026-02-30').set(lab.auth);
+    expect(impossible.status).toBe(400);
+
+    const ok = await request(app).get('/api/lab-orders/turnaround?startDate=2026-01-01&endDate=2099-12-31').set(lab.auth);
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.orderCount).toBe(1);
+  });
+});
+
+describe('staff registration', () => {
+  const account = (role) => ({
+    email: `${role}@example.com`,
+    password: 'secret-pass',
+    firstName: 'Grace',
+    lastName: 'Nakato',
+    role
+  });
+
+  test('is refused without an admin token', async () => {
+    const patient = await createUser('patient');
+
+    expect((await request(app).post('/api/auth/register').send(account('lab'))).status).toBe(403);
+    expect((await request(app).post('/api/auth/register').set(patient.auth).send(account('admin'))).status).toBe(403);
+    expect(await repositories.users.findOne({ email: 'lab@example.com' })).toBeNull();
+  });
+
+  test('is open to admins', async () => {
+    const admin = await createUser('admin');
+
+    const res = await request(app).post('/api/auth/register').set(admin.auth).send(account('lab'));
+    expect(res.status).toBe(201);
+    expect(res.body.data.user.role).toBe('lab');
+  });
+});
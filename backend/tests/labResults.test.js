@@ -0,0 +1,65 @@
+const {
+  app,
+  request,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('lab results', () => {
+  let doctor;
+  let patient;
+
+  const recordResult = (author, fields = {}) => request(app)
+    .post('/api/lab-results')
+    .set(author.auth)
+    .send({ patientId: patient.id, doctorId: doctor.doctor.id, testCode: 'HB', value: 13, ...fields });
+
+  const worklist = async () => (await request(app).get('/api/lab-results/worklist').set(doctor.auth)).body.data.labResults
+    .map(({ id }) => id);
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    patient = await createPatient({ doctor });
+  });
+
+  test('flags a result against the reference range', async () => {
+    const normal = await recordResult(doctor);
+    expect(normal.status).toBe(201);
+    expect(normal.body.data.labResult).toMatchObject({ flag: 'normal', isCritical: false });
+
+    const low = await recordResult(doctor, { value: 10.5 });
+    expect(low.body.data.labResult).toMatchObject({ flag: 'low', isCritical: false });
+  });
+
+  test('puts critical results on the worklist until acknowledged', async () => {
+    const { labResult } = (await recordResult(doctor, { value: 6.2 })).body.data;
+    expect(labResult).toMatchObject({ flag: 'critical', isCritical: true });
+    expect(await worklist()).toEqual([labResult.id]);
+
+    const acknowledged = await request(app).patch(`/api/lab-results/${labResult.id}/acknowledge`).set(doctor.auth);
+    expect(acknowledged.status).toBe(200);
+    expect(acknowledged.body.data.labResult.acknowledgedBy).toBe(doctor.user.id);
+    expect(await worklist()).toEqual([]);
+
+    // A corrected value that is still critical needs acknowledging again
+    await request(app).put(`/api/lab-results/${labResult.id}`).set(doctor.auth).send({ value: 6.0 }).expect(200);
+    expect(await worklist()).toEqual([labResult.id]);
+  });
+
+  test('rejects unknown tests', async () => {
+    const res = await recordResult(doctor, { testCode: 'NOPE' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("refuses doctors outside the patient's care team", async () => {
+    const outsider = await createDoctor();
+    const { labResult } = (await recordResult(doctor)).body.data;
+
+    expect((await recordResult(outsider)).status).toBe(403);
+    expect((await request(app).put(`/api/lab-results/${labResult.id}`).set(outsider.auth).send({ notes: 'Haemolysed' })).status).toBe(403);
+  });
+});
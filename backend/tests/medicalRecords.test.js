@@ -0,0 +1,95 @@
+const {
+  app,
+  request,
+  repositories,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('medical record versions and retraction', () => {
+  let doctor;
+  let patient;
+
+  const writeNote = (fields = {}) => request(app)
+    .post('/api/medical-records')
+    .set(doctor.auth)
+    .send({ patientId: patient.id, doctorId: doctor.doctor.id, visitDate: '2026-05-01', chiefComplaint: 'Lower abdominal pain', ...fields });
+
+  const listIds = async (query = '') => (await request(app)
+    .get(`/api/medical-records?patientId=${patient.id}${query}`)
+    .set(doctor.auth)).body.data.records.map(({ id }) => id);
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    patient = await createPatient({ doctor });
+  });
+
+  test('stores each amendment as a version and refuses a stale one', async () => {
+    const { id } = (await writeNote()).body.data.record;
+
+    const amended = await request(app)
+      .put(`/api/medical-records/${id}`)
+      .set(doctor.auth)
+      .send({ diagnosis: 'Ovarian cyst', reason: 'Ultrasound reviewed', expectedVersion: 1 });
+    expect(amended.status).toBe(200);
+    expect(amended.body.data.record.version).toBe(2);
+
+    const stale = await request(app)
+      .put(`/api/medical-records/${id}`)
+      .set(doctor.auth)
+      .send({ diagnosis: 'Appendicitis', reason: 'Second opinion', expectedVersion: 1 });
+    expect(stale.status).toBe(409);
+    expect(stale.body.data).toEqual({ currentVersion: 2 });
+
+    const { versions } = (await request(app).get(`/api/medical-records/${id}/versions`).set(doctor.auth)).body.data;
+    expect(versions.map(({ version, reason }) => ({ version, reason }))).toEqual([
+      { version: 1, reason: expect.anything() },
+      { version: 2, reason: 'Ultrasound reviewed' }
+    ]);
+
+    const diff = await request(app).get(`/api/medical-records/${id}/diff`).set(doctor.auth);
+    expect(diff.body.data.changes).toEqual([{ field: 'diagnosis', from: null, to: 'Ovarian cyst' }]);
+  });
+
+  test('keeps a retracted record readable but out of lists and locked', async () => {
+    const { id } = (await writeNote()).body.data.record;
+    const { id: kept } = (await writeNote({ visitDate: '2026-05-02' })).body.data.record;
+
+    const retracted = await request(app)
+      .delete(`/api/medical-records/${id}`)
+      .set(doctor.auth)
+      .send({ reason: 'Recorded against the wrong patient' });
+    expect(retracted.status).toBe(200);
+    expect(retracted.body.data.record.status).toBe('entered-in-error');
+
+    expect(await listIds()).toEqual([kept]);
+    expect((await listIds('&includeEnteredInError=true')).sort()).toEqual([id, kept].sort());
+    expect((await request(app).get(`/api/medical-records/${id}`).set(doctor.auth)).status).toBe(200);
+
+    const amended = await request(app)
+      .put(`/api/medical-records/${id}`)
+      .set(doctor.auth)
+      .send({ diagnosis: 'Too late', reason: 'Correction' });
+    expect(amended.status).toBe(409);
+  });
+
+  test('treats records from before retraction and signing as active and unsigned', async () => {
+    const older = await repositories.medicalRecords.create({
+      patientId: patient.id,
+      doctorId: doctor.doctor.id,
+      visitDate: '2025-01-10',
+      chiefComplaint: 'Headache',
+      status: null,
+      signatureStatus: null,
+      createdAt: '2025-01-10T09:00:00.000Z'
+    });
+
+    expect(await listIds()).toEqual([older.id]);
+
+    const pending = (await request(app).get('/api/medical-records/pending-signature').set(doctor.auth)).body.data;
+    expect(pending.unsigned.map(({ id }) => id)).toEqual([older.id]);
+  });
+});
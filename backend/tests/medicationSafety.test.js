@@ -0,0 +1,71 @@
+const { repositories, createPatient, dayFromToday, resetStore } = require('./helpers');
+const { importFormulary, SEED_FORMULARY } = require('../src/services/formulary');
+const { checkMedications } = require('../src/services/medicationSafety');
+
+afterEach(() => resetStore());
+
+const actor = { userId: 'admin-1', role: 'admin' };
+
+describe('medication safety checks', () => {
+  beforeEach(async () => {
+    await importFormulary([
+      ...SEED_FORMULARY,
+      { genericName: 'Penicillamine', drugClass: 'chelating agent', pregnancyCategory: 'D', lactationCategory: 'caution' }
+    ], actor);
+  });
+
+  const warningsFor = async (patient, drugs) => checkMedications({ patient, items: drugs.map((drug) => ({ drug })) });
+
+  test('matches allergies to whole class names only', async () => {
+    const patient = await createPatient({ allergies: ['Penicillin'] });
+
+    const [amoxicillin] = await warningsFor(patient, ['Amoxicillin']);
+    expect(amoxicillin).toMatchObject({ type: 'allergy', severity: 'high' });
+
+    const [ceftriaxone] = await warningsFor(patient, ['Ceftriaxone']);
+    expect(ceftriaxone).toMatchObject({ type: 'allergy', severity: 'moderate' });
+
+    expect(await warningsFor(patient, ['Penicillamine'])).toEqual([]);
+  });
+
+  test('ignores allergy terms that are part of a class name', async () => {
+    const patient = await createPatient({ allergies: ['cillin', 'lin', 'blocker'] });
+
+    expect(await warningsFor(patient, ['Amoxicillin', 'Ceftriaxone', 'Labetalol'])).toEqual([]);
+  });
+
+  test('warns about drugs to avoid while breastfeeding', async () => {
+    const patient = await createPatient();
+    await repositories.postnatalVisits.create({ patientId: patient.id, subject: 'mother', visitDate: dayFromToday(-14), breastfeeding: 'exclusive' });
+    await repositories.postnatalVisits.create({ patientId: patient.id, subject: 'mother', visitDate: dayFromToday(-7), breastfeeding: null });
+
+    const warnings = await warningsFor(patient, ['Ciprofloxacin', 'Amoxicillin', 'Metronidazole']);
+    expect(warnings).toEqual([expect.objectContaining({ type: 'lactation', drug: 'Ciprofloxacin', lactationCategory: 'avoid' })]);
+  });
+
+  test('stops warning once the mother has stopped breastfeeding', async () => {
+    const patient = await createPatient();
+    await repositories.postnatalVisits.create({ patientId: patient.id, subject: 'mother', visitDate: dayFromToday(-42), breastfeeding: 'exclusive' });
+    await repositories.postnatalVisits.create({ patientId: patient.id, subject: 'mother', visitDate: dayFromToday(-7), breastfeeding: 'not-breastfeeding' });
+
+    expect(await warningsFor(patient, ['Ciprofloxacin'])).toEqual([]);
+  });
+
+  test('goes by whichever was recorded last, the flag or the latest visit', async () => {
+    const patient = await createPatient();
+    await repositories.postnatalVisits.create({ patientId: patient.id, subject: 'mother', visitDate: dayFromToday(-7), breastfeeding: 'not-breastfeeding' });
+
+    const flaggedBefore = { ...patient, isBreastfeeding: true, breastfeedingRecordedAt: `${dayFromToday(-30)}T10:00:00.000Z` };
+    expect(await warningsFor(flaggedBefore, ['Ciprofloxacin'])).toEqual([]);
+
+    const flaggedSince = { ...patient, isBreastfeeding: true, breastfeedingRecordedAt: `${dayFromToday(-1)}T10:00:00.000Z` };
+    expect(await warningsFor(flaggedSince, ['Ciprofloxacin'])).toHaveLength(1);
+  });
+
+  test('ignores postnatal visits from long ago', async () => {
+    const patient = await createPatient();
+    await repositories.postnatalVisits.create({ patientId: patient.id, subject: 'mother', visitDate: dayFromToday(-400), breastfeeding: 'exclusive' });
+
+    expect(await warningsFor(patient, ['Ciprofloxacin'])).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+const { app, request, repositories, createUser, resetStore } = require('./helpers');
+
+// Transports are chosen once per channel, so each test loads the modules afresh
+const loadNotifications = () => {
+  let notifications;
+  jest.isolateModules(() => {
+    notifications = require('../src/services/notifications');
+  });
+  return notifications;
+};
+
+const recipient = { userId: 'user-1', name: 'Amina Okoro', email: 'amina@example.com' };
+
+describe('notification transports without a provider', () => {
+  const env = { ...process.env };
+  let log;
+
+  beforeEach(() => {
+    delete process.env.SMTP_HOST;
+    delete process.env.NOTIFICATION_LOG_FILE;
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    log.mockRestore();
+  });
+
+  test('print to the console outside production', async () => {
+    const notifications = loadNotifications();
+
+    const [sent] = await notifications.notify({ template: 'appointment-booked', recipient, data: {}, channels: ['email'] });
+
+    expect(sent.status).toBe('delivered');
+    expect(log).toHaveBeenCalled();
+  });
+
+  test('fail without printing the message in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const notifications = loadNotifications();
+
+    const [failed] = await notifications.notify({ template: 'appointment-booked', recipient, data: {}, channels: ['email'] });
+
+    expect(failed).toMatchObject({ status: 'failed', attempts: 1, nextAttemptAt: null, deliveredAt: null });
+    expect(failed.lastError).toMatch(/No email provider/);
+    expect(log).not.toHaveBeenCalled();
+  });
+});
+
+describe('notification inbox', () => {
+  let owner;
+  let other;
+
+  // A notification in `user`'s inbox unless the fields say otherwise
+  const notification = (user, fields = {}) => repositories.notifications.create({
+    recipientId: user.user.id,
+    channel: 'in-app',
+    template: 'appointment-booked',
+    subject: 'Appointment booked',
+    body: 'Your appointment is booked',
+    status: 'delivered',
+    sentAt: new Date().toISOString(),
+    readAt: null,
+    ...fields
+  });
+
+  const inbox = async (query = '') => (await request(app).get(`/api/notifications${query}`).set(owner.auth)).body.data.notifications
+    .map(({ id }) => id);
+
+  beforeEach(async () => {
+    owner = await createUser('patient');
+    other = await createUser('patient');
+  });
+
+  afterEach(() => resetStore());
+
+  test('lists only delivered in-app notifications of the user', async () => {
+    const shown = await notification(owner);
+    await notification(owner, { channel: 'email' });
+    await notification(owner, { status: 'pending', sentAt: null });
+    await notification(other);
+
+    expect(await inbox()).toEqual([shown.id]);
+  });
+
+  test('filters unread notifications and tracks read state', async () => {
+    const read = await notification(owner, { readAt: new Date().toISOString() });
+    const unread = await notification(owner);
+
+    expect(await inbox('?unread=true')).toEqual([unread.id]);
+    expect((await request(app).get('/api/notifications/unread-count').set(owner.auth)).body.data.unreadCount).toBe(1);
+
+    const marked = await request(app).patch(`/api/notifications/${unread.id}/read`).set(owner.auth);
+    expect(marked.body.data.notification.readAt).toEqual(expect.any(String));
+    expect(await inbox('?unread=true')).toEqual([]);
+
+    await request(app).patch(`/api/notifications/${read.id}/unread`).set(owner.auth).expect(200);
+    expect(await inbox('?unread=true')).toEqual([read.id]);
+
+    const all = await request(app).patch('/api/notifications/read-all').set(owner.auth);
+    expect(all.body.data.updatedCount).toBe(1);
+    expect((await request(app).get('/api/notifications/unread-count').set(owner.auth)).body.data.unreadCount).toBe(0);
+  });
+
+  test("hides other users' notifications", async () => {
+    const theirs = await notification(other);
+
+    for (const action of ['read', 'unread']) {
+      expect((await request(app).patch(`/api/notifications/${theirs.id}/${action}`).set(owner.auth)).status).toBe(404);
+    }
+    expect((await request(app).delete(`/api/notifications/${theirs.id}`).set(owner.auth)).status).toBe(404);
+
+    await request(app).patch('/api/notifications/read-all').set(owner.auth);
+    expect(await repositories.notifications.findById(theirs.id)).toMatchObject({ readAt: null });
+  });
+});
+
+describe('due notification processing', () => {
+  const { processDueNotifications } = require('../src/services/notifications');
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+  const due = (fields = {}) => repositories.notifications.create({
+    recipientId: 'user-1',
+    channel: 'in-app',
+    template: 'appointment-reminder',
+    subject: 'Appointment reminder',
+    body: 'Your appointment is tomorrow',
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: minutesAgo(1),
+    updatedAt: minutesAgo(1),
+    ...fields
+  });
+
+  afterEach(() => resetStore());
+
+  test('sends each notification once when runs overlap', async () => {
+    const notification = await due();
+
+    const counts = await Promise.all([processDueNotifications(), processDueNotifications()]);
+
+    expect(counts.reduce((total, count) => total + count, 0)).toBe(1);
+    expect(await repositories.notifications.findById(notification.id)).toMatchObject({ status: 'delivered', attempts: 1 });
+  });
+
+  test('releases a claim abandoned by an earlier run', async () => {
+    const abandoned = await due({ status: 'sending', updatedAt: minutesAgo(30) });
+    const inFlight = await due({ status: 'sending', updatedAt: minutesAgo(1) });
+
+    expect(await processDueNotifications()).toBe(1);
+    expect(await repositories.notifications.findById(abandoned.id)).toMatchObject({ status: 'delivered' });
+    expect(await repositories.notifications.findById(inFlight.id)).toMatchObject({ status: 'sending', attempts: 0 });
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  app,
+  request,
+  repositories,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const { alertLineStart, lineCrossed, chartData } = require('../src/services/partograph');
+
+afterEach(() => resetStore());
+
+const HOUR = 3600000;
+const at = (start, hours) => new Date(Date.parse(start) + hours * HOUR).toISOString();
+
+describe('alert and action lines', () => {
+  const admitted = '2026-05-01T06:00:00.000Z';
+  const entries = [
+    { recordedAt: admitted, cervicalDilatationCm: 3 },
+    { recordedAt: at(admitted, 2), cervicalDilatationCm: 5 }
+  ];
+
+  test('start at the first active-phase dilatation', () => {
+    expect(alertLineStart(entries)).toEqual({ recordedAt: at(admitted, 2), cervicalDilatationCm: 5 });
+    expect(alertLineStart([entries[0]])).toBeNull();
+  });
+
+  test('flag progress slower than 1 cm an hour, and 4 hours behind it', () => {
+    const start = alertLineStart(entries);
+    const reading = (hours, cm) => lineCrossed(start, { recordedAt: at(admitted, 2 + hours), cervicalDilatationCm: cm });
+
+    expect(reading(2, 7)).toBeNull();
+    expect(reading(2, 6)).toBe('alert');
+    expect(reading(5, 6)).toBe('alert');
+    expect(reading(6, 6)).toBe('action');
+    expect(reading(10, 9.5)).toBe('action');
+    expect(reading(10, 10)).toBeNull();
+    expect(lineCrossed(null, { recordedAt: admitted, cervicalDilatationCm: 2 })).toBeNull();
+  });
+
+  test('are drawn from their start to full dilatation', () => {
+    const chart = chartData({ admittedAt: admitted }, entries);
+
+    expect(chart.alertLine).toEqual([
+      { time: at(admitted, 2), cervicalDilatationCm: 5 },
+      { time: at(admitted, 7), cervicalDilatationCm: 10 }
+    ]);
+    expect(chart.actionLine).toEqual([
+      { time: at(admitted, 6), cervicalDilatationCm: 5 },
+      { time: at(admitted, 11), cervicalDilatationCm: 10 }
+    ]);
+  });
+});
+
+describe('partograph API', () => {
+  let doctor;
+  let base;
+  let admittedAt;
+  let id;
+
+  const observe = (hours, cm) => request(app)
+    .post(`${base}/${id}/entries`)
+    .set(doctor.auth)
+    .send({ recordedAt: at(admittedAt, hours), cervicalDilatationCm: cm, fetalHeartRate: 140 });
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+    const { body: { data: { pregnancy } } } = await request(app)
+      .post(`/api/patients/${patient.id}/pregnancies`)
+      .set(doctor.auth)
+      .send({ lmp: '2026-01-10', gravida: 1, para: 0 });
+
+    base = `/api/patients/${patient.id}/pregnancies/${pregnancy.id}/partographs`;
+    admittedAt = new Date(Date.now() - 10 * HOUR).toISOString();
+    const opened = await request(app).post(base).set(doctor.auth).send({ admittedAt });
+    expect(opened.status).toBe(201);
+
+    id = opened.body.data.partograph.id;
+  });
+
+  test('stamps the first crossing of each line and closes on completion', async () => {
+    expect((await observe(0, 4)).body.data.entry.alerts).toEqual([]);
+
+    const slow = await observe(3, 6);
+    expect(slow.body.data.entry.alerts.map((alert) => alert.type)).toEqual(['alert-line-crossed']);
+    expect(slow.body.data.partograph.alertLineCrossedAt).toBe(at(admittedAt, 3));
+
+    const stalled = await observe(7, 6.5);
+    expect(stalled.body.data.entry.alerts.map((alert) => alert.type)).toEqual(['action-line-crossed']);
+    expect(stalled.body.data.partograph).toMatchObject({
+      alertLineCrossedAt: at(admittedAt, 3),
+      actionLineCrossedAt: at(admittedAt, 7)
+    });
+
+    expect((await observe(8, 5)).status).toBe(400);
+
+    expect((await request(app).patch(`${base}/${id}/complete`).set(doctor.auth)).status).toBe(200);
+    expect((await observe(9, 8)).status).toBe(409);
+  });
+
+  test('keeps dilatation rising when an entry is backdated', async () => {
+    const later = (await observe(6, 6)).body.data.entry;
+    expect(later.alerts).toEqual([]);
+
+    expect((await observe(3, 7)).status).toBe(400);
+
+    // An earlier active-phase reading moves the alert line left of the later one
+    const earlier = await observe(1, 4);
+    expect(earlier.status).toBe(201);
+    expect(earlier.body.data.partograph).toMatchObject({
+      activePhaseStartedAt: at(admittedAt, 1),
+      alertLineCrossedAt: at(admittedAt, 6),
+      actionLineCrossedAt: null
+    });
+    expect((await repositories.partographEntries.findById(later.id)).alerts.map((alert) => alert.type)).toEqual(['alert-line-crossed']);
+  });
+});
@@ -0,0 +1,210 @@
+const {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('care-team access outside the patient routes', () => {
+  let doctor;
+  let outsider;
+  let patient;
+  let record;
+
+  beforeEach(async () => {
+    const clinic = await repositories.clinics.create({ name: 'Mulago' });
+    doctor = await createDoctor({ clinicId: clinic.id });
+    outsider = await createDoctor();
+    patient = await createPatient({ doctor });
+
+    await repositories.appointments.create({
+      patientId: patient.id,
+      doctorId: doctor.doctor.id,
+      clinicId: clinic.id,
+      appointmentDate: '2026-05-01',
+      appointmentTime: '09:00',
+      duration: 30,
+      status: 'completed'
+    });
+    record = (await request(app)
+      .post('/api/medical-records')
+      .set(doctor.auth)
+      .send({ patientId: patient.id, doctorId: doctor.doctor.id, visitDate: '2026-05-01', chiefComplaint: 'Bleeding' })).body.data.record;
+  });
+
+  test("needs a doctor for a doctor's and a clinic's listings", async () => {
+    const account = await createUser('patient');
+    await createPatient({ account });
+
+    for (const path of ['medical-records', 'appointments', 'schedule?startDate=2026-05-01&endDate=2026-05-31']) {
+      expect((await request(app).get(`/api/doctors/${doctor.doctor.id}/${path}`).set(account.auth)).status).toBe(403);
+    }
+    expect((await request(app).get(`/api/clinics/${doctor.doctor.clinicId}/appointments`).set(account.auth)).status).toBe(403);
+  });
+
+  test('lists only patients the doctor can access', async () => {
+    const get = async (user, path) => (await request(app).get(path).set(user.auth)).body.data;
+    const base = `/api/doctors/${doctor.doctor.id}`;
+
+    expect((await get(doctor, `${base}/medical-records`)).records).toHaveLength(1);
+    expect((await get(outsider, `${base}/medical-records`)).records).toEqual([]);
+    expect((await get(outsider, `${base}/appointments`)).appointments).toEqual([]);
+    expect((await get(outsider, `${base}/schedule?startDate=2026-05-01&endDate=2026-05-31`)).appointments).toEqual([]);
+    expect((await get(outsider, `/api/clinics/${doctor.doctor.clinicId}/appointments`)).appointments).toEqual([]);
+    expect((await get(doctor, `/api/clinics/${doctor.doctor.clinicId}/appointments`)).appointments).toHaveLength(1);
+  });
+
+  test('keeps prescriptions, lab results and lab orders to the care team', async () => {
+    const prescription = await request(app)
+      .post('/api/prescriptions')
+      .set(doctor.auth)
+      .send({
+        patientId: patient.id,
+        doctorId: doctor.doctor.id,
+        items: [{ drug: 'Ferrous sulphate', strength: '200 mg', dose: '1 tablet', frequency: 'once daily', route: 'oral', durationDays: 30, quantity: 30 }]
+      });
+    expect(prescription.status).toBe(201);
+
+    const labResult = await request(app)
+      .post('/api/lab-results')
+      .set(doctor.auth)
+      .send({ patientId: patient.id, doctorId: doctor.doctor.id, testCode: 'HB', value: 11.5 });
+    expect(labResult.status).toBe(201);
+
+    const labOrder = await request(app)
+      .post('/api/lab-orders')
+      .set(doctor.auth)
+      .send({ medicalRecordId: record.id, tests: ['HB'] });
+    expect(labOrder.status).toBe(201);
+
+    const paths = [
+      `/api/prescriptions/${prescription.body.data.prescription.id}`,
+      `/api/prescriptions/patient/${patient.id}/active`,
+      `/api/lab-results/${labResult.body.data.labResult.id}`,
+      `/api/lab-orders/${labOrder.body.data.labOrder.id}`
+    ];
+    for (const path of paths) {
+      expect((await request(app).get(path).set(doctor.auth)).status).toBe(200);
+      expect((await request(app).get(path).set(outsider.auth)).status).toBe(403);
+    }
+
+    for (const path of ['/api/prescriptions', '/api/lab-results', '/api/lab-orders']) {
+      const { body } = await request(app).get(path).set(outsider.auth);
+      expect(body.data.pagination.totalCount).toBe(0);
+    }
+
+    expect((await request(app)
+      .post('/api/lab-orders')
+      .set(outsider.auth)
+      .send({ medicalRecordId: record.id, tests: ['HB'] })).status).toBe(403);
+
+    // Lab staff work on every order
+    const lab = await createUser('lab');
+    expect((await request(app).get(`/api/lab-orders/${labOrder.body.data.labOrder.id}`).set(lab.auth)).status).toBe(200);
+  });
+
+  test("keeps the waitlist to the care team's patients", async () => {
+    const entry = await request(app)
+      .post('/api/waitlist')
+      .set(doctor.auth)
+      .send({ patientId: patient.id, doctorId: doctor.doctor.id, preferredFrom: '2030-01-01', preferredTo: '2030-01-31' });
+    expect(entry.status).toBe(201);
+
+    expect((await request(app).get('/api/waitlist').set(outsider.auth)).body.data.entries).toEqual([]);
+    expect((await request(app).get('/api/waitlist').set(doctor.auth)).body.data.entries).toHaveLength(1);
+    expect((await request(app).delete(`/api/waitlist/${entry.body.data.entry.id}`).set(outsider.auth)).status).toBe(403);
+    expect((await request(app)
+      .post('/api/waitlist')
+      .set(outsider.auth)
+      .send({ patientId: patient.id, doctorId: outsider.doctor.id, preferredFrom: '2030-01-01', preferredTo: '2030-01-31' })).status).toBe(403);
+  });
+
+  test("cannot reach another patient by moving an appointment to them", async () => {
+    const victim = await createPatient();
+    const created = await request(app)
+      .post('/api/appointments')
+      .set(outsider.auth)
+      .send({
+        patientId: (await createPatient({ doctor: outsider })).id,
+        doctorId: outsider.doctor.id,
+        appointmentDate: dayFromToday(3),
+        appointmentTime: '10:00',
+        duration: 30,
+        type: 'consultation'
+      });
+    expect(created.status).toBe(201);
+
+    const moved = await request(app)
+      .put(`/api/appointments/${created.body.data.appointment.id}`)
+      .set(outsider.auth)
+      .send({ patientId: victim.id });
+    expect(moved.status).toBe(400);
+
+    const reassigned = await request(app)
+      .put(`/api/appointments/${created.body.data.appointment.id}`)
+      .set(outsider.auth)
+      .send({ doctorId: doctor.doctor.id, notes: 'Handing over' });
+    expect(reassigned.status).toBe(400);
+
+    expect((await request(app).get(`/api/patients/${victim.id}`).set(outsider.auth)).status).toBe(403);
+    expect((await repositories.appointments.findById(created.body.data.appointment.id)).notes).toBeUndefined();
+  });
+});
+
+describe('sharing the record with another clinic', () => {
+  let home;
+  let away;
+  let doctor;
+  let patient;
+
+  beforeEach(async () => {
+    home = await repositories.clinics.create({ name: 'Mulago' });
+    away = await repositories.clinics.create({ name: 'Nsambya' });
+    doctor = await createDoctor({ clinicId: home.id });
+    patient = await createPatient({ doctor, clinicId: home.id });
+  });
+
+  test('needs data-sharing consent to add a care-team member from another clinic', async () => {
+    const colleague = await createDoctor({ clinicId: away.id });
+    const add = () => request(app)
+      .post(`/api/patients/${patient.id}/care-team`)
+      .set(doctor.auth)
+      .send({ doctorId: colleague.doctor.id, role: 'consultant' });
+
+    const refused = await add();
+    expect(refused.status).toBe(403);
+    expect(refused.body.data).toEqual({ type: 'data-sharing', scope: away.id });
+
+    await request(app)
+      .post(`/api/patients/${patient.id}/consents`)
+      .set(doctor.auth)
+      .send({ type: 'data-sharing', scope: away.id, witnessName: 'Nurse A. Namubiru' });
+    expect((await add()).status).toBe(201);
+  });
+
+  test('does not take care-team membership as consent', async () => {
+    const member = await createDoctor({ clinicId: away.id });
+    const colleague = await createDoctor({ clinicId: away.id });
+    await repositories.careTeamMembers.create({
+      patientId: patient.id,
+      doctorId: member.doctor.id,
+      role: 'consultant',
+      assignedBy: doctor.user.id,
+      assignedAt: new Date().toISOString(),
+      endedAt: null
+    });
+
+    const res = await request(app)
+      .post(`/api/patients/${patient.id}/referrals`)
+      .set(doctor.auth)
+      .send({ toDoctorId: colleague.doctor.id, reason: 'Needs a specialist' });
+    expect(res.status).toBe(403);
+    expect(res.body.data).toEqual({ type: 'data-sharing', scope: away.id });
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('patient self-booking', () => {
+  let doctor;
+  let account;
+  const date = dayFromToday(3);
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    account = await createUser('patient');
+    await createPatient({ account });
+  });
+
+  test('books a free slot', async () => {
+    const res = await request(app)
+      .post('/api/patient/appointments')
+      .set(account.auth)
+      .send({ doctorId: doctor.doctor.id, appointmentDate: date, appointmentTime: '10:00', duration: 30 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.appointment).toMatchObject({ status: 'scheduled', bookedBy: 'patient' });
+  });
+
+  test('reports a clash with another patient by time only', async () => {
+    const other = await createPatient();
+    await repositories.appointments.create({
+      patientId: other.id,
+      doctorId: doctor.doctor.id,
+      appointmentDate: date,
+      appointmentTime: '10:00',
+      duration: 30,
+      status: 'scheduled',
+      reason: 'Miscarriage follow-up',
+      notes: 'Private notes'
+    });
+
+    const res = await request(app)
+      .post('/api/patient/appointments')
+      .set(account.auth)
+      .send({ doctorId: doctor.doctor.id, appointmentDate: date, appointmentTime: '10:15', duration: 30 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual({
+      blockedTimes: [{ appointmentDate: date, appointmentTime: '10:00', duration: 30, conflictsWith: 'doctor' }]
+    });
+    expect(JSON.stringify(res.body)).not.toContain(other.id);
+  });
+});
+
+describe('booking policy defaults', () => {
+  const env = { ...process.env };
+
+  // The defaults are read from the environment when the module loads
+  const loadDefaults = () => {
+    let defaults;
+    jest.isolateModules(() => {
+      defaults = require('../src/services/bookingPolicy').DEFAULT_POLICY;
+    });
+    return defaults;
+  };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('keep a setting of 0 from the environment', () => {
+    process.env.MIN_BOOKING_NOTICE_HOURS = '0';
+    process.env.CANCELLATION_NOTICE_HOURS = '0';
+    process.env.RESCHEDULE_NOTICE_HOURS = 'soon';
+    process.env.MAX_ADVANCE_BOOKING_DAYS = '-5';
+
+    expect(loadDefaults()).toEqual({
+      minBookingNoticeHours: 0,
+      maxAdvanceBookingDays: 90,
+      rescheduleNoticeHours: 24,
+      cancellationNoticeHours: 0
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  app,
+  request,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const {
+  naegeleDueDate,
+  datePregnancy,
+  gestationDaysOn,
+  formatGestation,
+  gestationOn
+} = require('../src/services/pregnancy');
+
+afterEach(() => resetStore());
+
+describe('EDD dating', () => {
+  test("applies Naegele's rule, adjusted for cycle length", () => {
+    expect(naegeleDueDate('2026-01-10')).toBe('2026-10-17');
+    expect(naegeleDueDate('2026-01-10', 32)).toBe('2026-10-21');
+    expect(naegeleDueDate('2025-12-20')).toBe('2026-09-27');
+  });
+
+  test('dates from the scan alone when there is no LMP', () => {
+    expect(datePregnancy({ ultrasoundDate: '2026-03-01', ultrasoundGestationWeeks: 8, ultrasoundGestationDays: 0 }))
+      .toMatchObject({ edd: '2026-10-11', eddMethod: 'ultrasound', lmpEdd: null });
+  });
+
+  test('keeps the LMP date while the scan agrees within the redating threshold', () => {
+    // A scan at 7+6 is within the first threshold (5 days); its EDD is 5 days before the LMP EDD
+    expect(datePregnancy({ lmp: '2026-01-10', ultrasoundDate: '2026-03-01', ultrasoundGestationWeeks: 7, ultrasoundGestationDays: 6 }))
+      .toMatchObject({ edd: '2026-10-17', eddMethod: 'lmp', ultrasoundEdd: '2026-10-12', datingDifferenceDays: 5 });
+  });
+
+  test('redates to the scan beyond the threshold for its gestational age', () => {
+    expect(datePregnancy({ lmp: '2026-01-10', ultrasoundDate: '2026-03-01', ultrasoundGestationWeeks: 8, ultrasoundGestationDays: 0 }))
+      .toMatchObject({ edd: '2026-10-11', eddMethod: 'ultrasound', datingDifferenceDays: 6 });
+
+    // At 20 weeks the threshold is 10 days
+    expect(datePregnancy({ lmp: '2026-01-10', ultrasoundDate: '2026-06-06', ultrasoundGestationWeeks: 20, ultrasoundGestationDays: 0 }))
+      .toMatchObject({ eddMethod: 'lmp' });
+  });
+
+  test('needs an LMP or a scan', () => {
+    expect(() => datePregnancy({})).toThrow('An LMP or a dating ultrasound is needed');
+  });
+});
+
+describe('gestational age', () => {
+  test('counts from the EDD and formats as weeks+days', () => {
+    expect(gestationDaysOn('2026-10-17', '2026-10-17')).toBe(280);
+    expect(gestationDaysOn('2026-10-17', '2026-01-10')).toBe(0);
+    expect(formatGestation(230)).toBe('32+6');
+  });
+
+  test('is not given before the pregnancy or after its outcome', () => {
+    const episode = { edd: '2026-10-17', status: 'closed', outcomeDate: '2026-10-10' };
+
+    expect(gestationOn(episode, '2025-12-31')).toBeNull();
+    expect(gestationOn(episode, '2026-10-11')).toBeNull();
+    expect(gestationOn(episode, '2026-06-01')).toMatchObject({ gestationalAge: '20+2', trimester: 2 });
+  });
+});
+
+describe('pregnancy episodes API', () => {
+  test('opens one dated episode per patient and stamps later records', async () => {
+    const doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+    const base = `/api/patients/${patient.id}/pregnancies`;
+
+    const opened = await request(app).post(base).set(doctor.auth).send({ lmp: '2026-01-10', gravida: 2, para: 1 });
+    expect(opened.status).toBe(201);
+    expect(opened.body.data.pregnancy).toMatchObject({ edd: '2026-10-17', eddMethod: 'lmp', status: 'active' });
+
+    const again = await request(app).post(base).set(doctor.auth).send({ lmp: '2026-02-01', gravida: 3, para: 1 });
+    expect(again.status).toBe(409);
+
+    const appointment = await request(app)
+      .post('/api/appointments')
+      .set(doctor.auth)
+      .send({ patientId: patient.id, doctorId: doctor.doctor.id, appointmentDate: '2026-06-01', appointmentTime: '09:00', duration: 30, type: 'routine' });
+    expect(appointment.body.data.appointment).toMatchObject({ pregnancyId: opened.body.data.pregnancy.id, gestationalAge: '20+2' });
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  app,
+  request,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const { importFormulary, SEED_FORMULARY } = require('../src/services/formulary');
+
+afterEach(() => resetStore());
+
+describe('prescriptions', () => {
+  let doctor;
+  let patient;
+
+  const item = (fields = {}) => ({
+    drug: 'Ferrous sulphate',
+    strength: '200 mg',
+    dose: '1 tablet',
+    frequency: 'once daily',
+    route: 'oral',
+    durationDays: 30,
+    quantity: 30,
+    ...fields
+  });
+
+  const prescribe = (author, fields = {}) => request(app)
+    .post('/api/prescriptions')
+    .set(author.auth)
+    .send({ patientId: patient.id, doctorId: doctor.doctor.id, items: [item()], ...fields });
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    patient = await createPatient({ doctor, allergies: ['Penicillin'] });
+  });
+
+  test('prescribes, lists the active medications and completes the prescription', async () => {
+    const created = await prescribe(doctor);
+    expect(created.status).toBe(201);
+    const { prescription } = created.body.data;
+    expect(prescription).toMatchObject({ status: 'active', patientId: patient.id, safetyOverride: null });
+
+    const active = await request(app).get(`/api/prescriptions/patient/${patient.id}/active`).set(doctor.auth);
+    expect(active.status).toBe(200);
+    expect(JSON.stringify(active.body.data)).toContain('Ferrous sulphate');
+
+    const completed = await request(app)
+      .patch(`/api/prescriptions/${prescription.id}/status`)
+      .set(doctor.auth)
+      .send({ status: 'completed' });
+    expect(completed.body.data.prescription).toMatchObject({ status: 'completed', completedAt: expect.any(String) });
+
+    const reopened = await request(app)
+      .patch(`/api/prescriptions/${prescription.id}/status`)
+      .set(doctor.auth)
+      .send({ status: 'discontinued' });
+    expect(reopened.status).toBe(409);
+
+    const changed = await request(app).put(`/api/prescriptions/${prescription.id}`).set(doctor.auth).send({ notes: 'Too late' });
+    expect(changed.status).toBe(409);
+  });
+
+  test('rejects invalid items', async () => {
+    const res = await prescribe(doctor, { items: [item({ route: 'by mouth' })] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toMatch(/Item 1: route must be one of/);
+  });
+
+  test('needs an override reason to prescribe against a safety warning', async () => {
+    await importFormulary(SEED_FORMULARY, { userId: 'admin-1', role: 'admin' });
+
+    const refused = await prescribe(doctor, { items: [item({ drug: 'Amoxicillin', strength: '500 mg', frequency: 'three times daily', durationDays: 5, quantity: 15 })] });
+    expect(refused.status).toBe(409);
+    expect(refused.body.data.warnings).toEqual([expect.objectContaining({ type: 'allergy' })]);
+
+    const overridden = await prescribe(doctor, {
+      items: [item({ drug: 'Amoxicillin', strength: '500 mg', frequency: 'three times daily', durationDays: 5, quantity: 15 })],
+      overrideReason: 'Tolerated amoxicillin last year'
+    });
+    expect(overridden.status).toBe(201);
+    expect(overridden.body.data.prescription.safetyOverride).toMatchObject({ reason: 'Tolerated amoxicillin last year', overriddenBy: doctor.user.id });
+  });
+
+  test("refuses doctors outside the patient's care team", async () => {
+    const outsider = await createDoctor();
+
+    expect((await prescribe(outsider)).status).toBe(403);
+  });
+});
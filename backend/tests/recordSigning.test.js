@@ -0,0 +1,96 @@
+const {
+  app,
+  request,
+  createDoctor,
+  createPatient,
+  resetStore
+} = require('./helpers');
+const { assignCareTeamMember } = require('../src/services/careTeam');
+
+afterEach(() => resetStore());
+
+describe('signing medical records', () => {
+  let doctor;
+  let patient;
+
+  const writeNote = (author) => request(app)
+    .post('/api/medical-records')
+    .set(author.auth)
+    .send({ patientId: patient.id, doctorId: author.doctor.id, visitDate: '2026-05-01', chiefComplaint: 'Lower abdominal pain' });
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    patient = await createPatient({ doctor });
+  });
+
+  test('locks a signed note against amendment; addenda are added instead', async () => {
+    const { id } = (await writeNote(doctor)).body.data.record;
+
+    const addendumFirst = await request(app).post(`/api/medical-records/${id}/addenda`).set(doctor.auth).send({ text: 'Too early' });
+    expect(addendumFirst.status).toBe(409);
+
+    const signed = await request(app).post(`/api/medical-records/${id}/sign`).set(doctor.auth).send({});
+    expect(signed.status).toBe(200);
+    expect(signed.body.data.record).toMatchObject({ signatureStatus: 'signed', lockedAt: expect.any(String) });
+
+    const amended = await request(app)
+      .put(`/api/medical-records/${id}`)
+      .set(doctor.auth)
+      .send({ diagnosis: 'Changed after signing', reason: 'Correction' });
+    expect(amended.status).toBe(409);
+
+    expect((await request(app).post(`/api/medical-records/${id}/sign`).set(doctor.auth).send({})).status).toBe(409);
+
+    const addendum = await request(app).post(`/api/medical-records/${id}/addenda`).set(doctor.auth).send({ text: 'Scan booked' });
+    expect(addendum.status).toBe(201);
+
+    const signature = await request(app).get(`/api/medical-records/${id}/signature`).set(doctor.auth);
+    expect(signature.body.data.signature.valid).toBe(true);
+  });
+
+  test('locks attachments with the signed note', async () => {
+    const { id } = (await writeNote(doctor)).body.data.record;
+    const upload = () => request(app)
+      .post(`/api/medical-records/${id}/attachments`)
+      .set(doctor.auth)
+      .field('category', 'scan')
+      .attach('file', Buffer.from('%PDF-1.4 report'), 'scan.pdf');
+
+    const uploaded = await upload();
+    expect(uploaded.status).toBe(201);
+    const { attachment } = uploaded.body.data;
+
+    await request(app).post(`/api/medical-records/${id}/sign`).set(doctor.auth).send({});
+
+    const late = await upload();
+    expect(late.status).toBe(409);
+    expect(late.body.data).toEqual({ signatureStatus: 'signed' });
+
+    expect((await request(app).delete(`/api/medical-records/${id}/attachments/${attachment.id}`).set(doctor.auth)).status).toBe(409);
+    expect((await request(app).get(`/api/medical-records/${id}/attachments`).set(doctor.auth)).body.data.attachments).toHaveLength(1);
+  });
+
+  test('only the author signs', async () => {
+    const colleague = await createDoctor();
+    const { id } = (await writeNote(doctor)).body.data.record;
+    await assignCareTeamMember({ patientId: patient.id, doctorId: colleague.doctor.id, role: 'other', assignedBy: doctor.user.id });
+
+    expect((await request(app).post(`/api/medical-records/${id}/sign`).set(colleague.auth).send({})).status).toBe(403);
+  });
+
+  test("holds an intern's note until the supervisor countersigns", async () => {
+    const intern = await createDoctor({ designation: 'intern', supervisorId: doctor.doctor.id });
+    await assignCareTeamMember({ patientId: patient.id, doctorId: intern.doctor.id, role: 'other', assignedBy: doctor.user.id });
+
+    const { id } = (await writeNote(intern)).body.data.record;
+
+    const signed = await request(app).post(`/api/medical-records/${id}/sign`).set(intern.auth).send({});
+    expect(signed.body.data.record).toMatchObject({ signatureStatus: 'pending-cosign', pendingCosignerId: doctor.doctor.id });
+
+    expect((await request(app).post(`/api/medical-records/${id}/cosign`).set(intern.auth)).status).toBe(403);
+
+    const cosigned = await request(app).post(`/api/medical-records/${id}/cosign`).set(doctor.auth);
+    expect(cosigned.status).toBe(200);
+    expect(cosigned.body.data.record.signatureStatus).toBe('signed');
+  });
+});
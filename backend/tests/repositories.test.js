@@ -0,0 +1,148 @@
+const { createMemoryStore, createMemoryRepository } = require('../src/repositories/memoryRepository');
+const { repositories, memoryStore } = require('../src/repositories');
+const { ENTITIES } = require('../src/repositories/entities');
+
+const DEFINITIONS = {
+  clinics: { table: 'clinics', relations: { doctors: { entity: 'doctors', kind: 'hasMany', foreignKey: 'clinicId' } } },
+  doctors: { table: 'doctors', relations: { clinics: { entity: 'clinics', kind: 'belongsTo', foreignKey: 'clinicId' } } }
+};
+
+const setup = (seed) => {
+  const store = createMemoryStore(seed);
+  const repos = {};
+  const resolve = (name) => repos[name];
+  Object.entries(DEFINITIONS).forEach(([name, definition]) => {
+    repos[name] = createMemoryRepository(store, definition, resolve);
+  });
+  return { store, repos };
+};
+
+describe('memory repository', () => {
+  let store;
+  let repos;
+
+  beforeEach(() => {
+    ({ store, repos } = setup({
+      clinics: [{ id: 'c1', name: 'Mulago' }, { id: 'c2', name: 'Nsambya' }],
+      doctors: [
+        { id: 'd1', lastName: 'Okello', clinicId: 'c1', rating: 4 },
+        { id: 'd2', lastName: 'Nakato', clinicId: 'c1', rating: 5 },
+        { id: 'd3', lastName: 'Achieng', clinicId: 'c2', rating: null }
+      ]
+    }));
+  });
+
+  test('loads the seed and finds rows by id', async () => {
+    expect(await repos.doctors.findById('d2')).toMatchObject({ lastName: 'Nakato' });
+    expect(await repos.doctors.findById('missing')).toBeNull();
+  });
+
+  test('filters by equality, null, ranges and lists', async () => {
+    const lastNames = async (filters) => (await repos.doctors.findMany({ filters, orderBy: { field: 'id' } }))
+      .rows.map((row) => row.lastName);
+
+    expect(await lastNames({ clinicId: 'c1' })).toEqual(['Okello', 'Nakato']);
+    expect(await lastNames({ rating: null })).toEqual(['Achieng']);
+    expect(await lastNames({ rating: { gte: 5 } })).toEqual(['Nakato']);
+    expect(await lastNames({ id: { in: ['d1', 'd3'] } })).toEqual(['Okello', 'Achieng']);
+    expect(await lastNames({ id: { notIn: ['d1'] }, clinicId: { neq: 'c2' } })).toEqual(['Nakato']);
+    expect(await lastNames({ clinicId: undefined })).toHaveLength(3);
+  });
+
+  // Like Postgres, comparisons never match null unless `orNull` asks for it
+  test('leaves nulls out of comparisons unless asked for', async () => {
+    const lastNames = async (filters) => (await repos.doctors.findMany({ filters, orderBy: { field: 'id' } }))
+      .rows.map((row) => row.lastName);
+
+    expect(await lastNames({ rating: { neq: 4 } })).toEqual(['Nakato']);
+    expect(await lastNames({ rating: { notIn: [4] } })).toEqual(['Nakato']);
+    expect(await lastNames({ rating: { neq: 4, orNull: true } })).toEqual(['Nakato', 'Achieng']);
+    expect(await lastNames({ rating: { eq: 4, orNull: true } })).toEqual(['Okello', 'Achieng']);
+  });
+
+  // Like Postgres, nulls sort last ascending and first descending
+  test('sorts, pages and counts', async () => {
+    const { rows, count } = await repos.doctors.findMany({
+      orderBy: { field: 'rating', ascending: false },
+      offset: 1,
+      limit: 1
+    });
+
+    expect(count).toBe(3);
+    expect(rows.map((row) => row.id)).toEqual(['d2']);
+    expect((await repos.doctors.findMany({ orderBy: { field: 'rating' } })).rows.map((row) => row.id))
+      .toEqual(['d1', 'd2', 'd3']);
+  });
+
+  test('searches text fields case-insensitively', async () => {
+    const { rows } = await repos.doctors.findMany({ search: { term: 'OKE', fields: ['lastName'] } });
+    expect(rows.map((row) => row.id)).toEqual(['d1']);
+  });
+
+  test('embeds relations and filters on related fields', async () => {
+    const doctor = await repos.doctors.findById('d3', { include: ['clinics'] });
+    expect(doctor.clinics).toMatchObject({ id: 'c2', name: 'Nsambya' });
+
+    const clinic = await repos.clinics.findById('c1', { include: ['doctors'] });
+    expect(clinic.doctors.map((row) => row.id).sort()).toEqual(['d1', 'd2']);
+
+    const { rows } = await repos.doctors.findMany({ filters: { 'clinics.name': 'Nsambya' } });
+    expect(rows.map((row) => row.id)).toEqual(['d3']);
+    expect(rows[0].clinics).toBeUndefined();
+
+    await expect(repos.doctors.findById('d1', { include: ['patients'] })).rejects.toThrow('Unknown relation');
+  });
+
+  test('creates, updates and removes copies, never the stored rows', async () => {
+    const created = await repos.clinics.create({ name: 'Kawempe', tags: ['maternity'] });
+    expect(created.id).toEqual(expect.any(String));
+
+    created.tags.push('changed');
+    expect((await repos.clinics.findById(created.id)).tags).toEqual(['maternity']);
+
+    const updated = await repos.clinics.update(created.id, { name: 'Kawempe NRH' });
+    expect(updated).toMatchObject({ id: created.id, name: 'Kawempe NRH', tags: ['maternity'] });
+    expect(await repos.clinics.update('missing', { name: 'x' })).toBeNull();
+
+    await repos.doctors.updateMany({ clinicId: 'c1' }, { clinicId: created.id });
+    expect(await repos.doctors.count({ clinicId: created.id })).toBe(2);
+
+    expect(await repos.clinics.remove(created.id)).toMatchObject({ name: 'Kawempe NRH' });
+    expect(await repos.clinics.findById(created.id)).toBeNull();
+  });
+
+  test('reset replaces every table', async () => {
+    store.reset({ clinics: [{ id: 'c9', name: 'Lira' }] });
+
+    expect(await repos.doctors.count()).toBe(0);
+    expect((await repos.clinics.findMany()).rows).toEqual([{ id: 'c9', name: 'Lira' }]);
+  });
+});
+
+describe('configured repositories', () => {
+  afterEach(() => memoryStore.reset());
+
+  test('use the memory backend for every entity', () => {
+    expect(Object.keys(repositories).sort()).toEqual(Object.keys(ENTITIES).sort());
+    expect(memoryStore).not.toBeNull();
+  });
+
+  test('embed the relations declared in the entity definitions', async () => {
+    const patient = await repositories.patients.create({ firstName: 'Amina', lastName: 'Okoro' });
+    const doctor = await repositories.doctors.create({ firstName: 'Grace', lastName: 'Auma' });
+    const appointment = await repositories.appointments.create({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      appointmentDate: '2026-01-15',
+      appointmentTime: '09:00'
+    });
+
+    const found = await repositories.appointments.findById(appointment.id, { include: ['patients', 'doctors', 'clinics'] });
+    expect(found.patients).toMatchObject({ firstName: 'Amina' });
+    expect(found.doctors).toMatchObject({ lastName: 'Auma' });
+    expect(found.clinics).toBeNull();
+
+    const withAppointments = await repositories.patients.findById(patient.id, { include: ['appointments'] });
+    expect(withAppointments.appointments).toHaveLength(1);
+  });
+});
@@ -0,0 +1,114 @@
+const {
+  app,
+  request,
+  repositories,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+const { toInterval, intervalsOverlap, findConflicts, needsConflictCheck } = require('../src/services/scheduling');
+const { findFreeSlots } = require('../src/services/availability');
+
+afterEach(() => resetStore());
+
+const slot = (appointmentDate, appointmentTime, duration) => ({ appointmentDate, appointmentTime, duration });
+
+describe('interval overlap', () => {
+  test('treats touching slots as free and partial overlaps as clashes', () => {
+    const nine = toInterval(slot('2026-01-15', '09:00', 30));
+
+    expect(intervalsOverlap(nine, toInterval(slot('2026-01-15', '09:30', 30)))).toBe(false);
+    expect(intervalsOverlap(nine, toInterval(slot('2026-01-15', '08:45', 30)))).toBe(true);
+    expect(intervalsOverlap(nine, toInterval(slot('2026-01-15', '09:10', 5)))).toBe(true);
+  });
+
+  test('compares slots that cross midnight', () => {
+    const late = toInterval(slot('2026-01-15', '23:30', 60));
+    expect(intervalsOverlap(late, toInterval(slot('2026-01-16', '00:15', 30)))).toBe(true);
+  });
+});
+
+describe('findConflicts', () => {
+  let doctorId;
+  let patientId;
+
+  beforeEach(async () => {
+    doctorId = (await createDoctor()).doctor.id;
+    patientId = (await createPatient()).id;
+    await repositories.appointments.create({ doctorId, patientId, ...slot('2026-01-15', '09:00', 60), status: 'scheduled' });
+    await repositories.appointments.create({ doctorId, patientId, ...slot('2026-01-15', '11:00', 30), status: 'cancelled' });
+  });
+
+  test('tags clashes with the doctor and with the patient', async () => {
+    const conflicts = await findConflicts({ doctorId, patientId, ...slot('2026-01-15', '09:30', 30) });
+    expect(conflicts.map((conflict) => conflict.conflictsWith).sort()).toEqual(['doctor', 'patient']);
+
+    const otherPatient = (await createPatient()).id;
+    const doctorOnly = await findConflicts({ doctorId, patientId: otherPatient, ...slot('2026-01-15', '09:30', 30) });
+    expect(doctorOnly.map((conflict) => conflict.conflictsWith)).toEqual(['doctor']);
+  });
+
+  test('ignores released appointments and the appointment being moved', async () => {
+    expect(await findConflicts({ doctorId, patientId, ...slot('2026-01-15', '11:00', 30) })).toEqual([]);
+
+    const [booked] = (await repositories.appointments.findMany({ filters: { status: 'scheduled' } })).rows;
+    expect(await findConflicts({ doctorId, patientId, ...slot('2026-01-15', '09:15', 30), excludeId: booked.id })).toEqual([]);
+  });
+});
+
+describe('findFreeSlots', () => {
+  test('leaves out times held for a waitlist offer until the hold expires', async () => {
+    const { doctor } = await createDoctor({ availability: Object.fromEntries(
+      ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map((day) => [day, '09:00-10:00'])
+    ) });
+    const patient = await createPatient();
+    const date = dayFromToday(2);
+    const hold = (expiresAt, status = 'pending') => repositories.waitlistOffers.create({
+      doctorId: doctor.id,
+      patientId: patient.id,
+      appointmentDate: date,
+      appointmentTime: '09:00',
+      duration: 30,
+      status,
+      expiresAt
+    });
+
+    await hold(new Date(Date.now() - 60000).toISOString());
+    await hold(new Date(Date.now() + 3600000).toISOString(), 'declined');
+    expect((await findFreeSlots({ doctor, from: date, to: date, duration: 30 })).map((s) => s.startTime)).toEqual(['09:00', '09:30']);
+
+    await hold(new Date(Date.now() + 3600000).toISOString());
+    expect((await findFreeSlots({ doctor, from: date, to: date, duration: 30 })).map((s) => s.startTime)).toEqual(['09:30']);
+  });
+});
+
+describe('needsConflictCheck', () => {
+  const existing = { ...slot('2026-01-15', '09:00', 30), status: 'scheduled' };
+
+  test('only for moves and reactivations', () => {
+    expect(needsConflictCheck(existing, { notes: 'Bring scans' })).toBe(false);
+    expect(needsConflictCheck(existing, { appointmentTime: '10:00' })).toBe(true);
+    expect(needsConflictCheck(existing, { appointmentTime: '10:00', status: 'cancelled' })).toBe(false);
+    expect(needsConflictCheck({ ...existing, status: 'cancelled' }, { status: 'scheduled' })).toBe(true);
+  });
+});
+
+describe('POST /api/appointments', () => {
+  test('returns 409 with the clashing appointments', async () => {
+    const doctor = await createDoctor();
+    const patient = await createPatient({ doctor });
+    const book = (appointmentTime) => request(app)
+      .post('/api/appointments')
+      .set(doctor.auth)
+      .send({ patientId: patient.id, doctorId: doctor.doctor.id, appointmentDate: '2026-01-15', appointmentTime, duration: 30, type: 'consultation' });
+
+    expect((await book('09:00')).status).toBe(201);
+
+    const clash = await book('09:15');
+    expect(clash.status).toBe(409);
+    expect(clash.body.data.conflicts).toHaveLength(2);
+
+    expect((await book('09:30')).status).toBe(201);
+  });
+});
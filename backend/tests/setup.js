@@ -0,0 +1,9 @@
+const os = require('os');
+const path = require('path');
+
+// Every test file runs the API offline against the in-memory backend
+process.env.NODE_ENV = 'test';
+process.env.DATA_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+process.env.STORAGE_LOCAL_DIR = path.join(os.tmpdir(), 'uganda-gynae-test-uploads');
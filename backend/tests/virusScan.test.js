@@ -0,0 +1,44 @@
+// The scanner is chosen on first use, so each test loads the module afresh
+const loadVirusScan = () => {
+  let virusScan;
+  jest.isolateModules(() => {
+    virusScan = require('../src/storage/virusScan');
+  });
+  return virusScan;
+};
+
+describe('default virus scanner', () => {
+  const env = { ...process.env };
+  let errors;
+
+  beforeEach(() => {
+    delete process.env.VIRUS_SCAN_URL;
+    errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    errors.mockRestore();
+  });
+
+  test('records files as unscanned when only the test signature is checked', async () => {
+    const { scanFile, EICAR_SIGNATURE } = loadVirusScan();
+
+    expect((await scanFile({ buffer: Buffer.from('%PDF-1.4 report') })).status).toBe('unscanned');
+    expect(await scanFile({ buffer: Buffer.from(EICAR_SIGNATURE) })).toMatchObject({ status: 'infected', threat: 'EICAR-Test-File' });
+  });
+
+  test('refuses uploads in production until a scanner is configured', async () => {
+    process.env.NODE_ENV = 'production';
+    const { scanFile } = loadVirusScan();
+
+    await expect(scanFile({ buffer: Buffer.from('%PDF-1.4 report') })).rejects.toMatchObject({ status: 503 });
+  });
+
+  test('reports files passed by a real scanner as clean', async () => {
+    const { scanFile, registerVirusScanner } = loadVirusScan();
+    registerVirusScanner({ name: 'stub', scan: async () => ({ infected: false, threat: null }) });
+
+    expect((await scanFile({ buffer: Buffer.from('%PDF-1.4 report') })).status).toBe('clean');
+  });
+});
@@ -0,0 +1,99 @@
+const {
+  app,
+  request,
+  repositories,
+  createUser,
+  createDoctor,
+  createPatient,
+  dayFromToday,
+  resetStore
+} = require('./helpers');
+
+afterEach(() => resetStore());
+
+describe('waitlist offers', () => {
+  let doctor;
+  let appointment;
+  let first;
+  let second;
+
+  const slot = { appointmentDate: dayFromToday(3), appointmentTime: '10:00', duration: 30 };
+
+  // A patient with a login, on the doctor's waitlist for the coming week
+  const waitingPatient = async () => {
+    const account = await createUser('patient');
+    const patient = await createPatient({ doctor, account });
+
+    const joined = await request(app)
+      .post('/api/waitlist')
+      .set(account.auth)
+      .send({ doctorId: doctor.doctor.id, preferredFrom: dayFromToday(1), preferredTo: dayFromToday(7), duration: 30 });
+    expect(joined.status).toBe(201);
+
+    return { ...account, patient };
+  };
+
+  const offersOf = async (user) => (await request(app).get('/api/waitlist/offers').set(user.auth)).body.data.offers;
+
+  beforeEach(async () => {
+    doctor = await createDoctor();
+    const booked = await createPatient({ doctor });
+    appointment = (await request(app)
+      .post('/api/appointments')
+      .set(doctor.auth)
+      .send({ patientId: booked.id, doctorId: doctor.doctor.id, type: 'consultation', ...slot })).body.data.appointment;
+
+    first = await waitingPatient();
+    second = await waitingPatient();
+
+    await request(app)
+      .patch(`/api/appointments/${appointment.id}/status`)
+      .set(doctor.auth)
+      .send({ status: 'cancelled', reason: 'Patient travelled' })
+      .expect(200);
+  });
+
+  test('offers a cancelled slot to the longest-waiting patient and holds it', async () => {
+    const [offer] = await offersOf(first);
+    expect(offer).toMatchObject({ status: 'pending', sourceAppointmentId: appointment.id, ...slot });
+    expect(await offersOf(second)).toEqual([]);
+
+    const taken = await request(app)
+      .post('/api/appointments')
+      .set(doctor.auth)
+      .send({ patientId: second.patient.id, doctorId: doctor.doctor.id, type: 'consultation', ...slot });
+    expect(taken.status).toBe(409);
+
+    const accepted = await request(app).post(`/api/waitlist/offers/${offer.id}/accept`).set(first.auth);
+    expect(accepted.status).toBe(201);
+    expect(accepted.body.data.appointment).toMatchObject({ patientId: first.patient.id, bookedBy: 'waitlist', ...slot });
+    expect(await repositories.waitlistEntries.findOne({ patientId: first.patient.id })).toMatchObject({ status: 'booked' });
+  });
+
+  test('passes the slot to the next patient once the hold expires', async () => {
+    const [offer] = await offersOf(first);
+    await repositories.waitlistOffers.update(offer.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const [next] = await offersOf(second);
+    expect(next).toMatchObject({ status: 'pending', sourceAppointmentId: appointment.id });
+    expect((await offersOf(first))[0].status).toBe('expired');
+    expect(await repositories.waitlistEntries.findOne({ patientId: first.patient.id })).toMatchObject({ status: 'waiting' });
+  });
+
+  test('refuses to book an expired offer', async () => {
+    const [offer] = await offersOf(first);
+    await repositories.waitlistOffers.update(offer.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const res = await request(app).post(`/api/waitlist/offers/${offer.id}/accept`).set(first.auth);
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual({ status: 'expired' });
+    expect(await repositories.appointments.count({ patientId: first.patient.id })).toBe(0);
+  });
+
+  test("hides another patient's offer", async () => {
+    const [offer] = await offersOf(first);
+
+    expect((await request(app).post(`/api/waitlist/offers/${offer.id}/accept`).set(second.auth)).status).toBe(404);
+  });
+});